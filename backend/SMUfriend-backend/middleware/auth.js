@@ -0,0 +1,62 @@
+// middleware/auth.js - Express middleware for session authentication
+const { authenticateAccessToken } = require('../services/sessions');
+
+// Reads "Authorization: Bearer <token>" and sets req.user = { userId, verified, role }
+function createRequireAuth(db) {
+  return async (req, res, next) => {
+    try {
+      const header = req.headers.authorization || '';
+      const [scheme, token] = header.split(' ');
+
+      if (scheme !== 'Bearer' || !token) {
+        return res.status(401).json({ error: 'Authentication required' });
+      }
+
+      const user = await authenticateAccessToken(db, token);
+      if (!user) {
+        return res.status(401).json({ error: 'Session expired or invalid' });
+      }
+
+      req.user = user;
+      next();
+    } catch (error) {
+      console.error('Error authenticating request:', error);
+      res.status(500).json({ error: 'Failed to authenticate' });
+    }
+  };
+}
+
+// Unverified users can log in but can't message anyone or ask for a match
+function requireVerified(req, res, next) {
+  if (!req.user.verified) {
+    return res.status(403).json({ error: 'Please verify your email first' });
+  }
+  next();
+}
+
+// Reject requests whose URL names another user, e.g. requireSelf('userId1')
+function requireSelf(param) {
+  return (req, res, next) => {
+    if (req.params[param] !== req.user.userId) {
+      return res.status(403).json({ error: 'You can only access your own data' });
+    }
+    next();
+  };
+}
+
+// Only let users with one of the given roles through, e.g. requireRole('admin')
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!roles.includes(req.user.role)) {
+      return res.status(403).json({ error: 'You are not allowed to do that' });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  createRequireAuth,
+  requireVerified,
+  requireSelf,
+  requireRole
+};
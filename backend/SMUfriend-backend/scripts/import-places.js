@@ -0,0 +1,75 @@
+// scripts/import-places.js
+//
+// Bulk-load buildings and places from a CSV or JSON catalogue (format in
+// services/placeCatalogue.js). Safe to run again with the same or an updated
+// file: existing buildings and places are updated in place, never duplicated.
+//
+//   npm run import-places -- data/places.csv
+//   npm run import-places -- places.txt --format json
+const fs = require('fs');
+const path = require('path');
+const { Pool } = require('pg');
+const { parseCatalogue } = require('../services/placeCatalogue');
+const { importCatalogue } = require('../services/places');
+require('dotenv').config();
+
+const USAGE = 'Usage: node scripts/import-places.js <file> [--format csv|json]';
+
+function parseArgs(args) {
+  const formatIndex = args.indexOf('--format');
+  const format = formatIndex === -1 ? null : args[formatIndex + 1];
+  const file = args.find((arg, index) => !arg.startsWith('--') && index !== formatIndex + 1);
+  return { file, format };
+}
+
+async function importPlaces(file, format) {
+  const text = fs.readFileSync(file, 'utf8');
+  const { buildings, errors } = parseCatalogue(text, format);
+
+  if (errors.length > 0) {
+    console.error(`❌ ${file} has ${errors.length} problem(s), nothing was imported:`);
+    errors.forEach(error => console.error(`   - ${error}`));
+    process.exitCode = 1;
+    return;
+  }
+
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+  });
+  const client = await pool.connect();
+
+  try {
+    console.log(`📝 Importing ${buildings.length} building(s) from ${file}...`);
+    await client.query('BEGIN');
+    const counts = await importCatalogue(client, buildings);
+    await client.query('COMMIT');
+
+    ['buildings', 'places'].forEach(kind => {
+      const { created, updated, unchanged } = counts[kind];
+      console.log(`   - ${kind}: ${created} created, ${updated} updated, ${unchanged} unchanged`);
+    });
+    console.log('🎉 Import complete!');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('❌ Import failed, nothing was changed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  const { file, format } = parseArgs(process.argv.slice(2));
+
+  if (!file || (format && !['csv', 'json'].includes(format))) {
+    console.error(USAGE);
+    process.exitCode = 1;
+  } else {
+    const detected = format || (path.extname(file).toLowerCase() === '.json' ? 'json' : 'csv');
+    importPlaces(file, detected);
+  }
+}
+
+module.exports = importPlaces;
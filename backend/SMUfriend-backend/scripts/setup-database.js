@@ -12,10 +12,12 @@ CREATE TABLE IF NOT EXISTS users (
     user_id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     email VARCHAR(255) UNIQUE NOT NULL,
     password VARCHAR(255) NOT NULL,
-    year_of_enrollment INTEGER CHECK (year_of_enrollment IN (1, 2, 3, 4)),
+    year_of_enrollment INTEGER CHECK (year_of_enrollment IN (1, 2, 3, 4, 5)), -- 5 = graduate
     gender VARCHAR(10) CHECK (gender IN ('m', 'f', 'other')),
     verified BOOLEAN DEFAULT FALSE,
     faculty VARCHAR(100),
+    session_version INTEGER NOT NULL DEFAULT 0, -- bumped to sign out every session
+    role VARCHAR(20) CHECK (role IN ('student', 'moderator', 'admin')) DEFAULT 'student', -- promoted by hand in SQL
     
     -- Additional fields for chat functionality
     display_name VARCHAR(100),
@@ -38,6 +40,7 @@ CREATE TABLE IF NOT EXISTS interests (
 -- BUILDINGS table
 CREATE TABLE IF NOT EXISTS buildings (
     building_id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    building_code VARCHAR(30) UNIQUE, -- e.g. 'SCIS1'; the key for catalogue imports
     building_name VARCHAR(100) NOT NULL,
     description TEXT,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
@@ -52,6 +55,45 @@ CREATE TABLE IF NOT EXISTS places (
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- BUSY_BLOCKS table (classes from an imported timetable, see services/timetable.js)
+CREATE TABLE IF NOT EXISTS busy_blocks (
+    block_id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(user_id) ON DELETE CASCADE,
+    starts_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    ends_at TIMESTAMP WITH TIME ZONE NOT NULL CHECK (ends_at > starts_at),
+    summary VARCHAR(200),
+    source VARCHAR(20) CHECK (source IN ('timetable')) DEFAULT 'timetable',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- MEAL_GROUPS table (tables of 3-6 people formed from group requests)
+CREATE TABLE IF NOT EXISTS meal_groups (
+    group_id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    activity_type VARCHAR(50) CHECK (activity_type IN ('lunch', 'dinner', 'breakfast', 'study')),
+    meeting_date TIMESTAMP WITH TIME ZONE NOT NULL,
+    max_size INTEGER NOT NULL CHECK (max_size BETWEEN 3 AND 6), -- smallest group_size among members
+    status VARCHAR(20) CHECK (status IN ('active', 'completed', 'cancelled')) DEFAULT 'active',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- RECURRING_REQUESTS table (weekly rules that generate requests ahead of time)
+CREATE TABLE IF NOT EXISTS recurring_requests (
+    recurring_id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(user_id) ON DELETE CASCADE,
+    activity_type VARCHAR(50) CHECK (activity_type IN ('lunch', 'dinner', 'breakfast', 'study')),
+    days_of_week SMALLINT[] NOT NULL, -- EXTRACT(DOW) numbers, Sunday = 0
+    start_time TIME NOT NULL, -- campus time
+    end_time TIME NOT NULL CHECK (end_time > start_time),
+    until_date DATE NOT NULL,
+    preferred_gender VARCHAR(10) CHECK (preferred_gender IN ('m', 'f', 'any')),
+    preferred_faculty VARCHAR(100),
+    preferred_year INTEGER CHECK (preferred_year IN (1, 2, 3, 4, 5)),
+    group_size INTEGER NOT NULL DEFAULT 2 CHECK (group_size BETWEEN 2 AND 6),
+    prefer_favourites BOOLEAN NOT NULL DEFAULT FALSE,
+    status VARCHAR(20) CHECK (status IN ('active', 'cancelled')) DEFAULT 'active',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
 -- REQUESTS table (for matching system)
 CREATE TABLE IF NOT EXISTS requests (
     request_id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -59,11 +101,25 @@ CREATE TABLE IF NOT EXISTS requests (
     activity_type VARCHAR(50) CHECK (activity_type IN ('lunch', 'dinner', 'breakfast', 'study')),
     preferred_gender VARCHAR(10) CHECK (preferred_gender IN ('m', 'f', 'any')),
     preferred_faculty VARCHAR(100),
-    preferred_year INTEGER CHECK (preferred_year IN (1, 2, 3, 4)),
+    preferred_year INTEGER CHECK (preferred_year IN (1, 2, 3, 4, 5)),
     meeting_date TIMESTAMP WITH TIME ZONE,
     status VARCHAR(20) CHECK (status IN ('pending', 'matched', 'expired', 'cancelled')) DEFAULT 'pending',
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-    expires_at TIMESTAMP WITH TIME ZONE DEFAULT (NOW() + INTERVAL '24 hours')
+    expires_at TIMESTAMP WITH TIME ZONE DEFAULT (NOW() + INTERVAL '24 hours'),
+    group_size INTEGER NOT NULL DEFAULT 2 CHECK (group_size BETWEEN 2 AND 6), -- largest table wanted; 2 = one buddy
+    place_id UUID REFERENCES places(place_id) ON DELETE SET NULL, -- where the user would like to meet, if anywhere
+    group_id UUID REFERENCES meal_groups(group_id) ON DELETE SET NULL, -- set once placed in a meal group
+    prefer_favourites BOOLEAN NOT NULL DEFAULT FALSE,
+    recurring_id UUID REFERENCES recurring_requests(recurring_id) ON DELETE SET NULL,
+    occurrence_date DATE -- campus date this request stands for in its weekly rule
+);
+
+-- FAVOURITE_PARTNERS table (people a user would happily be matched with again)
+CREATE TABLE IF NOT EXISTS favourite_partners (
+    user_id UUID REFERENCES users(user_id) ON DELETE CASCADE,
+    favourite_user_id UUID REFERENCES users(user_id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (user_id, favourite_user_id)
 );
 
 -- MATCHES table
@@ -72,13 +128,49 @@ CREATE TABLE IF NOT EXISTS matches (
     request_a_id UUID REFERENCES requests(request_id) ON DELETE CASCADE,
     request_b_id UUID REFERENCES requests(request_id) ON DELETE CASCADE,
     matched_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-    status VARCHAR(20) CHECK (status IN ('active', 'completed', 'cancelled')) DEFAULT 'active'
+    -- proposed until both users confirm, then active until they have met
+    status VARCHAR(20) CHECK (status IN ('proposed', 'active', 'completed', 'declined', 'cancelled')) DEFAULT 'proposed',
+    request_a_confirmed_at TIMESTAMP WITH TIME ZONE,
+    request_b_confirmed_at TIMESTAMP WITH TIME ZONE,
+    cancelled_by UUID REFERENCES users(user_id) ON DELETE SET NULL, -- also set when declined
+    cancel_reason TEXT,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(), -- drives calendar feed updates
+    place_id UUID REFERENCES places(place_id) ON DELETE SET NULL, -- agreed meeting place
+    -- A meeting place suggested by one user, waiting for the other to accept
+    proposed_place_id UUID REFERENCES places(place_id) ON DELETE SET NULL,
+    proposed_by UUID REFERENCES users(user_id) ON DELETE SET NULL,
+    proposed_at TIMESTAMP WITH TIME ZONE
+);
+
+-- MATCH_FEEDBACK table (private post-meetup feedback, one per user per match)
+CREATE TABLE IF NOT EXISTS match_feedback (
+    feedback_id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    match_id UUID REFERENCES matches(match_id) ON DELETE CASCADE,
+    from_user_id UUID REFERENCES users(user_id) ON DELETE CASCADE,
+    to_user_id UUID REFERENCES users(user_id) ON DELETE CASCADE,
+    showed_up BOOLEAN NOT NULL,
+    rating SMALLINT CHECK (rating BETWEEN 1 AND 5),
+    comment TEXT, -- only ever shown to its author
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (match_id, from_user_id),
+    CHECK (from_user_id <> to_user_id)
+);
+
+-- CALENDAR_FEEDS table (one private .ics subscription URL per user)
+CREATE TABLE IF NOT EXISTS calendar_feeds (
+    user_id UUID PRIMARY KEY REFERENCES users(user_id) ON DELETE CASCADE,
+    token_hash TEXT UNIQUE NOT NULL, -- SHA-256 of the token in the URL
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    last_polled_at TIMESTAMP WITH TIME ZONE
 );
 
 -- CONVERSATIONS table (enhanced for chat)
 CREATE TABLE IF NOT EXISTS conversations (
     conversation_id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     match_id UUID REFERENCES matches(match_id) ON DELETE CASCADE,
+    group_id UUID UNIQUE REFERENCES meal_groups(group_id) ON DELETE CASCADE, -- for 'group' conversations
     conversation_type VARCHAR(20) CHECK (conversation_type IN ('match', 'direct', 'group')) DEFAULT 'match',
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     last_updated TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
@@ -115,6 +207,7 @@ CREATE TABLE IF NOT EXISTS messages (
     
     sent_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     edited_at TIMESTAMP WITH TIME ZONE,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(), -- any change, for incremental sync
     
     -- Message status tracking
     delivery_status VARCHAR(20) CHECK (delivery_status IN ('sending', 'sent', 'delivered', 'read', 'failed')) DEFAULT 'sent',
@@ -151,7 +244,14 @@ CREATE TABLE IF NOT EXISTS reports (
     
     -- Additional context
     comment TEXT,
-    is_verified BOOLEAN DEFAULT FALSE
+    is_verified BOOLEAN DEFAULT FALSE,
+
+    -- Reputation and moderation (see services/reportTrust.js)
+    rejected BOOLEAN NOT NULL DEFAULT FALSE, -- set by a moderator; ignored by every estimate
+    flag_reason VARCHAR(20) CHECK (flag_reason IN ('rapid_fire', 'outlier')),
+    consensus VARCHAR(10) CHECK (consensus IN ('agree', 'disagree', 'none')), -- NULL until evaluated
+    moderated_by UUID REFERENCES users(user_id) ON DELETE SET NULL,
+    moderated_at TIMESTAMP WITH TIME ZONE
 );
 
 -- VERIFICATION_TOKENS table
@@ -161,9 +261,60 @@ CREATE TABLE IF NOT EXISTS verification_tokens (
     token VARCHAR(64) NOT NULL UNIQUE,
     expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
     token_type VARCHAR(20) CHECK (token_type IN ('email_verification', 'password_reset')) DEFAULT 'email_verification',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    used_at TIMESTAMP WITH TIME ZONE -- set when consumed or superseded; tokens are single-use
+);
+
+-- REFRESH_TOKENS table (rotating session tokens, stored hashed)
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+    token_id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(user_id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    family_id UUID NOT NULL, -- shared by every token rotated from one login
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    revoked_at TIMESTAMP WITH TIME ZONE,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Migrations for databases created by earlier versions of this script
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_year_of_enrollment_check;
+ALTER TABLE users ADD CONSTRAINT users_year_of_enrollment_check
+    CHECK (year_of_enrollment IN (1, 2, 3, 4, 5));
+ALTER TABLE requests DROP CONSTRAINT IF EXISTS requests_preferred_year_check;
+ALTER TABLE requests ADD CONSTRAINT requests_preferred_year_check
+    CHECK (preferred_year IN (1, 2, 3, 4, 5));
+ALTER TABLE verification_tokens ADD COLUMN IF NOT EXISTS used_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS session_version INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE matches DROP CONSTRAINT IF EXISTS matches_status_check;
+ALTER TABLE matches ADD CONSTRAINT matches_status_check
+    CHECK (status IN ('proposed', 'active', 'completed', 'declined', 'cancelled'));
+ALTER TABLE matches ALTER COLUMN status SET DEFAULT 'proposed';
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS request_a_confirmed_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS request_b_confirmed_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS cancelled_by UUID REFERENCES users(user_id) ON DELETE SET NULL;
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS cancel_reason TEXT;
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS completed_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS role VARCHAR(20) CHECK (role IN ('student', 'moderator', 'admin')) DEFAULT 'student';
+ALTER TABLE buildings ADD COLUMN IF NOT EXISTS building_code VARCHAR(30) UNIQUE;
+ALTER TABLE requests ADD COLUMN IF NOT EXISTS place_id UUID REFERENCES places(place_id) ON DELETE SET NULL;
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS place_id UUID REFERENCES places(place_id) ON DELETE SET NULL;
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS proposed_place_id UUID REFERENCES places(place_id) ON DELETE SET NULL;
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS proposed_by UUID REFERENCES users(user_id) ON DELETE SET NULL;
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS proposed_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE requests ADD COLUMN IF NOT EXISTS group_size INTEGER NOT NULL DEFAULT 2 CHECK (group_size BETWEEN 2 AND 6);
+ALTER TABLE requests ADD COLUMN IF NOT EXISTS group_id UUID REFERENCES meal_groups(group_id) ON DELETE SET NULL;
+ALTER TABLE requests ADD COLUMN IF NOT EXISTS prefer_favourites BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE requests ADD COLUMN IF NOT EXISTS recurring_id UUID REFERENCES recurring_requests(recurring_id) ON DELETE SET NULL;
+ALTER TABLE requests ADD COLUMN IF NOT EXISTS occurrence_date DATE;
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS group_id UUID UNIQUE REFERENCES meal_groups(group_id) ON DELETE CASCADE;
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+ALTER TABLE reports ADD COLUMN IF NOT EXISTS rejected BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE reports ADD COLUMN IF NOT EXISTS flag_reason VARCHAR(20) CHECK (flag_reason IN ('rapid_fire', 'outlier'));
+ALTER TABLE reports ADD COLUMN IF NOT EXISTS consensus VARCHAR(10) CHECK (consensus IN ('agree', 'disagree', 'none'));
+ALTER TABLE reports ADD COLUMN IF NOT EXISTS moderated_by UUID REFERENCES users(user_id) ON DELETE SET NULL;
+ALTER TABLE reports ADD COLUMN IF NOT EXISTS moderated_at TIMESTAMP WITH TIME ZONE;
+
 -- Indexes for better performance
 CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
 CREATE INDEX IF NOT EXISTS idx_users_faculty_year ON users(faculty, year_of_enrollment);
@@ -172,6 +323,9 @@ CREATE INDEX IF NOT EXISTS idx_users_last_seen ON users(last_seen);
 CREATE INDEX IF NOT EXISTS idx_messages_conversation ON messages(conversation_id);
 CREATE INDEX IF NOT EXISTS idx_messages_sent_at ON messages(sent_at DESC);
 CREATE INDEX IF NOT EXISTS idx_messages_sender ON messages(sender_id);
+-- Keyset paging through history and syncing changes (see services/messageHistory.js)
+CREATE INDEX IF NOT EXISTS idx_messages_conversation_sent ON messages(conversation_id, sent_at DESC, message_id DESC);
+CREATE INDEX IF NOT EXISTS idx_messages_conversation_updated ON messages(conversation_id, updated_at, message_id);
 
 CREATE INDEX IF NOT EXISTS idx_conversations_match ON conversations(match_id);
 CREATE INDEX IF NOT EXISTS idx_conversations_last_updated ON conversations(last_updated DESC);
@@ -179,8 +333,50 @@ CREATE INDEX IF NOT EXISTS idx_conversations_last_updated ON conversations(last_
 CREATE INDEX IF NOT EXISTS idx_requests_status ON requests(status);
 CREATE INDEX IF NOT EXISTS idx_requests_expires ON requests(expires_at);
 CREATE INDEX IF NOT EXISTS idx_requests_user ON requests(user_id);
+CREATE INDEX IF NOT EXISTS idx_requests_group ON requests(group_id);
+CREATE INDEX IF NOT EXISTS idx_busy_blocks_user_time ON busy_blocks(user_id, starts_at);
+CREATE INDEX IF NOT EXISTS idx_recurring_requests_user ON recurring_requests(user_id, status);
+CREATE INDEX IF NOT EXISTS idx_meal_groups_status ON meal_groups(status, meeting_date);
 
 CREATE INDEX IF NOT EXISTS idx_matches_status ON matches(status);
+CREATE INDEX IF NOT EXISTS idx_matches_request_a ON matches(request_a_id);
+CREATE INDEX IF NOT EXISTS idx_matches_request_b ON matches(request_b_id);
+CREATE INDEX IF NOT EXISTS idx_match_feedback_to_user ON match_feedback(to_user_id, created_at DESC);
+
+-- One active request per user, activity and day (campus time, see services/requestFields.js)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_requests_one_per_slot
+    ON requests(user_id, activity_type, ((meeting_date AT TIME ZONE 'Asia/Singapore')::date))
+    WHERE status IN ('pending', 'matched');
+
+-- A weekly rule has at most one request per date, whatever its status, so
+-- skipped and cancelled occurrences are not generated again
+CREATE UNIQUE INDEX IF NOT EXISTS idx_requests_occurrence ON requests(recurring_id, occurrence_date);
+
+-- Place names are unique within a building, which keeps catalogue imports idempotent
+CREATE UNIQUE INDEX IF NOT EXISTS idx_places_building_name ON places(building_id, place_name);
+CREATE INDEX IF NOT EXISTS idx_places_type ON places(place_type);
+
+-- Crowd estimates read a place's recent reports; rate limiting a user's
+CREATE INDEX IF NOT EXISTS idx_reports_place_time ON reports(place_id, reported_at DESC);
+CREATE INDEX IF NOT EXISTS idx_reports_user_time ON reports(user_id, reported_at DESC);
+-- The moderators' queue: flagged reports nobody has looked at yet
+CREATE INDEX IF NOT EXISTS idx_reports_review ON reports(reported_at DESC)
+    WHERE flag_reason IS NOT NULL AND moderated_at IS NULL;
+
+-- Interests hold normalised tags (see services/interestTags.js), one row per tag per user.
+-- Databases from before the index can hold the same tag twice; keep the oldest
+DELETE FROM interests newer
+USING interests older
+WHERE newer.user_id = older.user_id
+AND newer.description = older.description
+AND (COALESCE(newer.created_at, '-infinity'), newer.interest_id)
+  > (COALESCE(older.created_at, '-infinity'), older.interest_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_interests_user_description ON interests(user_id, description);
+CREATE INDEX IF NOT EXISTS idx_interests_description ON interests(description text_pattern_ops);
+
+CREATE INDEX IF NOT EXISTS idx_verification_tokens_user ON verification_tokens(user_id, token_type);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family ON refresh_tokens(family_id);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user ON refresh_tokens(user_id);
 
 -- Functions for updating timestamps
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -206,16 +402,33 @@ DROP TRIGGER IF EXISTS update_users_updated_at ON users;
 CREATE TRIGGER update_users_updated_at BEFORE UPDATE ON users
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+DROP TRIGGER IF EXISTS update_matches_updated_at ON matches;
+CREATE TRIGGER update_matches_updated_at BEFORE UPDATE ON matches
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_messages_updated_at ON messages;
+CREATE TRIGGER update_messages_updated_at BEFORE UPDATE ON messages
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 DROP TRIGGER IF EXISTS update_conversation_on_message ON messages;
 CREATE TRIGGER update_conversation_on_message AFTER INSERT ON messages
     FOR EACH ROW EXECUTE FUNCTION update_conversation_last_updated();
 
 -- Sample data for testing (optional)
-INSERT INTO users (user_id, email, password, display_name, faculty, year_of_enrollment) VALUES
-('550e8400-e29b-41d4-a716-446655440000', 'john.doe.2024@student.smu.edu.sg', 'temp_password_123', 'John Doe', 'School of Engineering', 2),
-('550e8400-e29b-41d4-a716-446655440001', 'alice.smith.2023@student.smu.edu.sg', 'temp_password_456', 'Alice (SOE, Yr 2)', 'School of Engineering', 2)
+-- Both sample users log in with the password 'password123' (bcrypt, 12 rounds)
+-- and are pre-verified so they can chat straight away
+INSERT INTO users (user_id, email, password, display_name, faculty, year_of_enrollment, verified) VALUES
+('550e8400-e29b-41d4-a716-446655440000', 'john.doe.2024@student.smu.edu.sg', '$2a$12$pgs3LTUEMQ1iWXIu//5u4Osm22UWeAEJY32hf/wBHaD.a4dossUm6', 'John Doe', 'engineering', 2, TRUE),
+('550e8400-e29b-41d4-a716-446655440001', 'alice.smith.2023@student.smu.edu.sg', '$2a$12$pgs3LTUEMQ1iWXIu//5u4Osm22UWeAEJY32hf/wBHaD.a4dossUm6', 'Alice (SOE, Yr 2)', 'engineering', 2, TRUE)
 ON CONFLICT (email) DO NOTHING;
 
+-- Earlier versions of this script seeded plaintext passwords
+UPDATE users SET password = '$2a$12$pgs3LTUEMQ1iWXIu//5u4Osm22UWeAEJY32hf/wBHaD.a4dossUm6'
+WHERE password IN ('temp_password_123', 'temp_password_456');
+
+-- ...and a faculty name instead of the key the app uses
+UPDATE users SET faculty = 'engineering' WHERE faculty = 'School of Engineering';
+
 -- Create a sample conversation
 INSERT INTO conversations (conversation_id, conversation_type) VALUES
 ('660e8400-e29b-41d4-a716-446655440000', 'direct')
@@ -1,10 +1,171 @@
 // server.js
+require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const { Pool } = require('pg');
 const http = require('http');
 const socketIo = require('socket.io');
-require('dotenv').config();
+const bcrypt = require('bcryptjs');
+const multer = require('multer');
+const {
+  validateRegistration,
+  validatePassword,
+  validateProfileUpdate,
+  normalizeEmail
+} = require('./services/userFields');
+const { issueToken, consumeToken, findToken, countRecentTokens } = require('./services/tokens');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('./services/accountEmails');
+const {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  authenticateAccessToken
+} = require('./services/sessions');
+const { PROFILE_COLUMNS, getProfileForViewer } = require('./services/profiles');
+const { normalizeTag, vocabularyMatches } = require('./services/interestTags');
+const {
+  validateBuddyRequest,
+  validateRecurringRequest,
+  validateOccurrenceDate
+} = require('./services/requestFields');
+const { weightsFromEnv, explainPair } = require('./services/matchScoring');
+const { createMatcher, loadCandidates } = require('./services/matcher');
+const { createCleanupScheduler } = require('./services/cleanup');
+const {
+  findPairConversationIds,
+  findOrCreatePairConversation,
+  markPairRead,
+  markGroupRead,
+  listConversations
+} = require('./services/conversations');
+const { decodeCursor, pageSize, loadPairMessages, loadPairChanges } = require('./services/messageHistory');
+const {
+  getGroup,
+  leaveGroup,
+  getGroupMessages,
+  sendGroupMessage
+} = require('./services/groups');
+const {
+  createRecurringRequest,
+  listRecurringRequests,
+  getRecurringRequest,
+  generateOccurrences,
+  skipOccurrence,
+  cancelRecurringRequest
+} = require('./services/recurring');
+const { listFavourites, addFavourite, removeFavourite } = require('./services/favourites');
+const {
+  parseTimetable,
+  suggestFreeSlots,
+  replaceTimetable,
+  clearTimetable,
+  listBusyBlocks
+} = require('./services/timetable');
+const {
+  matchToEvent,
+  buildCalendar,
+  getCalendarMatch,
+  listCalendarMatches,
+  rotateFeedToken,
+  revokeFeedToken,
+  findFeedOwner
+} = require('./services/calendar');
+const {
+  validateFeedback,
+  submitFeedback,
+  getOwnFeedback,
+  getReliabilitySummary
+} = require('./services/feedback');
+const {
+  listMatches,
+  getMatch,
+  confirmMatch,
+  declineMatch,
+  cancelMatch,
+  completeMatch,
+  proposePlace,
+  acceptPlace,
+  validateCancelReason
+} = require('./services/matches');
+const { recommendPlaces } = require('./services/meetingPlaces');
+const {
+  UPLOADS_DIR,
+  AVATAR_MAX_BYTES,
+  AVATAR_MIME_TYPES,
+  saveAvatar,
+  removeAvatar
+} = require('./services/avatars');
+const { PLACE_TYPES, validateBuilding, validatePlace } = require('./services/placeFields');
+const { isUuid } = require('./services/ids');
+const {
+  listBuildings,
+  getBuilding,
+  createBuilding,
+  updateBuilding,
+  deleteBuilding,
+  listPlaces,
+  getPlace,
+  createPlace,
+  updatePlace,
+  deletePlace
+} = require('./services/places');
+const {
+  validateReport,
+  loadCrowdEstimates,
+  getCrowdEstimate,
+  getCrowdProfile,
+  submitReport
+} = require('./services/crowd');
+const { loadCrowdUpdates, createCrowdBroadcaster } = require('./services/crowdUpdates');
+const { REVIEW_STATUSES, listReportsForReview, moderateReport } = require('./services/reportTrust');
+const {
+  createRequireAuth,
+  requireVerified,
+  requireSelf,
+  requireRole
+} = require('./middleware/auth');
+
+const BCRYPT_ROUNDS = 12;
+const VERIFICATION_TOKEN_TTL = 24 * 60 * 60 * 1000; // 24 hours
+const VERIFICATION_RESEND_INTERVAL = 60 * 1000; // at most one resend per minute
+const PASSWORD_RESET_TOKEN_TTL = 60 * 60 * 1000; // 1 hour
+const PASSWORD_RESET_WINDOW = 60 * 60 * 1000;
+const PASSWORD_RESET_MAX_PER_WINDOW = 3; // reset emails per address per hour
+
+const MATCHING_INTERVAL = 60 * 1000; // also runs whenever a request is created
+const MATCH_WEIGHTS = weightsFromEnv(); // MATCH_WEIGHT_* overrides
+const CLEANUP_INTERVAL = 60 * 1000;
+
+const TIMETABLE_MAX_BYTES = 1024 * 1024;
+const FREE_SLOT_MAX_DAYS = 14;
+
+const MAX_CROWD_ROOMS = 20; // place/building rooms per socket
+
+const MAX_INTERESTS_PER_USER = 10;
+const TAG_SUGGESTION_LIMIT = 10;
+
+// Columns returned for buddy requests
+const REQUEST_COLUMNS = `
+  request_id,
+  activity_type,
+  preferred_gender,
+  preferred_faculty,
+  preferred_year,
+  meeting_date,
+  status,
+  created_at,
+  expires_at,
+  group_size,
+  group_id,
+  prefer_favourites,
+  recurring_id,
+  to_char(occurrence_date, 'YYYY-MM-DD') as occurrence_date,
+  place_id
+`;
+
+// Compared against when the email is unknown, so both cases take as long
+const DUMMY_PASSWORD_HASH = '$2a$12$pgs3LTUEMQ1iWXIu//5u4Osm22UWeAEJY32hf/wBHaD.a4dossUm6';
 
 const app = express();
 const server = http.createServer(app);
@@ -20,6 +181,20 @@ const io = socketIo(server, {
 // Middleware
 app.use(cors());
 app.use(express.json());
+app.use('/uploads', express.static(UPLOADS_DIR));
+
+// Avatar uploads are kept in memory just long enough to be resized
+const avatarUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: AVATAR_MAX_BYTES },
+  fileFilter: (req, file, cb) => cb(null, AVATAR_MIME_TYPES.includes(file.mimetype))
+}).single('avatar');
+
+// Timetables are parsed straight from memory; only the busy blocks are kept
+const timetableUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: TIMETABLE_MAX_BYTES }
+}).single('timetable');
 
 // PostgreSQL connection
 const pool = new Pool({
@@ -37,159 +212,632 @@ pool.query('SELECT NOW()', (err, res) => {
 });
 
 // Socket.io connection handling
-const connectedUsers = new Map();
 
-io.on('connection', (socket) => {
-  console.log('User connected:', socket.id);
+// Every socket joins a room named after its user, so all of a user's tabs
+// receive their events
+const userRoom = (userId) => `user:${userId}`;
+
+function emitToUser(userId, event, payload) {
+  io.to(userRoom(userId)).emit(event, payload);
+}
+
+// Clients subscribe to crowd updates for a place or a whole building by
+// joining "place:<id>" or "building:<id>"
+const placeRoom = (placeId) => `place:${placeId}`;
+const buildingRoom = (buildingId) => `building:${buildingId}`;
+
+// The normalised room and what it covers, or null for anything else
+// (including user rooms, which clients must never join)
+function parseCrowdRoom(roomId) {
+  const match = typeof roomId === 'string' && /^(place|building):(.+)$/.exec(roomId);
+  if (!match || !isUuid(match[2])) return null;
+
+  const id = match[2].toLowerCase();
+  return match[1] === 'place'
+    ? { room: placeRoom(id), placeId: id }
+    : { room: buildingRoom(id), buildingId: id };
+}
 
-  socket.on('join', (userId) => {
-    connectedUsers.set(userId, socket.id);
-    console.log(`User ${userId} joined with socket ${socket.id}`);
+// Authenticate sockets with the same access token as HTTP requests; the
+// client sends it in the handshake as { auth: { token } }
+io.use(async (socket, next) => {
+  try {
+    const token = socket.handshake.auth && socket.handshake.auth.token;
+    const user = token ? await authenticateAccessToken(pool, token) : null;
+
+    if (!user) {
+      return next(new Error('Authentication required'));
+    }
+
+    socket.data.userId = user.userId;
+    socket.data.verified = user.verified;
+    next();
+  } catch (error) {
+    console.error('Error authenticating socket:', error);
+    next(new Error('Authentication failed'));
+  }
+});
+
+// Forward a client event to another user. Only the listed fields are passed
+// on, and `from` is always the authenticated sender.
+function relayToUser(socket, event, data, fields) {
+  if (!data || typeof data.to !== 'string') return;
+
+  const payload = { from: socket.data.userId };
+  fields.forEach(field => {
+    if (data[field] !== undefined) payload[field] = data[field];
   });
 
+  emitToUser(data.to, event, payload);
+}
+
+io.on('connection', (socket) => {
+  const { userId } = socket.data;
+  socket.join(userRoom(userId));
+  console.log(`User ${userId} connected with socket ${socket.id}`);
+
   socket.on('private_message', (data) => {
-    const recipientSocketId = connectedUsers.get(data.to);
-    if (recipientSocketId) {
-      io.to(recipientSocketId).emit('private_message', data);
+    if (!socket.data.verified) return;
+    relayToUser(socket, 'private_message', data, ['to', 'message', 'timestamp']);
+  });
+
+  socket.on('typing', (data) => {
+    relayToUser(socket, 'typing', data, ['to', 'isTyping']);
+  });
+
+  // Subscribe to crowd updates; the current estimates are sent right away
+  socket.on('join_room', async (roomId, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    const target = parseCrowdRoom(roomId);
+    if (!target) return reply({ error: 'Unknown room' });
+
+    const crowdRooms = [...socket.rooms].filter(room => parseCrowdRoom(room));
+    if (!socket.rooms.has(target.room) && crowdRooms.length >= MAX_CROWD_ROOMS) {
+      return reply({ error: 'Too many rooms' });
+    }
+
+    socket.join(target.room);
+    reply({ room: target.room });
+
+    try {
+      const updates = await loadCrowdUpdates(pool, target);
+      updates.forEach(update => socket.emit('crowd_updated', update));
+    } catch (error) {
+      console.error('Error loading crowd levels for socket:', error);
     }
   });
 
+  socket.on('leave_room', (roomId) => {
+    const target = parseCrowdRoom(roomId);
+    if (target) socket.leave(target.room);
+  });
+
   socket.on('disconnect', () => {
-    // Remove user from connected users
-    for (let [userId, socketId] of connectedUsers.entries()) {
-      if (socketId === socket.id) {
-        connectedUsers.delete(userId);
-        break;
-      }
-    }
-    console.log('User disconnected:', socket.id);
+    console.log(`User ${userId} disconnected from socket ${socket.id}`);
+  });
+});
+
+// Tell both users about a new match, each with the other's profile
+async function notifyMatch(match) {
+  const [a, b] = match.requests;
+
+  for (const [own, other] of [[a, b], [b, a]]) {
+    const partner = await getProfileForViewer(pool, other.user_id, own.user_id);
+    emitToUser(own.user_id, 'match_found', {
+      match_id: match.match_id,
+      matched_at: match.matched_at,
+      request: {
+        request_id: own.request_id,
+        activity_type: own.activity_type,
+        meeting_date: own.meeting_date
+      },
+      partner
+    });
+  }
+}
+
+// Tell newcomers they have a table, and everyone already there who joined
+function notifyGroup(placement) {
+  const joinedIds = placement.joined.map(member => member.user_id);
+
+  placement.members.forEach(member => {
+    const isNew = joinedIds.includes(member.user_id);
+    emitToUser(member.user_id, isNew ? 'group_joined' : 'group_updated', {
+      group_id: placement.group_id,
+      conversation_id: placement.conversation_id,
+      activity_type: member.activity_type,
+      joined: placement.joined.map(joined => ({ uid: joined.user_id, name: joined.display_name }))
+    });
+  });
+}
+
+const matcher = createMatcher(pool, { onMatch: notifyMatch, onGroup: notifyGroup }, MATCH_WEIGHTS);
+
+// Let users know their requests expired and their meetups are over
+function notifyCleanup({ expired, lapsed, completed, completedGroups, evaluated }) {
+  expired.forEach(request => {
+    emitToUser(request.user_id, 'request_expired', {
+      request_id: request.request_id,
+      activity_type: request.activity_type,
+      meeting_date: request.meeting_date
+    });
+  });
+
+  lapsed.forEach(match => {
+    [match.user_a_id, match.user_b_id].forEach(userId => {
+      emitToUser(userId, 'match_updated', { match_id: match.match_id, status: 'cancelled' });
+    });
+  });
+
+  completed.forEach(match => {
+    [match.user_a_id, match.user_b_id].forEach(userId => {
+      emitToUser(userId, 'match_updated', { match_id: match.match_id, status: 'completed' });
+    });
+  });
+
+  completedGroups.forEach(group => {
+    group.member_ids.forEach(userId => {
+      emitToUser(userId, 'group_updated', { group_id: group.group_id, status: 'completed' });
+    });
   });
+
+  // A newly flagged report counts for less in its place's estimate
+  new Set(evaluated.filter(report => report.flag_reason === 'outlier').map(report => report.place_id))
+    .forEach(placeId => crowdUpdates.placeChanged(placeId));
+}
+
+const cleanup = createCleanupScheduler(pool, notifyCleanup);
+
+// Push new crowd estimates to everyone watching the place or its building
+const crowdUpdates = createCrowdBroadcaster(pool, (update) => {
+  const rooms = [placeRoom(update.place_id)];
+  if (update.building_id) rooms.push(buildingRoom(update.building_id));
+  io.to(rooms).emit('crowd_updated', update);
 });
 
 // API Routes
 
-// Get conversation between two users
-app.get('/api/conversations/:userId1/:userId2', async (req, res) => {
+// Register a new account
+app.post('/api/auth/register', async (req, res) => {
+  try {
+    const { errors, values } = validateRegistration(req.body);
+
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ error: 'Validation failed', fields: errors });
+    }
+
+    const passwordHash = await bcrypt.hash(values.password, BCRYPT_ROUNDS);
+
+    const result = await pool.query(`
+      INSERT INTO users (email, password, gender, faculty, year_of_enrollment)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (email) DO NOTHING
+      RETURNING
+        user_id as uid,
+        display_name as name,
+        email,
+        gender,
+        faculty,
+        year_of_enrollment,
+        verified
+    `, [values.email, passwordHash, values.gender, values.faculty, values.year]);
+
+    if (result.rows.length === 0) {
+      return res.status(409).json({
+        error: 'Validation failed',
+        fields: { email: 'An account with this email already exists' }
+      });
+    }
+
+    const user = result.rows[0];
+
+    // A mail failure shouldn't fail registration - the user can ask for a resend
+    try {
+      const token = await issueToken(pool, user.uid, 'email_verification', VERIFICATION_TOKEN_TTL);
+      await sendVerificationEmail(user.email, token);
+    } catch (error) {
+      console.error('Error sending verification email:', error);
+    }
+
+    res.status(201).json({ success: true, user });
+  } catch (error) {
+    console.error('Error registering user:', error);
+    res.status(500).json({ error: 'Failed to register' });
+  }
+});
+
+// Check a verification link before asking the user to confirm it. Only the
+// POST below verifies the address, so mail scanners that open the link don't
+// use it up.
+app.get('/api/auth/verify/:token', async (req, res) => {
+  try {
+    const found = await findToken(pool, req.params.token, 'email_verification');
+
+    if (!found) {
+      return res.status(400).json({ error: 'This verification link is invalid or has already been used' });
+    }
+
+    if (found.expired) {
+      return res.status(410).json({ error: 'This verification link has expired.', expired: true });
+    }
+
+    res.json({ valid: true });
+  } catch (error) {
+    console.error('Error checking verification link:', error);
+    res.status(500).json({ error: 'Failed to check verification link' });
+  }
+});
+
+// Verify email address with the token from the emailed link
+app.post('/api/auth/verify/confirm', async (req, res) => {
+  try {
+    const consumed = await consumeToken(pool, req.body.token, 'email_verification');
+
+    if (!consumed) {
+      return res.status(400).json({ error: 'This verification link is invalid or has already been used' });
+    }
+
+    if (consumed.expired) {
+      // Send a fresh link so the user doesn't have to find the resend option
+      const userResult = await pool.query(
+        'SELECT email, verified FROM users WHERE user_id = $1',
+        [consumed.userId]
+      );
+      const user = userResult.rows[0];
+
+      if (user && !user.verified) {
+        const token = await issueToken(pool, consumed.userId, 'email_verification', VERIFICATION_TOKEN_TTL);
+        await sendVerificationEmail(user.email, token);
+      }
+
+      return res.status(410).json({
+        error: 'This verification link has expired. We have emailed you a new one.',
+        expired: true
+      });
+    }
+
+    await pool.query(`
+      UPDATE users SET verified = TRUE WHERE user_id = $1
+    `, [consumed.userId]);
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error verifying email:', error);
+    res.status(500).json({ error: 'Failed to verify email' });
+  }
+});
+
+// Resend the verification email
+app.post('/api/auth/verify/resend', async (req, res) => {
+  // Same response whether or not the account exists, so this can't be used
+  // to find out which emails are registered
+  const response = { success: true, message: 'If that account needs verifying, a new link is on its way.' };
+
+  try {
+    const email = normalizeEmail(req.body.email);
+
+    const userResult = await pool.query(
+      'SELECT user_id, email, verified FROM users WHERE email = $1',
+      [email]
+    );
+    const user = userResult.rows[0];
+
+    if (!user || user.verified) {
+      return res.json(response);
+    }
+
+    const recent = await countRecentTokens(pool, user.user_id, 'email_verification', VERIFICATION_RESEND_INTERVAL);
+    if (recent === 0) {
+      const token = await issueToken(pool, user.user_id, 'email_verification', VERIFICATION_TOKEN_TTL);
+      await sendVerificationEmail(user.email, token);
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error('Error resending verification email:', error);
+    res.status(500).json({ error: 'Failed to resend verification email' });
+  }
+});
+
+// Request a password reset email
+app.post('/api/auth/password-reset/request', async (req, res) => {
+  // Same response whether or not the account exists or was rate limited
+  const response = { success: true, message: 'If an account exists for that email, a reset link is on its way.' };
+
+  try {
+    const email = normalizeEmail(req.body.email);
+
+    const userResult = await pool.query(
+      'SELECT user_id, email FROM users WHERE email = $1',
+      [email]
+    );
+    const user = userResult.rows[0];
+
+    if (!user) {
+      return res.json(response);
+    }
+
+    const recent = await countRecentTokens(pool, user.user_id, 'password_reset', PASSWORD_RESET_WINDOW);
+    if (recent >= PASSWORD_RESET_MAX_PER_WINDOW) {
+      console.warn(`Password reset rate limit reached for ${email}`);
+      return res.json(response);
+    }
+
+    const token = await issueToken(pool, user.user_id, 'password_reset', PASSWORD_RESET_TOKEN_TTL);
+    await sendPasswordResetEmail(user.email, token);
+
+    res.json(response);
+  } catch (error) {
+    console.error('Error requesting password reset:', error);
+    res.status(500).json({ error: 'Failed to request password reset' });
+  }
+});
+
+// Set a new password using the token from the reset email
+app.post('/api/auth/password-reset/confirm', async (req, res) => {
+  const { token, password } = req.body;
+
+  const passwordError = validatePassword(password);
+  if (passwordError) {
+    return res.status(400).json({ error: 'Validation failed', fields: { password: passwordError } });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const consumed = await consumeToken(client, token, 'password_reset');
+
+    if (!consumed) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'This reset link is invalid or has already been used' });
+    }
+
+    if (consumed.expired) {
+      // Keep the token marked as used
+      await client.query('COMMIT');
+      return res.status(410).json({ error: 'This reset link has expired. Please request a new one.', expired: true });
+    }
+
+    const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+
+    // Following the emailed link also proves they own the address
+    await client.query(`
+      UPDATE users SET password = $1, verified = TRUE WHERE user_id = $2
+    `, [passwordHash, consumed.userId]);
+
+    await revokeAllSessions(client, consumed.userId);
+
+    await client.query('COMMIT');
+    res.json({ success: true });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Error resetting password:', error);
+    res.status(500).json({ error: 'Failed to reset password' });
+  } finally {
+    client.release();
+  }
+});
+
+// Log in with email and password
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const email = normalizeEmail(req.body.email);
+    const password = typeof req.body.password === 'string' ? req.body.password : '';
+
+    const result = await pool.query(`
+      SELECT
+        user_id,
+        password,
+        session_version,
+        display_name as name,
+        email,
+        gender,
+        faculty,
+        year_of_enrollment,
+        verified
+      FROM users
+      WHERE email = $1
+    `, [email]);
+    const user = result.rows[0];
+
+    const passwordMatches = await bcrypt.compare(password, user ? user.password : DUMMY_PASSWORD_HASH);
+    if (!user || !passwordMatches) {
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+
+    const session = await createSession(pool, user);
+
+    res.json({
+      ...session,
+      user: {
+        uid: user.user_id,
+        name: user.name,
+        email: user.email,
+        gender: user.gender,
+        faculty: user.faculty,
+        year_of_enrollment: user.year_of_enrollment,
+        verified: user.verified
+      }
+    });
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({ error: 'Failed to log in' });
+  }
+});
+
+// Exchange a refresh token for a new access/refresh token pair
+app.post('/api/auth/refresh', async (req, res) => {
+  try {
+    const session = await rotateSession(pool, req.body.refreshToken);
+
+    if (!session) {
+      return res.status(401).json({ error: 'Session expired or invalid' });
+    }
+
+    res.json(session);
+  } catch (error) {
+    console.error('Error refreshing session:', error);
+    res.status(500).json({ error: 'Failed to refresh session' });
+  }
+});
+
+// Log out (ends the session the refresh token belongs to)
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    await revokeSession(pool, req.body.refreshToken);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(500).json({ error: 'Failed to log out' });
+  }
+});
+
+// Health check
+app.get('/api/health', (req, res) => {
+  res.json({ status: 'OK', timestamp: new Date().toISOString() });
+});
+
+// A user's private calendar feed. Calendar apps can't send our access token,
+// so the unguessable token in the URL is the credential.
+app.get('/api/calendar/:token.ics', async (req, res) => {
+  try {
+    const userId = await findFeedOwner(pool, req.params.token);
+
+    if (!userId) {
+      return res.status(404).json({ error: 'Calendar not found' });
+    }
+
+    const matches = await listCalendarMatches(pool, userId);
+    res.type('text/calendar; charset=utf-8');
+    res.send(buildCalendar(matches.map(matchToEvent), { name: 'SMU Friend meetups' }));
+  } catch (error) {
+    console.error('Error building calendar feed:', error);
+    res.status(500).json({ error: 'Failed to build calendar' });
+  }
+});
+
+// Every /api route below needs a valid session; req.user.userId is the caller
+app.use('/api', createRequireAuth(pool));
+
+// Get the logged-in user
+app.get('/api/auth/me', async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT ${PROFILE_COLUMNS}, verified
+      FROM users
+      WHERE user_id = $1
+    `, [req.user.userId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Error getting current user:', error);
+    res.status(500).json({ error: 'Failed to get current user' });
+  }
+});
+
+// Get conversation between two users, newest page first
+// (?limit=, ?before=<cursor> for older pages)
+app.get('/api/conversations/:userId1/:userId2', requireSelf('userId1'), async (req, res) => {
   try {
     const { userId1, userId2 } = req.params;
-    
-    // First, find or create conversation
-    let conversationResult = await pool.query(`
-      SELECT c.conversation_id 
-      FROM conversations c
-      JOIN conversation_participants cp1 ON c.conversation_id = cp1.conversation_id
-      JOIN conversation_participants cp2 ON c.conversation_id = cp2.conversation_id
-      WHERE cp1.user_id = $1 AND cp2.user_id = $2
-      AND c.conversation_type = 'direct'
-      LIMIT 1
-    `, [userId1, userId2]);
-
-    let conversationId;
-    
-    if (conversationResult.rows.length === 0) {
-      // Create new conversation
-      const newConversation = await pool.query(`
-        INSERT INTO conversations (conversation_type) 
-        VALUES ('direct') 
-        RETURNING conversation_id
-      `);
-      
-      conversationId = newConversation.rows[0].conversation_id;
-      
-      // Add participants
-      await pool.query(`
-        INSERT INTO conversation_participants (conversation_id, user_id) 
-        VALUES ($1, $2), ($1, $3)
-      `, [conversationId, userId1, userId2]);
-    } else {
-      conversationId = conversationResult.rows[0].conversation_id;
-    }
-
-    // Get messages
-    const messages = await pool.query(`
-      SELECT 
-        m.message_id as id,
-        m.sender_id as from,
-        $2 as to,
-        m.message_text as message,
-        m.sent_at as timestamp,
-        CASE 
-          WHEN m.delivery_status = 'read' THEN 'read'
-          WHEN m.delivery_status = 'delivered' THEN 'delivered'
-          WHEN m.delivery_status = 'sent' THEN 'sent'
-          WHEN m.delivery_status = 'failed' THEN 'failed'
-          ELSE 'sent'
-        END as status
-      FROM messages m
-      WHERE m.conversation_id = $1 
-      AND m.deleted_at IS NULL
-      ORDER BY m.sent_at ASC
-    `, [conversationId, userId1]);
-
-    res.json(messages.rows);
+
+    if (!isUuid(userId2)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const before = req.query.before ? decodeCursor(req.query.before) : null;
+
+    if (req.query.before && !before) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    // Messages from every one-to-one conversation between the two (direct
+    // and match chats), as a single thread
+    res.json(await loadPairMessages(pool, userId1, userId2, {
+      limit: pageSize(req.query.limit),
+      before
+    }));
   } catch (error) {
     console.error('Error getting conversation:', error);
     res.status(500).json({ error: 'Failed to get conversation' });
   }
 });
 
+// Messages created, edited or deleted since a sync cursor (?since=, ?limit=)
+app.get('/api/conversations/:userId1/:userId2/sync', requireSelf('userId1'), async (req, res) => {
+  try {
+    const { userId1, userId2 } = req.params;
+
+    if (!isUuid(userId2)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const since = req.query.since ? decodeCursor(req.query.since) : null;
+
+    if (req.query.since && !since) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    res.json(await loadPairChanges(pool, userId1, userId2, {
+      limit: pageSize(req.query.limit),
+      since
+    }));
+  } catch (error) {
+    console.error('Error syncing conversation:', error);
+    res.status(500).json({ error: 'Failed to sync conversation' });
+  }
+});
+
 // Send message - REPLACE the entire app.post('/api/messages', ...) route with this:
-app.post('/api/messages', async (req, res) => {
+app.post('/api/messages', requireVerified, async (req, res) => {
   console.log('📨 /api/messages called');
   console.log('📊 Request body:', JSON.stringify(req.body, null, 2));
   
   try {
     const { 
       id, 
-      from, 
       to, 
       message, 
       timestamp, 
       senderInfo, 
       receiverInfo 
     } = req.body;
+    // The sender is whoever is logged in, never what the body claims
+    const from = req.user.userId;
+
+    // Group meal chats fan out to everyone still at the table
+    if (req.body.groupId) {
+      const sent = isUuid(req.body.groupId)
+        ? await sendGroupMessage(pool, req.body.groupId, from, { id, message, timestamp })
+        : null;
+
+      if (!sent) {
+        return res.status(403).json({ error: 'You are not in this group' });
+      }
+      if (sent.error) {
+        return res.status(sent.status).json({ error: sent.error });
+      }
+
+      sent.recipientIds.forEach(userId => emitToUser(userId, 'group_message', sent.message));
+      return res.json(sent.message);
+    }
+
+    if (!isUuid(to) || to === from) {
+      return res.status(400).json({ error: 'Validation failed', fields: { to: 'Please choose who to message' } });
+    }
 
     console.log('📋 Parsed data:', { id, from, to, message, timestamp });
 
     // Find or create conversation
     console.log('🔍 Looking for conversation between:', from, 'and', to);
     
-    let conversationResult = await pool.query(`
-      SELECT c.conversation_id 
-      FROM conversations c
-      JOIN conversation_participants cp1 ON c.conversation_id = cp1.conversation_id
-      JOIN conversation_participants cp2 ON c.conversation_id = cp2.conversation_id
-      WHERE cp1.user_id = $1 AND cp2.user_id = $2
-      AND c.conversation_type = 'direct'
-      LIMIT 1
-    `, [from, to]);
-
-    console.log('💬 Found conversations:', conversationResult.rows.length);
-
-    let conversationId;
-    
-    if (conversationResult.rows.length === 0) {
-      console.log('🆕 Creating new conversation...');
-      // Create new conversation
-      const newConversation = await pool.query(`
-        INSERT INTO conversations (conversation_type) 
-        VALUES ('direct') 
-        RETURNING conversation_id
-      `);
-      
-      conversationId = newConversation.rows[0].conversation_id;
-      console.log('✅ Created conversation:', conversationId);
-      
-      // Add participants
-      await pool.query(`
-        INSERT INTO conversation_participants (conversation_id, user_id) 
-        VALUES ($1, $2), ($1, $3)
-      `, [conversationId, from, to]);
-      console.log('✅ Added participants');
-    } else {
-      conversationId = conversationResult.rows[0].conversation_id;
-      console.log('✅ Using existing conversation:', conversationId);
-    }
+    // Match chats count too, so replies land in the latest one
+    const conversationId = await findOrCreatePairConversation(pool, from, to);
+    console.log('✅ Using conversation:', conversationId);
 
     // Insert message
     console.log('💾 About to insert message...');
@@ -210,16 +858,13 @@ app.post('/api/messages', async (req, res) => {
     savedMessage.to = to;
 
     // Emit to connected recipient
-    const recipientSocketId = connectedUsers.get(to);
-    if (recipientSocketId) {
-      io.to(recipientSocketId).emit('private_message', {
-        id: savedMessage.id,
-        from: savedMessage.from,
-        to: savedMessage.to,
-        message: savedMessage.message,
-        timestamp: savedMessage.timestamp
-      });
-    }
+    emitToUser(to, 'private_message', {
+      id: savedMessage.id,
+      from: savedMessage.from,
+      to: savedMessage.to,
+      message: savedMessage.message,
+      timestamp: savedMessage.timestamp
+    });
 
     console.log('📤 Sending response:', savedMessage);
     res.json(savedMessage);
@@ -247,64 +892,156 @@ app.post('/api/messages/incoming', async (req, res) => {
   }
 });
 
-// Clear conversation
-app.delete('/api/conversations/:userId1/:userId2', async (req, res) => {
+// Mark everything in a chat as read: the one with conversationWithUserId, or
+// the group meal groupId
+app.post('/api/messages/mark-read', async (req, res) => {
   try {
-    const { userId1, userId2 } = req.params;
+    const { conversationWithUserId, groupId } = req.body;
 
-    // Find conversation
-    const conversationResult = await pool.query(`
-      SELECT c.conversation_id 
-      FROM conversations c
-      JOIN conversation_participants cp1 ON c.conversation_id = cp1.conversation_id
-      JOIN conversation_participants cp2 ON c.conversation_id = cp2.conversation_id
-      WHERE cp1.user_id = $1 AND cp2.user_id = $2
-      AND c.conversation_type = 'direct'
-      LIMIT 1
-    `, [userId1, userId2]);
-
-    if (conversationResult.rows.length > 0) {
-      const conversationId = conversationResult.rows[0].conversation_id;
-      
-      // Soft delete all messages
-      await pool.query(`
-        UPDATE messages 
-        SET deleted_at = NOW(), deleted_by = $1 
-        WHERE conversation_id = $2
-      `, [userId1, conversationId]);
+    if (isUuid(groupId)) {
+      await markGroupRead(pool, req.user.userId, groupId);
+    } else if (isUuid(conversationWithUserId)) {
+      await markPairRead(pool, req.user.userId, conversationWithUserId);
+    } else {
+      return res.status(400).json({ error: 'conversationWithUserId or groupId is required' });
     }
 
     res.json({ success: true });
   } catch (error) {
-    console.error('Error clearing conversation:', error);
-    res.status(500).json({ error: 'Failed to clear conversation' });
+    console.error('Error marking messages as read:', error);
+    res.status(500).json({ error: 'Failed to mark messages as read' });
   }
 });
 
-// Get user info
-app.get('/api/users/:userId', async (req, res) => {
+// List the people a user chats with, most recently active first
+app.get('/api/users/:userId/conversations', requireSelf('userId'), async (req, res) => {
   try {
-    const { userId } = req.params;
-    
-    const result = await pool.query(`
-      SELECT user_id as uid, display_name as name, email, faculty, year_of_enrollment
-      FROM users 
-      WHERE user_id = $1
-    `, [userId]);
-
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'User not found' });
-    }
-
-    res.json(result.rows[0]);
+    res.json({ conversations: await listConversations(pool, req.params.userId) });
   } catch (error) {
-    console.error('Error getting user:', error);
-    res.status(500).json({ error: 'Failed to get user' });
+    console.error('Error listing conversations:', error);
+    res.status(500).json({ error: 'Failed to list conversations' });
   }
 });
 
-// Update user online status
-app.post('/api/users/:userId/status', async (req, res) => {
+// Clear conversation
+app.delete('/api/conversations/:userId1/:userId2', requireSelf('userId1'), async (req, res) => {
+  try {
+    const { userId1, userId2 } = req.params;
+
+    if (!isUuid(userId2)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const conversationIds = await findPairConversationIds(pool, userId1, userId2);
+
+    // Soft delete all messages
+    await pool.query(`
+      UPDATE messages 
+      SET deleted_at = NOW(), deleted_by = $1 
+      WHERE conversation_id = ANY($2)
+    `, [userId1, conversationIds]);
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error clearing conversation:', error);
+    res.status(500).json({ error: 'Failed to clear conversation' });
+  }
+});
+
+// Update the logged-in user's profile
+app.patch('/api/users/me', async (req, res) => {
+  try {
+    const { errors, updates } = validateProfileUpdate(req.body);
+
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ error: 'Validation failed', fields: errors });
+    }
+
+    const columns = Object.keys(updates);
+    if (columns.length === 0) {
+      return res.status(400).json({ error: 'Nothing to update' });
+    }
+
+    // Column names come from validateProfileUpdate, never from the client
+    const assignments = columns.map((column, index) => `${column} = $${index + 2}`);
+
+    const result = await pool.query(`
+      UPDATE users
+      SET ${assignments.join(', ')}
+      WHERE user_id = $1
+      RETURNING ${PROFILE_COLUMNS}, verified
+    `, [req.user.userId, ...columns.map(column => updates[column])]);
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Error updating profile:', error);
+    res.status(500).json({ error: 'Failed to update profile' });
+  }
+});
+
+// Upload a new avatar image (multipart field "avatar")
+app.post('/api/users/me/avatar', (req, res) => {
+  avatarUpload(req, res, async (uploadError) => {
+    if (uploadError) {
+      const message = uploadError.code === 'LIMIT_FILE_SIZE'
+        ? 'Image must be 5 MB or smaller'
+        : 'Failed to read upload';
+      return res.status(400).json({ error: 'Validation failed', fields: { avatar: message } });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        fields: { avatar: 'Please choose a JPEG, PNG, WebP or GIF image' }
+      });
+    }
+
+    try {
+      const previous = await pool.query(
+        'SELECT avatar_url FROM users WHERE user_id = $1',
+        [req.user.userId]
+      );
+
+      const avatarPath = await saveAvatar(req.user.userId, req.file.buffer);
+      const avatarUrl = `${req.protocol}://${req.get('host')}${avatarPath}`;
+
+      const result = await pool.query(`
+        UPDATE users
+        SET avatar_url = $1
+        WHERE user_id = $2
+        RETURNING ${PROFILE_COLUMNS}, verified
+      `, [avatarUrl, req.user.userId]);
+
+      await removeAvatar(previous.rows[0] && previous.rows[0].avatar_url);
+
+      res.json(result.rows[0]);
+    } catch (error) {
+      console.error('Error uploading avatar:', error);
+      res.status(500).json({ error: 'Failed to upload avatar' });
+    }
+  });
+});
+
+// Get user info (email and gender only for yourself and your matches)
+app.get('/api/users/:userId', async (req, res) => {
+  try {
+    const profile = isUuid(req.params.userId)
+      ? await getProfileForViewer(pool, req.params.userId, req.user.userId)
+      : null;
+
+    if (!profile) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json(profile);
+  } catch (error) {
+    console.error('Error getting user:', error);
+    res.status(500).json({ error: 'Failed to get user' });
+  }
+});
+
+// Update user online status
+app.post('/api/users/:userId/status', requireSelf('userId'), async (req, res) => {
   try {
     const { userId } = req.params;
     const { isOnline } = req.body;
@@ -322,15 +1059,1255 @@ app.post('/api/users/:userId/status', async (req, res) => {
   }
 });
 
-// Health check
-app.get('/api/health', (req, res) => {
-  res.json({ status: 'OK', timestamp: new Date().toISOString() });
+// List a user's interests ('me' for the logged-in user)
+app.get('/api/users/:userId/interests', async (req, res) => {
+  try {
+    const userId = req.params.userId === 'me' ? req.user.userId : req.params.userId;
+
+    if (!isUuid(userId)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const result = await pool.query(`
+      SELECT interest_id as id, description as tag, created_at
+      FROM interests
+      WHERE user_id = $1
+      ORDER BY created_at ASC
+    `, [userId]);
+
+    res.json({ interests: result.rows });
+  } catch (error) {
+    console.error('Error listing interests:', error);
+    res.status(500).json({ error: 'Failed to list interests' });
+  }
+});
+
+// Add an interest to the logged-in user's profile
+app.post('/api/users/me/interests', async (req, res) => {
+  try {
+    const tag = normalizeTag(req.body.tag);
+
+    if (!tag) {
+      return res.status(400).json({ error: 'Validation failed', fields: { tag: 'Interests must be 2-40 characters' } });
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      // Adds for the same user queue up on their row, so two of them can't
+      // both count the interests before either is inserted
+      await client.query('SELECT 1 FROM users WHERE user_id = $1 FOR UPDATE', [req.user.userId]);
+
+      const findExisting = () => client.query(`
+        SELECT interest_id as id, description as tag, created_at
+        FROM interests
+        WHERE user_id = $1 AND description = $2
+      `, [req.user.userId, tag]);
+
+      // Adding a synonym of something you already have is a no-op
+      const existing = await findExisting();
+      if (existing.rows.length > 0) {
+        await client.query('COMMIT');
+        return res.json(existing.rows[0]);
+      }
+
+      const count = await client.query('SELECT COUNT(*)::int as count FROM interests WHERE user_id = $1', [req.user.userId]);
+      if (count.rows[0].count >= MAX_INTERESTS_PER_USER) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({
+          error: 'Validation failed',
+          fields: { tag: `You can have at most ${MAX_INTERESTS_PER_USER} interests` }
+        });
+      }
+
+      const inserted = await client.query(`
+        INSERT INTO interests (user_id, description)
+        VALUES ($1, $2)
+        ON CONFLICT (user_id, description) DO NOTHING
+        RETURNING interest_id as id, description as tag, created_at
+      `, [req.user.userId, tag]);
+
+      // A duplicate that got past the lock (inserted outside this route), not the limit
+      if (inserted.rows.length === 0) {
+        const duplicate = await findExisting();
+        await client.query('COMMIT');
+        return res.json(duplicate.rows[0]);
+      }
+
+      await client.query('COMMIT');
+      res.status(201).json(inserted.rows[0]);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  } catch (error) {
+    console.error('Error adding interest:', error);
+    res.status(500).json({ error: 'Failed to add interest' });
+  }
+});
+
+// Remove one of the logged-in user's interests
+app.delete('/api/users/me/interests/:interestId', async (req, res) => {
+  try {
+    if (!isUuid(req.params.interestId)) {
+      return res.status(404).json({ error: 'Interest not found' });
+    }
+
+    const result = await pool.query(`
+      DELETE FROM interests
+      WHERE interest_id = $1 AND user_id = $2
+    `, [req.params.interestId, req.user.userId]);
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Interest not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error removing interest:', error);
+    res.status(500).json({ error: 'Failed to remove interest' });
+  }
+});
+
+// Autocomplete interest tags, most popular first (?q=bas)
+app.get('/api/interests/tags', async (req, res) => {
+  try {
+    const query = normalizeTag(req.query.q || '') || '';
+    const limit = Math.min(Math.max(1, parseInt(req.query.limit, 10) || TAG_SUGGESTION_LIMIT), 50);
+
+    // Escape LIKE wildcards in what the user typed
+    const pattern = `${query.replace(/[\\%_]/g, '\\$&')}%`;
+
+    const result = await pool.query(`
+      SELECT description as tag, COUNT(*)::int as count
+      FROM interests
+      WHERE description LIKE $1
+      GROUP BY description
+      ORDER BY count DESC, description ASC
+      LIMIT $2
+    `, [pattern, limit]);
+
+    // Fill up with vocabulary tags nobody has picked yet
+    const seen = new Set(result.rows.map(row => row.tag));
+    const suggestions = [...result.rows];
+    for (const tag of vocabularyMatches(query)) {
+      if (suggestions.length >= limit) break;
+      if (!seen.has(tag)) suggestions.push({ tag, count: 0 });
+    }
+
+    res.json({ tags: suggestions });
+  } catch (error) {
+    console.error('Error suggesting interest tags:', error);
+    res.status(500).json({ error: 'Failed to suggest interest tags' });
+  }
+});
+
+// List campus buildings
+app.get('/api/buildings', async (req, res) => {
+  try {
+    res.json({ buildings: await listBuildings(pool) });
+  } catch (error) {
+    console.error('Error listing buildings:', error);
+    res.status(500).json({ error: 'Failed to list buildings' });
+  }
+});
+
+// Get a building with its places
+app.get('/api/buildings/:buildingId', async (req, res) => {
+  try {
+    const building = isUuid(req.params.buildingId)
+      ? await getBuilding(pool, req.params.buildingId)
+      : null;
+
+    if (!building) {
+      return res.status(404).json({ error: 'Building not found' });
+    }
+
+    res.json(building);
+  } catch (error) {
+    console.error('Error getting building:', error);
+    res.status(500).json({ error: 'Failed to get building' });
+  }
+});
+
+// Current crowd estimate for every place in a building
+app.get('/api/buildings/:buildingId/crowd', async (req, res) => {
+  try {
+    if (!isUuid(req.params.buildingId)) {
+      return res.status(404).json({ error: 'Building not found' });
+    }
+
+    const places = await listPlaces(pool, { buildingId: req.params.buildingId });
+    const estimates = await loadCrowdEstimates(pool, places.map(place => place.place_id));
+
+    res.json({
+      places: places.map(place => ({
+        place_id: place.place_id,
+        place_name: place.place_name,
+        place_type: place.place_type,
+        crowd: estimates.get(place.place_id)
+      }))
+    });
+  } catch (error) {
+    console.error('Error getting building crowd levels:', error);
+    res.status(500).json({ error: 'Failed to get crowd levels' });
+  }
+});
+
+// Add a building (admins only)
+app.post('/api/buildings', requireRole('admin'), async (req, res) => {
+  try {
+    const { errors, updates } = validateBuilding(req.body);
+
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ error: 'Validation failed', fields: errors });
+    }
+
+    res.status(201).json(await createBuilding(pool, updates));
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({
+        error: 'Validation failed',
+        fields: { building_code: 'Another building already has this code' }
+      });
+    }
+    console.error('Error creating building:', error);
+    res.status(500).json({ error: 'Failed to create building' });
+  }
+});
+
+// Edit a building (admins only)
+app.patch('/api/buildings/:buildingId', requireRole('admin'), async (req, res) => {
+  try {
+    const { errors, updates } = validateBuilding(req.body, { partial: true });
+
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ error: 'Validation failed', fields: errors });
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: 'Nothing to update' });
+    }
+
+    const building = isUuid(req.params.buildingId)
+      ? await updateBuilding(pool, req.params.buildingId, updates)
+      : null;
+
+    if (!building) {
+      return res.status(404).json({ error: 'Building not found' });
+    }
+
+    res.json(building);
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({
+        error: 'Validation failed',
+        fields: { building_code: 'Another building already has this code' }
+      });
+    }
+    console.error('Error updating building:', error);
+    res.status(500).json({ error: 'Failed to update building' });
+  }
+});
+
+// Remove a building and its places (admins only)
+app.delete('/api/buildings/:buildingId', requireRole('admin'), async (req, res) => {
+  try {
+    const deleted = isUuid(req.params.buildingId) && await deleteBuilding(pool, req.params.buildingId);
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Building not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting building:', error);
+    res.status(500).json({ error: 'Failed to delete building' });
+  }
+});
+
+// Search places (?building_id=...&place_type=study&q=library)
+app.get('/api/places', async (req, res) => {
+  try {
+    const { building_id: buildingId, place_type: placeType, q } = req.query;
+
+    if (buildingId && !isUuid(buildingId)) {
+      return res.status(400).json({ error: 'Invalid building_id' });
+    }
+    if (placeType && !PLACE_TYPES.includes(placeType)) {
+      return res.status(400).json({ error: `place_type must be one of ${PLACE_TYPES.join(', ')}` });
+    }
+
+    const places = await listPlaces(pool, {
+      buildingId,
+      placeType,
+      q: typeof q === 'string' ? q.trim() : ''
+    });
+
+    res.json({ places });
+  } catch (error) {
+    console.error('Error listing places:', error);
+    res.status(500).json({ error: 'Failed to list places' });
+  }
+});
+
+// Get one place
+app.get('/api/places/:placeId', async (req, res) => {
+  try {
+    const place = isUuid(req.params.placeId) ? await getPlace(pool, req.params.placeId) : null;
+
+    if (!place) {
+      return res.status(404).json({ error: 'Place not found' });
+    }
+
+    res.json(place);
+  } catch (error) {
+    console.error('Error getting place:', error);
+    res.status(500).json({ error: 'Failed to get place' });
+  }
+});
+
+// Current crowd estimate for a place ('unknown' without recent reports)
+app.get('/api/places/:placeId/crowd', async (req, res) => {
+  try {
+    const place = isUuid(req.params.placeId) ? await getPlace(pool, req.params.placeId) : null;
+
+    if (!place) {
+      return res.status(404).json({ error: 'Place not found' });
+    }
+
+    res.json({ place_id: place.place_id, crowd: await getCrowdEstimate(pool, place.place_id) });
+  } catch (error) {
+    console.error('Error getting crowd level:', error);
+    res.status(500).json({ error: 'Failed to get crowd level' });
+  }
+});
+
+// How busy a place usually is, by hour of the week
+app.get('/api/places/:placeId/crowd-profile', async (req, res) => {
+  try {
+    const place = isUuid(req.params.placeId) ? await getPlace(pool, req.params.placeId) : null;
+
+    if (!place) {
+      return res.status(404).json({ error: 'Place not found' });
+    }
+
+    res.json({ place_id: place.place_id, ...await getCrowdProfile(pool, place.place_id) });
+  } catch (error) {
+    console.error('Error getting crowd profile:', error);
+    res.status(500).json({ error: 'Failed to get crowd profile' });
+  }
+});
+
+// Report how busy a place is right now
+app.post('/api/places/:placeId/reports', requireVerified, async (req, res) => {
+  try {
+    const { errors, values } = validateReport(req.body);
+
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ error: 'Validation failed', fields: errors });
+    }
+
+    const result = isUuid(req.params.placeId)
+      ? await submitReport(pool, req.user.userId, req.params.placeId, values)
+      : { status: 404, error: 'Place not found' };
+
+    if (result.error) {
+      if (result.retryAfter) res.set('Retry-After', String(result.retryAfter));
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.status(201).json({
+      report: result.report,
+      crowd: await getCrowdEstimate(pool, result.report.place_id)
+    });
+
+    crowdUpdates.placeChanged(result.report.place_id);
+  } catch (error) {
+    console.error('Error reporting crowd level:', error);
+    res.status(500).json({ error: 'Failed to report crowd level' });
+  }
+});
+
+// Reports waiting for a moderator (?status=flagged|recent, ?place_id=)
+app.get('/api/reports/review', requireRole('moderator', 'admin'), async (req, res) => {
+  try {
+    const status = req.query.status || 'flagged';
+    const placeId = req.query.place_id;
+
+    if (!REVIEW_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${REVIEW_STATUSES.join(', ')}` });
+    }
+    if (placeId !== undefined && !isUuid(placeId)) {
+      return res.status(400).json({ error: 'Invalid place_id' });
+    }
+
+    res.json({ reports: await listReportsForReview(pool, { status, placeId }) });
+  } catch (error) {
+    console.error('Error listing reports for review:', error);
+    res.status(500).json({ error: 'Failed to list reports' });
+  }
+});
+
+// Apply a moderator's verdict and send the place's new estimate, here and to
+// everyone watching the place
+async function respondToModeration(req, res, action) {
+  const result = isUuid(req.params.reportId)
+    ? await moderateReport(pool, req.params.reportId, req.user.userId, action)
+    : { status: 404, error: 'Report not found' };
+
+  if (result.error) {
+    return res.status(result.status).json({ error: result.error });
+  }
+
+  res.json({
+    report: result.report,
+    crowd: await getCrowdEstimate(pool, result.report.place_id)
+  });
+
+  crowdUpdates.placeChanged(result.report.place_id);
+}
+
+// Confirm a crowd report (moderators only); it then counts extra
+app.post('/api/reports/:reportId/verify', requireRole('moderator', 'admin'), async (req, res) => {
+  try {
+    await respondToModeration(req, res, 'verify');
+  } catch (error) {
+    console.error('Error verifying report:', error);
+    res.status(500).json({ error: 'Failed to verify report' });
+  }
+});
+
+// Throw out a crowd report (moderators only); estimates ignore it from now on
+app.post('/api/reports/:reportId/reject', requireRole('moderator', 'admin'), async (req, res) => {
+  try {
+    await respondToModeration(req, res, 'reject');
+  } catch (error) {
+    console.error('Error rejecting report:', error);
+    res.status(500).json({ error: 'Failed to reject report' });
+  }
+});
+
+// Constraint violations when saving a place, as a response
+function placeWriteError(error) {
+  // idx_places_building_name
+  if (error.code === '23505') {
+    return {
+      status: 409,
+      body: { error: 'Validation failed', fields: { place_name: 'This building already has a place with that name' } }
+    };
+  }
+  // places.building_id references a building that does not exist
+  if (error.code === '23503') {
+    return {
+      status: 400,
+      body: { error: 'Validation failed', fields: { building_id: 'Please choose a building' } }
+    };
+  }
+  return null;
+}
+
+// Add a place to a building (admins only)
+app.post('/api/places', requireRole('admin'), async (req, res) => {
+  try {
+    const { errors, updates } = validatePlace(req.body);
+
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ error: 'Validation failed', fields: errors });
+    }
+
+    res.status(201).json(await createPlace(pool, updates));
+  } catch (error) {
+    const response = placeWriteError(error);
+    if (response) {
+      return res.status(response.status).json(response.body);
+    }
+    console.error('Error creating place:', error);
+    res.status(500).json({ error: 'Failed to create place' });
+  }
 });
 
+// Edit a place (admins only)
+app.patch('/api/places/:placeId', requireRole('admin'), async (req, res) => {
+  try {
+    const { errors, updates } = validatePlace(req.body, { partial: true });
+
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ error: 'Validation failed', fields: errors });
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: 'Nothing to update' });
+    }
+
+    const place = isUuid(req.params.placeId)
+      ? await updatePlace(pool, req.params.placeId, updates)
+      : null;
+
+    if (!place) {
+      return res.status(404).json({ error: 'Place not found' });
+    }
+
+    res.json(place);
+  } catch (error) {
+    const response = placeWriteError(error);
+    if (response) {
+      return res.status(response.status).json(response.body);
+    }
+    console.error('Error updating place:', error);
+    res.status(500).json({ error: 'Failed to update place' });
+  }
+});
+
+// Remove a place (admins only). Its crowd reports go with it.
+app.delete('/api/places/:placeId', requireRole('admin'), async (req, res) => {
+  try {
+    const deleted = isUuid(req.params.placeId) && await deletePlace(pool, req.params.placeId);
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Place not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting place:', error);
+    res.status(500).json({ error: 'Failed to delete place' });
+  }
+});
+
+// Ask for a meal/study buddy
+app.post('/api/requests', requireVerified, async (req, res) => {
+  try {
+    const { errors, values } = validateBuddyRequest(req.body);
+
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ error: 'Validation failed', fields: errors });
+    }
+
+    // A request is pointless once its meeting time has passed
+    const result = await pool.query(`
+      INSERT INTO requests (
+        user_id, activity_type, preferred_gender, preferred_faculty,
+        preferred_year, meeting_date, expires_at, group_size, prefer_favourites, place_id
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $6, $7, $8, $9)
+      RETURNING ${REQUEST_COLUMNS}
+    `, [
+      req.user.userId,
+      values.activityType,
+      values.preferredGender,
+      values.preferredFaculty,
+      values.preferredYear,
+      values.meetingDate,
+      values.groupSize,
+      values.preferFavourites,
+      values.placeId
+    ]);
+
+    res.status(201).json(result.rows[0]);
+
+    // Try to pair the new request straight away
+    matcher.run();
+  } catch (error) {
+    // idx_requests_one_per_slot: one active request per activity per day
+    if (error.code === '23505') {
+      return res.status(409).json({
+        error: 'Validation failed',
+        fields: { meeting_date: 'You already have an active request for this activity on that day' }
+      });
+    }
+    // requests.place_id references a place that does not exist
+    if (error.code === '23503') {
+      return res.status(400).json({
+        error: 'Validation failed',
+        fields: { place_id: 'Please choose a valid place' }
+      });
+    }
+    console.error('Error creating request:', error);
+    res.status(500).json({ error: 'Failed to create request' });
+  }
+});
+
+// List the logged-in user's requests (optionally ?status=pending)
+app.get('/api/requests', async (req, res) => {
+  try {
+    const params = [req.user.userId];
+    let statusFilter = '';
+
+    if (req.query.status) {
+      params.push(req.query.status);
+      statusFilter = 'AND status = $2';
+    }
+
+    const result = await pool.query(`
+      SELECT ${REQUEST_COLUMNS}
+      FROM requests
+      WHERE user_id = $1 ${statusFilter}
+      ORDER BY meeting_date DESC
+    `, params);
+
+    res.json({ requests: result.rows });
+  } catch (error) {
+    console.error('Error listing requests:', error);
+    res.status(500).json({ error: 'Failed to list requests' });
+  }
+});
+
+// Suggest free windows for an activity around the logged-in user's classes
+// (?activity_type=lunch&days=7)
+app.get('/api/requests/free-slots', async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 7, 1), FREE_SLOT_MAX_DAYS);
+    const now = new Date();
+    const blocks = await listBusyBlocks(
+      pool,
+      req.user.userId,
+      now,
+      new Date(now.getTime() + (days + 1) * 24 * 60 * 60 * 1000)
+    );
+
+    res.json({ slots: suggestFreeSlots(blocks, req.query.activity_type, { now, days }) });
+  } catch (error) {
+    console.error('Error suggesting free slots:', error);
+    res.status(500).json({ error: 'Failed to suggest free slots' });
+  }
+});
+
+// View one of the logged-in user's requests
+app.get('/api/requests/:requestId', async (req, res) => {
+  try {
+    if (!isUuid(req.params.requestId)) {
+      return res.status(404).json({ error: 'Request not found' });
+    }
+
+    const result = await pool.query(`
+      SELECT ${REQUEST_COLUMNS}
+      FROM requests
+      WHERE request_id = $1 AND user_id = $2
+    `, [req.params.requestId, req.user.userId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Request not found' });
+    }
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Error getting request:', error);
+    res.status(500).json({ error: 'Failed to get request' });
+  }
+});
+
+// Cancel a request that hasn't been matched yet
+app.post('/api/requests/:requestId/cancel', async (req, res) => {
+  try {
+    if (!isUuid(req.params.requestId)) {
+      return res.status(404).json({ error: 'Request not found' });
+    }
+
+    const result = await pool.query(`
+      UPDATE requests
+      SET status = 'cancelled'
+      WHERE request_id = $1 AND user_id = $2 AND status = 'pending'
+      RETURNING ${REQUEST_COLUMNS}
+    `, [req.params.requestId, req.user.userId]);
+
+    if (result.rows.length === 0) {
+      return res.status(409).json({ error: 'Only pending requests can be cancelled' });
+    }
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Error cancelling request:', error);
+    res.status(500).json({ error: 'Failed to cancel request' });
+  }
+});
+
+// Ask for a buddy every week, e.g. Tue/Thu lunch 12:00-13:00 until the end
+// of term. Requests for the coming days are generated straight away.
+app.post('/api/recurring-requests', requireVerified, async (req, res) => {
+  try {
+    const { errors, values } = validateRecurringRequest(req.body);
+
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ error: 'Validation failed', fields: errors });
+    }
+
+    const rule = await createRecurringRequest(pool, req.user.userId, values);
+    const requests = await generateOccurrences(pool, rule.recurring_id);
+
+    res.status(201).json({ ...rule, requests });
+
+    if (requests.length > 0) matcher.run();
+  } catch (error) {
+    console.error('Error creating recurring request:', error);
+    res.status(500).json({ error: 'Failed to create recurring request' });
+  }
+});
+
+// List the logged-in user's weekly requests
+app.get('/api/recurring-requests', async (req, res) => {
+  try {
+    res.json({ recurringRequests: await listRecurringRequests(pool, req.user.userId) });
+  } catch (error) {
+    console.error('Error listing recurring requests:', error);
+    res.status(500).json({ error: 'Failed to list recurring requests' });
+  }
+});
+
+// Skip one date of a weekly request ({ date: 'YYYY-MM-DD' }), whether or not
+// its request has been generated yet
+app.post('/api/recurring-requests/:recurringId/skip', async (req, res) => {
+  try {
+    const rule = isUuid(req.params.recurringId)
+      ? await getRecurringRequest(pool, req.params.recurringId, req.user.userId)
+      : null;
+
+    if (!rule || rule.status !== 'active') {
+      return res.status(404).json({ error: 'Recurring request not found' });
+    }
+
+    const dateError = validateOccurrenceDate(req.body.date, rule);
+    if (dateError) {
+      return res.status(400).json({ error: 'Validation failed', fields: { date: dateError } });
+    }
+
+    const result = await skipOccurrence(pool, rule, req.body.date);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json(result.request);
+  } catch (error) {
+    console.error('Error skipping occurrence:', error);
+    res.status(500).json({ error: 'Failed to skip occurrence' });
+  }
+});
+
+// Stop a weekly request; its unmatched occurrences are cancelled
+app.post('/api/recurring-requests/:recurringId/cancel', async (req, res) => {
+  try {
+    const rule = isUuid(req.params.recurringId)
+      ? await cancelRecurringRequest(pool, req.params.recurringId, req.user.userId)
+      : null;
+
+    if (!rule) {
+      return res.status(404).json({ error: 'Recurring request not found' });
+    }
+
+    res.json(rule);
+  } catch (error) {
+    console.error('Error cancelling recurring request:', error);
+    res.status(500).json({ error: 'Failed to cancel recurring request' });
+  }
+});
+
+// Import a class timetable (an .ics export, multipart field "timetable").
+// Replaces any timetable imported before.
+app.post('/api/users/me/timetable', (req, res) => {
+  timetableUpload(req, res, async (uploadError) => {
+    if (uploadError) {
+      const message = uploadError.code === 'LIMIT_FILE_SIZE'
+        ? 'Timetable must be 1 MB or smaller'
+        : 'Failed to read upload';
+      return res.status(400).json({ error: 'Validation failed', fields: { timetable: message } });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        fields: { timetable: 'Please choose an .ics file' }
+      });
+    }
+
+    try {
+      const parsed = parseTimetable(req.file.buffer.toString('utf8'));
+      if (parsed.error) {
+        return res.status(400).json({ error: 'Validation failed', fields: { timetable: parsed.error } });
+      }
+
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+        const count = await replaceTimetable(client, req.user.userId, parsed.blocks);
+        await client.query('COMMIT');
+
+        res.json({
+          blocks: count,
+          from: count > 0 ? parsed.blocks[0].starts_at : null,
+          to: count > 0 ? parsed.blocks[count - 1].ends_at : null
+        });
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+    } catch (error) {
+      console.error('Error importing timetable:', error);
+      res.status(500).json({ error: 'Failed to import timetable' });
+    }
+  });
+});
+
+// Remove the logged-in user's imported timetable
+app.delete('/api/users/me/timetable', async (req, res) => {
+  try {
+    res.json({ removed: await clearTimetable(pool, req.user.userId) });
+  } catch (error) {
+    console.error('Error removing timetable:', error);
+    res.status(500).json({ error: 'Failed to remove timetable' });
+  }
+});
+
+// The logged-in user's busy blocks (?from=&to=, ISO times; the next week by
+// default)
+app.get('/api/users/me/busy-blocks', async (req, res) => {
+  try {
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    const to = req.query.to ? new Date(req.query.to) : new Date(from.getTime() + 7 * 24 * 60 * 60 * 1000);
+
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || to <= from) {
+      return res.status(400).json({ error: 'from and to must be ISO times with from before to' });
+    }
+
+    res.json({ blocks: await listBusyBlocks(pool, req.user.userId, from, to) });
+  } catch (error) {
+    console.error('Error listing busy blocks:', error);
+    res.status(500).json({ error: 'Failed to list busy blocks' });
+  }
+});
+
+// The logged-in user's reliability score, from their partners' feedback
+app.get('/api/users/me/reliability', async (req, res) => {
+  try {
+    res.json(await getReliabilitySummary(pool, req.user.userId));
+  } catch (error) {
+    console.error('Error getting reliability:', error);
+    res.status(500).json({ error: 'Failed to get reliability' });
+  }
+});
+
+// Create (or replace) the logged-in user's private calendar feed URL. The
+// URL is only shown once; asking again invalidates the old one.
+app.post('/api/users/me/calendar-feed', async (req, res) => {
+  try {
+    res.status(201).json(await rotateFeedToken(pool, req.user.userId));
+  } catch (error) {
+    console.error('Error creating calendar feed:', error);
+    res.status(500).json({ error: 'Failed to create calendar feed' });
+  }
+});
+
+// Turn off the logged-in user's calendar feed
+app.delete('/api/users/me/calendar-feed', async (req, res) => {
+  try {
+    const revoked = await revokeFeedToken(pool, req.user.userId);
+
+    if (!revoked) {
+      return res.status(404).json({ error: 'Calendar feed not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error revoking calendar feed:', error);
+    res.status(500).json({ error: 'Failed to revoke calendar feed' });
+  }
+});
+
+// List the partners the logged-in user marked as favourites
+app.get('/api/users/me/favourites', async (req, res) => {
+  try {
+    res.json({ favourites: await listFavourites(pool, req.user.userId) });
+  } catch (error) {
+    console.error('Error listing favourites:', error);
+    res.status(500).json({ error: 'Failed to list favourites' });
+  }
+});
+
+// Mark a previous partner as a favourite
+app.put('/api/users/me/favourites/:userId', async (req, res) => {
+  try {
+    if (!isUuid(req.params.userId)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const result = await addFavourite(pool, req.user.userId, req.params.userId);
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json(result.favourite);
+  } catch (error) {
+    console.error('Error adding favourite:', error);
+    res.status(500).json({ error: 'Failed to add favourite' });
+  }
+});
+
+// Unmark a favourite
+app.delete('/api/users/me/favourites/:userId', async (req, res) => {
+  try {
+    const removed = isUuid(req.params.userId)
+      && await removeFavourite(pool, req.user.userId, req.params.userId);
+
+    if (!removed) {
+      return res.status(404).json({ error: 'Favourite not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error removing favourite:', error);
+    res.status(500).json({ error: 'Failed to remove favourite' });
+  }
+});
+
+// List the logged-in user's matches
+app.get('/api/matches', async (req, res) => {
+  try {
+    res.json({ matches: await listMatches(pool, req.user.userId) });
+  } catch (error) {
+    console.error('Error listing matches:', error);
+    res.status(500).json({ error: 'Failed to list matches' });
+  }
+});
+
+// View one of the logged-in user's matches
+app.get('/api/matches/:matchId', async (req, res) => {
+  try {
+    const match = isUuid(req.params.matchId)
+      ? await getMatch(pool, req.params.matchId, req.user.userId)
+      : null;
+
+    if (!match) {
+      return res.status(404).json({ error: 'Match not found' });
+    }
+
+    res.json(match);
+  } catch (error) {
+    console.error('Error getting match:', error);
+    res.status(500).json({ error: 'Failed to get match' });
+  }
+});
+
+// Send the outcome of a match action, and tell both users the match changed.
+// A chat message the action posted goes to both of them too, tagged with
+// the other user so it lands in the right chat.
+function respondToMatchAction(req, res, result) {
+  if (result.error) {
+    return res.status(result.status).json({ error: result.error });
+  }
+
+  const { match } = result;
+  const userIds = [req.user.userId, result.partnerId];
+  userIds.forEach((userId, index) => {
+    emitToUser(userId, 'match_updated', {
+      match_id: match.match_id,
+      status: match.status,
+      conversation_id: match.conversation_id
+    });
+    if (result.message) {
+      emitToUser(userId, 'system_message', { ...result.message, with: userIds[1 - index] });
+    }
+  });
+
+  res.json(match);
+}
+
+// Accept a proposed match
+app.post('/api/matches/:matchId/confirm', async (req, res) => {
+  try {
+    if (!isUuid(req.params.matchId)) {
+      return res.status(404).json({ error: 'Match not found' });
+    }
+
+    respondToMatchAction(req, res, await confirmMatch(pool, req.params.matchId, req.user.userId));
+  } catch (error) {
+    console.error('Error confirming match:', error);
+    res.status(500).json({ error: 'Failed to confirm match' });
+  }
+});
+
+// Turn down a proposed match; the other user's request goes back to pending
+app.post('/api/matches/:matchId/decline', async (req, res) => {
+  try {
+    if (!isUuid(req.params.matchId)) {
+      return res.status(404).json({ error: 'Match not found' });
+    }
+
+    respondToMatchAction(req, res, await declineMatch(pool, req.params.matchId, req.user.userId));
+  } catch (error) {
+    console.error('Error declining match:', error);
+    res.status(500).json({ error: 'Failed to decline match' });
+  }
+});
+
+// Call off a match with a reason for the other user
+app.post('/api/matches/:matchId/cancel', async (req, res) => {
+  try {
+    if (!isUuid(req.params.matchId)) {
+      return res.status(404).json({ error: 'Match not found' });
+    }
+
+    const reasonError = validateCancelReason(req.body.reason);
+    if (reasonError) {
+      return res.status(400).json({ error: 'Validation failed', fields: { reason: reasonError } });
+    }
+
+    const result = await cancelMatch(pool, req.params.matchId, req.user.userId, req.body.reason.trim());
+    respondToMatchAction(req, res, result);
+  } catch (error) {
+    console.error('Error cancelling match:', error);
+    res.status(500).json({ error: 'Failed to cancel match' });
+  }
+});
+
+// Mark an active match as done
+app.post('/api/matches/:matchId/complete', async (req, res) => {
+  try {
+    if (!isUuid(req.params.matchId)) {
+      return res.status(404).json({ error: 'Match not found' });
+    }
+
+    respondToMatchAction(req, res, await completeMatch(pool, req.params.matchId, req.user.userId));
+  } catch (error) {
+    console.error('Error completing match:', error);
+    res.status(500).json({ error: 'Failed to complete match' });
+  }
+});
+
+// Suggested meeting places for a confirmed match, best first
+app.get('/api/matches/:matchId/places', async (req, res) => {
+  try {
+    const match = isUuid(req.params.matchId)
+      ? await getMatch(pool, req.params.matchId, req.user.userId)
+      : null;
+
+    if (!match) {
+      return res.status(404).json({ error: 'Match not found' });
+    }
+    if (match.status !== 'active') {
+      return res.status(409).json({ error: 'Places can only be chosen once both of you have confirmed' });
+    }
+
+    res.json({ places: await recommendPlaces(pool, match, req.user.userId) });
+  } catch (error) {
+    console.error('Error recommending places:', error);
+    res.status(500).json({ error: 'Failed to recommend places' });
+  }
+});
+
+// Suggest where to meet; posted in the match chat for the partner to accept
+app.post('/api/matches/:matchId/place-proposal', async (req, res) => {
+  try {
+    if (!isUuid(req.params.matchId)) {
+      return res.status(404).json({ error: 'Match not found' });
+    }
+
+    const placeId = req.body && req.body.place_id;
+
+    if (!isUuid(placeId)) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        fields: { place_id: 'Please choose a place' }
+      });
+    }
+
+    respondToMatchAction(req, res, await proposePlace(pool, req.params.matchId, req.user.userId, placeId));
+  } catch (error) {
+    console.error('Error proposing place:', error);
+    res.status(500).json({ error: 'Failed to suggest place' });
+  }
+});
+
+// Accept the partner's suggested place ({ place_id } of the suggestion seen)
+app.post('/api/matches/:matchId/place-proposal/accept', async (req, res) => {
+  try {
+    if (!isUuid(req.params.matchId)) {
+      return res.status(404).json({ error: 'Match not found' });
+    }
+
+    const placeId = req.body && req.body.place_id;
+
+    if (placeId !== undefined && !isUuid(placeId)) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        fields: { place_id: 'Please choose a place' }
+      });
+    }
+
+    respondToMatchAction(req, res, await acceptPlace(pool, req.params.matchId, req.user.userId, placeId));
+  } catch (error) {
+    console.error('Error accepting place:', error);
+    res.status(500).json({ error: 'Failed to accept place' });
+  }
+});
+
+// Download a confirmed match as an .ics file
+app.get('/api/matches/:matchId/calendar.ics', async (req, res) => {
+  try {
+    const match = isUuid(req.params.matchId)
+      ? await getCalendarMatch(pool, req.params.matchId, req.user.userId)
+      : null;
+
+    if (!match) {
+      return res.status(404).json({ error: 'Match not found or not confirmed yet' });
+    }
+
+    res.type('text/calendar; charset=utf-8');
+    res.attachment(`smufriend-${match.activity_type}.ics`);
+    res.send(buildCalendar([matchToEvent(match)]));
+  } catch (error) {
+    console.error('Error exporting match:', error);
+    res.status(500).json({ error: 'Failed to export match' });
+  }
+});
+
+// Say whether your partner showed up, with an optional rating and private
+// comment. Can be changed until the feedback window closes.
+app.post('/api/matches/:matchId/feedback', async (req, res) => {
+  try {
+    if (!isUuid(req.params.matchId)) {
+      return res.status(404).json({ error: 'Match not found' });
+    }
+
+    const { errors, values } = validateFeedback(req.body);
+
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ error: 'Validation failed', fields: errors });
+    }
+
+    const result = await submitFeedback(pool, req.params.matchId, req.user.userId, values);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json(result.feedback);
+  } catch (error) {
+    console.error('Error submitting feedback:', error);
+    res.status(500).json({ error: 'Failed to submit feedback' });
+  }
+});
+
+// The feedback the logged-in user left on a match; nobody can read feedback
+// left about them
+app.get('/api/matches/:matchId/feedback', async (req, res) => {
+  try {
+    const feedback = isUuid(req.params.matchId)
+      ? await getOwnFeedback(pool, req.params.matchId, req.user.userId)
+      : null;
+
+    if (!feedback) {
+      return res.status(404).json({ error: 'Feedback not found' });
+    }
+
+    res.json(feedback);
+  } catch (error) {
+    console.error('Error getting feedback:', error);
+    res.status(500).json({ error: 'Failed to get feedback' });
+  }
+});
+
+// View a group meal the logged-in user is or was in
+app.get('/api/groups/:groupId', async (req, res) => {
+  try {
+    const group = isUuid(req.params.groupId)
+      ? await getGroup(pool, req.params.groupId, req.user.userId)
+      : null;
+
+    if (!group) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+
+    res.json(group);
+  } catch (error) {
+    console.error('Error getting group:', error);
+    res.status(500).json({ error: 'Failed to get group' });
+  }
+});
+
+// Message history of a group meal chat
+app.get('/api/groups/:groupId/messages', async (req, res) => {
+  try {
+    const messages = isUuid(req.params.groupId)
+      ? await getGroupMessages(pool, req.params.groupId, req.user.userId)
+      : null;
+
+    if (!messages) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+
+    res.json(messages);
+  } catch (error) {
+    console.error('Error getting group messages:', error);
+    res.status(500).json({ error: 'Failed to get group messages' });
+  }
+});
+
+// Leave a group meal
+app.post('/api/groups/:groupId/leave', async (req, res) => {
+  try {
+    if (!isUuid(req.params.groupId)) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+
+    const result = await leaveGroup(pool, req.params.groupId, req.user.userId);
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    result.notifyUserIds.forEach(userId => {
+      emitToUser(userId, 'group_updated', { group_id: req.params.groupId, left: req.user.userId });
+    });
+
+    res.json(result.group);
+  } catch (error) {
+    console.error('Error leaving group:', error);
+    res.status(500).json({ error: 'Failed to leave group' });
+  }
+});
+
+// Explain how two requests score against each other, for tuning the weights.
+// Shows other users' preferences and interests, so it is only mounted when
+// ENABLE_MATCH_DEBUG=true and only admins can call it.
+if (process.env.ENABLE_MATCH_DEBUG === 'true') {
+  app.get('/api/debug/match-score/:requestAId/:requestBId', requireRole('admin'), async (req, res) => {
+    try {
+      const { requestAId, requestBId } = req.params;
+
+      if (!isUuid(requestAId) || !isUuid(requestBId)) {
+        return res.status(404).json({ error: 'Request not found' });
+      }
+
+      const candidates = await loadCandidates(pool, [requestAId, requestBId]);
+      const a = candidates.find(candidate => candidate.request_id === requestAId);
+      const b = candidates.find(candidate => candidate.request_id === requestBId);
+
+      if (!a || !b) {
+        return res.status(404).json({ error: 'Request not found' });
+      }
+
+      res.json({
+        request_a_id: a.request_id,
+        request_b_id: b.request_id,
+        weights: MATCH_WEIGHTS,
+        ...explainPair(a, b, MATCH_WEIGHTS)
+      });
+    } catch (error) {
+      console.error('Error explaining match score:', error);
+      res.status(500).json({ error: 'Failed to explain match score' });
+    }
+  });
+}
+
 const PORT = process.env.PORT || 3001;
 server.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
   console.log(`📡 Socket.io ready for real-time messaging`);
+  matcher.start(MATCHING_INTERVAL);
+  cleanup.start(CLEANUP_INTERVAL);
 });
 
 module.exports = { app, server, io };
\ No newline at end of file
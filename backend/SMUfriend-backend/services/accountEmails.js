@@ -0,0 +1,45 @@
+// services/accountEmails.js - Emails sent for account lifecycle events
+const { sendMail } = require('./mailer');
+
+// Links in emails open the React app, which calls the API
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+
+async function sendVerificationEmail(email, token) {
+  const link = `${APP_URL}/?verify_token=${encodeURIComponent(token)}`;
+
+  return sendMail({
+    to: email,
+    subject: 'Verify your SMU Friend account',
+    text: [
+      'Welcome to SMU Friend!',
+      '',
+      'Please confirm your SMU email address by opening the link below:',
+      link,
+      '',
+      'The link expires in 24 hours. If you did not sign up, you can ignore this email.'
+    ].join('\n')
+  });
+}
+
+async function sendPasswordResetEmail(email, token) {
+  const link = `${APP_URL}/?reset_token=${encodeURIComponent(token)}`;
+
+  return sendMail({
+    to: email,
+    subject: 'Reset your SMU Friend password',
+    text: [
+      'Someone asked to reset the password for your SMU Friend account.',
+      '',
+      'To choose a new password, open the link below:',
+      link,
+      '',
+      'The link expires in 1 hour and can only be used once.',
+      'If you did not ask for this, you can ignore this email - your password has not changed.'
+    ].join('\n')
+  });
+}
+
+module.exports = {
+  sendVerificationEmail,
+  sendPasswordResetEmail
+};
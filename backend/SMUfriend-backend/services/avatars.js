@@ -0,0 +1,53 @@
+// services/avatars.js - Avatar images stored on local disk
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+const UPLOADS_DIR = process.env.UPLOADS_DIR || path.join(__dirname, '..', 'uploads');
+const AVATAR_DIR = path.join(UPLOADS_DIR, 'avatars');
+const AVATAR_SIZE = 256; // px, square
+const AVATAR_MAX_BYTES = 5 * 1024 * 1024;
+const AVATAR_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
+/**
+ * Resize an uploaded image to a square WebP and write it to the avatar dir.
+ * @param {string} userId
+ * @param {Buffer} buffer - The uploaded file
+ * @returns {Promise<string>} Path to serve it from, relative to the server root
+ */
+async function saveAvatar(userId, buffer) {
+  await fs.promises.mkdir(AVATAR_DIR, { recursive: true });
+
+  // A new name per upload so browsers don't keep showing a cached avatar
+  const fileName = `${userId}-${Date.now()}.webp`;
+
+  await sharp(buffer)
+    .rotate() // respect EXIF orientation from phone cameras
+    .resize(AVATAR_SIZE, AVATAR_SIZE, { fit: 'cover' })
+    .webp({ quality: 80 })
+    .toFile(path.join(AVATAR_DIR, fileName));
+
+  return `/uploads/avatars/${fileName}`;
+}
+
+// Delete a previously saved avatar given its URL; ignores anything we didn't store
+async function removeAvatar(avatarUrl) {
+  if (!avatarUrl) return;
+
+  const match = /\/uploads\/avatars\/([\w-]+\.webp)$/.exec(avatarUrl);
+  if (!match) return;
+
+  try {
+    await fs.promises.unlink(path.join(AVATAR_DIR, match[1]));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+}
+
+module.exports = {
+  UPLOADS_DIR,
+  AVATAR_MAX_BYTES,
+  AVATAR_MIME_TYPES,
+  saveAvatar,
+  removeAvatar
+};
@@ -0,0 +1,211 @@
+// services/calendar.js - iCalendar (.ics) export of matched meetups
+//
+// Each match becomes one VEVENT whose UID never changes, so calendar apps
+// polling a user's feed update the event in place when the match changes and
+// mark it CANCELLED when the match is called off.
+const { hashToken, generateToken } = require('./tokens');
+const { ACTIVITY_LABELS } = require('./matches');
+const { MEETUP_MINUTES } = require('./matchScoring');
+
+const API_URL = process.env.API_URL || 'http://localhost:3001';
+
+const PRODUCT_ID = '-//SMU Friend//Meetups//EN';
+
+// Past meetups older than this drop out of the feed
+const FEED_HISTORY_DAYS = 60;
+
+// Matches that made it into someone's calendar: confirmed by both users at
+// some point, seen from $1's side. matches.updated_at changes on every
+// status change, which is what calendar apps compare.
+const CALENDAR_MATCHES = `
+  SELECT
+    m.match_id,
+    m.status,
+    m.matched_at,
+    m.updated_at,
+    m.cancel_reason,
+    ra.activity_type,
+    GREATEST(ra.meeting_date, rb.meeting_date) as meeting_date,
+    p.display_name as partner_name,
+    NULLIF(concat_ws(', ', pl.place_name, b.building_name), '') as location
+  FROM matches m
+  JOIN requests ra ON ra.request_id = m.request_a_id
+  JOIN requests rb ON rb.request_id = m.request_b_id
+  JOIN users p ON p.user_id = CASE WHEN ra.user_id = $1 THEN rb.user_id ELSE ra.user_id END
+  LEFT JOIN places pl ON pl.place_id = m.place_id
+  LEFT JOIN buildings b ON b.building_id = pl.building_id
+  WHERE (ra.user_id = $1 OR rb.user_id = $1)
+  AND m.request_a_confirmed_at IS NOT NULL
+  AND m.request_b_confirmed_at IS NOT NULL
+`;
+
+const EVENT_STATUS = {
+  active: 'CONFIRMED',
+  completed: 'CONFIRMED',
+  cancelled: 'CANCELLED'
+};
+
+// Escape a TEXT value (RFC 5545 section 3.3.11)
+function escapeText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// e.g. 20261020T043000Z
+function formatDateTime(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Lines longer than 75 octets are folded onto continuation lines starting
+// with a space
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+
+  for (const char of line) {
+    if (Buffer.byteLength(current + char, 'utf8') > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+/**
+ * Describe a match as a calendar event.
+ * @param {Object} match - A CALENDAR_MATCHES row
+ * @returns {Object} an event for buildCalendar
+ */
+function matchToEvent(match) {
+  const start = new Date(match.meeting_date);
+  const activity = ACTIVITY_LABELS[match.activity_type] || match.activity_type;
+
+  return {
+    uid: `match-${match.match_id}@smufriend`,
+    start,
+    end: new Date(start.getTime() + MEETUP_MINUTES * 60 * 1000),
+    summary: `${activity} with ${match.partner_name || 'your SMU Friend buddy'}`,
+    description: match.status === 'cancelled' && match.cancel_reason
+      ? `Cancelled: ${match.cancel_reason}`
+      : 'Matched on SMU Friend',
+    location: match.location || null,
+    status: EVENT_STATUS[match.status] || 'TENTATIVE',
+    // Must grow with every change; seconds since the match was made do
+    sequence: Math.max(0, Math.floor((new Date(match.updated_at) - new Date(match.matched_at)) / 1000)),
+    lastModified: match.updated_at
+  };
+}
+
+/**
+ * Render events as an iCalendar document.
+ * @param {Object[]} events - From matchToEvent
+ * @param {{ name?: string, now?: Date }} [options]
+ * @returns {string}
+ */
+function buildCalendar(events, { name, now = new Date() } = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+
+  events.forEach(event => {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${formatDateTime(now)}`,
+      `DTSTART:${formatDateTime(event.start)}`,
+      `DTEND:${formatDateTime(event.end)}`,
+      `SUMMARY:${escapeText(event.summary)}`,
+      `DESCRIPTION:${escapeText(event.description)}`
+    );
+    if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+    lines.push(
+      `STATUS:${event.status}`,
+      `SEQUENCE:${event.sequence}`,
+      `LAST-MODIFIED:${formatDateTime(event.lastModified)}`,
+      'END:VEVENT'
+    );
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// One of the user's calendar-worthy matches, or null
+async function getCalendarMatch(db, matchId, userId) {
+  const result = await db.query(`${CALENDAR_MATCHES} AND m.match_id = $2`, [userId, matchId]);
+  return result.rows[0] || null;
+}
+
+// The user's recent and upcoming calendar-worthy matches
+async function listCalendarMatches(db, userId) {
+  const result = await db.query(`
+    ${CALENDAR_MATCHES}
+    AND GREATEST(ra.meeting_date, rb.meeting_date) > NOW() - make_interval(days => $2)
+    ORDER BY meeting_date
+  `, [userId, FEED_HISTORY_DAYS]);
+  return result.rows;
+}
+
+const feedUrl = (token) => `${API_URL}/api/calendar/${token}.ics`;
+
+/**
+ * Give the user a new private feed URL. Any previous URL stops working.
+ * @returns {Promise<{ url: string, webcal_url: string }>}
+ */
+async function rotateFeedToken(db, userId) {
+  const token = generateToken();
+
+  await db.query(`
+    INSERT INTO calendar_feeds (user_id, token_hash)
+    VALUES ($1, $2)
+    ON CONFLICT (user_id) DO UPDATE SET token_hash = EXCLUDED.token_hash, created_at = NOW()
+  `, [userId, hashToken(token)]);
+
+  const url = feedUrl(token);
+  return { url, webcal_url: url.replace(/^https?:/, 'webcal:') };
+}
+
+// Returns whether the user had a feed
+async function revokeFeedToken(db, userId) {
+  const result = await db.query('DELETE FROM calendar_feeds WHERE user_id = $1', [userId]);
+  return result.rowCount > 0;
+}
+
+/**
+ * The owner of a feed token, noting that the feed was polled.
+ * @returns {Promise<string|null>} the user id, or null for an unknown token
+ */
+async function findFeedOwner(db, token) {
+  if (typeof token !== 'string' || token.length === 0) return null;
+
+  const result = await db.query(`
+    UPDATE calendar_feeds
+    SET last_polled_at = NOW()
+    WHERE token_hash = $1
+    RETURNING user_id
+  `, [hashToken(token)]);
+  return result.rows.length > 0 ? result.rows[0].user_id : null;
+}
+
+module.exports = {
+  escapeText,
+  foldLine,
+  matchToEvent,
+  buildCalendar,
+  getCalendarMatch,
+  listCalendarMatches,
+  rotateFeedToken,
+  revokeFeedToken,
+  findFeedOwner
+};
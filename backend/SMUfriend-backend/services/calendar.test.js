@@ -0,0 +1,128 @@
+const { escapeText, foldLine, matchToEvent, buildCalendar } = require('./calendar');
+
+const NOW = new Date('2026-10-19T00:00:00Z');
+
+const match = (overrides = {}) => ({
+  match_id: 'a0b1c2d3-e4f5-4a6b-8c7d-9e0f1a2b3c4d',
+  status: 'active',
+  matched_at: '2026-10-18T10:00:00Z',
+  updated_at: '2026-10-18T10:05:00Z',
+  cancel_reason: null,
+  activity_type: 'lunch',
+  meeting_date: '2026-10-20T04:30:00Z',
+  partner_name: 'Alex',
+  location: 'Koufu, School of Economics',
+  ...overrides
+});
+
+describe('escapeText', () => {
+  test('escapes backslashes, semicolons, commas and newlines', () => {
+    expect(escapeText('a\\b; c, d\r\ne\nf')).toBe('a\\\\b\\; c\\, d\\ne\\nf');
+  });
+
+  test('leaves plain text alone', () => {
+    expect(escapeText('Lunch with Alex')).toBe('Lunch with Alex');
+  });
+});
+
+describe('foldLine', () => {
+  test('leaves lines of up to 75 octets alone', () => {
+    const line = 'x'.repeat(75);
+    expect(foldLine(line)).toBe(line);
+  });
+
+  test('folds longer lines onto continuation lines starting with a space', () => {
+    const folded = foldLine('x'.repeat(200));
+    const lines = folded.split('\r\n');
+
+    expect(lines.map(line => line.length)).toEqual([75, 75, 52]);
+    expect(lines.slice(1).every(line => line.startsWith(' '))).toBe(true);
+    expect(folded.replace(/\r\n /g, '')).toBe('x'.repeat(200));
+  });
+
+  test('counts octets, never splitting a multi-byte character', () => {
+    const line = 'é'.repeat(50); // 100 octets
+    const lines = foldLine(line).split('\r\n');
+
+    expect(lines.every(part => Buffer.byteLength(part, 'utf8') <= 75)).toBe(true);
+    expect(lines[0]).toBe('é'.repeat(37));
+    expect(foldLine(line).replace(/\r\n /g, '')).toBe(line);
+  });
+});
+
+describe('matchToEvent', () => {
+  test('describes a confirmed match as an hour-long event', () => {
+    expect(matchToEvent(match())).toEqual({
+      uid: 'match-a0b1c2d3-e4f5-4a6b-8c7d-9e0f1a2b3c4d@smufriend',
+      start: new Date('2026-10-20T04:30:00Z'),
+      end: new Date('2026-10-20T05:30:00Z'),
+      summary: 'Lunch with Alex',
+      description: 'Matched on SMU Friend',
+      location: 'Koufu, School of Economics',
+      status: 'CONFIRMED',
+      sequence: 300,
+      lastModified: '2026-10-18T10:05:00Z'
+    });
+  });
+
+  test('marks a cancelled match with the reason given', () => {
+    const event = matchToEvent(match({ status: 'cancelled', cancel_reason: 'Feeling unwell' }));
+
+    expect(event.status).toBe('CANCELLED');
+    expect(event.description).toBe('Cancelled: Feeling unwell');
+  });
+
+  test('copes with a missing partner name and place', () => {
+    const event = matchToEvent(match({ partner_name: null, location: null }));
+
+    expect(event.summary).toBe('Lunch with your SMU Friend buddy');
+    expect(event.location).toBeNull();
+  });
+});
+
+describe('buildCalendar', () => {
+  test('wraps each event in a VEVENT inside one VCALENDAR, with CRLF line endings', () => {
+    const ics = buildCalendar([matchToEvent(match())], { now: NOW });
+
+    expect(ics.endsWith('\r\n')).toBe(true);
+    expect(ics.split('\r\n')).toEqual([
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//SMU Friend//Meetups//EN',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      'BEGIN:VEVENT',
+      'UID:match-a0b1c2d3-e4f5-4a6b-8c7d-9e0f1a2b3c4d@smufriend',
+      'DTSTAMP:20261019T000000Z',
+      'DTSTART:20261020T043000Z',
+      'DTEND:20261020T053000Z',
+      'SUMMARY:Lunch with Alex',
+      'DESCRIPTION:Matched on SMU Friend',
+      'LOCATION:Koufu\\, School of Economics',
+      'STATUS:CONFIRMED',
+      'SEQUENCE:300',
+      'LAST-MODIFIED:20261018T100500Z',
+      'END:VEVENT',
+      'END:VCALENDAR',
+      ''
+    ]);
+  });
+
+  test('names the calendar and leaves out LOCATION when there is none', () => {
+    const ics = buildCalendar([matchToEvent(match({ location: null }))], { name: 'SMU Friend, meetups', now: NOW });
+
+    expect(ics).toContain('\r\nX-WR-CALNAME:SMU Friend\\, meetups\r\n');
+    expect(ics).not.toContain('LOCATION:');
+  });
+
+  test('folds long lines', () => {
+    const ics = buildCalendar([matchToEvent(match({ partner_name: 'A'.repeat(100) }))], { now: NOW });
+
+    expect(ics.split('\r\n').every(line => Buffer.byteLength(line, 'utf8') <= 75)).toBe(true);
+    expect(ics).toContain(`SUMMARY:Lunch with ${'A'.repeat(56)}\r\n ${'A'.repeat(44)}\r\n`);
+  });
+
+  test('is an empty VCALENDAR with no events', () => {
+    expect(buildCalendar([], { now: NOW })).not.toContain('BEGIN:VEVENT');
+  });
+});
@@ -0,0 +1,167 @@
+// services/cleanup.js - Expires stale requests, settles past matches,
+// generates upcoming occurrences of weekly requests and checks crowd reports
+// against the consensus
+//
+// Every server instance runs the scheduler; a Postgres advisory lock makes
+// sure only one of them does the work on each tick.
+const { generateOccurrences } = require('./recurring');
+const { evaluateReports } = require('./reportTrust');
+
+// Hashed into the advisory lock id; must not be reused for another lock
+const CLEANUP_LOCK_KEY = 'smufriend:cleanup';
+
+// A match or group meal counts as done this long after its meeting time
+const COMPLETE_AFTER_MINUTES = 120;
+
+// Pending requests whose expiry time has passed
+async function expireRequests(db) {
+  const result = await db.query(`
+    UPDATE requests
+    SET status = 'expired'
+    WHERE status = 'pending' AND expires_at <= NOW()
+    RETURNING request_id, user_id, activity_type, meeting_date
+  `);
+  return result.rows;
+}
+
+// Active matches whose meetup is over
+async function completeMatches(db) {
+  const result = await db.query(`
+    UPDATE matches m
+    SET status = 'completed', completed_at = NOW()
+    FROM requests ra, requests rb
+    WHERE ra.request_id = m.request_a_id
+    AND rb.request_id = m.request_b_id
+    AND m.status = 'active'
+    AND GREATEST(ra.meeting_date, rb.meeting_date) <= NOW() - make_interval(mins => $1)
+    RETURNING m.match_id, ra.user_id as user_a_id, rb.user_id as user_b_id
+  `, [COMPLETE_AFTER_MINUTES]);
+  return result.rows;
+}
+
+// Group meals whose meetup is over, with everyone still at the table
+async function completeGroups(db) {
+  const result = await db.query(`
+    UPDATE meal_groups g
+    SET status = 'completed'
+    WHERE g.status = 'active'
+    AND g.meeting_date <= NOW() - make_interval(mins => $1)
+    RETURNING g.group_id, ARRAY(
+      SELECT cp.user_id
+      FROM conversations c
+      JOIN conversation_participants cp ON cp.conversation_id = c.conversation_id
+      WHERE c.group_id = g.group_id AND cp.left_at IS NULL
+    ) as member_ids
+  `, [COMPLETE_AFTER_MINUTES]);
+  return result.rows;
+}
+
+// Proposed matches that weren't confirmed by both users before the meetup;
+// their requests expire with them
+async function lapseProposals(db) {
+  const result = await db.query(`
+    WITH lapsed AS (
+      UPDATE matches m
+      SET status = 'cancelled', cancel_reason = 'Not confirmed in time'
+      FROM requests ra, requests rb
+      WHERE ra.request_id = m.request_a_id
+      AND rb.request_id = m.request_b_id
+      AND m.status = 'proposed'
+      AND LEAST(ra.meeting_date, rb.meeting_date) <= NOW()
+      RETURNING m.match_id, m.request_a_id, m.request_b_id, ra.user_id as user_a_id, rb.user_id as user_b_id
+    ), expired AS (
+      UPDATE requests
+      SET status = 'expired'
+      WHERE request_id IN (SELECT request_a_id FROM lapsed UNION SELECT request_b_id FROM lapsed)
+    )
+    SELECT match_id, user_a_id, user_b_id FROM lapsed
+  `);
+  return result.rows;
+}
+
+/**
+ * Run one cleanup pass in a transaction holding the cleanup advisory lock.
+ * @param {import('pg').Pool} pool
+ * @returns {Promise<{ expired: Object[], lapsed: Object[], completed: Object[],
+ *   completedGroups: Object[], generated: Object[], evaluated: Object[] }|null>}
+ *   null when another instance is already running a pass
+ */
+async function runCleanup(pool) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // Released automatically at COMMIT/ROLLBACK
+    const lock = await client.query(
+      'SELECT pg_try_advisory_xact_lock(hashtext($1)) as locked',
+      [CLEANUP_LOCK_KEY]
+    );
+    if (!lock.rows[0].locked) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const expired = await expireRequests(client);
+    const lapsed = await lapseProposals(client);
+    const completed = await completeMatches(client);
+    const completedGroups = await completeGroups(client);
+    const generated = await generateOccurrences(client);
+    const evaluated = await evaluateReports(client);
+
+    await client.query('COMMIT');
+    return { expired, lapsed, completed, completedGroups, generated, evaluated };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Runs runCleanup on a timer.
+ * @param {import('pg').Pool} pool
+ * @param {Function} onCleanup - Called with runCleanup's result after each pass
+ *   that did any work
+ * @returns {{ run: Function, start: Function, stop: Function }}
+ */
+function createCleanupScheduler(pool, onCleanup) {
+  let running = false;
+  let timer = null;
+
+  async function run() {
+    if (running) return;
+
+    running = true;
+    try {
+      const result = await runCleanup(pool);
+      if (result && Object.values(result).some(rows => rows.length > 0)) {
+        onCleanup(result);
+      }
+    } catch (error) {
+      console.error('Error running cleanup:', error);
+    } finally {
+      running = false;
+    }
+  }
+
+  return {
+    run,
+    start(intervalMs) {
+      if (!timer) {
+        timer = setInterval(run, intervalMs);
+        timer.unref();
+      }
+    },
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+}
+
+module.exports = {
+  runCleanup,
+  createCleanupScheduler
+};
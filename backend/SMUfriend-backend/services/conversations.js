@@ -0,0 +1,223 @@
+// services/conversations.js - One-to-one chats and the conversation inbox
+//
+// Two users can share several one-to-one conversations: a direct one and one
+// per confirmed match. The app shows them as a single thread per person.
+// Group meals have one conversation each (see services/groups).
+
+// IDs of the one-to-one conversations userId and otherUserId are both in,
+// most recently active first
+async function findPairConversationIds(db, userId, otherUserId) {
+  const result = await db.query(`
+    SELECT c.conversation_id
+    FROM conversations c
+    JOIN conversation_participants cp1 ON c.conversation_id = cp1.conversation_id
+    JOIN conversation_participants cp2 ON c.conversation_id = cp2.conversation_id
+    WHERE cp1.user_id = $1 AND cp2.user_id = $2
+    AND c.conversation_type IN ('direct', 'match')
+    ORDER BY c.last_updated DESC
+  `, [userId, otherUserId]);
+
+  return result.rows.map(row => row.conversation_id);
+}
+
+// The most recently active conversation between the pair, creating a direct
+// one if they have never talked
+async function findOrCreatePairConversation(db, userId, otherUserId) {
+  const [existing] = await findPairConversationIds(db, userId, otherUserId);
+  if (existing) return existing;
+
+  const created = await db.query(`
+    INSERT INTO conversations (conversation_type)
+    VALUES ('direct')
+    RETURNING conversation_id
+  `);
+  const conversationId = created.rows[0].conversation_id;
+
+  await db.query(`
+    INSERT INTO conversation_participants (conversation_id, user_id)
+    VALUES ($1, $2), ($1, $3)
+  `, [conversationId, userId, otherUserId]);
+
+  return conversationId;
+}
+
+// Everything the other user sent in the pair's conversations counts as read
+async function markPairRead(db, userId, otherUserId) {
+  const conversationIds = await findPairConversationIds(db, userId, otherUserId);
+
+  await db.query(`
+    UPDATE conversation_participants
+    SET last_read_at = NOW()
+    WHERE user_id = $1 AND conversation_id = ANY($2)
+  `, [userId, conversationIds]);
+}
+
+// Messages from the app itself (sender_id NULL), e.g. "Alice joined the table".
+// Returns the message as the conversation endpoints list it.
+async function addSystemMessage(db, conversationId, text, data) {
+  const result = await db.query(`
+    INSERT INTO messages (conversation_id, sender_id, message_text, message_type, system_data)
+    VALUES ($1, NULL, $2, 'system', $3)
+    RETURNING message_id as id, message_text as message, message_type as type, system_data as data, sent_at as timestamp
+  `, [conversationId, text, data]);
+  return result.rows[0];
+}
+
+// Inbox entries for the group meals the user is still in
+async function listGroupConversations(db, userId) {
+  const result = await db.query(`
+    SELECT
+      c.conversation_id as id,
+      c.conversation_type as type,
+      g.group_id as "groupId",
+      g.activity_type as "activityType",
+      g.meeting_date as "meetingDate",
+      g.status as "groupStatus",
+      (
+        SELECT COUNT(*)::INTEGER
+        FROM conversation_participants members
+        WHERE members.conversation_id = c.conversation_id AND members.left_at IS NULL
+      ) as "memberCount",
+      last_message.message_text as "lastMessage",
+      last_message.sent_at as "lastMessageAt",
+      (
+        SELECT COUNT(*)::INTEGER
+        FROM messages m
+        WHERE m.conversation_id = c.conversation_id
+        AND m.deleted_at IS NULL
+        AND m.sender_id IS DISTINCT FROM $1
+        AND (mine.last_read_at IS NULL OR m.sent_at > mine.last_read_at)
+      ) as "unreadCount",
+      c.last_updated as "lastUpdated"
+    FROM conversations c
+    JOIN meal_groups g ON g.group_id = c.group_id
+    JOIN conversation_participants mine
+      ON mine.conversation_id = c.conversation_id AND mine.user_id = $1
+    LEFT JOIN LATERAL (
+      SELECT m.message_text, m.sent_at
+      FROM messages m
+      WHERE m.conversation_id = c.conversation_id AND m.deleted_at IS NULL
+      ORDER BY m.sent_at DESC
+      LIMIT 1
+    ) last_message ON TRUE
+    WHERE c.conversation_type = 'group' AND mine.left_at IS NULL
+  `, [userId]);
+
+  return result.rows;
+}
+
+// Everything in a group conversation counts as read
+async function markGroupRead(db, userId, groupId) {
+  await db.query(`
+    UPDATE conversation_participants cp
+    SET last_read_at = NOW()
+    FROM conversations c
+    WHERE c.conversation_id = cp.conversation_id
+    AND c.group_id = $2
+    AND cp.user_id = $1
+  `, [userId, groupId]);
+}
+
+/**
+ * The user's inbox: one entry per person they chat with, with the latest
+ * message, unread count and their most recent match, plus one per group meal.
+ * Most recently active first.
+ * @returns {Promise<Object[]>}
+ */
+async function listConversations(db, userId) {
+  const direct = await db.query(`
+    WITH pairs AS (
+      SELECT
+        c.conversation_id,
+        c.conversation_type,
+        c.last_updated,
+        mine.last_read_at,
+        other.user_id as other_user_id
+      FROM conversations c
+      JOIN conversation_participants mine
+        ON mine.conversation_id = c.conversation_id AND mine.user_id = $1
+      JOIN conversation_participants other
+        ON other.conversation_id = c.conversation_id AND other.user_id <> $1
+      WHERE c.conversation_type IN ('direct', 'match')
+      AND mine.left_at IS NULL
+    ), per_pair AS (
+      SELECT DISTINCT ON (p.other_user_id)
+        p.conversation_id,
+        p.conversation_type,
+        p.other_user_id,
+        MAX(p.last_updated) OVER (PARTITION BY p.other_user_id) as last_updated,
+        SUM(unread.count) OVER (PARTITION BY p.other_user_id) as unread_count
+      FROM pairs p
+      CROSS JOIN LATERAL (
+        SELECT COUNT(*) as count
+        FROM messages m
+        WHERE m.conversation_id = p.conversation_id
+        AND m.deleted_at IS NULL
+        AND m.sender_id IS DISTINCT FROM $1
+        AND (p.last_read_at IS NULL OR m.sent_at > p.last_read_at)
+      ) unread
+      ORDER BY p.other_user_id, p.last_updated DESC
+    )
+    SELECT
+      pp.conversation_id as id,
+      pp.conversation_type as type,
+      pp.other_user_id as "otherUserId",
+      u.display_name as "otherUserName",
+      u.avatar_url as "otherUserAvatarUrl",
+      u.is_online as "otherUserOnline",
+      last_message.message_text as "lastMessage",
+      last_message.sent_at as "lastMessageAt",
+      pp.unread_count::INTEGER as "unreadCount",
+      pp.last_updated as "lastUpdated",
+      latest_match.match_id as "matchId",
+      latest_match.matched_at as "matchedAt",
+      latest_match.activity_type as "activityType",
+      latest_match.meeting_date as "meetingDate",
+      latest_match.status as "matchStatus"
+    FROM per_pair pp
+    JOIN users u ON u.user_id = pp.other_user_id
+    LEFT JOIN LATERAL (
+      SELECT m.message_text, m.sent_at
+      FROM messages m
+      JOIN pairs p ON p.conversation_id = m.conversation_id
+      WHERE p.other_user_id = pp.other_user_id
+      AND m.deleted_at IS NULL
+      ORDER BY m.sent_at DESC
+      LIMIT 1
+    ) last_message ON TRUE
+    LEFT JOIN LATERAL (
+      SELECT
+        m.match_id,
+        m.matched_at,
+        m.status,
+        ra.activity_type,
+        GREATEST(ra.meeting_date, rb.meeting_date) as meeting_date
+      FROM matches m
+      JOIN requests ra ON ra.request_id = m.request_a_id
+      JOIN requests rb ON rb.request_id = m.request_b_id
+      WHERE m.status IN ('active', 'completed')
+      AND (
+        (ra.user_id = $1 AND rb.user_id = pp.other_user_id) OR
+        (ra.user_id = pp.other_user_id AND rb.user_id = $1)
+      )
+      ORDER BY m.matched_at DESC
+      LIMIT 1
+    ) latest_match ON TRUE
+    ORDER BY pp.last_updated DESC
+  `, [userId]);
+
+  const groups = await listGroupConversations(db, userId);
+
+  return [...direct.rows, ...groups].sort(
+    (a, b) => new Date(b.lastUpdated) - new Date(a.lastUpdated)
+  );
+}
+
+module.exports = {
+  addSystemMessage,
+  findPairConversationIds,
+  findOrCreatePairConversation,
+  markPairRead,
+  markGroupRead,
+  listConversations
+};
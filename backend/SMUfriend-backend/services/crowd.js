@@ -0,0 +1,341 @@
+// services/crowd.js - Crowd reports and live crowd estimates per place
+//
+// Users report how busy a place is right now. The estimate is a weighted
+// average of recent reports: each report's weight halves every
+// REPORT_HALF_LIFE_MINUTES, verified reports count VERIFIED_WEIGHT times as
+// much, and once too little recent weight is left the place is 'unknown'
+// rather than showing a guess from an hour ago. Unverified reports also count
+// as much as their reporter is trusted (see services/reportTrust.js), flagged
+// ones only FLAGGED_WEIGHT as much, and rejected ones not at all. The
+// hour-of-week profile weighs its reports the same way.
+const { CAMPUS_TIME_ZONE } = require('./requestFields');
+const { CROWD_LEVELS } = require('./placeFields');
+const { loadReporterTrust } = require('./reportTrust');
+const COMMENT_MAX_LENGTH = 280;
+
+const REPORT_HALF_LIFE_MINUTES = 15;
+const STALE_AFTER_MINUTES = 90; // older reports are ignored
+const VERIFIED_WEIGHT = 3;
+const FLAGGED_WEIGHT = 0.25;
+// Below this much (decayed) weight the estimate is 'unknown'; one fresh
+// report is 1, one from a half-life ago 0.5
+const MIN_ESTIMATE_WEIGHT = 0.5;
+const CONFIDENT_WEIGHT = 3;
+
+// The hour-of-week profile looks at this much history, in campus time
+const PROFILE_WEEKS = 8;
+const PROFILE_CONFIDENT_SAMPLES = 5;
+
+// Per user: one report per place per cooldown, and a cap across places
+const REPORT_COOLDOWN_MINUTES = 10;
+const MAX_REPORTS_PER_HOUR = 20;
+// Reporting from this many other places within the cooldown is flagged: nobody
+// walks through that much of campus in ten minutes
+const RAPID_FIRE_PLACES = 3;
+
+/**
+ * Validate a crowd report.
+ * @param {Object} body - { level, comment }
+ * @returns {{ errors: Object<string, string>, values: Object }}
+ */
+function validateReport(body = {}) {
+  const errors = {};
+
+  const level = typeof body.level === 'string' ? body.level.trim().toLowerCase() : '';
+  if (!CROWD_LEVELS.includes(level)) {
+    errors.level = 'Please choose low, medium, high or very high';
+  }
+
+  let comment = null;
+  if (body.comment !== undefined && body.comment !== null) {
+    comment = String(body.comment).trim() || null;
+    if (comment && comment.length > COMMENT_MAX_LENGTH) {
+      errors.comment = `Comment must be at most ${COMMENT_MAX_LENGTH} characters`;
+    }
+  }
+
+  return { errors, values: { level, comment } };
+}
+
+// How much one report counts before decay: moderators' word beats the
+// reporter's reputation, and flags scale either down
+function reportWeight(report) {
+  if (report.is_verified) return VERIFIED_WEIGHT;
+  const trust = report.trust === undefined ? 1 : report.trust;
+  return report.flag_reason ? trust * FLAGGED_WEIGHT : trust;
+}
+
+/**
+ * Turn recent reports for one place into an estimate.
+ * @param {{ reported_level: string, age_minutes: number, is_verified: boolean,
+ *   reported_at: Date, trust?: number, flag_reason?: string|null }[]} reports
+ *   - trust is the reporter's weight, 1 when missing
+ * @returns {{ level: string, score: number|null, confidence: string|null,
+ *   report_count: number, last_reported_at: Date|null }}
+ *   score runs from 1 (low) to 4 (very high)
+ */
+function estimateCrowd(reports) {
+  let totalWeight = 0;
+  let weightedSum = 0;
+  let count = 0;
+  let lastReportedAt = null;
+
+  reports.forEach(report => {
+    const value = CROWD_LEVELS.indexOf(report.reported_level) + 1;
+    if (value === 0 || report.age_minutes > STALE_AFTER_MINUTES) return;
+
+    const weight = reportWeight(report)
+      * Math.pow(0.5, Math.max(0, report.age_minutes) / REPORT_HALF_LIFE_MINUTES);
+    totalWeight += weight;
+    weightedSum += weight * value;
+    count++;
+    if (!lastReportedAt || report.reported_at > lastReportedAt) lastReportedAt = report.reported_at;
+  });
+
+  if (totalWeight < MIN_ESTIMATE_WEIGHT) {
+    return { level: 'unknown', score: null, confidence: null, report_count: count, last_reported_at: lastReportedAt };
+  }
+
+  const score = weightedSum / totalWeight;
+  return {
+    level: CROWD_LEVELS[Math.round(score) - 1],
+    score: Math.round(score * 100) / 100,
+    confidence: totalWeight >= CONFIDENT_WEIGHT ? 'high' : 'low',
+    report_count: count,
+    last_reported_at: lastReportedAt
+  };
+}
+
+/**
+ * Current estimates for several places.
+ * @param {string[]} placeIds
+ * @returns {Promise<Map<string, Object>>} place id -> estimateCrowd() result,
+ *   'unknown' for places without recent reports
+ */
+async function loadCrowdEstimates(db, placeIds) {
+  const result = await db.query(`
+    SELECT
+      place_id,
+      user_id,
+      reported_level,
+      reported_at,
+      is_verified,
+      flag_reason,
+      EXTRACT(EPOCH FROM NOW() - reported_at) / 60 as age_minutes
+    FROM reports
+    WHERE place_id = ANY($1)
+    AND reported_at > NOW() - make_interval(mins => $2)
+    AND NOT rejected
+  `, [placeIds, STALE_AFTER_MINUTES]);
+
+  const trust = await loadReporterTrust(db, [...new Set(result.rows.map(row => row.user_id))]);
+  const byPlace = new Map(placeIds.map(placeId => [placeId, []]));
+  result.rows.forEach(row => {
+    byPlace.get(row.place_id).push({
+      ...row,
+      age_minutes: Number(row.age_minutes),
+      trust: trust.has(row.user_id) ? trust.get(row.user_id).trust : 1
+    });
+  });
+
+  return new Map([...byPlace].map(([placeId, reports]) => [placeId, estimateCrowd(reports)]));
+}
+
+async function getCrowdEstimate(db, placeId) {
+  return (await loadCrowdEstimates(db, [placeId])).get(placeId);
+}
+
+// Trust weights of everyone who reported on these places within the profile
+// window, as parallel arrays for the profile queries to join on
+async function loadProfileTrust(db, placeIds) {
+  const reporters = await db.query(`
+    SELECT DISTINCT user_id
+    FROM reports
+    WHERE place_id = ANY($1)
+    AND reported_at > NOW() - make_interval(weeks => $2)
+    AND NOT rejected
+    AND user_id IS NOT NULL
+  `, [placeIds, PROFILE_WEEKS]);
+
+  const userIds = reporters.rows.map(row => row.user_id);
+  const trust = await loadReporterTrust(db, userIds);
+  return { userIds, weights: userIds.map(userId => (trust.has(userId) ? trust.get(userId).trust : 1)) };
+}
+
+// reportWeight() in SQL, for reports aliased r joined to loadProfileTrust()
+// as t; $n is VERIFIED_WEIGHT and $n+1 FLAGGED_WEIGHT
+function reportWeightSql(n) {
+  return `CASE
+    WHEN r.is_verified THEN $${n}::float
+    ELSE COALESCE(t.trust, 1) * CASE WHEN r.flag_reason IS NOT NULL THEN $${n + 1}::float ELSE 1 END
+  END`;
+}
+
+// Describe one hour-of-week bucket; score is the average level from 1 (low) to
+// 4 (very high), weighted like the live estimate
+function profileCell({ day, hour, score, samples }) {
+  let confidence = 'low';
+  if (samples >= PROFILE_CONFIDENT_SAMPLES) confidence = 'high';
+  else if (samples >= 2) confidence = 'medium';
+
+  return {
+    day,
+    hour,
+    level: CROWD_LEVELS[Math.round(score) - 1],
+    score: Math.round(score * 100) / 100,
+    samples,
+    confidence
+  };
+}
+
+/**
+ * How busy a place usually is, by hour of the week.
+ * @returns {Promise<{ weeks: number, time_zone: string, hours: Object[] }>}
+ *   hours only lists buckets with reports; day is 0 (Sunday) to 6 and hour
+ *   0 to 23, both in campus time
+ */
+async function getCrowdProfile(db, placeId) {
+  const trust = await loadProfileTrust(db, [placeId]);
+
+  const result = await db.query(`
+    WITH weighted AS (
+      SELECT
+        r.reported_at AT TIME ZONE $3 as local_time,
+        array_position($4::text[], r.reported_level) as value,
+        ${reportWeightSql(5)} as weight
+      FROM reports r
+      LEFT JOIN unnest($7::uuid[], $8::float[]) AS t(user_id, trust) ON t.user_id = r.user_id
+      WHERE r.place_id = $1
+      AND r.reported_at > NOW() - make_interval(weeks => $2)
+      AND NOT r.rejected
+    )
+    SELECT
+      EXTRACT(DOW FROM local_time)::int as day,
+      EXTRACT(HOUR FROM local_time)::int as hour,
+      SUM(value * weight)::float / SUM(weight) as score,
+      COUNT(*)::int as samples
+    FROM weighted
+    WHERE value IS NOT NULL
+    GROUP BY 1, 2
+    ORDER BY 1, 2
+  `, [
+    placeId,
+    PROFILE_WEEKS,
+    CAMPUS_TIME_ZONE,
+    CROWD_LEVELS,
+    VERIFIED_WEIGHT,
+    FLAGGED_WEIGHT,
+    trust.userIds,
+    trust.weights
+  ]);
+
+  return {
+    weeks: PROFILE_WEEKS,
+    time_zone: CAMPUS_TIME_ZONE,
+    hours: result.rows.map(profileCell)
+  };
+}
+
+/**
+ * How busy several places usually are at the hour of the week of `date`.
+ * @param {string[]} placeIds
+ * @param {Date} date
+ * @returns {Promise<Map<string, { score: number, samples: number }>>} only
+ *   places with reports for that hour
+ */
+async function loadTypicalCrowd(db, placeIds, date) {
+  const trust = await loadProfileTrust(db, placeIds);
+
+  const result = await db.query(`
+    WITH weighted AS (
+      SELECT
+        r.place_id,
+        r.reported_at,
+        array_position($4::text[], r.reported_level) as value,
+        ${reportWeightSql(5)} as weight
+      FROM reports r
+      LEFT JOIN unnest($8::uuid[], $9::float[]) AS t(user_id, trust) ON t.user_id = r.user_id
+      WHERE r.place_id = ANY($1)
+      AND r.reported_level = ANY($4::text[])
+      AND r.reported_at > NOW() - make_interval(weeks => $2)
+      AND NOT r.rejected
+    )
+    SELECT
+      place_id,
+      SUM(value * weight)::float / SUM(weight) as score,
+      COUNT(*)::int as samples
+    FROM weighted
+    WHERE EXTRACT(DOW FROM reported_at AT TIME ZONE $3) = EXTRACT(DOW FROM $7::timestamptz AT TIME ZONE $3)
+    AND EXTRACT(HOUR FROM reported_at AT TIME ZONE $3) = EXTRACT(HOUR FROM $7::timestamptz AT TIME ZONE $3)
+    GROUP BY place_id
+  `, [
+    placeIds,
+    PROFILE_WEEKS,
+    CAMPUS_TIME_ZONE,
+    CROWD_LEVELS,
+    VERIFIED_WEIGHT,
+    FLAGGED_WEIGHT,
+    date,
+    trust.userIds,
+    trust.weights
+  ]);
+
+  return new Map(result.rows.map(row => [row.place_id, { score: row.score, samples: row.samples }]));
+}
+
+/**
+ * Record a crowd report, unless the user is reporting too often. Reports sent
+ * from RAPID_FIRE_PLACES other places within the cooldown are kept but
+ * flagged 'rapid_fire'.
+ * @param {{ level: string, comment: string|null }} values - From validateReport
+ * @returns {Promise<{ report: Object }|{ status: number, error: string,
+ *   retryAfter?: number }>} retryAfter is in seconds
+ */
+async function submitReport(db, userId, placeId, values) {
+  const recent = await db.query(`
+    SELECT
+      COUNT(*)::int as count,
+      MAX(reported_at) FILTER (WHERE place_id = $2) as last_here,
+      COUNT(DISTINCT place_id) FILTER (WHERE reported_at > NOW() - make_interval(mins => $3))::int as recent_places
+    FROM reports
+    WHERE user_id = $1 AND reported_at > NOW() - INTERVAL '1 hour'
+  `, [userId, placeId, REPORT_COOLDOWN_MINUTES]);
+  const { count, last_here: lastHere, recent_places: recentPlaces } = recent.rows[0];
+
+  if (lastHere) {
+    const wait = REPORT_COOLDOWN_MINUTES * 60 - Math.floor((Date.now() - new Date(lastHere)) / 1000);
+    if (wait > 0) {
+      return {
+        status: 429,
+        error: `You reported this place recently. Try again in ${Math.ceil(wait / 60)} minute(s).`,
+        retryAfter: wait
+      };
+    }
+  }
+  if (count >= MAX_REPORTS_PER_HOUR) {
+    return { status: 429, error: 'You have sent a lot of reports. Please try again later.', retryAfter: 60 * 60 };
+  }
+
+  const result = await db.query(`
+    INSERT INTO reports (user_id, place_id, reported_level, comment, flag_reason)
+    SELECT $1, place_id, $3, $4, $5 FROM places WHERE place_id = $2
+    RETURNING report_id, place_id, reported_level, comment, reported_at, is_verified, flag_reason
+  `, [userId, placeId, values.level, values.comment, recentPlaces >= RAPID_FIRE_PLACES ? 'rapid_fire' : null]);
+
+  if (result.rows.length === 0) {
+    return { status: 404, error: 'Place not found' };
+  }
+  return { report: result.rows[0] };
+}
+
+module.exports = {
+  CROWD_LEVELS,
+  validateReport,
+  estimateCrowd,
+  loadCrowdEstimates,
+  getCrowdEstimate,
+  profileCell,
+  getCrowdProfile,
+  loadTypicalCrowd,
+  submitReport
+};
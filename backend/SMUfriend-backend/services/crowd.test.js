@@ -0,0 +1,51 @@
+const { validateReport, estimateCrowd, profileCell } = require('./crowd');
+
+const at = new Date('2026-10-19T04:00:00Z');
+const report = (level, overrides = {}) => ({ reported_level: level, age_minutes: 0, is_verified: false, reported_at: at, ...overrides });
+
+describe('validateReport', () => {
+  test('accepts a level in any case and an optional comment', () => {
+    expect(validateReport({ level: ' HIGH ', comment: '  queue out the door ' })).toEqual({
+      errors: {},
+      values: { level: 'high', comment: 'queue out the door' }
+    });
+  });
+
+  test('rejects unknown levels and long comments', () => {
+    expect(Object.keys(validateReport({ level: 'rammed', comment: 'x'.repeat(281) }).errors)).toEqual(['level', 'comment']);
+  });
+});
+
+describe('estimateCrowd', () => {
+  test('is unknown without enough recent weight', () => {
+    expect(estimateCrowd([])).toMatchObject({ level: 'unknown', score: null, report_count: 0 });
+    expect(estimateCrowd([report('high', { age_minutes: 100 })])).toMatchObject({ level: 'unknown', report_count: 0 });
+    expect(estimateCrowd([report('high', { age_minutes: 31 })])).toMatchObject({ level: 'unknown', report_count: 1 });
+  });
+
+  test('weights fresher reports more', () => {
+    const estimate = estimateCrowd([report('low'), report('very_high', { age_minutes: 15 })]);
+    expect(estimate.score).toBe(2); // (1 * 1 + 4 * 0.5) / 1.5
+    expect(estimate.level).toBe('medium');
+  });
+
+  test('trusts verified reports and distrusts flagged ones', () => {
+    expect(estimateCrowd([report('low', { is_verified: true }), report('very_high')]).level).toBe('medium');
+    expect(estimateCrowd([report('low'), report('very_high', { flag_reason: 'outlier' })]).level).toBe('medium');
+    expect(estimateCrowd([report('low', { trust: 2 }), report('very_high', { trust: 0.25 })]).level).toBe('low');
+  });
+
+  test('is confident once enough weight has been reported', () => {
+    expect(estimateCrowd([report('high'), report('high'), report('high')]).confidence).toBe('high');
+    expect(estimateCrowd([report('high')]).confidence).toBe('low');
+  });
+});
+
+describe('profileCell', () => {
+  test('rates confidence by the number of samples', () => {
+    expect(profileCell({ day: 1, hour: 12, score: 3.4, samples: 5 })).toEqual({
+      day: 1, hour: 12, level: 'high', score: 3.4, samples: 5, confidence: 'high'
+    });
+    expect(profileCell({ day: 1, hour: 12, score: 1, samples: 1 }).confidence).toBe('low');
+  });
+});
@@ -0,0 +1,80 @@
+// services/crowdUpdates.js - Throttled live crowd estimates for subscribers
+//
+// Every new report marks its place as changed. The first change is pushed
+// straight away; further changes within the throttle window are collapsed
+// into one update at the end of it, so a burst of reports costs one
+// recomputation and one message per subscriber.
+const { loadCrowdEstimates } = require('./crowd');
+
+const DEFAULT_THROTTLE_MS = 5 * 1000;
+
+/**
+ * Current estimates for one place, or for every place in a building.
+ * @param {{ placeId?: string, buildingId?: string }} target
+ * @returns {Promise<{ place_id: string, building_id: string, crowd: Object }[]>}
+ */
+async function loadCrowdUpdates(db, { placeId, buildingId }) {
+  const result = await db.query(`
+    SELECT place_id, building_id
+    FROM places
+    WHERE ${placeId ? 'place_id' : 'building_id'} = $1
+  `, [placeId || buildingId]);
+
+  const estimates = await loadCrowdEstimates(db, result.rows.map(row => row.place_id));
+  return result.rows.map(row => ({
+    place_id: row.place_id,
+    building_id: row.building_id,
+    crowd: estimates.get(row.place_id)
+  }));
+}
+
+/**
+ * @param {Pool} pool
+ * @param {Function} onUpdate - Called with { place_id, building_id, crowd }
+ *   for each pushed estimate
+ * @param {number} [throttleMs] - At most one update per place per window
+ */
+function createCrowdBroadcaster(pool, onUpdate, throttleMs = DEFAULT_THROTTLE_MS) {
+  // place id -> { sentAt, timer }; bounded by the size of the catalogue
+  const places = new Map();
+
+  async function send(placeId) {
+    const state = places.get(placeId);
+    state.timer = null;
+    state.sentAt = Date.now();
+
+    try {
+      const [update] = await loadCrowdUpdates(pool, { placeId });
+      if (update) onUpdate(update);
+    } catch (error) {
+      console.error('Error sending crowd update:', error);
+    }
+  }
+
+  function placeChanged(placeId) {
+    const state = places.get(placeId) || { sentAt: 0, timer: null };
+    places.set(placeId, state);
+    if (state.timer) return;
+
+    const wait = state.sentAt + throttleMs - Date.now();
+    if (wait <= 0) {
+      send(placeId);
+    } else {
+      state.timer = setTimeout(() => send(placeId), wait);
+      state.timer.unref();
+    }
+  }
+
+  return {
+    placeChanged,
+    stop() {
+      places.forEach(state => clearTimeout(state.timer));
+      places.clear();
+    }
+  };
+}
+
+module.exports = {
+  loadCrowdUpdates,
+  createCrowdBroadcaster
+};
@@ -0,0 +1,70 @@
+// services/favourites.js - Partners a user would like to meet again
+//
+// Marking someone is one-sided and private; the matcher only prefers a pair
+// when both users marked each other and one of their requests asks for it
+// (prefer_favourites).
+
+/**
+ * The users this user marked as favourites.
+ * @returns {Promise<Object[]>} most recently added first
+ */
+async function listFavourites(db, userId) {
+  const result = await db.query(`
+    SELECT
+      u.user_id,
+      u.display_name,
+      u.avatar_url,
+      EXISTS (
+        SELECT 1 FROM favourite_partners back
+        WHERE back.user_id = f.favourite_user_id AND back.favourite_user_id = f.user_id
+      ) as mutual,
+      f.created_at
+    FROM favourite_partners f
+    JOIN users u ON u.user_id = f.favourite_user_id
+    WHERE f.user_id = $1
+    ORDER BY f.created_at DESC
+  `, [userId]);
+  return result.rows;
+}
+
+/**
+ * Mark a previous partner as a favourite. Only people the user has actually
+ * been matched with (a confirmed or completed match) can be marked.
+ * @returns {Promise<{ favourite: Object }|{ status: number, error: string }>}
+ */
+async function addFavourite(db, userId, partnerId) {
+  const result = await db.query(`
+    INSERT INTO favourite_partners (user_id, favourite_user_id)
+    SELECT $1, $2
+    WHERE EXISTS (
+      SELECT 1
+      FROM matches m
+      JOIN requests ra ON ra.request_id = m.request_a_id
+      JOIN requests rb ON rb.request_id = m.request_b_id
+      WHERE m.status IN ('active', 'completed')
+      AND ((ra.user_id = $1 AND rb.user_id = $2) OR (ra.user_id = $2 AND rb.user_id = $1))
+    )
+    ON CONFLICT (user_id, favourite_user_id) DO UPDATE SET created_at = favourite_partners.created_at
+    RETURNING favourite_user_id as user_id, created_at
+  `, [userId, partnerId]);
+
+  if (result.rows.length === 0) {
+    return { status: 400, error: 'You can only favourite people you have been matched with' };
+  }
+  return { favourite: result.rows[0] };
+}
+
+// Returns whether there was anything to remove
+async function removeFavourite(db, userId, partnerId) {
+  const result = await db.query(`
+    DELETE FROM favourite_partners
+    WHERE user_id = $1 AND favourite_user_id = $2
+  `, [userId, partnerId]);
+  return result.rowCount > 0;
+}
+
+module.exports = {
+  listFavourites,
+  addFavourite,
+  removeFavourite
+};
@@ -0,0 +1,190 @@
+// services/feedback.js - Post-meetup feedback and reliability scores
+//
+// Each user can leave one piece of feedback on their partner per completed
+// match. Feedback is private: the comment is only ever shown to its author,
+// and the person it is about only sees their aggregate reliability score.
+const { getMatch } = require('./matches');
+
+const COMMENT_MAX_LENGTH = 500;
+
+// Feedback can be left (and changed) for this long after the meetup completes
+const FEEDBACK_WINDOW_DAYS = 7;
+
+// Only the most recent feedback counts, so people can recover from a bad patch
+const RELIABILITY_RECENT_FEEDBACK = 20;
+
+// Everyone starts as if they had shown up this many times, so one no-show
+// doesn't sink a new user's score
+const RELIABILITY_PRIOR = 2;
+
+// Users only see their own score once enough partners have left feedback
+// that no single one can be picked out from it
+const SUMMARY_MIN_FEEDBACK = 3;
+
+const FEEDBACK_COLUMNS = `
+  match_id,
+  showed_up,
+  rating,
+  comment,
+  created_at,
+  updated_at
+`;
+
+/**
+ * Validate a feedback form.
+ * @param {Object} body - { showed_up, rating, comment }
+ * @returns {{ errors: Object<string, string>, values: Object }}
+ */
+function validateFeedback(body = {}) {
+  const errors = {};
+
+  const showedUp = typeof body.showed_up === 'boolean' ? body.showed_up : null;
+  if (showedUp === null) {
+    errors.showed_up = 'Please say whether your buddy showed up';
+  }
+
+  // A rating is optional and only makes sense if you actually met
+  let rating = null;
+  if (body.rating !== undefined && body.rating !== null && body.rating !== '') {
+    rating = Number(body.rating);
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      errors.rating = 'Rating must be between 1 and 5';
+    } else if (showedUp === false) {
+      errors.rating = 'You can only rate a meetup that happened';
+    }
+  }
+
+  let comment = null;
+  if (body.comment !== undefined && body.comment !== null) {
+    comment = typeof body.comment === 'string' ? body.comment.trim() : '';
+    if (comment.length > COMMENT_MAX_LENGTH) {
+      errors.comment = `Comment must be at most ${COMMENT_MAX_LENGTH} characters`;
+    }
+    comment = comment || null;
+  }
+
+  return { errors, values: { showedUp, rating, comment } };
+}
+
+/**
+ * Leave or update feedback on the partner in a completed match.
+ * @param {Object} values - From validateFeedback
+ * @returns {Promise<{ feedback: Object }|{ status: number, error: string }>}
+ */
+async function submitFeedback(db, matchId, userId, values) {
+  const match = await getMatch(db, matchId, userId);
+  if (!match) {
+    return { status: 404, error: 'Match not found' };
+  }
+  if (match.status !== 'completed' || new Date(match.meeting_date) > new Date()) {
+    return { status: 409, error: 'Feedback can only be left once the meetup is over' };
+  }
+
+  // Matches completed before completeMatch waited for the meeting time can't
+  // be used to file a no-show either
+  const result = await db.query(`
+    INSERT INTO match_feedback (match_id, from_user_id, to_user_id, showed_up, rating, comment)
+    SELECT $1, $2, $3, $4, $5, $6
+    FROM matches m
+    JOIN requests ra ON ra.request_id = m.request_a_id
+    JOIN requests rb ON rb.request_id = m.request_b_id
+    WHERE m.match_id = $1
+    AND m.completed_at > NOW() - make_interval(days => $7)
+    AND GREATEST(ra.meeting_date, rb.meeting_date) < NOW()
+    ON CONFLICT (match_id, from_user_id) DO UPDATE
+    SET showed_up = EXCLUDED.showed_up,
+        rating = EXCLUDED.rating,
+        comment = EXCLUDED.comment,
+        updated_at = NOW()
+    RETURNING ${FEEDBACK_COLUMNS}
+  `, [
+    matchId,
+    userId,
+    match.partner_id,
+    values.showedUp,
+    values.rating,
+    values.comment,
+    FEEDBACK_WINDOW_DAYS
+  ]);
+
+  if (result.rows.length === 0) {
+    return { status: 409, error: `Feedback closes ${FEEDBACK_WINDOW_DAYS} days after the meetup` };
+  }
+  return { feedback: result.rows[0] };
+}
+
+// The feedback the user left on a match, or null
+async function getOwnFeedback(db, matchId, userId) {
+  const result = await db.query(`
+    SELECT ${FEEDBACK_COLUMNS}
+    FROM match_feedback
+    WHERE match_id = $1 AND from_user_id = $2
+  `, [matchId, userId]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Share of meetups a user showed up to, smoothed towards 1 for users with
+ * little feedback.
+ * @param {{ shows: number, total: number }} counts
+ * @returns {number} between 0 and 1
+ */
+function reliabilityScore({ shows, total }) {
+  return (shows + RELIABILITY_PRIOR) / (total + RELIABILITY_PRIOR);
+}
+
+// Recent feedback about each user, counted
+async function countRecentFeedback(db, userIds) {
+  const result = await db.query(`
+    SELECT
+      to_user_id as user_id,
+      COUNT(*) FILTER (WHERE showed_up)::int as shows,
+      COUNT(*)::int as total,
+      AVG(rating)::float as average_rating
+    FROM (
+      SELECT *, ROW_NUMBER() OVER (PARTITION BY to_user_id ORDER BY created_at DESC) as recency
+      FROM match_feedback
+      WHERE to_user_id = ANY($1)
+    ) recent
+    WHERE recency <= $2
+    GROUP BY to_user_id
+  `, [userIds, RELIABILITY_RECENT_FEEDBACK]);
+  return result.rows;
+}
+
+/**
+ * Reliability scores for the matcher.
+ * @param {string[]} userIds
+ * @returns {Promise<Map<string, number>>} users without feedback are left out
+ */
+async function loadReliability(db, userIds) {
+  const counts = await countRecentFeedback(db, userIds);
+  return new Map(counts.map(row => [row.user_id, reliabilityScore(row)]));
+}
+
+/**
+ * A user's own reliability summary.
+ * @returns {Promise<{ score: number|null, feedback_count: number,
+ *   average_rating: number|null }>} score and average_rating are null until
+ *   there are SUMMARY_MIN_FEEDBACK pieces of feedback
+ */
+async function getReliabilitySummary(db, userId) {
+  const [counts] = await countRecentFeedback(db, [userId]);
+  const { shows, total, average_rating } = counts || { shows: 0, total: 0, average_rating: null };
+  const enough = total >= SUMMARY_MIN_FEEDBACK;
+
+  return {
+    score: enough ? reliabilityScore({ shows, total }) : null,
+    feedback_count: total,
+    average_rating: enough ? average_rating : null
+  };
+}
+
+module.exports = {
+  validateFeedback,
+  submitFeedback,
+  getOwnFeedback,
+  reliabilityScore,
+  loadReliability,
+  getReliabilitySummary
+};
@@ -0,0 +1,166 @@
+const {
+  validateFeedback,
+  submitFeedback,
+  reliabilityScore,
+  loadReliability,
+  getReliabilitySummary
+} = require('./feedback');
+
+const HOUR = 60 * 60 * 1000;
+
+// Answers getMatch with `match` and the feedback insert with `saved` (an
+// empty result is what the database gives once the window has closed)
+function fakeDb({ match = null, saved = [], counts = [] } = {}) {
+  const queries = [];
+  return {
+    queries,
+    query: async (sql, params) => {
+      queries.push({ sql, params });
+      if (sql.includes('INSERT INTO match_feedback')) return { rows: saved };
+      if (sql.includes('ROW_NUMBER()')) return { rows: counts };
+      return { rows: match ? [match] : [] };
+    }
+  };
+}
+
+describe('validateFeedback', () => {
+  test('accepts a showed-up answer with a rating and comment', () => {
+    expect(validateFeedback({ showed_up: true, rating: '4', comment: '  Great chat  ' })).toEqual({
+      errors: {},
+      values: { showedUp: true, rating: 4, comment: 'Great chat' }
+    });
+  });
+
+  test('only needs showed_up', () => {
+    expect(validateFeedback({ showed_up: false })).toEqual({
+      errors: {},
+      values: { showedUp: false, rating: null, comment: null }
+    });
+  });
+
+  test('requires showed_up to be a boolean', () => {
+    expect(validateFeedback({}).errors.showed_up).toBeDefined();
+    expect(validateFeedback({ showed_up: 'yes' }).errors.showed_up).toBeDefined();
+  });
+
+  test.each([0, 6, 3.5, 'great'])('rejects a rating of %p', (rating) => {
+    expect(validateFeedback({ showed_up: true, rating }).errors.rating).toBe('Rating must be between 1 and 5');
+  });
+
+  test('treats an empty rating as no rating', () => {
+    expect(validateFeedback({ showed_up: true, rating: '' }).values.rating).toBeNull();
+  });
+
+  test('refuses a rating for a no-show', () => {
+    expect(validateFeedback({ showed_up: false, rating: 5 }).errors.rating)
+      .toBe('You can only rate a meetup that happened');
+  });
+
+  test('limits the comment length and drops blank comments', () => {
+    expect(validateFeedback({ showed_up: true, comment: 'x'.repeat(501) }).errors.comment).toBeDefined();
+    expect(validateFeedback({ showed_up: true, comment: '   ' }).values.comment).toBeNull();
+  });
+});
+
+describe('submitFeedback', () => {
+  const values = { showedUp: false, rating: null, comment: null };
+  const completed = (overrides = {}) => ({
+    match_id: 'match-1',
+    status: 'completed',
+    meeting_date: new Date(Date.now() - HOUR),
+    partner_id: 'user-b',
+    ...overrides
+  });
+
+  test('saves feedback about the partner once the meetup is over', async () => {
+    const feedback = { match_id: 'match-1', showed_up: false };
+    const db = fakeDb({ match: completed(), saved: [feedback] });
+
+    expect(await submitFeedback(db, 'match-1', 'user-a', values)).toEqual({ feedback });
+    expect(db.queries[1].params.slice(0, 4)).toEqual(['match-1', 'user-a', 'user-b', false]);
+  });
+
+  test('refuses before the meeting time, even for a completed match', async () => {
+    const db = fakeDb({ match: completed({ meeting_date: new Date(Date.now() + HOUR) }) });
+
+    expect(await submitFeedback(db, 'match-1', 'user-a', values)).toEqual({
+      status: 409,
+      error: 'Feedback can only be left once the meetup is over'
+    });
+    expect(db.queries).toHaveLength(1);
+  });
+
+  test.each(['proposed', 'active', 'cancelled'])('refuses a match that is %s', async (status) => {
+    const db = fakeDb({ match: completed({ status }) });
+
+    expect((await submitFeedback(db, 'match-1', 'user-a', values)).status).toBe(409);
+    expect(db.queries).toHaveLength(1);
+  });
+
+  test('answers 404 for a match the user is not in', async () => {
+    expect(await submitFeedback(fakeDb(), 'match-1', 'user-a', values))
+      .toEqual({ status: 404, error: 'Match not found' });
+  });
+
+  test('says when the feedback window has closed', async () => {
+    const db = fakeDb({ match: completed(), saved: [] });
+
+    expect(await submitFeedback(db, 'match-1', 'user-a', values))
+      .toEqual({ status: 409, error: 'Feedback closes 7 days after the meetup' });
+  });
+});
+
+describe('reliabilityScore', () => {
+  test('starts new users at 1', () => {
+    expect(reliabilityScore({ shows: 0, total: 0 })).toBe(1);
+  });
+
+  test("doesn't let one no-show sink a new user", () => {
+    expect(reliabilityScore({ shows: 0, total: 1 })).toBeCloseTo(2 / 3);
+  });
+
+  test('approaches the share of meetups shown up to', () => {
+    expect(reliabilityScore({ shows: 10, total: 20 })).toBeCloseTo(12 / 22);
+    expect(reliabilityScore({ shows: 20, total: 20 })).toBe(1);
+  });
+});
+
+describe('loadReliability', () => {
+  test('scores the users that have feedback', async () => {
+    const db = fakeDb({ counts: [{ user_id: 'user-a', shows: 3, total: 4, average_rating: 4 }] });
+    const scores = await loadReliability(db, ['user-a', 'user-b']);
+
+    expect([...scores.keys()]).toEqual(['user-a']);
+    expect(scores.get('user-a')).toBeCloseTo(5 / 6);
+  });
+});
+
+describe('getReliabilitySummary', () => {
+  test('hides the score until there is enough feedback', async () => {
+    const db = fakeDb({ counts: [{ user_id: 'user-a', shows: 2, total: 2, average_rating: 5 }] });
+
+    expect(await getReliabilitySummary(db, 'user-a')).toEqual({
+      score: null,
+      feedback_count: 2,
+      average_rating: null
+    });
+  });
+
+  test('shows the score and average rating after three pieces of feedback', async () => {
+    const db = fakeDb({ counts: [{ user_id: 'user-a', shows: 2, total: 3, average_rating: 4.5 }] });
+
+    expect(await getReliabilitySummary(db, 'user-a')).toEqual({
+      score: 0.8,
+      feedback_count: 3,
+      average_rating: 4.5
+    });
+  });
+
+  test('copes with a user nobody has left feedback on', async () => {
+    expect(await getReliabilitySummary(fakeDb(), 'user-a')).toEqual({
+      score: null,
+      feedback_count: 0,
+      average_rating: null
+    });
+  });
+});
@@ -0,0 +1,300 @@
+// services/groups.js - Group meals: tables of 3-6 people sharing a chat
+//
+// The matcher forms groups and adds newcomers to open ones. Membership is
+// tracked twice: requests.group_id says which group a request was placed in,
+// and the group conversation's participants record when each person joined
+// and left.
+const { addSystemMessage } = require('./conversations');
+const { describeMeetup } = require('./matches');
+
+const ACTIVE_MEMBERS_MIN = 2; // a group with fewer people left is called off
+
+const nameOf = (member) => member.display_name || 'Someone';
+
+/**
+ * Create a group for the given candidates, with its conversation.
+ * @param {PoolClient} db - Inside a transaction
+ * @param {Object[]} members - Candidates (see matchScoring)
+ * @returns {Promise<{ group_id, conversation_id, activity_type, meeting_date }>}
+ */
+async function createGroup(db, members) {
+  const meetingDate = new Date(Math.max(...members.map(member => new Date(member.meeting_date))));
+  const maxSize = Math.min(...members.map(member => member.group_size));
+
+  const created = await db.query(`
+    INSERT INTO meal_groups (activity_type, meeting_date, max_size)
+    VALUES ($1, $2, $3)
+    RETURNING group_id, activity_type, meeting_date
+  `, [members[0].activity_type, meetingDate, maxSize]);
+  const group = created.rows[0];
+
+  await db.query(`
+    UPDATE requests
+    SET status = 'matched', group_id = $2
+    WHERE request_id = ANY($1)
+  `, [members.map(member => member.request_id), group.group_id]);
+
+  const conversation = await db.query(`
+    INSERT INTO conversations (conversation_type, group_id)
+    VALUES ('group', $1)
+    RETURNING conversation_id
+  `, [group.group_id]);
+  group.conversation_id = conversation.rows[0].conversation_id;
+
+  await db.query(`
+    INSERT INTO conversation_participants (conversation_id, user_id)
+    SELECT $1, unnest($2::UUID[])
+  `, [group.conversation_id, members.map(member => member.user_id)]);
+
+  await addSystemMessage(
+    db,
+    group.conversation_id,
+    `${describeMeetup(group.activity_type, group.meeting_date)} with ${members.map(nameOf).join(', ')}. Say hi!`,
+    { event: 'group_formed', activity_type: group.activity_type, meeting_date: group.meeting_date }
+  );
+
+  return group;
+}
+
+/**
+ * Add a candidate to an open group (see the matcher's loadOpenGroups).
+ * @param {PoolClient} db - Inside a transaction holding the group's lock
+ */
+async function addToGroup(db, group, candidate) {
+  await db.query(`
+    UPDATE requests
+    SET status = 'matched', group_id = $2
+    WHERE request_id = $1
+  `, [candidate.request_id, group.group_id]);
+
+  await db.query(`
+    UPDATE meal_groups SET max_size = LEAST(max_size, $2) WHERE group_id = $1
+  `, [group.group_id, candidate.group_size]);
+
+  // Someone who left earlier and asks again gets back in
+  await db.query(`
+    INSERT INTO conversation_participants (conversation_id, user_id)
+    VALUES ($1, $2)
+    ON CONFLICT (conversation_id, user_id)
+    DO UPDATE SET joined_at = NOW(), left_at = NULL
+  `, [group.conversation_id, candidate.user_id]);
+
+  await addSystemMessage(
+    db,
+    group.conversation_id,
+    `${nameOf(candidate)} joined the table.`,
+    { event: 'member_joined', user_id: candidate.user_id }
+  );
+}
+
+// user IDs of everyone still in the group's conversation
+async function listActiveMemberIds(db, groupId) {
+  const result = await db.query(`
+    SELECT cp.user_id
+    FROM conversations c
+    JOIN conversation_participants cp ON cp.conversation_id = c.conversation_id
+    WHERE c.group_id = $1 AND cp.left_at IS NULL
+  `, [groupId]);
+  return result.rows.map(row => row.user_id);
+}
+
+/**
+ * A group as seen by one of its (current or former) members.
+ * @returns {Promise<Object|null>} null if the group doesn't exist or they were
+ *   never in it
+ */
+async function getGroup(db, groupId, userId) {
+  const result = await db.query(`
+    SELECT
+      g.group_id,
+      g.activity_type,
+      g.meeting_date,
+      g.max_size,
+      g.status,
+      c.conversation_id,
+      json_agg(json_build_object(
+        'uid', u.user_id,
+        'name', u.display_name,
+        'avatar_url', u.avatar_url,
+        'joined_at', cp.joined_at,
+        'left_at', cp.left_at
+      ) ORDER BY cp.joined_at) as members
+    FROM meal_groups g
+    JOIN conversations c ON c.group_id = g.group_id
+    JOIN conversation_participants cp ON cp.conversation_id = c.conversation_id
+    JOIN users u ON u.user_id = cp.user_id
+    WHERE g.group_id = $1
+    GROUP BY g.group_id, c.conversation_id
+    HAVING bool_or(cp.user_id = $2)
+  `, [groupId, userId]);
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Leave a group. The user's request is cancelled; once fewer than two people
+ * remain the group is called off and their requests go back to pending.
+ * @returns {Promise<{ group?: Object, notifyUserIds?: string[], status?: number,
+ *   error?: string }>}
+ */
+async function leaveGroup(pool, groupId, userId) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const locked = await client.query(`
+      SELECT g.group_id, g.status, c.conversation_id
+      FROM meal_groups g
+      JOIN conversations c ON c.group_id = g.group_id
+      WHERE g.group_id = $1
+      FOR UPDATE OF g
+    `, [groupId]);
+    const group = locked.rows[0];
+
+    const left = group && await client.query(`
+      UPDATE conversation_participants
+      SET left_at = NOW()
+      WHERE conversation_id = $1 AND user_id = $2 AND left_at IS NULL
+      RETURNING user_id
+    `, [group.conversation_id, userId]);
+
+    if (!left || left.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return { status: 404, error: 'You are not in this group' };
+    }
+
+    await client.query(`
+      UPDATE requests
+      SET status = 'cancelled'
+      WHERE group_id = $1 AND user_id = $2 AND status = 'matched'
+    `, [groupId, userId]);
+
+    const user = await client.query('SELECT display_name FROM users WHERE user_id = $1', [userId]);
+    await addSystemMessage(
+      client,
+      group.conversation_id,
+      `${nameOf(user.rows[0] || {})} left the table.`,
+      { event: 'member_left', user_id: userId }
+    );
+
+    const remaining = await listActiveMemberIds(client, groupId);
+    if (group.status === 'active' && remaining.length < ACTIVE_MEMBERS_MIN) {
+      await client.query(`
+        UPDATE meal_groups SET status = 'cancelled' WHERE group_id = $1
+      `, [groupId]);
+
+      // Whoever is left goes back to looking for a buddy for the same slot
+      await client.query(`
+        UPDATE requests
+        SET status = 'pending', group_id = NULL
+        WHERE group_id = $1 AND status = 'matched'
+      `, [groupId]);
+
+      await addSystemMessage(
+        client,
+        group.conversation_id,
+        'Not enough people are left, so this table is called off. Your request is back in the queue.',
+        { event: 'group_cancelled' }
+      );
+    }
+
+    await client.query('COMMIT');
+    return { group: await getGroup(pool, groupId, userId), notifyUserIds: [userId, ...remaining] };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Messages in a group conversation, with each sender's name. Former members
+ * only see what was posted before they left.
+ * @returns {Promise<Object[]|null>} null if the user was never in the group
+ */
+async function getGroupMessages(db, groupId, userId) {
+  const membership = await db.query(`
+    SELECT c.conversation_id, cp.left_at
+    FROM conversations c
+    JOIN conversation_participants cp ON cp.conversation_id = c.conversation_id
+    WHERE c.group_id = $1 AND cp.user_id = $2
+  `, [groupId, userId]);
+
+  if (membership.rows.length === 0) return null;
+
+  const result = await db.query(`
+    SELECT
+      m.message_id as id,
+      m.sender_id as from,
+      u.display_name as "senderName",
+      m.message_text as message,
+      m.message_type as type,
+      m.sent_at as timestamp,
+      m.delivery_status as status
+    FROM messages m
+    LEFT JOIN users u ON u.user_id = m.sender_id
+    WHERE m.conversation_id = $1
+    AND m.deleted_at IS NULL
+    AND ($2::timestamptz IS NULL OR m.sent_at <= $2)
+    ORDER BY m.sent_at ASC
+  `, [membership.rows[0].conversation_id, membership.rows[0].left_at]);
+
+  return result.rows;
+}
+
+/**
+ * Post a message to an active group the sender is currently in.
+ * @param {Object} message - { id, message, timestamp }
+ * @returns {Promise<{ message: Object, recipientIds: string[] }
+ *   |{ status: number, error: string }|null>} null if the sender isn't in the
+ *   group
+ */
+async function sendGroupMessage(db, groupId, senderId, { id, message, timestamp }) {
+  const membership = await db.query(`
+    SELECT c.conversation_id, u.display_name, g.status
+    FROM conversations c
+    JOIN meal_groups g ON g.group_id = c.group_id
+    JOIN conversation_participants cp ON cp.conversation_id = c.conversation_id
+    JOIN users u ON u.user_id = cp.user_id
+    WHERE c.group_id = $1 AND cp.user_id = $2 AND cp.left_at IS NULL
+  `, [groupId, senderId]);
+
+  if (membership.rows.length === 0) return null;
+  const { conversation_id: conversationId, display_name: senderName, status } = membership.rows[0];
+
+  if (status !== 'active') {
+    return {
+      status: 409,
+      error: status === 'cancelled' ? 'This group meal was called off' : 'This group meal is over'
+    };
+  }
+
+  const result = await db.query(`
+    INSERT INTO messages (message_id, conversation_id, sender_id, message_text, sent_at, delivery_status)
+    VALUES (COALESCE($1, uuid_generate_v4()), $2, $3, $4, COALESCE($5, NOW()), 'sent')
+    RETURNING
+      message_id as id,
+      sender_id as from,
+      message_text as message,
+      sent_at as timestamp,
+      'sent' as status
+  `, [id || null, conversationId, senderId, message, timestamp || null]);
+
+  const recipientIds = (await listActiveMemberIds(db, groupId)).filter(userId => userId !== senderId);
+
+  return {
+    message: { ...result.rows[0], groupId, senderName },
+    recipientIds
+  };
+}
+
+module.exports = {
+  createGroup,
+  addToGroup,
+  getGroup,
+  leaveGroup,
+  getGroupMessages,
+  sendGroupMessage
+};
@@ -0,0 +1,13 @@
+// services/ids.js - Checks on the UUIDs used as primary keys
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Anything that isn't a UUID can't be a row, and would make Postgres throw
+// rather than find nothing
+function isUuid(value) {
+  return typeof value === 'string' && UUID_PATTERN.test(value);
+}
+
+module.exports = {
+  isUuid
+};
@@ -0,0 +1,87 @@
+// services/interestTags.js - Canonical vocabulary for interest tags
+//
+// Interests are stored as normalised tags in interests.description. Known
+// synonyms are merged into one canonical tag ("bball" -> "basketball") so
+// matching and icebreakers can compare them directly.
+
+const TAG_MIN_LENGTH = 2;
+const TAG_MAX_LENGTH = 40;
+
+// Tags suggested even before anyone has used them
+const CANONICAL_TAGS = [
+  'art', 'badminton', 'baking', 'basketball', 'board games', 'bubble tea',
+  'chess', 'climbing', 'coding', 'coffee', 'consulting', 'cooking',
+  'cycling', 'dance', 'debate', 'design', 'entrepreneurship', 'fashion',
+  'film', 'finance', 'food', 'football', 'gaming', 'guitar', 'gym',
+  'hiking', 'investing', 'k-pop', 'anime', 'languages', 'music', 'pets',
+  'photography', 'piano', 'reading', 'running', 'singing', 'swimming',
+  'table tennis', 'tennis', 'travel', 'volleyball', 'volunteering',
+  'writing', 'yoga'
+];
+
+// Normalised synonym -> canonical tag
+const SYNONYMS = {
+  'bball': 'basketball',
+  'b-ball': 'basketball',
+  'hoops': 'basketball',
+  'soccer': 'football',
+  'ping pong': 'table tennis',
+  'pingpong': 'table tennis',
+  'workout': 'gym',
+  'gymming': 'gym',
+  'fitness': 'gym',
+  'weightlifting': 'gym',
+  'jogging': 'running',
+  'bouldering': 'climbing',
+  'kpop': 'k-pop',
+  'video games': 'gaming',
+  'videogames': 'gaming',
+  'boardgames': 'board games',
+  'movies': 'film',
+  'films': 'film',
+  'cinema': 'film',
+  'programming': 'coding',
+  'software': 'coding',
+  'boba': 'bubble tea',
+  'bbt': 'bubble tea',
+  'foodie': 'food',
+  'stocks': 'investing',
+  'photog': 'photography',
+  'hike': 'hiking',
+  'swim': 'swimming',
+  'biking': 'cycling',
+  'books': 'reading',
+  'startups': 'entrepreneurship'
+};
+
+/**
+ * Turn user input into a canonical tag.
+ * @param {string} input - e.g. "  BBall "
+ * @returns {string|null} e.g. "basketball", or null if the input can't be a tag
+ */
+function normalizeTag(input) {
+  if (typeof input !== 'string') return null;
+
+  const tag = input
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s&+#-]/gu, '')
+    .replace(/[\s_]+/g, ' ')
+    .trim();
+
+  if (tag.length < TAG_MIN_LENGTH || tag.length > TAG_MAX_LENGTH) return null;
+
+  return SYNONYMS[tag] || tag;
+}
+
+// Canonical tags starting with a (normalised) prefix, for autocomplete
+function vocabularyMatches(prefix) {
+  return CANONICAL_TAGS.filter(tag => tag.startsWith(prefix)).sort();
+}
+
+module.exports = {
+  TAG_MAX_LENGTH,
+  CANONICAL_TAGS,
+  normalizeTag,
+  vocabularyMatches
+};
@@ -0,0 +1,30 @@
+const { TAG_MAX_LENGTH, normalizeTag, vocabularyMatches } = require('./interestTags');
+
+describe('normalizeTag', () => {
+  test('lowercases, trims and collapses whitespace', () => {
+    expect(normalizeTag('  Board   Games ')).toBe('board games');
+  });
+
+  test('merges synonyms into the canonical tag', () => {
+    expect(normalizeTag('BBall')).toBe('basketball');
+    expect(normalizeTag('ping  pong')).toBe('table tennis');
+  });
+
+  test('drops punctuation but keeps symbols used in tags', () => {
+    expect(normalizeTag('C#!')).toBe('c#');
+    expect(normalizeTag('K-Pop')).toBe('k-pop');
+  });
+
+  test('rejects tags that are too short, too long or not text', () => {
+    expect(normalizeTag('a')).toBeNull();
+    expect(normalizeTag('x'.repeat(TAG_MAX_LENGTH + 1))).toBeNull();
+    expect(normalizeTag(42)).toBeNull();
+  });
+});
+
+describe('vocabularyMatches', () => {
+  test('lists canonical tags by prefix, sorted', () => {
+    expect(vocabularyMatches('ba')).toEqual(['badminton', 'baking', 'basketball']);
+    expect(vocabularyMatches('zzz')).toEqual([]);
+  });
+});
@@ -0,0 +1,69 @@
+// services/mailer.js - Outgoing email with a pluggable transport
+//
+// A transport is any object with an async send(message) method, where
+// message is { from, to, subject, text }. The default transport writes each
+// email to a file in the outbox directory so development needs no SMTP
+// server; production code swaps in a real one with setTransport().
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_OUTBOX_DIR = path.join(__dirname, '..', 'outbox');
+const MAIL_FROM = process.env.MAIL_FROM || 'SMU Friend <no-reply@smufriend.local>';
+
+// Writes emails as .eml files that any mail client can open
+function createOutboxTransport(dir = process.env.MAIL_OUTBOX_DIR || DEFAULT_OUTBOX_DIR) {
+  return {
+    async send(message) {
+      await fs.promises.mkdir(dir, { recursive: true });
+
+      const fileName = `${Date.now()}-${crypto.randomUUID()}.eml`;
+      const filePath = path.join(dir, fileName);
+      const contents = [
+        `From: ${message.from}`,
+        `To: ${message.to}`,
+        `Subject: ${message.subject}`,
+        `Date: ${new Date().toUTCString()}`,
+        'Content-Type: text/plain; charset=utf-8',
+        '',
+        message.text
+      ].join('\r\n');
+
+      await fs.promises.writeFile(filePath, contents, 'utf8');
+      console.log(`📧 Email to ${message.to} written to ${filePath}`);
+
+      return { id: fileName };
+    }
+  };
+}
+
+let transport = null;
+
+function setTransport(newTransport) {
+  if (!newTransport || typeof newTransport.send !== 'function') {
+    throw new TypeError('Mail transport must have a send(message) method');
+  }
+  transport = newTransport;
+}
+
+function getTransport() {
+  if (!transport) {
+    transport = createOutboxTransport();
+  }
+  return transport;
+}
+
+/**
+ * Send an email through the current transport.
+ * @param {{ to: string, subject: string, text: string }} message
+ */
+async function sendMail({ to, subject, text }) {
+  return getTransport().send({ from: MAIL_FROM, to, subject, text });
+}
+
+module.exports = {
+  createOutboxTransport,
+  setTransport,
+  getTransport,
+  sendMail
+};
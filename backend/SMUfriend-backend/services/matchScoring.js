@@ -0,0 +1,333 @@
+// services/matchScoring.js - Decides which pending requests make a good pair.
+// Pure functions only, so the rules can be unit tested without a database.
+//
+// A candidate is a pending request joined with its owner's profile and
+// scoring context:
+// { request_id, user_id, activity_type, meeting_date, created_at,
+//   preferred_gender, preferred_faculty, preferred_year,
+//   gender, faculty, year_of_enrollment, group_size, prefer_favourites,
+//   interests: string[], past_partners: string[], favourites: string[],
+//   busy?: { starts_at, ends_at }[], reliability?: number }
+//
+// busy holds the owner's classes (see services/timetable.js) around the
+// meeting time.
+
+// Each request stands for meeting_date give or take this much, so two
+// requests overlap when their times are at most twice this apart
+const FLEXIBILITY_MINUTES = 30;
+const MAX_GAP_MS = 2 * FLEXIBILITY_MINUTES * 60 * 1000;
+
+// How long a meetup is assumed to take, from the later of the meeting times
+const MEETUP_MINUTES = 60;
+
+// Years range from 1 to 5 (graduate)
+const MAX_YEAR_GAP = 4;
+
+// Smallest table a group meal forms with
+const MIN_GROUP_SIZE = 3;
+
+// Used for anyone without a reliability score yet (see services/feedback.js)
+const DEFAULT_RELIABILITY = 1;
+
+// How much each component counts towards the score. A negative
+// faculty_diversity weight prefers people from the same faculty instead.
+// favourite outweighs past_match so favourites are re-matched rather than
+// avoided.
+const DEFAULT_WEIGHTS = {
+  time: 1,
+  interests: 2,
+  year: 0.5,
+  faculty_diversity: 0.25,
+  past_match: 1,
+  reliability: 1,
+  favourite: 2
+};
+
+/**
+ * Read weights from MATCH_WEIGHT_<COMPONENT> variables (e.g.
+ * MATCH_WEIGHT_INTERESTS=3), falling back to DEFAULT_WEIGHTS.
+ * @param {Object} [env]
+ * @returns {Object<string, number>}
+ */
+function weightsFromEnv(env = process.env) {
+  const weights = { ...DEFAULT_WEIGHTS };
+
+  Object.keys(weights).forEach(component => {
+    const value = env[`MATCH_WEIGHT_${component.toUpperCase()}`];
+    if (value !== undefined && value !== '' && Number.isFinite(Number(value))) {
+      weights[component] = Number(value);
+    }
+  });
+
+  return weights;
+}
+
+// Whether `owner` satisfies the preferences on `request`
+function meetsPreferences(request, owner) {
+  if (request.preferred_gender && request.preferred_gender !== 'any' &&
+      request.preferred_gender !== owner.gender) {
+    return false;
+  }
+  if (request.preferred_faculty && request.preferred_faculty !== owner.faculty) {
+    return false;
+  }
+  if (request.preferred_year && request.preferred_year !== owner.year_of_enrollment) {
+    return false;
+  }
+  return true;
+}
+
+function meetingGap(a, b) {
+  return Math.abs(new Date(a.meeting_date).getTime() - new Date(b.meeting_date).getTime());
+}
+
+// The meetup happens at the latest of the members' meeting times
+function meetupTime(members) {
+  return Math.max(...members.map(member => new Date(member.meeting_date).getTime()));
+}
+
+// Whether anyone has a class during a meetup with all of `members`
+function clashesWithClasses(members) {
+  const start = meetupTime(members);
+  const end = start + MEETUP_MINUTES * 60 * 1000;
+
+  return members.some(member => (member.busy || []).some(block =>
+    new Date(block.starts_at).getTime() < end && new Date(block.ends_at).getTime() > start
+  ));
+}
+
+// Reasons the pair can't be matched at all; empty when they can
+function incompatibilities(a, b) {
+  const reasons = [];
+
+  if (a.user_id === b.user_id) reasons.push('Both requests belong to the same user');
+  if (a.activity_type !== b.activity_type) reasons.push('Different activities');
+  if (meetingGap(a, b) > MAX_GAP_MS) reasons.push('Meeting times do not overlap');
+  if (clashesWithClasses([a, b])) reasons.push('The meetup would clash with a class');
+  if (!meetsPreferences(a, b)) reasons.push('The second user does not fit the first request\'s preferences');
+  if (!meetsPreferences(b, a)) reasons.push('The first user does not fit the second request\'s preferences');
+
+  return reasons;
+}
+
+// Same activity, overlapping times, different people, and each side fits the
+// other's preferences
+function isCompatible(a, b) {
+  return incompatibilities(a, b).length === 0;
+}
+
+// Share of interests the two have in common (Jaccard similarity)
+function interestSimilarity(a, b) {
+  const mine = new Set(a.interests || []);
+  const theirs = new Set(b.interests || []);
+  const union = new Set([...mine, ...theirs]);
+  if (union.size === 0) return 0;
+
+  const shared = [...mine].filter(interest => theirs.has(interest)).length;
+  return shared / union.size;
+}
+
+function yearCloseness(a, b) {
+  if (!a.year_of_enrollment || !b.year_of_enrollment) return 0;
+  return 1 - Math.abs(a.year_of_enrollment - b.year_of_enrollment) / MAX_YEAR_GAP;
+}
+
+// Both marked each other as favourites and at least one of them asked to
+// prefer favourites
+function favouritePair(a, b) {
+  if (!a.prefer_favourites && !b.prefer_favourites) return false;
+  return (a.favourites || []).includes(b.user_id) && (b.favourites || []).includes(a.user_id);
+}
+
+function reliabilityOf(candidate) {
+  return typeof candidate.reliability === 'number' ? candidate.reliability : DEFAULT_RELIABILITY;
+}
+
+// Each component is between -1 and 1 before weighting
+const COMPONENTS = {
+  time: (a, b) => 1 - meetingGap(a, b) / MAX_GAP_MS,
+  interests: interestSimilarity,
+  year: yearCloseness,
+  faculty_diversity: (a, b) => (a.faculty && b.faculty && a.faculty !== b.faculty ? 1 : 0),
+  past_match: (a, b) => ((a.past_partners || []).includes(b.user_id) ? -1 : 0),
+  reliability: (a, b) => Math.min(reliabilityOf(a), reliabilityOf(b)),
+  favourite: (a, b) => (favouritePair(a, b) ? 1 : 0)
+};
+
+/**
+ * Break down how a pair scores.
+ * @param {Object} a
+ * @param {Object} b
+ * @param {Object<string, number>} [weights]
+ * @returns {{ compatible: boolean, reasons: string[], score: number|null,
+ *   components: Object<string, { value: number, weight: number, contribution: number }> }}
+ */
+function explainPair(a, b, weights = DEFAULT_WEIGHTS) {
+  const reasons = incompatibilities(a, b);
+  const components = {};
+  let score = 0;
+
+  Object.entries(COMPONENTS).forEach(([name, component]) => {
+    const value = component(a, b);
+    const weight = weights[name] || 0;
+    components[name] = { value, weight, contribution: value * weight };
+    score += value * weight;
+  });
+
+  return {
+    compatible: reasons.length === 0,
+    reasons,
+    score: reasons.length === 0 ? score : null,
+    components
+  };
+}
+
+/**
+ * Score a pair of candidates.
+ * @returns {number|null} higher is better; null when the pair is not compatible
+ */
+function scorePair(a, b, weights = DEFAULT_WEIGHTS) {
+  return explainPair(a, b, weights).score;
+}
+
+/**
+ * Pick pairs from a pool of candidates. Best-scoring pairs are taken first and
+ * each candidate is used at most once; ties go to the requests that have been
+ * waiting longest.
+ * @param {Object[]} candidates
+ * @param {Object<string, number>} [weights]
+ * @returns {{ a: Object, b: Object, score: number }[]}
+ */
+function pairCandidates(candidates, weights = DEFAULT_WEIGHTS) {
+  const options = [];
+
+  for (let i = 0; i < candidates.length; i++) {
+    for (let j = i + 1; j < candidates.length; j++) {
+      const score = scorePair(candidates[i], candidates[j], weights);
+      if (score !== null) {
+        options.push({ a: candidates[i], b: candidates[j], score });
+      }
+    }
+  }
+
+  const waitingSince = (option) => Math.min(
+    new Date(option.a.created_at).getTime(),
+    new Date(option.b.created_at).getTime()
+  );
+  options.sort((x, y) => y.score - x.score || waitingSince(x) - waitingSince(y));
+
+  const used = new Set();
+  return options.filter(({ a, b }) => {
+    if (used.has(a.request_id) || used.has(b.request_id)) return false;
+    used.add(a.request_id);
+    used.add(b.request_id);
+    return true;
+  });
+}
+
+// Average score of `candidate` with each member, or null if they are
+// incompatible with any of them or the table's meetup would clash with
+// someone's class
+function groupFit(candidate, members, weights) {
+  if (clashesWithClasses([...members, candidate])) return null;
+
+  let total = 0;
+
+  for (const member of members) {
+    const score = scorePair(candidate, member, weights);
+    if (score === null) return null;
+    total += score;
+  }
+
+  return total / members.length;
+}
+
+// A table holds as many people as its least ambitious member asked for
+function capacityOf(members) {
+  return Math.min(...members.map(member => member.group_size));
+}
+
+/**
+ * Form group meals from candidates asking for a table (group_size of 3 or
+ * more). Starting from whoever has waited longest, each group is grown with
+ * the candidate that fits everyone already in it best, until it is full or
+ * nobody else fits. Groups smaller than MIN_GROUP_SIZE are not formed.
+ * @param {Object[]} candidates
+ * @param {Object<string, number>} [weights]
+ * @returns {{ members: Object[], score: number }[]}
+ */
+function formGroups(candidates, weights = DEFAULT_WEIGHTS) {
+  const byWaitingTime = [...candidates].sort(
+    (a, b) => new Date(a.created_at) - new Date(b.created_at)
+  );
+  const used = new Set();
+  const groups = [];
+
+  for (const seed of byWaitingTime) {
+    if (used.has(seed.request_id)) continue;
+
+    const members = [seed];
+    let total = 0;
+
+    for (;;) {
+      let best = null;
+
+      for (const candidate of byWaitingTime) {
+        if (used.has(candidate.request_id) || members.includes(candidate)) continue;
+        if (members.length >= capacityOf([...members, candidate])) continue;
+
+        const fit = groupFit(candidate, members, weights);
+        if (fit !== null && (!best || fit > best.fit)) {
+          best = { candidate, fit };
+        }
+      }
+
+      if (!best) break;
+      members.push(best.candidate);
+      total += best.fit;
+    }
+
+    if (members.length >= MIN_GROUP_SIZE) {
+      members.forEach(member => used.add(member.request_id));
+      groups.push({ members, score: total / (members.length - 1) });
+    }
+  }
+
+  return groups;
+}
+
+/**
+ * Find the open group a candidate fits best.
+ * @param {Object} candidate
+ * @param {{ members: Object[] }[]} groups - Each with its current members
+ * @param {Object<string, number>} [weights]
+ * @returns {{ group: Object, score: number }|null} null if none has room or fits
+ */
+function bestOpenGroup(candidate, groups, weights = DEFAULT_WEIGHTS) {
+  let best = null;
+
+  groups.forEach(group => {
+    if (group.members.length >= capacityOf([...group.members, candidate])) return;
+
+    const score = groupFit(candidate, group.members, weights);
+    if (score !== null && (!best || score > best.score)) {
+      best = { group, score };
+    }
+  });
+
+  return best;
+}
+
+module.exports = {
+  FLEXIBILITY_MINUTES,
+  MEETUP_MINUTES,
+  MIN_GROUP_SIZE,
+  DEFAULT_WEIGHTS,
+  weightsFromEnv,
+  isCompatible,
+  explainPair,
+  scorePair,
+  pairCandidates,
+  formGroups,
+  bestOpenGroup
+};
@@ -0,0 +1,147 @@
+const {
+  DEFAULT_WEIGHTS,
+  weightsFromEnv,
+  isCompatible,
+  explainPair,
+  pairCandidates,
+  formGroups,
+  bestOpenGroup
+} = require('./matchScoring');
+
+const LUNCH = '2026-10-20T04:00:00Z';
+let nextId = 0;
+
+const candidate = (overrides = {}) => {
+  nextId++;
+  return {
+    request_id: `request-${nextId}`,
+    user_id: `user-${nextId}`,
+    activity_type: 'lunch',
+    meeting_date: LUNCH,
+    created_at: `2026-10-19T0${nextId % 10}:00:00Z`,
+    gender: 'f',
+    faculty: 'engineering',
+    year_of_enrollment: 2,
+    group_size: 2,
+    interests: [],
+    past_partners: [],
+    favourites: [],
+    ...overrides
+  };
+};
+
+const minutesAfter = (iso, minutes) => new Date(new Date(iso).getTime() + minutes * 60 * 1000).toISOString();
+
+describe('weightsFromEnv', () => {
+  test('overrides numeric weights and ignores the rest', () => {
+    const weights = weightsFromEnv({ MATCH_WEIGHT_INTERESTS: '3', MATCH_WEIGHT_YEAR: 'lots', MATCH_WEIGHT_TIME: '' });
+    expect(weights).toEqual({ ...DEFAULT_WEIGHTS, interests: 3 });
+  });
+});
+
+describe('isCompatible', () => {
+  test('accepts the same activity at overlapping times', () => {
+    expect(isCompatible(candidate(), candidate({ meeting_date: minutesAfter(LUNCH, 60) }))).toBe(true);
+  });
+
+  test('rejects times more than an hour apart', () => {
+    expect(isCompatible(candidate(), candidate({ meeting_date: minutesAfter(LUNCH, 61) }))).toBe(false);
+  });
+
+  test('rejects different activities and the same user', () => {
+    const a = candidate();
+    expect(isCompatible(a, candidate({ activity_type: 'dinner' }))).toBe(false);
+    expect(isCompatible(a, { ...candidate(), user_id: a.user_id })).toBe(false);
+  });
+
+  test('checks preferences both ways', () => {
+    const a = candidate({ preferred_faculty: 'business' });
+    expect(isCompatible(a, candidate())).toBe(false);
+    expect(isCompatible(a, candidate({ faculty: 'business' }))).toBe(true);
+    expect(isCompatible(candidate({ faculty: 'business' }), a)).toBe(true);
+    expect(isCompatible(candidate({ preferred_gender: 'any' }), candidate({ gender: 'm' }))).toBe(true);
+    expect(isCompatible(candidate({ preferred_year: 3 }), candidate())).toBe(false);
+  });
+
+  test('rejects meetups that clash with a class', () => {
+    const busy = [{ starts_at: minutesAfter(LUNCH, 30), ends_at: minutesAfter(LUNCH, 90) }];
+    expect(isCompatible(candidate(), candidate({ busy }))).toBe(false);
+  });
+});
+
+describe('explainPair', () => {
+  test('gives reasons and no score for incompatible pairs', () => {
+    const explained = explainPair(candidate(), candidate({ activity_type: 'study' }));
+    expect(explained).toMatchObject({ compatible: false, score: null, reasons: ['Different activities'] });
+  });
+
+  test('scores shared interests and penalises past partners', () => {
+    const a = candidate({ interests: ['chess', 'hiking'] });
+    const b = candidate({ interests: ['chess'] });
+    const fresh = explainPair(a, b);
+    const again = explainPair({ ...a, past_partners: [b.user_id] }, b);
+
+    expect(fresh.components.interests.value).toBe(0.5);
+    expect(again.score).toBeCloseTo(fresh.score - DEFAULT_WEIGHTS.past_match);
+  });
+});
+
+describe('pairCandidates', () => {
+  test('takes the best pairs first and uses each request once', () => {
+    const a = candidate({ interests: ['chess'] });
+    const b = candidate({ interests: ['chess'] });
+    const c = candidate({ interests: ['running'] });
+    const d = candidate({ interests: ['running'] });
+
+    const pairs = pairCandidates([a, c, b, d]).map(pair => [pair.a.request_id, pair.b.request_id].sort());
+
+    expect(pairs).toEqual([[a.request_id, b.request_id], [c.request_id, d.request_id]]);
+  });
+
+  test('leaves out requests nobody fits', () => {
+    const a = candidate();
+    expect(pairCandidates([a, candidate({ activity_type: 'dinner' })])).toEqual([]);
+  });
+});
+
+describe('formGroups', () => {
+  test('fills a table up to the smallest group size asked for', () => {
+    const members = [
+      candidate({ group_size: 4 }),
+      candidate({ group_size: 3 }),
+      candidate({ group_size: 4 }),
+      candidate({ group_size: 4 })
+    ];
+
+    const groups = formGroups(members);
+
+    expect(groups).toHaveLength(1);
+    expect(groups[0].members).toHaveLength(3);
+  });
+
+  test('does not form tables smaller than three', () => {
+    expect(formGroups([candidate({ group_size: 4 }), candidate({ group_size: 4 })])).toEqual([]);
+  });
+
+  test('keeps incompatible candidates apart', () => {
+    const groups = formGroups([
+      candidate({ group_size: 6 }),
+      candidate({ group_size: 6 }),
+      candidate({ group_size: 6, activity_type: 'dinner' }),
+      candidate({ group_size: 6 })
+    ]);
+
+    expect(groups).toHaveLength(1);
+    expect(groups[0].members.every(member => member.activity_type === 'lunch')).toBe(true);
+  });
+});
+
+describe('bestOpenGroup', () => {
+  test('skips full groups', () => {
+    const full = { members: [candidate({ group_size: 3 }), candidate({ group_size: 3 }), candidate({ group_size: 3 })] };
+    const open = { members: [candidate({ group_size: 6 }), candidate({ group_size: 6 }), candidate({ group_size: 6 })] };
+
+    expect(bestOpenGroup(candidate({ group_size: 6 }), [full, open])).toMatchObject({ group: open });
+    expect(bestOpenGroup(candidate({ group_size: 6 }), [full])).toBeNull();
+  });
+});
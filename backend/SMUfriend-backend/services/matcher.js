@@ -0,0 +1,293 @@
+// services/matcher.js - Pairs pending requests into matches and group meals
+const {
+  FLEXIBILITY_MINUTES,
+  MEETUP_MINUTES,
+  DEFAULT_WEIGHTS,
+  pairCandidates,
+  formGroups,
+  bestOpenGroup
+} = require('./matchScoring');
+const { createGroup, addToGroup } = require('./groups');
+const { loadReliability } = require('./feedback');
+const { loadBusyBlocks } = require('./timetable');
+
+// A request joined with what matchScoring needs about its owner
+const CANDIDATE_COLUMNS = `
+  r.request_id,
+  r.user_id,
+  r.activity_type,
+  r.meeting_date,
+  r.created_at,
+  r.preferred_gender,
+  r.preferred_faculty,
+  r.preferred_year,
+  r.group_size,
+  r.prefer_favourites,
+  u.display_name,
+  u.gender,
+  u.faculty,
+  u.year_of_enrollment
+`;
+
+// Add each candidate's interests, the users they have been matched with, the
+// users they marked as favourites, their reliability score and their classes
+// around the candidates' meeting times
+async function attachScoringContext(db, candidates) {
+  const userIds = [...new Set(candidates.map(candidate => candidate.user_id))];
+  if (userIds.length === 0) return candidates;
+
+  const interests = await db.query(`
+    SELECT user_id, array_agg(description) as interests
+    FROM interests
+    WHERE user_id = ANY($1)
+    GROUP BY user_id
+  `, [userIds]);
+
+  const partners = await db.query(`
+    SELECT ra.user_id as user_a_id, rb.user_id as user_b_id
+    FROM matches m
+    JOIN requests ra ON ra.request_id = m.request_a_id
+    JOIN requests rb ON rb.request_id = m.request_b_id
+    WHERE ra.user_id = ANY($1) OR rb.user_id = ANY($1)
+  `, [userIds]);
+
+  const favourites = await db.query(`
+    SELECT user_id, array_agg(favourite_user_id) as favourites
+    FROM favourite_partners
+    WHERE user_id = ANY($1)
+    GROUP BY user_id
+  `, [userIds]);
+
+  const reliabilityByUser = await loadReliability(db, userIds);
+
+  // A meetup starts at the later of two meeting times, which are at most
+  // MAX_GAP apart, and lasts MEETUP_MINUTES
+  const meetingTimes = candidates.map(candidate => new Date(candidate.meeting_date).getTime());
+  const busyByUser = await loadBusyBlocks(
+    db,
+    userIds,
+    new Date(Math.min(...meetingTimes)),
+    new Date(Math.max(...meetingTimes) + (2 * FLEXIBILITY_MINUTES + MEETUP_MINUTES) * 60 * 1000)
+  );
+
+  const interestsByUser = new Map(interests.rows.map(row => [row.user_id, row.interests]));
+  const favouritesByUser = new Map(favourites.rows.map(row => [row.user_id, row.favourites]));
+  const partnersByUser = new Map(userIds.map(userId => [userId, []]));
+  partners.rows.forEach(({ user_a_id, user_b_id }) => {
+    if (partnersByUser.has(user_a_id)) partnersByUser.get(user_a_id).push(user_b_id);
+    if (partnersByUser.has(user_b_id)) partnersByUser.get(user_b_id).push(user_a_id);
+  });
+
+  return candidates.map(candidate => ({
+    ...candidate,
+    interests: interestsByUser.get(candidate.user_id) || [],
+    past_partners: partnersByUser.get(candidate.user_id),
+    favourites: favouritesByUser.get(candidate.user_id) || [],
+    reliability: reliabilityByUser.get(candidate.user_id),
+    busy: busyByUser.get(candidate.user_id) || []
+  }));
+}
+
+/**
+ * Load requests (in any status) as scoring candidates, e.g. to explain a score.
+ * @returns {Promise<Object[]>} in no particular order
+ */
+async function loadCandidates(db, requestIds) {
+  const result = await db.query(`
+    SELECT ${CANDIDATE_COLUMNS}
+    FROM requests r
+    JOIN users u ON u.user_id = r.user_id
+    WHERE r.request_id = ANY($1)
+  `, [requestIds]);
+
+  return attachScoringContext(db, result.rows);
+}
+
+// Groups that are still before their meetup, locked for the transaction, each
+// with its current members as candidates
+async function loadOpenGroups(db) {
+  const groups = await db.query(`
+    SELECT g.group_id, c.conversation_id
+    FROM meal_groups g
+    JOIN conversations c ON c.group_id = g.group_id
+    WHERE g.status = 'active' AND g.meeting_date > NOW()
+    FOR UPDATE OF g SKIP LOCKED
+  `);
+  if (groups.rows.length === 0) return [];
+
+  const members = await db.query(`
+    SELECT ${CANDIDATE_COLUMNS}, r.group_id
+    FROM requests r
+    JOIN users u ON u.user_id = r.user_id
+    WHERE r.group_id = ANY($1) AND r.status = 'matched'
+  `, [groups.rows.map(group => group.group_id)]);
+  const candidates = await attachScoringContext(db, members.rows);
+
+  return groups.rows.map(group => ({
+    ...group,
+    members: candidates.filter(member => member.group_id === group.group_id)
+  }));
+}
+
+// Seat group requests at open tables first, then form new groups from the rest
+async function placeInGroups(db, candidates, weights) {
+  const openGroups = await loadOpenGroups(db);
+  const placements = [];
+  const unplaced = [];
+
+  for (const candidate of candidates) {
+    const best = bestOpenGroup(candidate, openGroups, weights);
+    if (best) {
+      await addToGroup(db, best.group, candidate);
+      best.group.members.push(candidate);
+      placements.push({
+        group_id: best.group.group_id,
+        conversation_id: best.group.conversation_id,
+        joined: [candidate],
+        members: best.group.members
+      });
+    } else {
+      unplaced.push(candidate);
+    }
+  }
+
+  for (const { members } of formGroups(unplaced, weights)) {
+    const group = await createGroup(db, members);
+    placements.push({ ...group, joined: members, members });
+  }
+
+  return placements;
+}
+
+/**
+ * Propose matches for as many pending requests as possible in one transaction.
+ * Both users then confirm or decline (see services/matches). Requests for a
+ * table of 3 or more go into group meals instead, which need no confirmation.
+ *
+ * Candidate rows are locked with FOR UPDATE SKIP LOCKED, so a concurrent run
+ * (another server process, or a request-triggered run overlapping the
+ * periodic one) only sees requests this run hasn't claimed and can't
+ * double-match them.
+ * @param {import('pg').Pool} pool
+ * @param {Object<string, number>} [weights] - See matchScoring
+ * @returns {Promise<{ matches: Object[], groups: Object[] }>}
+ *   matches: { match_id, matched_at, score, requests: [requestA, requestB] }
+ *   groups: { group_id, conversation_id, joined: Object[], members: Object[] },
+ *   one per group formed or joined
+ */
+async function runMatching(pool, weights = DEFAULT_WEIGHTS) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const locked = await client.query(`
+      SELECT ${CANDIDATE_COLUMNS}
+      FROM requests r
+      JOIN users u ON u.user_id = r.user_id
+      WHERE r.status = 'pending' AND r.expires_at > NOW()
+      ORDER BY r.created_at
+      FOR UPDATE OF r SKIP LOCKED
+    `);
+    const candidates = await attachScoringContext(client, locked.rows);
+    const pairRequests = candidates.filter(candidate => candidate.group_size === 2);
+    const groupRequests = candidates.filter(candidate => candidate.group_size > 2);
+
+    const matches = [];
+
+    for (const { a, b, score } of pairCandidates(pairRequests, weights)) {
+      await client.query(`
+        UPDATE requests
+        SET status = 'matched'
+        WHERE request_id = ANY($1)
+      `, [[a.request_id, b.request_id]]);
+
+      const result = await client.query(`
+        INSERT INTO matches (request_a_id, request_b_id, status)
+        VALUES ($1, $2, 'proposed')
+        RETURNING match_id, matched_at
+      `, [a.request_id, b.request_id]);
+
+      matches.push({ ...result.rows[0], score, requests: [a, b] });
+    }
+
+    const groups = await placeInGroups(client, groupRequests, weights);
+
+    await client.query('COMMIT');
+    return { matches, groups };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Call a notification handler without letting its failure stop the others
+async function notify(handler, item, label) {
+  try {
+    await handler(item);
+  } catch (error) {
+    console.error(`Error handling new ${label}:`, error);
+  }
+}
+
+/**
+ * Runs runMatching on demand and on a timer. Calls made while a run is in
+ * progress are folded into one follow-up run.
+ * @param {import('pg').Pool} pool
+ * @param {{ onMatch: Function, onGroup: Function }} handlers - Called with each
+ *   new match and each group formed or joined
+ * @param {Object<string, number>} [weights] - See matchScoring
+ * @returns {{ run: Function, start: Function, stop: Function }}
+ */
+function createMatcher(pool, { onMatch, onGroup }, weights = DEFAULT_WEIGHTS) {
+  let running = false;
+  let runAgain = false;
+  let timer = null;
+
+  async function run() {
+    if (running) {
+      runAgain = true;
+      return;
+    }
+
+    running = true;
+    try {
+      do {
+        runAgain = false;
+        const { matches, groups } = await runMatching(pool, weights);
+        for (const match of matches) {
+          await notify(onMatch, match, 'match');
+        }
+        for (const group of groups) {
+          await notify(onGroup, group, 'group');
+        }
+      } while (runAgain);
+    } catch (error) {
+      console.error('Error running matcher:', error);
+    } finally {
+      running = false;
+    }
+  }
+
+  return {
+    run,
+    start(intervalMs) {
+      if (!timer) {
+        timer = setInterval(run, intervalMs);
+        timer.unref();
+      }
+    },
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+}
+
+module.exports = {
+  loadCandidates,
+  runMatching,
+  createMatcher
+};
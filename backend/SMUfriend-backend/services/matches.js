@@ -0,0 +1,395 @@
+// services/matches.js - The match lifecycle
+//
+// The matcher proposes a match; it becomes active once both users confirm
+// and completed once they have met. Either user can decline a proposal or
+// cancel later on, which puts the other user's request back in the pending
+// pool so they can be matched again.
+const { CAMPUS_TIME_ZONE } = require('./requestFields');
+const { addSystemMessage } = require('./conversations');
+const { PLACE_TYPES_BY_ACTIVITY } = require('./meetingPlaces');
+
+const CANCEL_REASON_MAX_LENGTH = 500;
+
+const ACTIVITY_LABELS = {
+  breakfast: 'Breakfast',
+  lunch: 'Lunch',
+  dinner: 'Dinner',
+  study: 'Study session'
+};
+
+// A match as seen by one of its users ($1). Both requests are for the same
+// activity; the meetup is at the later of the two meeting times.
+const MATCH_VIEW = `
+  SELECT
+    m.match_id,
+    m.status,
+    m.matched_at,
+    m.completed_at,
+    m.cancel_reason,
+    m.cancelled_by,
+    ra.activity_type,
+    GREATEST(ra.meeting_date, rb.meeting_date) as meeting_date,
+    CASE WHEN ra.user_id = $1 THEN ra.request_id ELSE rb.request_id END as request_id,
+    CASE WHEN ra.user_id = $1 THEN m.request_a_confirmed_at ELSE m.request_b_confirmed_at END
+      IS NOT NULL as confirmed,
+    CASE WHEN ra.user_id = $1 THEN m.request_b_confirmed_at ELSE m.request_a_confirmed_at END
+      IS NOT NULL as partner_confirmed,
+    p.user_id as partner_id,
+    p.display_name as partner_name,
+    p.avatar_url as partner_avatar_url,
+    EXISTS (
+      SELECT 1 FROM favourite_partners f
+      WHERE f.user_id = $1 AND f.favourite_user_id = p.user_id
+    ) as partner_favourite,
+    EXISTS (
+      SELECT 1 FROM match_feedback mf
+      WHERE mf.match_id = m.match_id AND mf.from_user_id = $1
+    ) as feedback_given,
+    m.place_id,
+    NULLIF(concat_ws(', ', pl.place_name, plb.building_name), '') as location,
+    m.proposed_place_id,
+    NULLIF(concat_ws(', ', pp.place_name, ppb.building_name), '') as proposed_location,
+    m.proposed_by = $1 as proposed_by_me,
+    c.conversation_id
+  FROM matches m
+  JOIN requests ra ON ra.request_id = m.request_a_id
+  JOIN requests rb ON rb.request_id = m.request_b_id
+  JOIN users p ON p.user_id = CASE WHEN ra.user_id = $1 THEN rb.user_id ELSE ra.user_id END
+  LEFT JOIN places pl ON pl.place_id = m.place_id
+  LEFT JOIN buildings plb ON plb.building_id = pl.building_id
+  LEFT JOIN places pp ON pp.place_id = m.proposed_place_id
+  LEFT JOIN buildings ppb ON ppb.building_id = pp.building_id
+  LEFT JOIN conversations c ON c.match_id = m.match_id
+  WHERE (ra.user_id = $1 OR rb.user_id = $1)
+`;
+
+// The user's matches, most recent first
+async function listMatches(db, userId) {
+  const result = await db.query(`${MATCH_VIEW} ORDER BY m.matched_at DESC`, [userId]);
+  return result.rows;
+}
+
+// One of the user's matches, or null if it isn't theirs
+async function getMatch(db, matchId, userId) {
+  const result = await db.query(`${MATCH_VIEW} AND m.match_id = $2`, [userId, matchId]);
+  return result.rows[0] || null;
+}
+
+// e.g. "Lunch on Mon, 20 Oct, 12:30 pm"
+function describeMeetup(activityType, meetingDate) {
+  const when = new Date(meetingDate).toLocaleString('en-SG', {
+    timeZone: CAMPUS_TIME_ZONE,
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+  return `${ACTIVITY_LABELS[activityType] || activityType} on ${when}`;
+}
+
+// The chat for a newly confirmed match, opened with a summary of the meetup
+async function createMatchConversation(db, match) {
+  const result = await db.query(`
+    INSERT INTO conversations (match_id, conversation_type)
+    VALUES ($1, 'match')
+    ON CONFLICT (match_id) DO UPDATE SET is_active = TRUE
+    RETURNING conversation_id
+  `, [match.match_id]);
+  const conversationId = result.rows[0].conversation_id;
+
+  await db.query(`
+    INSERT INTO conversation_participants (conversation_id, user_id)
+    VALUES ($1, $2), ($1, $3)
+    ON CONFLICT DO NOTHING
+  `, [conversationId, match.user_id, match.partner_id]);
+
+  await addSystemMessage(
+    db,
+    conversationId,
+    `You're matched! ${describeMeetup(match.activity_type, match.meeting_date)}.`,
+    { event: 'match_confirmed', activity_type: match.activity_type, meeting_date: match.meeting_date }
+  );
+
+  return conversationId;
+}
+
+/**
+ * Lock a match for the rest of the transaction and describe it from userId's
+ * side.
+ * @returns {Promise<Object|null>} null if the match doesn't exist or isn't theirs
+ */
+async function lockMatch(db, matchId, userId) {
+  const result = await db.query(`
+    SELECT
+      m.match_id,
+      m.status,
+      ra.activity_type,
+      GREATEST(ra.meeting_date, rb.meeting_date) as meeting_date,
+      CASE WHEN ra.user_id = $2 THEN 'a' ELSE 'b' END as side,
+      CASE WHEN ra.user_id = $2 THEN ra.request_id ELSE rb.request_id END as request_id,
+      CASE WHEN ra.user_id = $2 THEN rb.request_id ELSE ra.request_id END as partner_request_id,
+      CASE WHEN ra.user_id = $2 THEN rb.user_id ELSE ra.user_id END as partner_id,
+      m.request_a_confirmed_at,
+      m.request_b_confirmed_at,
+      m.proposed_place_id,
+      m.proposed_by
+    FROM matches m
+    JOIN requests ra ON ra.request_id = m.request_a_id
+    JOIN requests rb ON rb.request_id = m.request_b_id
+    WHERE m.match_id = $1 AND (ra.user_id = $2 OR rb.user_id = $2)
+    FOR UPDATE OF m
+  `, [matchId, userId]);
+
+  const match = result.rows[0];
+  if (match) match.user_id = userId;
+  return match || null;
+}
+
+// Run `action` with the match locked. `action` returns an error
+// ({ status, error }) to roll back, or anything else to commit.
+async function withLockedMatch(pool, matchId, userId, action) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const match = await lockMatch(client, matchId, userId);
+    if (!match) {
+      await client.query('ROLLBACK');
+      return { status: 404, error: 'Match not found' };
+    }
+
+    const outcome = await action(client, match);
+    if (outcome && outcome.error) {
+      await client.query('ROLLBACK');
+      return outcome;
+    }
+
+    await client.query('COMMIT');
+    return { match: await getMatch(pool, matchId, userId), partnerId: match.partner_id, ...outcome };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Ends a match early: the user's own request is cancelled and the partner's
+// goes back to the pending pool
+async function releaseMatch(db, match, status, reason) {
+  await db.query(`
+    UPDATE matches
+    SET status = $2, cancelled_by = $3, cancel_reason = $4
+    WHERE match_id = $1
+  `, [match.match_id, status, match.user_id, reason]);
+
+  await db.query(`
+    UPDATE requests SET status = 'cancelled' WHERE request_id = $1
+  `, [match.request_id]);
+
+  await db.query(`
+    UPDATE requests SET status = 'pending' WHERE request_id = $1 AND status = 'matched'
+  `, [match.partner_request_id]);
+}
+
+// The match's chat, if it has one yet
+async function matchConversationId(db, matchId) {
+  const result = await db.query(`
+    SELECT conversation_id FROM conversations WHERE match_id = $1
+  `, [matchId]);
+  return result.rows.length > 0 ? result.rows[0].conversation_id : null;
+}
+
+/**
+ * Confirm a proposed match. Once both users have confirmed it becomes active
+ * and gets a conversation.
+ * @returns {Promise<{ match?: Object, partnerId?: string, activated?: boolean,
+ *   status?: number, error?: string }>}
+ */
+async function confirmMatch(pool, matchId, userId) {
+  return withLockedMatch(pool, matchId, userId, async (db, match) => {
+    if (match.status !== 'proposed') {
+      return { status: 409, error: 'Only proposed matches can be confirmed' };
+    }
+
+    const column = match.side === 'a' ? 'request_a_confirmed_at' : 'request_b_confirmed_at';
+    const partnerConfirmed = match.side === 'a' ? match.request_b_confirmed_at : match.request_a_confirmed_at;
+
+    await db.query(`
+      UPDATE matches
+      SET ${column} = COALESCE(${column}, NOW()),
+          status = CASE WHEN $2 THEN 'active' ELSE status END
+      WHERE match_id = $1
+    `, [match.match_id, Boolean(partnerConfirmed)]);
+
+    if (partnerConfirmed) {
+      await createMatchConversation(db, match);
+    }
+
+    return { activated: Boolean(partnerConfirmed) };
+  });
+}
+
+// Turn down a proposed match
+async function declineMatch(pool, matchId, userId) {
+  return withLockedMatch(pool, matchId, userId, async (db, match) => {
+    if (match.status !== 'proposed') {
+      return { status: 409, error: 'Only proposed matches can be declined' };
+    }
+
+    await releaseMatch(db, match, 'declined', null);
+  });
+}
+
+/**
+ * Call off a proposed or active match.
+ * @param {string} reason - Shown to the partner
+ */
+async function cancelMatch(pool, matchId, userId, reason) {
+  return withLockedMatch(pool, matchId, userId, async (db, match) => {
+    if (!['proposed', 'active'].includes(match.status)) {
+      return { status: 409, error: 'This match can no longer be cancelled' };
+    }
+
+    await releaseMatch(db, match, 'cancelled', reason);
+
+    const conversationId = await matchConversationId(db, match.match_id);
+    if (conversationId) {
+      await addSystemMessage(
+        db,
+        conversationId,
+        `This meetup was cancelled: ${reason}`,
+        { event: 'match_cancelled', cancelled_by: userId, reason }
+      );
+    }
+  });
+}
+
+// label is e.g. "Level 2 study area, School of Computing"; null when the
+// place doesn't exist
+async function describePlace(db, placeId) {
+  const result = await db.query(`
+    SELECT concat_ws(', ', p.place_name, b.building_name) as label, p.place_type
+    FROM places p
+    LEFT JOIN buildings b ON b.building_id = p.building_id
+    WHERE p.place_id = $1
+  `, [placeId]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Suggest a meeting place for an active match, replacing any earlier
+ * suggestion. The partner sees it in the match chat and can accept it.
+ * @returns {Promise<{ match?: Object, partnerId?: string, message?: Object,
+ *   status?: number, error?: string }>} message is the chat message posted
+ */
+async function proposePlace(pool, matchId, userId, placeId) {
+  return withLockedMatch(pool, matchId, userId, async (db, match) => {
+    if (match.status !== 'active') {
+      return { status: 409, error: 'Places can only be chosen once both of you have confirmed' };
+    }
+
+    const place = await describePlace(db, placeId);
+    if (!place) {
+      return { status: 404, error: 'Place not found' };
+    }
+    if (!(PLACE_TYPES_BY_ACTIVITY[match.activity_type] || []).includes(place.place_type)) {
+      const activity = (ACTIVITY_LABELS[match.activity_type] || match.activity_type).toLowerCase();
+      return { status: 400, error: `That place isn't suitable for a ${activity}` };
+    }
+
+    await db.query(`
+      UPDATE matches
+      SET proposed_place_id = $2, proposed_by = $3, proposed_at = NOW()
+      WHERE match_id = $1
+    `, [match.match_id, placeId, userId]);
+
+    const message = await addSystemMessage(
+      db,
+      await matchConversationId(db, match.match_id),
+      `Suggested meeting place: ${place.label}`,
+      { event: 'place_proposed', match_id: match.match_id, place_id: placeId, proposed_by: userId }
+    );
+    return { message };
+  });
+}
+
+/**
+ * Accept the partner's suggested place, which becomes the match's place.
+ * @param {string} [placeId] - The suggestion being accepted; fails if it has
+ *   been replaced since
+ */
+async function acceptPlace(pool, matchId, userId, placeId) {
+  return withLockedMatch(pool, matchId, userId, async (db, match) => {
+    if (match.status !== 'active') {
+      return { status: 409, error: 'Places can only be chosen once both of you have confirmed' };
+    }
+    if (!match.proposed_place_id) {
+      return { status: 409, error: 'There is no suggested place to accept' };
+    }
+    if (placeId && placeId !== match.proposed_place_id) {
+      return { status: 409, error: 'That suggestion has been replaced by a newer one' };
+    }
+    if (match.proposed_by === userId) {
+      return { status: 409, error: 'Your buddy needs to accept your suggestion' };
+    }
+
+    await db.query(`
+      UPDATE matches
+      SET place_id = proposed_place_id, proposed_place_id = NULL, proposed_by = NULL, proposed_at = NULL
+      WHERE match_id = $1
+    `, [match.match_id]);
+
+    const message = await addSystemMessage(
+      db,
+      await matchConversationId(db, match.match_id),
+      `Meeting place agreed: ${(await describePlace(db, match.proposed_place_id)).label}`,
+      { event: 'place_accepted', match_id: match.match_id, place_id: match.proposed_place_id }
+    );
+    return { message };
+  });
+}
+
+// Mark an active match as done, once its meeting time has passed; completing
+// opens feedback, which must not be possible before the pair could have met
+async function completeMatch(pool, matchId, userId) {
+  return withLockedMatch(pool, matchId, userId, async (db, match) => {
+    if (match.status !== 'active') {
+      return { status: 409, error: 'Only active matches can be marked as done' };
+    }
+    if (new Date(match.meeting_date) > new Date()) {
+      return { status: 409, error: 'You can mark the meetup as done once it has started' };
+    }
+
+    await db.query(`
+      UPDATE matches SET status = 'completed', completed_at = NOW() WHERE match_id = $1
+    `, [match.match_id]);
+  });
+}
+
+// Returns an error message, or null if the reason is acceptable
+function validateCancelReason(reason) {
+  if (typeof reason !== 'string' || !reason.trim()) {
+    return 'Please give a reason';
+  }
+  if (reason.trim().length > CANCEL_REASON_MAX_LENGTH) {
+    return `Reason must be at most ${CANCEL_REASON_MAX_LENGTH} characters`;
+  }
+  return null;
+}
+
+module.exports = {
+  ACTIVITY_LABELS,
+  describeMeetup,
+  listMatches,
+  getMatch,
+  confirmMatch,
+  declineMatch,
+  cancelMatch,
+  completeMatch,
+  proposePlace,
+  acceptPlace,
+  validateCancelReason
+};
@@ -0,0 +1,209 @@
+const { confirmMatch, declineMatch, cancelMatch, completeMatch } = require('./matches');
+
+const USER = 'user-a';
+const PARTNER = 'user-b';
+const MATCH_ID = 'match-1';
+
+const HOUR = 60 * 60 * 1000;
+
+// The match as lockMatch sees it, from USER's side
+const lockedMatch = (overrides = {}) => ({
+  match_id: MATCH_ID,
+  status: 'proposed',
+  activity_type: 'lunch',
+  meeting_date: new Date(Date.now() + 24 * HOUR),
+  side: 'a',
+  request_id: 'request-a',
+  partner_request_id: 'request-b',
+  partner_id: PARTNER,
+  request_a_confirmed_at: null,
+  request_b_confirmed_at: null,
+  proposed_place_id: null,
+  proposed_by: null,
+  ...overrides
+});
+
+// A pool whose one client answers the queries the match lifecycle makes, and
+// remembers them. `match` is null for a match the user isn't in.
+function fakePool(match, { conversationId = null, failOn = null } = {}) {
+  const queries = [];
+  let released = false;
+
+  const query = async (sql, params = []) => {
+    const text = sql.replace(/\s+/g, ' ').trim();
+    queries.push({ text, params });
+
+    if (failOn && text.includes(failOn)) throw new Error('connection lost');
+    if (text.includes('FOR UPDATE OF m')) return { rows: match ? [{ ...match }] : [] };
+    if (text.includes('partner_favourite')) return { rows: [{ match_id: MATCH_ID }] };
+    if (text.includes('RETURNING conversation_id')) return { rows: [{ conversation_id: 'conversation-new' }] };
+    if (text.startsWith('SELECT conversation_id FROM conversations')) {
+      return { rows: conversationId ? [{ conversation_id: conversationId }] : [] };
+    }
+    if (text.startsWith('INSERT INTO messages')) return { rows: [{ id: 'message-1', data: params[2] }] };
+    return { rows: [], rowCount: 1 };
+  };
+
+  return {
+    queries,
+    released: () => released,
+    // Statements run inside the transaction, other than locking the match
+    updates: () => queries.map(q => q.text).filter(text => /^(UPDATE|INSERT)/.test(text)),
+    connect: async () => ({ query, release: () => { released = true; } }),
+    query
+  };
+}
+
+const transaction = (pool) => pool.queries
+  .map(q => q.text)
+  .filter(text => ['BEGIN', 'COMMIT', 'ROLLBACK'].includes(text));
+
+describe('confirmMatch', () => {
+  test('records the first confirmation without activating the match', async () => {
+    const pool = fakePool(lockedMatch());
+    const result = await confirmMatch(pool, MATCH_ID, USER);
+
+    expect(result).toEqual({ match: { match_id: MATCH_ID }, partnerId: PARTNER, activated: false });
+    expect(transaction(pool)).toEqual(['BEGIN', 'COMMIT']);
+    expect(pool.updates()).toHaveLength(1);
+    expect(pool.updates()[0]).toContain('request_a_confirmed_at = COALESCE(request_a_confirmed_at, NOW())');
+    expect(pool.queries.find(q => q.text.startsWith('UPDATE matches')).params).toEqual([MATCH_ID, false]);
+  });
+
+  test('activates the match and opens its chat once both have confirmed', async () => {
+    const pool = fakePool(lockedMatch({ side: 'b', request_a_confirmed_at: new Date() }));
+    const result = await confirmMatch(pool, MATCH_ID, USER);
+
+    expect(result.activated).toBe(true);
+    expect(transaction(pool)).toEqual(['BEGIN', 'COMMIT']);
+    expect(pool.updates()[0]).toContain('request_b_confirmed_at = COALESCE(request_b_confirmed_at, NOW())');
+    expect(pool.queries.find(q => q.text.startsWith('UPDATE matches')).params).toEqual([MATCH_ID, true]);
+    expect(pool.updates().some(text => text.startsWith('INSERT INTO conversations'))).toBe(true);
+    expect(pool.updates().some(text => text.startsWith('INSERT INTO messages'))).toBe(true);
+  });
+
+  test.each(['active', 'declined', 'cancelled', 'completed'])('refuses a match that is %s', async (status) => {
+    const pool = fakePool(lockedMatch({ status }));
+
+    expect(await confirmMatch(pool, MATCH_ID, USER)).toEqual({
+      status: 409,
+      error: 'Only proposed matches can be confirmed'
+    });
+    expect(transaction(pool)).toEqual(['BEGIN', 'ROLLBACK']);
+    expect(pool.updates()).toEqual([]);
+  });
+
+  test('answers 404 for a match the user is not in', async () => {
+    const pool = fakePool(null);
+
+    expect(await confirmMatch(pool, MATCH_ID, USER)).toEqual({ status: 404, error: 'Match not found' });
+    expect(transaction(pool)).toEqual(['BEGIN', 'ROLLBACK']);
+    expect(pool.released()).toBe(true);
+  });
+
+  test('rolls back and releases the client when a query fails', async () => {
+    const pool = fakePool(lockedMatch(), { failOn: 'UPDATE matches' });
+
+    await expect(confirmMatch(pool, MATCH_ID, USER)).rejects.toThrow('connection lost');
+    expect(transaction(pool)).toEqual(['BEGIN', 'ROLLBACK']);
+    expect(pool.released()).toBe(true);
+  });
+});
+
+describe('declineMatch', () => {
+  test("cancels the user's request and puts the partner's back in the pool", async () => {
+    const pool = fakePool(lockedMatch());
+    const result = await declineMatch(pool, MATCH_ID, USER);
+
+    expect(result).toEqual({ match: { match_id: MATCH_ID }, partnerId: PARTNER });
+    expect(transaction(pool)).toEqual(['BEGIN', 'COMMIT']);
+
+    const [match, own, partners] = pool.queries.filter(q => q.text.startsWith('UPDATE'));
+    expect(match.params).toEqual([MATCH_ID, 'declined', USER, null]);
+    expect(own.text).toContain("status = 'cancelled'");
+    expect(own.params).toEqual(['request-a']);
+    expect(partners.text).toContain("status = 'pending'");
+    expect(partners.params).toEqual(['request-b']);
+  });
+
+  test.each(['active', 'cancelled', 'completed'])('refuses a match that is %s', async (status) => {
+    const pool = fakePool(lockedMatch({ status }));
+
+    expect(await declineMatch(pool, MATCH_ID, USER)).toEqual({
+      status: 409,
+      error: 'Only proposed matches can be declined'
+    });
+    expect(transaction(pool)).toEqual(['BEGIN', 'ROLLBACK']);
+    expect(pool.updates()).toEqual([]);
+  });
+});
+
+describe('cancelMatch', () => {
+  test('calls off a proposed match before it has a chat', async () => {
+    const pool = fakePool(lockedMatch());
+    await cancelMatch(pool, MATCH_ID, USER, 'Something came up');
+
+    expect(transaction(pool)).toEqual(['BEGIN', 'COMMIT']);
+    expect(pool.queries.find(q => q.text.startsWith('UPDATE matches')).params)
+      .toEqual([MATCH_ID, 'cancelled', USER, 'Something came up']);
+    expect(pool.updates().some(text => text.startsWith('INSERT INTO messages'))).toBe(false);
+  });
+
+  test('tells the partner why in the chat of an active match', async () => {
+    const pool = fakePool(lockedMatch({ status: 'active' }), { conversationId: 'conversation-1' });
+    await cancelMatch(pool, MATCH_ID, USER, 'Something came up');
+
+    const message = pool.queries.find(q => q.text.startsWith('INSERT INTO messages'));
+    expect(message.params).toEqual([
+      'conversation-1',
+      'This meetup was cancelled: Something came up',
+      { event: 'match_cancelled', cancelled_by: USER, reason: 'Something came up' }
+    ]);
+    expect(transaction(pool)).toEqual(['BEGIN', 'COMMIT']);
+  });
+
+  test.each(['declined', 'cancelled', 'completed'])('refuses a match that is %s', async (status) => {
+    const pool = fakePool(lockedMatch({ status }));
+
+    expect(await cancelMatch(pool, MATCH_ID, USER, 'Something came up')).toEqual({
+      status: 409,
+      error: 'This match can no longer be cancelled'
+    });
+    expect(transaction(pool)).toEqual(['BEGIN', 'ROLLBACK']);
+    expect(pool.updates()).toEqual([]);
+  });
+});
+
+describe('completeMatch', () => {
+  test('marks an active match as done once the meeting time has passed', async () => {
+    const pool = fakePool(lockedMatch({ status: 'active', meeting_date: new Date(Date.now() - HOUR) }));
+    const result = await completeMatch(pool, MATCH_ID, USER);
+
+    expect(result).toEqual({ match: { match_id: MATCH_ID }, partnerId: PARTNER });
+    expect(transaction(pool)).toEqual(['BEGIN', 'COMMIT']);
+    expect(pool.updates()).toHaveLength(1);
+    expect(pool.updates()[0]).toContain("status = 'completed'");
+  });
+
+  test('refuses before the meeting time', async () => {
+    const pool = fakePool(lockedMatch({ status: 'active', meeting_date: new Date(Date.now() + HOUR) }));
+
+    expect(await completeMatch(pool, MATCH_ID, USER)).toEqual({
+      status: 409,
+      error: 'You can mark the meetup as done once it has started'
+    });
+    expect(transaction(pool)).toEqual(['BEGIN', 'ROLLBACK']);
+    expect(pool.updates()).toEqual([]);
+  });
+
+  test.each(['proposed', 'declined', 'cancelled', 'completed'])('refuses a match that is %s', async (status) => {
+    const pool = fakePool(lockedMatch({ status, meeting_date: new Date(Date.now() - HOUR) }));
+
+    expect(await completeMatch(pool, MATCH_ID, USER)).toEqual({
+      status: 409,
+      error: 'Only active matches can be marked as done'
+    });
+    expect(transaction(pool)).toEqual(['BEGIN', 'ROLLBACK']);
+    expect(pool.updates()).toEqual([]);
+  });
+});
@@ -0,0 +1,138 @@
+// services/meetingPlaces.js - Where should a matched pair meet?
+//
+// Candidates are the catalogue places that suit the activity (somewhere to
+// eat for meals, somewhere to study for study sessions). They are ranked by
+// how quiet they should be at the meetup - the live estimate when the meetup
+// is about to start, otherwise the usual level for that hour of the week -
+// and by whether they are in buildings the two users already go to. Places
+// have no coordinates, so "near" means "in a building the user has asked to
+// meet in or met in before".
+const { loadCrowdEstimates, loadTypicalCrowd } = require('./crowd');
+
+const PLACE_TYPES_BY_ACTIVITY = {
+  breakfast: ['eat'],
+  lunch: ['eat'],
+  dinner: ['eat'],
+  study: ['study']
+};
+
+const USUAL_BUILDING_DAYS = 90;
+// Meetups starting within this long use the live estimate
+const LIVE_ESTIMATE_MINUTES = 60;
+const RECOMMENDATION_LIMIT = 5;
+
+const QUIET_WEIGHT = 2;
+const NEARBY_WEIGHT = 1;
+// How quiet a place with no data counts as, from 0 (packed) to 1 (quiet)
+const UNKNOWN_QUIETNESS = 0.5;
+
+/**
+ * The buildings each user has recently asked to meet in or met in.
+ * @param {string[]} userIds
+ * @returns {Promise<Map<string, Set<string>>>} user id -> building ids
+ */
+async function loadUsualBuildings(db, userIds) {
+  const result = await db.query(`
+    WITH visits AS (
+      SELECT r.user_id, r.place_id
+      FROM requests r
+      WHERE r.user_id = ANY($1)
+      AND r.place_id IS NOT NULL
+      AND r.created_at > NOW() - make_interval(days => $2)
+      UNION ALL
+      SELECT r.user_id, m.place_id
+      FROM matches m
+      JOIN requests r ON r.request_id IN (m.request_a_id, m.request_b_id)
+      WHERE r.user_id = ANY($1)
+      AND m.place_id IS NOT NULL
+      AND m.matched_at > NOW() - make_interval(days => $2)
+    )
+    SELECT DISTINCT v.user_id, p.building_id
+    FROM visits v
+    JOIN places p ON p.place_id = v.place_id
+    WHERE p.building_id IS NOT NULL
+  `, [userIds, USUAL_BUILDING_DAYS]);
+
+  const usual = new Map(userIds.map(userId => [userId, new Set()]));
+  result.rows.forEach(row => usual.get(row.user_id).add(row.building_id));
+  return usual;
+}
+
+/**
+ * Rank candidate places.
+ * @param {Object[]} places - Rows with place_id and building_id
+ * @param {Map<string, { score: number, source: string }>} crowd - Expected
+ *   level per place (1 low to 4 very high); places without data are missing
+ * @param {Set<string>[]} usualBuildings - One set per user
+ * @returns {Object[]} the places, best first, each with score and reasons
+ */
+function rankPlaces(places, crowd, usualBuildings) {
+  return places
+    .map(place => {
+      const reasons = [];
+      const expected = crowd.get(place.place_id);
+
+      let quietness = UNKNOWN_QUIETNESS;
+      if (expected) {
+        quietness = (4 - expected.score) / 3;
+        if (expected.score < 1.75) {
+          reasons.push(expected.source === 'live' ? 'Quiet right now' : 'Usually quiet at that time');
+        }
+      }
+
+      const users = usualBuildings.filter(buildings => buildings.has(place.building_id)).length;
+      if (users === 2) reasons.push('In a building you both go to');
+      else if (users === 1) reasons.push('In a building one of you goes to');
+
+      return {
+        ...place,
+        expected_crowd: expected ? { score: Math.round(expected.score * 100) / 100, source: expected.source } : null,
+        score: Math.round((QUIET_WEIGHT * quietness + NEARBY_WEIGHT * (users / 2)) * 1000) / 1000,
+        reasons
+      };
+    })
+    .sort((a, b) => b.score - a.score || a.place_name.localeCompare(b.place_name));
+}
+
+/**
+ * Suggest places for a match.
+ * @param {Object} match - From getMatch (activity_type, meeting_date, partner_id)
+ * @param {string} userId - The user asking
+ * @param {Date} [now]
+ * @returns {Promise<Object[]>} up to RECOMMENDATION_LIMIT places, best first
+ */
+async function recommendPlaces(db, match, userId, now = new Date()) {
+  const placeTypes = PLACE_TYPES_BY_ACTIVITY[match.activity_type] || [];
+
+  const result = await db.query(`
+    SELECT p.place_id, p.place_name, p.place_type, p.building_id, b.building_name
+    FROM places p
+    LEFT JOIN buildings b ON b.building_id = p.building_id
+    WHERE p.place_type = ANY($1)
+  `, [placeTypes]);
+  const places = result.rows;
+  if (places.length === 0) return [];
+
+  const placeIds = places.map(place => place.place_id);
+  const meetingDate = new Date(match.meeting_date);
+
+  const crowd = new Map();
+  const typical = await loadTypicalCrowd(db, placeIds, meetingDate);
+  typical.forEach((expected, placeId) => crowd.set(placeId, { score: expected.score, source: 'typical' }));
+
+  if (meetingDate - now < LIVE_ESTIMATE_MINUTES * 60 * 1000) {
+    const live = await loadCrowdEstimates(db, placeIds);
+    live.forEach((estimate, placeId) => {
+      if (estimate.score !== null) crowd.set(placeId, { score: estimate.score, source: 'live' });
+    });
+  }
+
+  const usual = await loadUsualBuildings(db, [userId, match.partner_id]);
+  return rankPlaces(places, crowd, [...usual.values()]).slice(0, RECOMMENDATION_LIMIT);
+}
+
+module.exports = {
+  PLACE_TYPES_BY_ACTIVITY,
+  rankPlaces,
+  recommendPlaces
+};
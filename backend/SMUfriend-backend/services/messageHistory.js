@@ -0,0 +1,173 @@
+// services/messageHistory.js - Paging through and syncing one-to-one chats
+//
+// History is read newest first in pages keyed by (sent_at, message_id), so a
+// page never shifts when new messages arrive. Clients that already hold a
+// chat ask for what changed instead: every insert, edit, status change or
+// soft delete bumps messages.updated_at, and changes are read in
+// (updated_at, message_id) order from the client's sync cursor.
+//
+// Cursors are opaque to clients. They carry the timestamp as Postgres prints
+// it, because a JS Date would drop the microseconds and break ties.
+const { isUuid } = require('./ids');
+const { findPairConversationIds } = require('./conversations');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+// updated_at is set when a transaction starts, so a change can become visible
+// after later ones have been synced past. Changes younger than this are left
+// for the next sync; clients get them over the socket meanwhile.
+const SYNC_SETTLE_SECONDS = 5;
+
+// $2 is the user asking and $3 the other user
+const PAIR_MESSAGE_COLUMNS = `
+  m.message_id as id,
+  m.sender_id as from,
+  CASE WHEN m.sender_id = $2 THEN $3 ELSE $2 END as to,
+  m.message_text as message,
+  m.message_type as type,
+  m.system_data as data,
+  m.sent_at as timestamp,
+  m.edited_at IS NOT NULL as edited,
+  CASE
+    WHEN m.delivery_status = 'read' THEN 'read'
+    WHEN m.delivery_status = 'delivered' THEN 'delivered'
+    WHEN m.delivery_status = 'failed' THEN 'failed'
+    ELSE 'sent'
+  END as status`;
+
+function encodeCursor(time, messageId) {
+  return Buffer.from(JSON.stringify([time, messageId])).toString('base64url');
+}
+
+/**
+ * @param {string} cursor - From encodeCursor
+ * @returns {{ time: string, messageId: string }|null} null when malformed
+ */
+function decodeCursor(cursor) {
+  try {
+    const [time, messageId] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    if (typeof time !== 'string' || Number.isNaN(Date.parse(time)) || !isUuid(messageId)) return null;
+    return { time, messageId };
+  } catch (error) {
+    return null;
+  }
+}
+
+// Page size from a query string value, within 1..MAX_PAGE_SIZE
+function pageSize(value) {
+  return Math.min(Math.max(parseInt(value, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+}
+
+// Where a sync should start so it only returns changes after now
+async function currentSyncCursor(db, conversationIds) {
+  const result = await db.query(`
+    SELECT updated_at::text as cursor_time, message_id
+    FROM messages
+    WHERE conversation_id = ANY($1)
+    AND updated_at < NOW() - make_interval(secs => $2)
+    ORDER BY updated_at DESC, message_id DESC
+    LIMIT 1
+  `, [conversationIds, SYNC_SETTLE_SECONDS]);
+
+  const [latest] = result.rows;
+  return latest ? encodeCursor(latest.cursor_time, latest.message_id) : null;
+}
+
+/**
+ * One page of a pair's history, oldest first.
+ * @param {{ limit?: number, before?: Object }} options - before is a decoded
+ *   cursor; without it the page holds the newest messages
+ * @returns {Promise<{ messages: Object[], hasMore: boolean, before: string|null,
+ *   syncCursor?: string|null }>} before fetches the next older page;
+ *   syncCursor (first page only) is where to start syncing
+ */
+async function loadPairMessages(db, userId, otherUserId, { limit = DEFAULT_PAGE_SIZE, before = null } = {}) {
+  const conversationIds = await findPairConversationIds(db, userId, otherUserId);
+
+  // Read before the page, so nothing sent in between is skipped by both
+  const syncCursor = before ? undefined : await currentSyncCursor(db, conversationIds);
+
+  const result = await db.query(`
+    SELECT ${PAIR_MESSAGE_COLUMNS}, m.sent_at::text as cursor_time
+    FROM messages m
+    WHERE m.conversation_id = ANY($1)
+    AND m.deleted_at IS NULL
+    AND ($4::timestamptz IS NULL OR (m.sent_at, m.message_id) < ($4::timestamptz, $5::uuid))
+    ORDER BY m.sent_at DESC, m.message_id DESC
+    LIMIT $6
+  `, [
+    conversationIds,
+    userId,
+    otherUserId,
+    before && before.time,
+    before && before.messageId,
+    limit + 1
+  ]);
+
+  const hasMore = result.rows.length > limit;
+  const rows = result.rows.slice(0, limit).reverse();
+  const oldest = rows[0];
+
+  const page = {
+    messages: rows.map(({ cursor_time: cursorTime, ...message }) => message),
+    hasMore,
+    before: hasMore ? encodeCursor(oldest.cursor_time, oldest.id) : null
+  };
+  if (syncCursor !== undefined) page.syncCursor = syncCursor;
+  return page;
+}
+
+/**
+ * Messages created, edited or deleted in a pair's chat since a sync cursor,
+ * in the order they changed. Deleted messages come back as { id, deleted: true }.
+ * @param {{ limit?: number, since?: Object }} options - since is a decoded
+ *   cursor; without it every message so far counts as a change
+ * @returns {Promise<{ messages: Object[], hasMore: boolean, cursor: string|null }>}
+ *   cursor is where the next sync starts; hasMore means call again with it
+ */
+async function loadPairChanges(db, userId, otherUserId, { limit = DEFAULT_PAGE_SIZE, since = null } = {}) {
+  const conversationIds = await findPairConversationIds(db, userId, otherUserId);
+
+  const result = await db.query(`
+    SELECT
+      ${PAIR_MESSAGE_COLUMNS},
+      m.deleted_at IS NOT NULL as deleted,
+      m.updated_at::text as cursor_time
+    FROM messages m
+    WHERE m.conversation_id = ANY($1)
+    AND ($4::timestamptz IS NULL OR (m.updated_at, m.message_id) > ($4::timestamptz, $5::uuid))
+    AND m.updated_at < NOW() - make_interval(secs => $7)
+    ORDER BY m.updated_at, m.message_id
+    LIMIT $6
+  `, [
+    conversationIds,
+    userId,
+    otherUserId,
+    since && since.time,
+    since && since.messageId,
+    limit + 1,
+    SYNC_SETTLE_SECONDS
+  ]);
+
+  const hasMore = result.rows.length > limit;
+  const rows = result.rows.slice(0, limit);
+  const last = rows[rows.length - 1];
+
+  let cursor = since && encodeCursor(since.time, since.messageId);
+  if (last) cursor = encodeCursor(last.cursor_time, last.id);
+
+  return {
+    messages: rows.map(({ cursor_time: cursorTime, deleted, ...message }) => (
+      deleted ? { id: message.id, deleted: true } : message
+    )),
+    hasMore,
+    cursor
+  };
+}
+
+module.exports = {
+  decodeCursor,
+  pageSize,
+  loadPairMessages,
+  loadPairChanges
+};
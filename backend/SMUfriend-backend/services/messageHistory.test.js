@@ -0,0 +1,30 @@
+const { decodeCursor, pageSize } = require('./messageHistory');
+
+const MESSAGE_ID = '3f1c2a9e-5b7d-4c8e-9a0b-1d2e3f4a5b6c';
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+describe('decodeCursor', () => {
+  test('reads a cursor with microsecond precision intact', () => {
+    expect(decodeCursor(encode(['2026-10-19 10:00:02.123456+00', MESSAGE_ID]))).toEqual({
+      time: '2026-10-19 10:00:02.123456+00',
+      messageId: MESSAGE_ID
+    });
+  });
+
+  test('rejects anything malformed', () => {
+    expect(decodeCursor('not base64 json')).toBeNull();
+    expect(decodeCursor(encode(['yesterday', MESSAGE_ID]))).toBeNull();
+    expect(decodeCursor(encode(['2026-10-19 10:00:02+00', 'not-a-uuid']))).toBeNull();
+    expect(decodeCursor(encode({ time: '2026-10-19 10:00:02+00' }))).toBeNull();
+    expect(decodeCursor(undefined)).toBeNull();
+  });
+});
+
+describe('pageSize', () => {
+  test('defaults, and keeps sizes between 1 and 200', () => {
+    expect(pageSize(undefined)).toBe(50);
+    expect(pageSize('20')).toBe(20);
+    expect(pageSize('-5')).toBe(1);
+    expect(pageSize('1000')).toBe(200);
+  });
+});
@@ -0,0 +1,162 @@
+// services/placeCatalogue.js - Parses campus place catalogues for bulk import
+//
+// A catalogue lists buildings and the places inside them. CSV files have one
+// place per row:
+//
+//   building_code,building_name,building_description,place_name,place_type
+//   SCIS1,School of Computing,,Level 2 study area,study
+//
+// JSON files hold either the same rows as objects, or buildings with their
+// places nested:
+//
+//   [{ "building_code": "SCIS1", "building_name": "School of Computing",
+//      "places": [{ "place_name": "Level 2 study area", "place_type": "study" }] }]
+//
+// Buildings are matched on building_code, so every row needs one.
+const { validateBuilding, validatePlace } = require('./placeFields');
+
+// Splits CSV text into rows of fields. Handles quoted fields with commas,
+// doubled quotes and line breaks.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+// CSV rows as objects keyed by the header row
+function csvRecords(text) {
+  const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+  if (!header) return [];
+
+  const columns = header.map(column => column.trim().toLowerCase());
+  return rows.map(fields => Object.fromEntries(columns.map((column, index) => [column, fields[index]])));
+}
+
+// Flattens nested buildings into one record per place; buildings without
+// places still get a record so they are imported
+function jsonRecords(text) {
+  const data = JSON.parse(text);
+  const items = Array.isArray(data) ? data : data.buildings;
+  if (!Array.isArray(items)) return null;
+
+  return items.flatMap(item => {
+    if (!Array.isArray(item.places)) return [item];
+
+    const building = {
+      building_code: item.building_code,
+      building_name: item.building_name,
+      building_description: item.building_description || item.description
+    };
+    return item.places.length > 0
+      ? item.places.map(place => ({ ...building, ...place }))
+      : [building];
+  });
+}
+
+/**
+ * Parse and validate a catalogue.
+ * @param {string} text - File contents
+ * @param {'csv'|'json'} format
+ * @returns {{ buildings: { building_code, building_name, description,
+ *   places: { place_name, place_type }[] }[], errors: string[] }}
+ *   errors name the offending rows (1-based, not counting a CSV header);
+ *   nothing should be imported unless it is empty
+ */
+function parseCatalogue(text, format) {
+  let records;
+  try {
+    records = format === 'json' ? jsonRecords(text) : csvRecords(text);
+  } catch (error) {
+    return { buildings: [], errors: [`Invalid JSON: ${error.message}`] };
+  }
+  if (!records) {
+    return { buildings: [], errors: ['JSON must be an array of buildings or places'] };
+  }
+
+  const buildings = new Map();
+  const errors = [];
+
+  records.forEach((record, index) => {
+    const row = index + 1;
+    const building = validateBuilding({
+      building_code: record.building_code,
+      building_name: record.building_name,
+      description: record.building_description || undefined
+    });
+
+    if (!building.updates.building_code && !building.errors.building_code) {
+      building.errors.building_code = 'Building code is required for imports';
+    }
+    Object.values(building.errors).forEach(message => errors.push(`Row ${row}: ${message}`));
+    if (Object.keys(building.errors).length > 0) return;
+
+    const code = building.updates.building_code;
+    if (!buildings.has(code)) {
+      buildings.set(code, { description: null, ...building.updates, places: new Map() });
+    }
+    const entry = buildings.get(code);
+    if (entry.building_name !== building.updates.building_name) {
+      errors.push(`Row ${row}: ${code} is named both "${entry.building_name}" and "${building.updates.building_name}"`);
+      return;
+    }
+
+    // A building-only record
+    if (!record.place_name && !record.place_type) return;
+
+    // building_id is filled in on import
+    const place = validatePlace({ ...record, building_id: undefined }, { partial: true });
+    if (!place.updates.place_name && !place.errors.place_name) place.errors.place_name = 'Place name is required';
+    if (!place.updates.place_type && !place.errors.place_type) place.errors.place_type = 'Place type is required';
+    Object.values(place.errors).forEach(message => errors.push(`Row ${row}: ${message}`));
+    if (Object.keys(place.errors).length > 0) return;
+
+    // Later rows win for the same place
+    entry.places.set(place.updates.place_name, place.updates);
+  });
+
+  return {
+    buildings: [...buildings.values()].map(entry => ({ ...entry, places: [...entry.places.values()] })),
+    errors
+  };
+}
+
+module.exports = {
+  parseCsv,
+  parseCatalogue
+};
@@ -0,0 +1,53 @@
+const { parseCsv, parseCatalogue } = require('./placeCatalogue');
+
+describe('parseCsv', () => {
+  test('handles quotes, doubled quotes, line breaks and blank lines', () => {
+    const text = 'a,b\r\n"x, y","say ""hi""\nthere"\n\n1,2';
+    expect(parseCsv(text)).toEqual([['a', 'b'], ['x, y', 'say "hi"\nthere'], ['1', '2']]);
+  });
+});
+
+describe('parseCatalogue', () => {
+  test('groups CSV rows by building and skips a byte order mark', () => {
+    const text = '﻿building_code,building_name,building_description,place_name,place_type\n'
+      + 'SCIS1,School of Computing,,Level 2 study area,study\n'
+      + 'SCIS1,School of Computing,,Cafe,eat\n'
+      + 'LKCSB,Business School,,,\n';
+
+    const { buildings, errors } = parseCatalogue(text, 'csv');
+
+    expect(errors).toEqual([]);
+    expect(buildings.map(building => [building.building_code, building.places.map(place => place.place_name)]))
+      .toEqual([['SCIS1', ['Level 2 study area', 'Cafe']], ['LKCSB', []]]);
+  });
+
+  test('reads nested JSON', () => {
+    const text = JSON.stringify({
+      buildings: [{ building_code: 'SOE', building_name: 'Economics', places: [{ place_name: 'Lounge', place_type: 'social' }] }]
+    });
+
+    const { buildings, errors } = parseCatalogue(text, 'json');
+
+    expect(errors).toEqual([]);
+    expect(buildings[0]).toMatchObject({ building_code: 'SOE', places: [{ place_name: 'Lounge', place_type: 'social' }] });
+  });
+
+  test('names the rows that are wrong', () => {
+    const text = 'building_code,building_name,place_name,place_type\n'
+      + ',Nowhere,Room,study\n'
+      + 'SCIS1,School of Computing,Room,nap\n'
+      + 'SCIS1,Computing School,Other,study\n';
+
+    const { errors } = parseCatalogue(text, 'csv');
+
+    expect(errors).toHaveLength(3);
+    expect(errors[0]).toMatch(/^Row 1: /);
+    expect(errors[1]).toMatch(/^Row 2: /);
+    expect(errors[2]).toMatch(/^Row 3: SCIS1 is named both/);
+  });
+
+  test('reports unreadable JSON', () => {
+    expect(parseCatalogue('{', 'json')).toEqual({ buildings: [], errors: [expect.stringMatching(/^Invalid JSON/)] });
+    expect(parseCatalogue('{"rooms": []}', 'json').errors).toEqual(['JSON must be an array of buildings or places']);
+  });
+});
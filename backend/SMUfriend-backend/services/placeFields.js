@@ -0,0 +1,109 @@
+// services/placeFields.js - Validation for buildings and places
+const { isUuid } = require('./ids');
+
+const PLACE_TYPES = ['study', 'eat', 'social', 'other'];
+// How busy a place is, least first (reports.reported_level)
+const CROWD_LEVELS = ['low', 'medium', 'high', 'very_high'];
+
+const BUILDING_CODE_PATTERN = /^[A-Z0-9][A-Z0-9-]{0,29}$/;
+const BUILDING_NAME_MAX_LENGTH = 100;
+const PLACE_NAME_MAX_LENGTH = 255;
+const DESCRIPTION_MAX_LENGTH = 1000;
+
+const trimmed = (value) => (typeof value === 'string' ? value.trim() : '');
+
+/**
+ * Validate a building. Creating needs building_name; when updating
+ * (partial) only the fields present in the body are validated and returned.
+ * @param {Object} body - Any of building_code, building_name, description
+ * @param {{ partial?: boolean }} [options]
+ * @returns {{ errors: Object<string, string>, updates: Object<string, *> }}
+ *   updates maps column names to their new values
+ */
+function validateBuilding(body = {}, { partial = false } = {}) {
+  const errors = {};
+  const updates = {};
+
+  if (body.building_code !== undefined) {
+    const code = trimmed(body.building_code).toUpperCase();
+    if (!code) {
+      updates.building_code = null;
+    } else if (!BUILDING_CODE_PATTERN.test(code)) {
+      errors.building_code = 'Code must be up to 30 letters, digits or dashes';
+    } else {
+      updates.building_code = code;
+    }
+  }
+
+  if (body.building_name !== undefined || !partial) {
+    const name = trimmed(body.building_name);
+    if (!name) {
+      errors.building_name = 'Building name is required';
+    } else if (name.length > BUILDING_NAME_MAX_LENGTH) {
+      errors.building_name = `Building name must be at most ${BUILDING_NAME_MAX_LENGTH} characters`;
+    } else {
+      updates.building_name = name;
+    }
+  }
+
+  if (body.description !== undefined) {
+    const description = trimmed(body.description);
+    if (description.length > DESCRIPTION_MAX_LENGTH) {
+      errors.description = `Description must be at most ${DESCRIPTION_MAX_LENGTH} characters`;
+    } else {
+      updates.description = description || null;
+    }
+  }
+
+  return { errors, updates };
+}
+
+/**
+ * Validate a place. Creating needs building_id, place_name and place_type;
+ * when updating (partial) only the fields present in the body are validated
+ * and returned.
+ * @param {Object} body - Any of building_id, place_name, place_type
+ * @param {{ partial?: boolean }} [options]
+ * @returns {{ errors: Object<string, string>, updates: Object<string, *> }}
+ */
+function validatePlace(body = {}, { partial = false } = {}) {
+  const errors = {};
+  const updates = {};
+
+  if (body.building_id !== undefined || !partial) {
+    if (!isUuid(body.building_id)) {
+      errors.building_id = 'Please choose a building';
+    } else {
+      updates.building_id = body.building_id;
+    }
+  }
+
+  if (body.place_name !== undefined || !partial) {
+    const name = trimmed(body.place_name);
+    if (!name) {
+      errors.place_name = 'Place name is required';
+    } else if (name.length > PLACE_NAME_MAX_LENGTH) {
+      errors.place_name = `Place name must be at most ${PLACE_NAME_MAX_LENGTH} characters`;
+    } else {
+      updates.place_name = name;
+    }
+  }
+
+  if (body.place_type !== undefined || !partial) {
+    const placeType = trimmed(body.place_type).toLowerCase();
+    if (!PLACE_TYPES.includes(placeType)) {
+      errors.place_type = 'Place type must be study, eat, social or other';
+    } else {
+      updates.place_type = placeType;
+    }
+  }
+
+  return { errors, updates };
+}
+
+module.exports = {
+  PLACE_TYPES,
+  CROWD_LEVELS,
+  validateBuilding,
+  validatePlace
+};
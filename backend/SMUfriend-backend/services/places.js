@@ -0,0 +1,238 @@
+// services/places.js - Campus buildings and the places inside them
+//
+// Places are what requests, matches and crowd reports point at. Admins edit
+// the catalogue through the API or load it in bulk with
+// scripts/import-places.js.
+
+const BUILDING_COLUMNS = `
+  b.building_id,
+  b.building_code,
+  b.building_name,
+  b.description,
+  b.created_at
+`;
+
+const PLACE_COLUMNS = `
+  p.place_id,
+  p.building_id,
+  p.place_name,
+  p.place_type,
+  p.created_at,
+  b.building_code,
+  b.building_name
+`;
+
+// Every building, with how many places it has
+async function listBuildings(db) {
+  const result = await db.query(`
+    SELECT ${BUILDING_COLUMNS}, COUNT(p.place_id)::int as place_count
+    FROM buildings b
+    LEFT JOIN places p ON p.building_id = b.building_id
+    GROUP BY b.building_id
+    ORDER BY b.building_name
+  `);
+  return result.rows;
+}
+
+// A building with its places, or null
+async function getBuilding(db, buildingId) {
+  const result = await db.query(`
+    SELECT ${BUILDING_COLUMNS} FROM buildings b WHERE b.building_id = $1
+  `, [buildingId]);
+  if (result.rows.length === 0) return null;
+
+  const places = await db.query(`
+    SELECT place_id, place_name, place_type, created_at
+    FROM places
+    WHERE building_id = $1
+    ORDER BY place_name
+  `, [buildingId]);
+
+  return { ...result.rows[0], places: places.rows };
+}
+
+// updates come from validateBuilding
+async function createBuilding(db, updates) {
+  const result = await db.query(`
+    INSERT INTO buildings (building_code, building_name, description)
+    VALUES ($1, $2, $3)
+    RETURNING building_id, building_code, building_name, description, created_at
+  `, [updates.building_code || null, updates.building_name, updates.description || null]);
+  return result.rows[0];
+}
+
+/**
+ * Apply a partial update from validateBuilding.
+ * @returns {Promise<Object|null>} the updated building, or null if it does not exist
+ */
+async function updateBuilding(db, buildingId, updates) {
+  const columns = Object.keys(updates);
+  // Column names come from validateBuilding, never from the client
+  const assignments = columns.map((column, index) => `${column} = $${index + 2}`);
+
+  const result = await db.query(`
+    UPDATE buildings
+    SET ${assignments.join(', ')}
+    WHERE building_id = $1
+    RETURNING building_id, building_code, building_name, description, created_at
+  `, [buildingId, ...columns.map(column => updates[column])]);
+  return result.rows[0] || null;
+}
+
+// Also removes the building's places. Returns whether it existed.
+async function deleteBuilding(db, buildingId) {
+  const result = await db.query('DELETE FROM buildings WHERE building_id = $1', [buildingId]);
+  return result.rowCount > 0;
+}
+
+/**
+ * Search places.
+ * @param {{ buildingId?: string, placeType?: string, q?: string }} [filters]
+ *   q matches anywhere in the place or building name
+ * @returns {Promise<Object[]>}
+ */
+async function listPlaces(db, { buildingId, placeType, q } = {}) {
+  const params = [];
+  const conditions = [];
+
+  if (buildingId) {
+    params.push(buildingId);
+    conditions.push(`p.building_id = $${params.length}`);
+  }
+  if (placeType) {
+    params.push(placeType);
+    conditions.push(`p.place_type = $${params.length}`);
+  }
+  if (q) {
+    params.push(`%${q.replace(/[\\%_]/g, '\\$&')}%`);
+    conditions.push(`(p.place_name ILIKE $${params.length} OR b.building_name ILIKE $${params.length})`);
+  }
+
+  const result = await db.query(`
+    SELECT ${PLACE_COLUMNS}
+    FROM places p
+    LEFT JOIN buildings b ON b.building_id = p.building_id
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY b.building_name, p.place_name
+  `, params);
+  return result.rows;
+}
+
+async function getPlace(db, placeId) {
+  const result = await db.query(`
+    SELECT ${PLACE_COLUMNS}
+    FROM places p
+    LEFT JOIN buildings b ON b.building_id = p.building_id
+    WHERE p.place_id = $1
+  `, [placeId]);
+  return result.rows[0] || null;
+}
+
+// updates come from validatePlace
+async function createPlace(db, updates) {
+  const result = await db.query(`
+    INSERT INTO places (building_id, place_name, place_type)
+    VALUES ($1, $2, $3)
+    RETURNING place_id
+  `, [updates.building_id, updates.place_name, updates.place_type]);
+  return getPlace(db, result.rows[0].place_id);
+}
+
+/**
+ * Apply a partial update from validatePlace.
+ * @returns {Promise<Object|null>} the updated place, or null if it does not exist
+ */
+async function updatePlace(db, placeId, updates) {
+  const columns = Object.keys(updates);
+  // Column names come from validatePlace, never from the client
+  const assignments = columns.map((column, index) => `${column} = $${index + 2}`);
+
+  const result = await db.query(`
+    UPDATE places
+    SET ${assignments.join(', ')}
+    WHERE place_id = $1
+  `, [placeId, ...columns.map(column => updates[column])]);
+  return result.rowCount > 0 ? getPlace(db, placeId) : null;
+}
+
+// Crowd reports go with the place; requests just forget it. Returns whether
+// it existed.
+async function deletePlace(db, placeId) {
+  const result = await db.query('DELETE FROM places WHERE place_id = $1', [placeId]);
+  return result.rowCount > 0;
+}
+
+/**
+ * Load a parsed catalogue (see placeCatalogue.js). Buildings are matched on
+ * building_code and places on their name within the building, so importing
+ * the same file again changes nothing. Places missing from the file are left
+ * alone. Run it inside a transaction.
+ * @param {Object[]} buildings - parseCatalogue().buildings
+ * @returns {Promise<{ buildings: Object, places: Object }>} created, updated
+ *   and unchanged counts for each
+ */
+async function importCatalogue(db, buildings) {
+  const counts = {
+    buildings: { created: 0, updated: 0, unchanged: 0 },
+    places: { created: 0, updated: 0, unchanged: 0 }
+  };
+
+  for (const building of buildings) {
+    // The WHERE skips the update, and so RETURNING, when nothing changed
+    const upserted = await db.query(`
+      INSERT INTO buildings (building_code, building_name, description)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (building_code) DO UPDATE
+      SET building_name = EXCLUDED.building_name, description = EXCLUDED.description
+      WHERE (buildings.building_name, buildings.description)
+        IS DISTINCT FROM (EXCLUDED.building_name, EXCLUDED.description)
+      RETURNING building_id, xmax = 0 as created
+    `, [building.building_code, building.building_name, building.description]);
+
+    let buildingId;
+    if (upserted.rows.length > 0) {
+      buildingId = upserted.rows[0].building_id;
+      counts.buildings[upserted.rows[0].created ? 'created' : 'updated']++;
+    } else {
+      const existing = await db.query(
+        'SELECT building_id FROM buildings WHERE building_code = $1',
+        [building.building_code]
+      );
+      buildingId = existing.rows[0].building_id;
+      counts.buildings.unchanged++;
+    }
+
+    for (const place of building.places) {
+      const result = await db.query(`
+        INSERT INTO places (building_id, place_name, place_type)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (building_id, place_name) DO UPDATE
+        SET place_type = EXCLUDED.place_type
+        WHERE places.place_type IS DISTINCT FROM EXCLUDED.place_type
+        RETURNING xmax = 0 as created
+      `, [buildingId, place.place_name, place.place_type]);
+
+      if (result.rows.length === 0) {
+        counts.places.unchanged++;
+      } else {
+        counts.places[result.rows[0].created ? 'created' : 'updated']++;
+      }
+    }
+  }
+
+  return counts;
+}
+
+module.exports = {
+  listBuildings,
+  getBuilding,
+  createBuilding,
+  updateBuilding,
+  deleteBuilding,
+  listPlaces,
+  getPlace,
+  createPlace,
+  updatePlace,
+  deletePlace,
+  importCatalogue
+};
@@ -0,0 +1,62 @@
+// services/profiles.js - What one user may see of another user's profile
+
+// Columns selected for any profile lookup
+const PROFILE_COLUMNS = `
+  user_id as uid,
+  display_name as name,
+  email,
+  gender,
+  avatar_url,
+  faculty,
+  year_of_enrollment,
+  is_online,
+  last_seen
+`;
+
+// Whether two users have an active or completed match with each other
+async function areMatched(db, userId1, userId2) {
+  const result = await db.query(`
+    SELECT EXISTS (
+      SELECT 1
+      FROM matches m
+      JOIN requests ra ON ra.request_id = m.request_a_id
+      JOIN requests rb ON rb.request_id = m.request_b_id
+      WHERE m.status IN ('active', 'completed')
+      AND (
+        (ra.user_id = $1 AND rb.user_id = $2) OR
+        (ra.user_id = $2 AND rb.user_id = $1)
+      )
+    ) as matched
+  `, [userId1, userId2]);
+
+  return result.rows[0].matched;
+}
+
+/**
+ * Load a profile as seen by viewerId. Email and gender are only included for
+ * the user themselves and for people they have been matched with.
+ * @returns {Promise<Object|null>} null if the user does not exist
+ */
+async function getProfileForViewer(db, userId, viewerId) {
+  const result = await db.query(`
+    SELECT ${PROFILE_COLUMNS}
+    FROM users
+    WHERE user_id = $1
+  `, [userId]);
+
+  const profile = result.rows[0];
+  if (!profile) return null;
+
+  if (userId !== viewerId && !(await areMatched(db, userId, viewerId))) {
+    delete profile.email;
+    delete profile.gender;
+  }
+
+  return profile;
+}
+
+module.exports = {
+  PROFILE_COLUMNS,
+  areMatched,
+  getProfileForViewer
+};
@@ -0,0 +1,192 @@
+// services/recurring.js - Weekly buddy requests
+//
+// A recurring_requests row is a rule like "every Tue/Thu lunch 12:00-13:00
+// until the end of term". Concrete requests are generated from it a few days
+// ahead so the matcher treats them like any other request. Each generated
+// request remembers its occurrence_date; idx_requests_occurrence keeps one
+// row per date, so skipped and cancelled occurrences stay that way.
+const { CAMPUS_TIME_ZONE } = require('./requestFields');
+
+// How far ahead occurrences are turned into requests
+const GENERATE_DAYS_AHEAD = 7;
+
+const RECURRING_COLUMNS = `
+  recurring_id,
+  activity_type,
+  days_of_week,
+  to_char(start_time, 'HH24:MI') as start_time,
+  to_char(end_time, 'HH24:MI') as end_time,
+  to_char(until_date, 'YYYY-MM-DD') as until_date,
+  preferred_gender,
+  preferred_faculty,
+  preferred_year,
+  group_size,
+  prefer_favourites,
+  status,
+  created_at
+`;
+
+const OCCURRENCE_COLUMNS = `
+  request_id,
+  user_id,
+  activity_type,
+  meeting_date,
+  to_char(occurrence_date, 'YYYY-MM-DD') as occurrence_date,
+  status
+`;
+
+// An occurrence's meeting time: the middle of the rule's window on that
+// campus date, so the matcher's flexibility either side spans the window.
+// Expects the rule as rr and the campus time zone as $1.
+const occurrenceTime = (day) =>
+  `((${day}) + rr.start_time + (rr.end_time - rr.start_time) / 2) AT TIME ZONE $1`;
+
+/**
+ * Save a weekly rule for a user.
+ * @param {Object} values - From validateRecurringRequest
+ * @returns {Promise<Object>} the rule
+ */
+async function createRecurringRequest(db, userId, values) {
+  const result = await db.query(`
+    INSERT INTO recurring_requests (
+      user_id, activity_type, days_of_week, start_time, end_time, until_date,
+      preferred_gender, preferred_faculty, preferred_year, group_size, prefer_favourites
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+    RETURNING ${RECURRING_COLUMNS}
+  `, [
+    userId,
+    values.activityType,
+    values.days,
+    values.startTime,
+    values.endTime,
+    values.until,
+    values.preferredGender,
+    values.preferredFaculty,
+    values.preferredYear,
+    values.groupSize,
+    values.preferFavourites
+  ]);
+  return result.rows[0];
+}
+
+// The user's rules, active ones first
+async function listRecurringRequests(db, userId) {
+  const result = await db.query(`
+    SELECT ${RECURRING_COLUMNS}
+    FROM recurring_requests
+    WHERE user_id = $1
+    ORDER BY status = 'active' DESC, created_at DESC
+  `, [userId]);
+  return result.rows;
+}
+
+// One of the user's rules, or null if it isn't theirs
+async function getRecurringRequest(db, recurringId, userId) {
+  const result = await db.query(`
+    SELECT ${RECURRING_COLUMNS}
+    FROM recurring_requests
+    WHERE recurring_id = $1 AND user_id = $2
+  `, [recurringId, userId]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Create the pending requests for every active rule's occurrences in the
+ * next GENERATE_DAYS_AHEAD days. Safe to run repeatedly. An occurrence that
+ * clashes with another active request of the user's for the same slot is
+ * left out until that request is out of the way.
+ * @param {string} [recurringId] - Only generate for this rule
+ * @returns {Promise<Object[]>} the requests created
+ */
+async function generateOccurrences(db, recurringId = null) {
+  const result = await db.query(`
+    INSERT INTO requests (
+      user_id, activity_type, preferred_gender, preferred_faculty, preferred_year,
+      group_size, prefer_favourites, meeting_date, expires_at, recurring_id, occurrence_date
+    )
+    SELECT
+      rr.user_id, rr.activity_type, rr.preferred_gender, rr.preferred_faculty, rr.preferred_year,
+      rr.group_size, rr.prefer_favourites, o.meeting_date, o.meeting_date, rr.recurring_id, o.day
+    FROM recurring_requests rr
+    CROSS JOIN LATERAL (
+      SELECT d::date as day, ${occurrenceTime('d::date')} as meeting_date
+      FROM generate_series(
+        (NOW() AT TIME ZONE $1)::date::timestamp,
+        LEAST(rr.until_date, (NOW() AT TIME ZONE $1)::date + $2::int)::timestamp,
+        INTERVAL '1 day'
+      ) d
+    ) o
+    WHERE rr.status = 'active'
+    AND ($3::uuid IS NULL OR rr.recurring_id = $3)
+    AND EXTRACT(DOW FROM o.day) = ANY(rr.days_of_week)
+    AND o.meeting_date > NOW()
+    ON CONFLICT DO NOTHING
+    RETURNING ${OCCURRENCE_COLUMNS}
+  `, [CAMPUS_TIME_ZONE, GENERATE_DAYS_AHEAD, recurringId]);
+  return result.rows;
+}
+
+/**
+ * Skip one occurrence of a rule. Cancels its request if it has already been
+ * generated and is still pending; otherwise records it as cancelled so it is
+ * never generated.
+ * @param {Object} rule - One of the user's active rules
+ * @param {string} date - A validated occurrence date (YYYY-MM-DD)
+ * @returns {Promise<{ request: Object }|{ status: number, error: string }>}
+ */
+async function skipOccurrence(db, rule, date) {
+  const result = await db.query(`
+    INSERT INTO requests (
+      user_id, activity_type, preferred_gender, preferred_faculty, preferred_year,
+      group_size, prefer_favourites, meeting_date, expires_at, recurring_id, occurrence_date, status
+    )
+    SELECT
+      rr.user_id, rr.activity_type, rr.preferred_gender, rr.preferred_faculty, rr.preferred_year,
+      rr.group_size, rr.prefer_favourites, ${occurrenceTime('$3::date')}, ${occurrenceTime('$3::date')},
+      rr.recurring_id, $3::date, 'cancelled'
+    FROM recurring_requests rr
+    WHERE rr.recurring_id = $2
+    ON CONFLICT (recurring_id, occurrence_date) DO UPDATE
+    SET status = 'cancelled'
+    WHERE requests.status IN ('pending', 'cancelled')
+    RETURNING ${OCCURRENCE_COLUMNS}
+  `, [CAMPUS_TIME_ZONE, rule.recurring_id, date]);
+
+  if (result.rows.length === 0) {
+    return { status: 409, error: 'That occurrence has already been matched or has passed; cancel the match instead' };
+  }
+  return { request: result.rows[0] };
+}
+
+/**
+ * Stop a rule and cancel its occurrences that haven't been matched yet.
+ * Matched occurrences are left for the user to cancel through their match.
+ * @returns {Promise<Object|null>} the rule, or null if the user has no such
+ *   active rule
+ */
+async function cancelRecurringRequest(db, recurringId, userId) {
+  const result = await db.query(`
+    WITH rule AS (
+      UPDATE recurring_requests
+      SET status = 'cancelled'
+      WHERE recurring_id = $1 AND user_id = $2 AND status = 'active'
+      RETURNING *
+    ), cancelled AS (
+      UPDATE requests
+      SET status = 'cancelled'
+      WHERE recurring_id IN (SELECT recurring_id FROM rule) AND status = 'pending'
+    )
+    SELECT ${RECURRING_COLUMNS} FROM rule
+  `, [recurringId, userId]);
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  createRecurringRequest,
+  listRecurringRequests,
+  getRecurringRequest,
+  generateOccurrences,
+  skipOccurrence,
+  cancelRecurringRequest
+};
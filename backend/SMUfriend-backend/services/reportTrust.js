@@ -0,0 +1,205 @@
+// services/reportTrust.js - How much to trust each crowd reporter
+//
+// Once the reports around it are in, every report is compared with what
+// other people said about the same place at about the same time. Reporters
+// who usually agree with everyone else gain weight; reporters who keep
+// disagreeing, whose reports get flagged (far off the consensus, or sent from
+// several places within minutes) or whose reports moderators reject lose it.
+// Moderators can also verify a report, which counts in the reporter's favour.
+const { CROWD_LEVELS } = require('./placeFields');
+
+// Reports are judged against the other reports within this many minutes either
+// side, so a report is only evaluated once this long has passed
+const CONSENSUS_WINDOW_MINUTES = 20;
+const CONSENSUS_MIN_OTHERS = 2;
+// Distance in levels (1 low to 4 very high) from the others' average
+const AGREE_WITHIN = 0.75;
+const DISAGREE_FROM = 1.5;
+const OUTLIER_FROM = 2;
+// Reports not evaluated by then (e.g. the server was down) are left alone
+const EVALUATE_WITHIN_HOURS = 24;
+
+// Trust looks at this much of a reporter's history
+const TRUST_DAYS = 90;
+// A new reporter starts as if PRIOR reports had agreed and PRIOR had not, for
+// a weight of 1; the weight tends to MAX_TRUST as they keep agreeing
+const PRIOR = 2;
+const MAX_TRUST = 2;
+const MIN_TRUST = 0.1;
+const VERIFIED_CREDIT = 2;
+const REJECTED_PENALTY = 3;
+
+const REVIEW_STATUSES = ['flagged', 'recent'];
+const REVIEW_LIMIT = 100;
+
+/**
+ * A reporter's weight from their track record.
+ * @param {{ agreed: number, disagreed: number, verified: number,
+ *   rejected: number, flagged: number }} record - flagged only counts flags no
+ *   moderator has looked at
+ * @returns {number} between MIN_TRUST and MAX_TRUST, 1 for a new reporter
+ */
+function trustWeight({ agreed = 0, disagreed = 0, verified = 0, rejected = 0, flagged = 0 } = {}) {
+  const positive = PRIOR + agreed + VERIFIED_CREDIT * verified;
+  const negative = disagreed + REJECTED_PENALTY * rejected + flagged;
+  const weight = MAX_TRUST * positive / (positive + negative + PRIOR);
+  return Math.round(Math.min(MAX_TRUST, Math.max(MIN_TRUST, weight)) * 100) / 100;
+}
+
+/**
+ * Track records for several reporters.
+ * @param {string[]} userIds
+ * @returns {Promise<Map<string, Object>>} user id -> record with its trust
+ *   weight; reporters without recent reports are missing (weight 1)
+ */
+async function loadReporterTrust(db, userIds) {
+  const result = await db.query(`
+    SELECT
+      user_id,
+      COUNT(*) FILTER (WHERE consensus = 'agree')::int as agreed,
+      COUNT(*) FILTER (WHERE consensus = 'disagree')::int as disagreed,
+      COUNT(*) FILTER (WHERE is_verified)::int as verified,
+      COUNT(*) FILTER (WHERE rejected)::int as rejected,
+      COUNT(*) FILTER (WHERE flag_reason IS NOT NULL AND moderated_at IS NULL)::int as flagged
+    FROM reports
+    WHERE user_id = ANY($1)
+    AND reported_at > NOW() - make_interval(days => $2)
+    GROUP BY user_id
+  `, [userIds, TRUST_DAYS]);
+
+  return new Map(result.rows.map(row => [row.user_id, { ...row, trust: trustWeight(row) }]));
+}
+
+/**
+ * Compare every report whose window has closed with the other reports for the
+ * same place around the same time, and flag the ones far off. Meant to run
+ * from the cleanup job.
+ * @returns {Promise<Object[]>} the evaluated reports (report_id, user_id,
+ *   place_id, consensus, flag_reason)
+ */
+async function evaluateReports(db) {
+  const result = await db.query(`
+    WITH candidates AS (
+      SELECT report_id, user_id, place_id, reported_at, array_position($1::text[], reported_level) as value
+      FROM reports
+      WHERE consensus IS NULL
+      AND NOT rejected
+      AND reported_at < NOW() - make_interval(mins => $2)
+      AND reported_at > NOW() - make_interval(hours => $3)
+    ),
+    compared AS (
+      SELECT
+        c.report_id,
+        COUNT(o.report_id)::int as others,
+        ABS(c.value - AVG(array_position($1::text[], o.reported_level))) as distance
+      FROM candidates c
+      LEFT JOIN reports o ON o.place_id = c.place_id
+        AND o.user_id IS DISTINCT FROM c.user_id
+        AND NOT o.rejected
+        AND o.reported_at BETWEEN c.reported_at - make_interval(mins => $2)
+          AND c.reported_at + make_interval(mins => $2)
+      GROUP BY c.report_id, c.value
+    )
+    UPDATE reports r
+    SET
+      consensus = CASE
+        WHEN compared.others < $4 THEN 'none'
+        WHEN compared.distance <= $5 THEN 'agree'
+        WHEN compared.distance >= $6 THEN 'disagree'
+        ELSE 'none'
+      END,
+      flag_reason = COALESCE(r.flag_reason, CASE
+        WHEN compared.others >= $4 AND compared.distance >= $7 THEN 'outlier'
+      END)
+    FROM compared
+    WHERE r.report_id = compared.report_id
+    RETURNING r.report_id, r.user_id, r.place_id, r.consensus, r.flag_reason
+  `, [
+    CROWD_LEVELS,
+    CONSENSUS_WINDOW_MINUTES,
+    EVALUATE_WITHIN_HOURS,
+    CONSENSUS_MIN_OTHERS,
+    AGREE_WITHIN,
+    DISAGREE_FROM,
+    OUTLIER_FROM
+  ]);
+
+  return result.rows;
+}
+
+/**
+ * Reports for moderators to look at, newest first, with each reporter's
+ * track record.
+ * @param {{ status?: string, placeId?: string }} filters - status 'flagged'
+ *   (default) lists flagged reports nobody has moderated; 'recent' lists every
+ *   unmoderated report from the last day
+ * @returns {Promise<Object[]>}
+ */
+async function listReportsForReview(db, { status = 'flagged', placeId } = {}) {
+  const conditions = ['r.moderated_at IS NULL'];
+  const values = [];
+
+  if (status === 'flagged') {
+    conditions.push('r.flag_reason IS NOT NULL');
+  } else {
+    conditions.push(`r.reported_at > NOW() - INTERVAL '1 day'`);
+  }
+  if (placeId) {
+    values.push(placeId);
+    conditions.push(`r.place_id = $${values.length}`);
+  }
+  values.push(REVIEW_LIMIT);
+
+  const result = await db.query(`
+    SELECT
+      r.report_id, r.place_id, p.place_name, b.building_name,
+      r.reported_level, r.comment, r.reported_at, r.flag_reason, r.consensus,
+      r.user_id, u.display_name
+    FROM reports r
+    JOIN places p ON p.place_id = r.place_id
+    LEFT JOIN buildings b ON b.building_id = p.building_id
+    LEFT JOIN users u ON u.user_id = r.user_id
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY r.reported_at DESC
+    LIMIT $${values.length}
+  `, values);
+
+  const trust = await loadReporterTrust(db, [...new Set(result.rows.map(row => row.user_id))]);
+  return result.rows.map(row => ({
+    ...row,
+    reporter_trust: trust.has(row.user_id) ? trust.get(row.user_id).trust : trustWeight()
+  }));
+}
+
+/**
+ * Verify or reject a report. Either can be undone by the other action.
+ * @param {string} action - 'verify' or 'reject'
+ * @returns {Promise<{ report: Object }|{ status: number, error: string }>}
+ */
+async function moderateReport(db, reportId, moderatorId, action) {
+  const result = await db.query(`
+    UPDATE reports
+    SET is_verified = $3, rejected = $4, moderated_by = $2, moderated_at = NOW()
+    WHERE report_id = $1
+    AND user_id IS DISTINCT FROM $2
+    RETURNING report_id, place_id, user_id, reported_level, reported_at, is_verified, rejected, flag_reason
+  `, [reportId, moderatorId, action === 'verify', action === 'reject']);
+
+  if (result.rows.length > 0) {
+    return { report: result.rows[0] };
+  }
+
+  const exists = await db.query('SELECT 1 FROM reports WHERE report_id = $1', [reportId]);
+  return exists.rows.length === 0
+    ? { status: 404, error: 'Report not found' }
+    : { status: 403, error: 'You cannot moderate your own report' };
+}
+
+module.exports = {
+  REVIEW_STATUSES,
+  trustWeight,
+  loadReporterTrust,
+  evaluateReports,
+  listReportsForReview,
+  moderateReport
+};
@@ -0,0 +1,25 @@
+const { trustWeight } = require('./reportTrust');
+
+describe('trustWeight', () => {
+  test('starts new reporters at 1', () => {
+    expect(trustWeight()).toBe(1);
+    expect(trustWeight({})).toBe(1);
+  });
+
+  test('grows towards 2 as reports agree with everyone else', () => {
+    expect(trustWeight({ agreed: 4 })).toBeGreaterThan(1);
+    expect(trustWeight({ agreed: 1000 })).toBeLessThanOrEqual(2);
+    expect(trustWeight({ agreed: 1000 })).toBeGreaterThan(1.9);
+  });
+
+  test('verified reports count more than agreement', () => {
+    expect(trustWeight({ verified: 2 })).toBeGreaterThan(trustWeight({ agreed: 2 }));
+  });
+
+  test('drops for disagreement, flags and rejections, but not below 0.1', () => {
+    expect(trustWeight({ disagreed: 2 })).toBeLessThan(1);
+    expect(trustWeight({ flagged: 2 })).toBe(trustWeight({ disagreed: 2 }));
+    expect(trustWeight({ rejected: 1 })).toBeLessThan(trustWeight({ disagreed: 1 }));
+    expect(trustWeight({ rejected: 1000 })).toBe(0.1);
+  });
+});
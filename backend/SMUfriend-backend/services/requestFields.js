@@ -0,0 +1,235 @@
+// services/requestFields.js - Validation for buddy requests (the requests table)
+const { FACULTIES, parseYear } = require('./userFields');
+const { isUuid } = require('./ids');
+
+const ACTIVITY_TYPES = ['lunch', 'dinner', 'breakfast', 'study'];
+const MAX_DAYS_AHEAD = 14;
+
+// group_size is the largest table the user wants: 2 asks for one buddy, 3-6
+// for a group meal
+const MIN_GROUP_SIZE = 2;
+const MAX_GROUP_SIZE = 6;
+
+// Slots ("one lunch per day") are counted in campus time
+const CAMPUS_TIME_ZONE = 'Asia/Singapore';
+
+// The form may send 'female'/'male'; requests store 'f'/'m'/'any'
+const PREFERRED_GENDERS = {
+  female: 'f',
+  male: 'm',
+  f: 'f',
+  m: 'm',
+  any: 'any'
+};
+
+// Weekly rules run for at most about a term
+const MAX_RECURRENCE_WEEKS = 16;
+
+// Stored as Postgres day-of-week numbers (EXTRACT(DOW), Sunday = 0)
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Today's date in campus time, as YYYY-MM-DD
+function campusDate(now = new Date()) {
+  return now.toLocaleDateString('en-CA', { timeZone: CAMPUS_TIME_ZONE });
+}
+
+// Adds days to a YYYY-MM-DD date
+function addDays(date, days) {
+  const result = new Date(`${date}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().slice(0, 10);
+}
+
+// Accepts 'HH:MM'; returns minutes after midnight, or null
+function parseTime(time) {
+  const match = typeof time === 'string' ? TIME_PATTERN.exec(time.trim()) : null;
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+// Accepts weekday names ('tue') or numbers (2); returns sorted day numbers,
+// or null if any day is not recognised
+function parseWeekdays(days) {
+  if (!Array.isArray(days) || days.length === 0) return null;
+
+  const parsed = new Set();
+  for (const day of days) {
+    const name = typeof day === 'string' ? day.trim().toLowerCase().slice(0, 3) : '';
+    const number = WEEKDAYS.includes(name) ? WEEKDAYS.indexOf(name) : Number(day);
+    if (!Number.isInteger(number) || number < 0 || number > 6) return null;
+    parsed.add(number);
+  }
+  return [...parsed].sort((a, b) => a - b);
+}
+
+// Fields shared by one-off and weekly requests: activity, preferences and
+// table size
+function validateRequestOptions(body, errors) {
+  const activityType = typeof body.activity_type === 'string' ? body.activity_type.trim().toLowerCase() : '';
+  if (!ACTIVITY_TYPES.includes(activityType)) {
+    errors.activity_type = 'Please choose lunch, dinner, breakfast or study';
+  }
+
+  const genderInput = typeof body.preferred_gender === 'string' ? body.preferred_gender.trim().toLowerCase() : 'any';
+  const preferredGender = PREFERRED_GENDERS[genderInput || 'any'];
+  if (!preferredGender) {
+    errors.preferred_gender = 'Please choose a valid gender preference';
+  }
+
+  // Faculty and year preferences are optional; empty or 'any' means no preference
+  let preferredFaculty = null;
+  if (body.preferred_faculty && body.preferred_faculty !== 'any') {
+    preferredFaculty = String(body.preferred_faculty).trim().toLowerCase();
+    if (!FACULTIES.includes(preferredFaculty)) {
+      errors.preferred_faculty = 'Please choose a valid faculty';
+    }
+  }
+
+  let preferredYear = null;
+  if (body.preferred_year && body.preferred_year !== 'any') {
+    preferredYear = parseYear(body.preferred_year);
+    if (!preferredYear) {
+      errors.preferred_year = 'Please choose a valid year';
+    }
+  }
+
+  let groupSize = MIN_GROUP_SIZE;
+  if (body.group_size !== undefined && body.group_size !== null && body.group_size !== '') {
+    groupSize = Number(body.group_size);
+    if (!Number.isInteger(groupSize) || groupSize < MIN_GROUP_SIZE || groupSize > MAX_GROUP_SIZE) {
+      errors.group_size = `Table size must be between ${MIN_GROUP_SIZE} and ${MAX_GROUP_SIZE}`;
+    }
+  }
+
+  // Only makes a difference with partners who marked each other as favourites
+  const preferFavourites = body.prefer_favourites === true || body.prefer_favourites === 'true';
+
+  return {
+    activityType,
+    preferredGender,
+    preferredFaculty,
+    preferredYear,
+    groupSize,
+    preferFavourites
+  };
+}
+
+/**
+ * Validate a new buddy request.
+ * @param {Object} body - { activity_type, meeting_date, preferred_gender,
+ *   preferred_faculty, preferred_year, group_size, prefer_favourites,
+ *   place_id }
+ * @param {Date} [now]
+ * @returns {{ errors: Object<string, string>, values: Object }}
+ */
+function validateBuddyRequest(body = {}, now = new Date()) {
+  const errors = {};
+  const options = validateRequestOptions(body, errors);
+
+  const meetingDate = new Date(body.meeting_date);
+  const latest = new Date(now.getTime() + MAX_DAYS_AHEAD * 24 * 60 * 60 * 1000);
+  if (!body.meeting_date || Number.isNaN(meetingDate.getTime())) {
+    errors.meeting_date = 'Please choose a date and time';
+  } else if (meetingDate <= now) {
+    errors.meeting_date = 'Meeting time must be in the future';
+  } else if (meetingDate > latest) {
+    errors.meeting_date = `Meeting time must be within the next ${MAX_DAYS_AHEAD} days`;
+  }
+
+  // Optional: where the user would like to meet
+  let placeId = null;
+  if (body.place_id) {
+    placeId = body.place_id;
+    if (!isUuid(placeId)) {
+      errors.place_id = 'Please choose a valid place';
+    }
+  }
+
+  return {
+    errors,
+    values: { ...options, meetingDate, placeId }
+  };
+}
+
+/**
+ * Validate a weekly request rule, e.g. every Tue/Thu lunch 12:00-13:00 until
+ * the end of term. Times are in campus time.
+ * @param {Object} body - { days, start_time, end_time, until, plus the
+ *   activity, preference and table size fields of a buddy request }
+ * @param {Date} [now]
+ * @returns {{ errors: Object<string, string>, values: Object }}
+ */
+function validateRecurringRequest(body = {}, now = new Date()) {
+  const errors = {};
+  const options = validateRequestOptions(body, errors);
+
+  const days = parseWeekdays(body.days);
+  if (!days) {
+    errors.days = 'Please choose the days of the week';
+  }
+
+  const start = parseTime(body.start_time);
+  const end = parseTime(body.end_time);
+  if (start === null) {
+    errors.start_time = 'Please choose a start time';
+  }
+  if (end === null) {
+    errors.end_time = 'Please choose an end time';
+  } else if (start !== null && end <= start) {
+    errors.end_time = 'End time must be after the start time';
+  }
+
+  const today = campusDate(now);
+  const latest = addDays(today, MAX_RECURRENCE_WEEKS * 7);
+  const until = typeof body.until === 'string' ? body.until.trim() : '';
+  if (!DATE_PATTERN.test(until) || Number.isNaN(new Date(until).getTime())) {
+    errors.until = 'Please choose an end date';
+  } else if (until < today) {
+    errors.until = 'End date must not be in the past';
+  } else if (until > latest) {
+    errors.until = `Weekly requests can run for at most ${MAX_RECURRENCE_WEEKS} weeks`;
+  }
+
+  return {
+    errors,
+    values: {
+      ...options,
+      days,
+      startTime: body.start_time && body.start_time.trim(),
+      endTime: body.end_time && body.end_time.trim(),
+      until
+    }
+  };
+}
+
+/**
+ * Validate the date of one occurrence of a weekly request.
+ * @param {string} date - YYYY-MM-DD in campus time
+ * @param {Object} rule - { days_of_week: number[], until_date: 'YYYY-MM-DD' }
+ * @param {Date} [now]
+ * @returns {string|null} an error message, or null if the date is acceptable
+ */
+function validateOccurrenceDate(date, rule, now = new Date()) {
+  const day = DATE_PATTERN.test(date || '') ? new Date(`${date}T00:00:00Z`) : null;
+  if (!day || Number.isNaN(day.getTime())) {
+    return 'Please choose a date';
+  }
+  if (date < campusDate(now) || date > rule.until_date) {
+    return 'That date is outside this weekly request';
+  }
+  if (!rule.days_of_week.includes(day.getUTCDay())) {
+    return 'This weekly request does not run on that day';
+  }
+  return null;
+}
+
+module.exports = {
+  ACTIVITY_TYPES,
+  CAMPUS_TIME_ZONE,
+  WEEKDAYS,
+  validateBuddyRequest,
+  validateRecurringRequest,
+  validateOccurrenceDate
+};
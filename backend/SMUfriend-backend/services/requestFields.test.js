@@ -0,0 +1,86 @@
+const { validateBuddyRequest, validateRecurringRequest, validateOccurrenceDate } = require('./requestFields');
+
+const NOW = new Date('2026-10-19T04:00:00Z'); // Monday, noon in Singapore
+
+describe('validateBuddyRequest', () => {
+  test('normalises a valid request', () => {
+    const { errors, values } = validateBuddyRequest({
+      activity_type: ' Lunch ',
+      meeting_date: '2026-10-20T04:00:00Z',
+      preferred_gender: 'female',
+      preferred_faculty: 'Business',
+      preferred_year: 'graduate',
+      group_size: '4'
+    }, NOW);
+
+    expect(errors).toEqual({});
+    expect(values).toMatchObject({
+      activityType: 'lunch',
+      preferredGender: 'f',
+      preferredFaculty: 'business',
+      preferredYear: 5,
+      groupSize: 4,
+      preferFavourites: false,
+      placeId: null
+    });
+  });
+
+  test('rejects past, far-off and missing meeting times', () => {
+    expect(validateBuddyRequest({ activity_type: 'lunch', meeting_date: '2026-10-19T03:00:00Z' }, NOW).errors)
+      .toEqual({ meeting_date: 'Meeting time must be in the future' });
+    expect(validateBuddyRequest({ activity_type: 'lunch', meeting_date: '2026-11-19T03:00:00Z' }, NOW).errors)
+      .toHaveProperty('meeting_date');
+    expect(validateBuddyRequest({ activity_type: 'lunch' }, NOW).errors).toHaveProperty('meeting_date');
+  });
+
+  test('reports every invalid field', () => {
+    const { errors } = validateBuddyRequest({
+      activity_type: 'brunch',
+      meeting_date: '2026-10-20T04:00:00Z',
+      preferred_gender: 'robot',
+      preferred_faculty: 'astrology',
+      preferred_year: 9,
+      group_size: 7,
+      place_id: 'not-a-uuid'
+    }, NOW);
+
+    expect(Object.keys(errors).sort()).toEqual([
+      'activity_type', 'group_size', 'place_id', 'preferred_faculty', 'preferred_gender', 'preferred_year'
+    ]);
+  });
+});
+
+describe('validateRecurringRequest', () => {
+  const rule = {
+    activity_type: 'lunch',
+    days: ['tue', 4, 'Tuesday'],
+    start_time: '12:00',
+    end_time: '13:00',
+    until: '2026-12-01'
+  };
+
+  test('accepts weekday names and numbers', () => {
+    const { errors, values } = validateRecurringRequest(rule, NOW);
+    expect(errors).toEqual({});
+    expect(values).toMatchObject({ days: [2, 4], startTime: '12:00', endTime: '13:00', until: '2026-12-01' });
+  });
+
+  test('rejects backwards times and rules longer than a term', () => {
+    const { errors } = validateRecurringRequest({ ...rule, end_time: '11:00', until: '2027-06-01' }, NOW);
+    expect(Object.keys(errors).sort()).toEqual(['end_time', 'until']);
+  });
+});
+
+describe('validateOccurrenceDate', () => {
+  const rule = { days_of_week: [2, 4], until_date: '2026-12-01' };
+
+  test('accepts a rule day in range', () => {
+    expect(validateOccurrenceDate('2026-10-20', rule, NOW)).toBeNull();
+  });
+
+  test('rejects other days and dates outside the rule', () => {
+    expect(validateOccurrenceDate('2026-10-21', rule, NOW)).toEqual(expect.any(String));
+    expect(validateOccurrenceDate('2026-12-03', rule, NOW)).toEqual(expect.any(String));
+    expect(validateOccurrenceDate('tomorrow', rule, NOW)).toEqual(expect.any(String));
+  });
+});
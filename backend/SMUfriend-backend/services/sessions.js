@@ -0,0 +1,156 @@
+// services/sessions.js - Signed access tokens and rotating refresh tokens
+//
+// Access tokens are short-lived JWTs carrying the user ID and the user's
+// session_version; bumping users.session_version invalidates them all.
+// Refresh tokens are opaque, stored hashed in refresh_tokens, and replaced on
+// every use. Tokens descended from one login share a family_id, so presenting
+// an already-rotated refresh token (a sign it was stolen) revokes the family.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { generateToken, hashToken } = require('./tokens');
+
+const ACCESS_TOKEN_TTL = '15m';
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+const REFRESH_TOKEN_TTL = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+const JWT_SECRET = process.env.JWT_SECRET || (() => {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('JWT_SECRET must be set in production');
+  }
+  console.warn('⚠️  JWT_SECRET not set - using a random secret, sessions end when the server restarts');
+  return crypto.randomBytes(32).toString('hex');
+})();
+
+function signAccessToken(userId, sessionVersion) {
+  return jwt.sign({ sv: sessionVersion }, JWT_SECRET, {
+    subject: userId,
+    expiresIn: ACCESS_TOKEN_TTL
+  });
+}
+
+async function issueRefreshToken(db, userId, familyId) {
+  const refreshToken = generateToken();
+
+  await db.query(`
+    INSERT INTO refresh_tokens (user_id, token_hash, family_id, expires_at)
+    VALUES ($1, $2, $3, NOW() + ($4 || ' milliseconds')::INTERVAL)
+  `, [userId, hashToken(refreshToken), familyId, String(REFRESH_TOKEN_TTL)]);
+
+  return refreshToken;
+}
+
+/**
+ * Start a new session after a successful login.
+ * @param {Pool|PoolClient} db
+ * @param {{ user_id: string, session_version: number }} user
+ * @returns {Promise<{ accessToken: string, refreshToken: string, expiresIn: number }>}
+ */
+async function createSession(db, user) {
+  const refreshToken = await issueRefreshToken(db, user.user_id, crypto.randomUUID());
+
+  return {
+    accessToken: signAccessToken(user.user_id, user.session_version),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS
+  };
+}
+
+/**
+ * Exchange a refresh token for a new access/refresh pair.
+ * @returns {Promise<Object|null>} The new session, or null if the token is
+ *   unknown, expired or already used
+ */
+async function rotateSession(db, refreshToken) {
+  if (typeof refreshToken !== 'string' || refreshToken.length === 0) return null;
+
+  const tokenHash = hashToken(refreshToken);
+
+  const result = await db.query(`
+    UPDATE refresh_tokens
+    SET revoked_at = NOW()
+    WHERE token_hash = $1 AND revoked_at IS NULL
+    RETURNING user_id, family_id, expires_at < NOW() as expired
+  `, [tokenHash]);
+
+  if (result.rows.length === 0) {
+    // Reuse of a rotated token: end every session from that login
+    await db.query(`
+      UPDATE refresh_tokens
+      SET revoked_at = NOW()
+      WHERE revoked_at IS NULL
+      AND family_id = (SELECT family_id FROM refresh_tokens WHERE token_hash = $1)
+    `, [tokenHash]);
+    return null;
+  }
+
+  const { user_id: userId, family_id: familyId, expired } = result.rows[0];
+  if (expired) return null;
+
+  const userResult = await db.query(
+    'SELECT session_version FROM users WHERE user_id = $1',
+    [userId]
+  );
+  if (userResult.rows.length === 0) return null;
+
+  return {
+    accessToken: signAccessToken(userId, userResult.rows[0].session_version),
+    refreshToken: await issueRefreshToken(db, userId, familyId),
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS
+  };
+}
+
+// Log out: revoke the presented refresh token and the rest of its family
+async function revokeSession(db, refreshToken) {
+  if (typeof refreshToken !== 'string' || refreshToken.length === 0) return;
+
+  await db.query(`
+    UPDATE refresh_tokens
+    SET revoked_at = NOW()
+    WHERE revoked_at IS NULL
+    AND family_id = (SELECT family_id FROM refresh_tokens WHERE token_hash = $1)
+  `, [hashToken(refreshToken)]);
+}
+
+// Sign a user out everywhere (e.g. after a password reset)
+async function revokeAllSessions(db, userId) {
+  await db.query(`
+    UPDATE users SET session_version = session_version + 1 WHERE user_id = $1
+  `, [userId]);
+
+  await db.query(`
+    UPDATE refresh_tokens SET revoked_at = NOW()
+    WHERE user_id = $1 AND revoked_at IS NULL
+  `, [userId]);
+}
+
+/**
+ * Resolve an access token to the user it belongs to.
+ * Shared by the HTTP middleware and the Socket.IO handshake.
+ * @returns {Promise<{ userId: string, verified: boolean, role: string } | null>}
+ */
+async function authenticateAccessToken(db, accessToken) {
+  let payload;
+  try {
+    payload = jwt.verify(accessToken, JWT_SECRET);
+  } catch (error) {
+    return null;
+  }
+
+  const result = await db.query(
+    'SELECT user_id, verified, role, session_version FROM users WHERE user_id = $1',
+    [payload.sub]
+  );
+  const user = result.rows[0];
+
+  if (!user || user.session_version !== payload.sv) return null;
+
+  return { userId: user.user_id, verified: user.verified === true, role: user.role };
+}
+
+module.exports = {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  authenticateAccessToken
+};
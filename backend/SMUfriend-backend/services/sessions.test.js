@@ -0,0 +1,184 @@
+process.env.JWT_SECRET = 'test-secret';
+
+const jwt = require('jsonwebtoken');
+const {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  authenticateAccessToken
+} = require('./sessions');
+const { hashToken } = require('./tokens');
+
+const USER = { user_id: 'user-1', session_version: 1, verified: true, role: 'student' };
+
+// Just enough of the users and refresh_tokens tables for sessions.js
+function fakeDb(users = [USER]) {
+  const usersById = new Map(users.map(user => [user.user_id, { ...user }]));
+  const tokens = [];
+  const familyOf = (tokenHash) => (tokens.find(row => row.token_hash === tokenHash) || {}).family_id;
+  const revoke = (rows) => rows.forEach(row => { row.revoked_at = Date.now(); });
+
+  return {
+    tokens,
+    users: usersById,
+    query: async (sql, params) => {
+      if (sql.includes('INSERT INTO refresh_tokens')) {
+        const [userId, tokenHash, familyId, ttlMs] = params;
+        tokens.push({
+          user_id: userId,
+          token_hash: tokenHash,
+          family_id: familyId,
+          expires_at: Date.now() + Number(ttlMs),
+          revoked_at: null
+        });
+        return { rows: [] };
+      }
+      if (sql.includes('RETURNING user_id, family_id')) {
+        const matched = tokens.filter(row => row.token_hash === params[0] && row.revoked_at === null);
+        revoke(matched);
+        return {
+          rows: matched.map(row => ({
+            user_id: row.user_id,
+            family_id: row.family_id,
+            expired: row.expires_at < Date.now()
+          }))
+        };
+      }
+      if (sql.includes('family_id = (SELECT family_id')) {
+        const familyId = familyOf(params[0]);
+        revoke(tokens.filter(row => familyId && row.family_id === familyId && row.revoked_at === null));
+        return { rows: [] };
+      }
+      if (sql.includes('session_version = session_version + 1')) {
+        usersById.get(params[0]).session_version += 1;
+        return { rows: [] };
+      }
+      if (sql.includes('UPDATE refresh_tokens')) {
+        revoke(tokens.filter(row => row.user_id === params[0] && row.revoked_at === null));
+        return { rows: [] };
+      }
+      const user = usersById.get(params[0]);
+      return { rows: user ? [{ ...user }] : [] };
+    }
+  };
+}
+
+const live = (db) => db.tokens.filter(row => row.revoked_at === null);
+
+describe('createSession', () => {
+  test('issues an access token for the user and stores only the refresh token hash', async () => {
+    const db = fakeDb();
+    const session = await createSession(db, USER);
+
+    expect(session.expiresIn).toBe(15 * 60);
+    expect(jwt.verify(session.accessToken, 'test-secret')).toMatchObject({ sub: 'user-1', sv: 1 });
+    expect(db.tokens).toHaveLength(1);
+    expect(db.tokens[0].token_hash).toBe(hashToken(session.refreshToken));
+  });
+
+  test('starts a new token family for every login', async () => {
+    const db = fakeDb();
+    await createSession(db, USER);
+    await createSession(db, USER);
+
+    expect(db.tokens[0].family_id).not.toBe(db.tokens[1].family_id);
+  });
+});
+
+describe('rotateSession', () => {
+  test('swaps a refresh token for a new one in the same family', async () => {
+    const db = fakeDb();
+    const { refreshToken } = await createSession(db, USER);
+    const rotated = await rotateSession(db, refreshToken);
+
+    expect(rotated.refreshToken).not.toBe(refreshToken);
+    expect(await authenticateAccessToken(db, rotated.accessToken)).toEqual({
+      userId: 'user-1',
+      verified: true,
+      role: 'student'
+    });
+    expect(live(db)).toHaveLength(1);
+    expect(live(db)[0].token_hash).toBe(hashToken(rotated.refreshToken));
+    expect(db.tokens[1].family_id).toBe(db.tokens[0].family_id);
+  });
+
+  test('revokes the whole family when a rotated token is presented again', async () => {
+    const db = fakeDb();
+    const { refreshToken: stolen } = await createSession(db, USER);
+    const { refreshToken: current } = await rotateSession(db, stolen);
+
+    expect(await rotateSession(db, stolen)).toBeNull();
+    expect(live(db)).toEqual([]);
+    expect(await rotateSession(db, current)).toBeNull();
+  });
+
+  test("leaves the user's other logins alone when one family is revoked", async () => {
+    const db = fakeDb();
+    const { refreshToken: stolen } = await createSession(db, USER);
+    const { refreshToken: otherDevice } = await createSession(db, USER);
+    await rotateSession(db, stolen);
+    await rotateSession(db, stolen);
+
+    expect(await rotateSession(db, otherDevice)).not.toBeNull();
+  });
+
+  test('refuses an expired refresh token', async () => {
+    const db = fakeDb();
+    const { refreshToken } = await createSession(db, USER);
+    db.tokens[0].expires_at = Date.now() - 1;
+
+    expect(await rotateSession(db, refreshToken)).toBeNull();
+    expect(live(db)).toEqual([]);
+  });
+
+  test('refuses unknown and missing tokens', async () => {
+    const db = fakeDb();
+    await createSession(db, USER);
+
+    expect(await rotateSession(db, 'not-a-token')).toBeNull();
+    expect(await rotateSession(db, undefined)).toBeNull();
+    expect(live(db)).toHaveLength(1);
+  });
+});
+
+describe('revokeSession', () => {
+  test('ends every token descended from the login', async () => {
+    const db = fakeDb();
+    const { refreshToken } = await createSession(db, USER);
+    const rotated = await rotateSession(db, refreshToken);
+    await revokeSession(db, rotated.refreshToken);
+
+    expect(live(db)).toEqual([]);
+  });
+});
+
+describe('revokeAllSessions', () => {
+  test('invalidates existing access tokens and every refresh token', async () => {
+    const db = fakeDb();
+    const first = await createSession(db, USER);
+    await createSession(db, USER);
+    await revokeAllSessions(db, 'user-1');
+
+    expect(await authenticateAccessToken(db, first.accessToken)).toBeNull();
+    expect(live(db)).toEqual([]);
+  });
+});
+
+describe('authenticateAccessToken', () => {
+  test('refuses tokens that are malformed, signed with another secret or expired', async () => {
+    const db = fakeDb();
+    const forged = jwt.sign({ sv: 1 }, 'other-secret', { subject: 'user-1' });
+    const expired = jwt.sign({ sv: 1 }, 'test-secret', { subject: 'user-1', expiresIn: -1 });
+
+    expect(await authenticateAccessToken(db, 'garbage')).toBeNull();
+    expect(await authenticateAccessToken(db, forged)).toBeNull();
+    expect(await authenticateAccessToken(db, expired)).toBeNull();
+  });
+
+  test('refuses tokens for users that no longer exist', async () => {
+    const { accessToken } = await createSession(fakeDb(), USER);
+
+    expect(await authenticateAccessToken(fakeDb([]), accessToken)).toBeNull();
+  });
+});
@@ -0,0 +1,406 @@
+// services/timetable.js - Class timetables as busy blocks
+//
+// Students upload the iCalendar export of their class timetable. Its events
+// (usually weekly RRULEs for the term) are expanded into concrete busy blocks
+// and stored in busy_blocks, where the matcher and the free slot suggestions
+// read them. Parsing and slot finding are pure so they can be tested without
+// a database.
+const { CAMPUS_TIME_ZONE } = require('./requestFields');
+
+// Blocks further ahead than this aren't stored; re-import next term
+const HORIZON_WEEKS = 20;
+const MAX_BLOCKS = 2000;
+// Real timetables have a few dozen events; this bounds the work per upload
+const MAX_EVENTS = 1000;
+const SUMMARY_MAX_LENGTH = 200;
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// RRULE BYDAY codes in JavaScript getUTCDay() order
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// When each activity usually happens, in campus time
+const ACTIVITY_WINDOWS = {
+  breakfast: ['07:30', '10:00'],
+  lunch: ['11:30', '14:30'],
+  dinner: ['17:30', '20:30'],
+  study: ['09:00', '21:00']
+};
+
+// Free windows shorter than this aren't worth suggesting
+const MIN_FREE_MINUTES = 60;
+
+// Suggestions start on the next quarter hour
+const SLOT_STEP_MINUTES = 15;
+
+// One formatter per zone; building them is by far the slowest part of parsing
+const formatters = new Map();
+
+function formatterFor(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+// Offset of `timeZone` from UTC at the given instant, in ms
+function zoneOffset(utcMs, timeZone) {
+  const parts = {};
+  formatterFor(timeZone).formatToParts(new Date(utcMs)).forEach(({ type, value }) => {
+    parts[type] = Number(value);
+  });
+
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(utcMs / 1000) * 1000;
+}
+
+// Unknown zone names (e.g. Windows ones) are read as campus time
+function knownZone(timeZone) {
+  try {
+    formatterFor(timeZone);
+    return timeZone;
+  } catch (error) {
+    return CAMPUS_TIME_ZONE;
+  }
+}
+
+// Converts a wall-clock time (written as if it were UTC) in `timeZone` to a
+// real UTC timestamp
+function wallToUtc(wallMs, timeZone) {
+  const guess = wallMs - zoneOffset(wallMs, timeZone);
+  return wallMs - zoneOffset(guess, timeZone);
+}
+
+const utcToWall = (utcMs, timeZone) => utcMs + zoneOffset(utcMs, timeZone);
+
+/**
+ * Parse an iCalendar DATE-TIME value.
+ * @param {string} value - e.g. 20260113T120000 or 20260113T040000Z
+ * @param {Object} params - The property's parameters (TZID, VALUE)
+ * @returns {{ wall: number, timeZone: string }|null} the wall-clock time and
+ *   the zone it is in; null for all-day dates and anything unreadable
+ */
+function parseDateTime(value, params = {}) {
+  const match = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z?)$/.exec(value || '');
+  if (!match || params.VALUE === 'DATE') return null;
+
+  const [, year, month, day, hour, minute, second, utc] = match;
+  const wall = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  // Floating times (no zone) are taken as campus time
+  const timeZone = utc ? 'UTC' : knownZone(params.TZID || CAMPUS_TIME_ZONE);
+  return { wall, timeZone };
+}
+
+// e.g. PT1H30M; returns ms, or null
+function parseDuration(value) {
+  const match = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value || '');
+  if (!match) return null;
+
+  const [, days, hours, minutes, seconds] = match.map(Number);
+  return ((days || 0) * 24 * 60 * 60 + (hours || 0) * 60 * 60 + (minutes || 0) * 60 + (seconds || 0)) * 1000;
+}
+
+// "FREQ=WEEKLY;BYDAY=TU,TH;UNTIL=20261130T160000Z" -> { FREQ, BYDAY, ... }
+function parseRule(value) {
+  const rule = {};
+  (value || '').split(';').forEach(part => {
+    const [key, ruleValue] = part.split('=');
+    if (key && ruleValue) rule[key.toUpperCase()] = ruleValue;
+  });
+  return rule;
+}
+
+// Unfolds continuation lines and reads each VEVENT's properties; stops once
+// it has more than `limit` events
+function readEvents(text, limit) {
+  const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const events = [];
+  let event = null;
+  let nested = 0; // e.g. a VALARM inside the event
+
+  for (const line of lines) {
+    if (events.length > limit) break;
+
+    const colon = line.indexOf(':');
+    if (colon === -1) continue;
+
+    const [name, ...paramList] = line.slice(0, colon).split(';');
+    const value = line.slice(colon + 1).trim();
+    const key = name.toUpperCase();
+
+    if (key === 'BEGIN') {
+      if (value.toUpperCase() === 'VEVENT') {
+        event = { EXDATE: [] };
+      } else if (event) {
+        nested++;
+      }
+      continue;
+    }
+    if (key === 'END') {
+      if (nested > 0) {
+        nested--;
+      } else if (event && value.toUpperCase() === 'VEVENT') {
+        events.push(event);
+        event = null;
+      }
+      continue;
+    }
+    if (!event || nested > 0) continue;
+
+    const params = {};
+    paramList.forEach(param => {
+      const [paramName, paramValue] = param.split('=');
+      if (paramValue) params[paramName.toUpperCase()] = paramValue.replace(/^"|"$/g, '');
+    });
+
+    if (key === 'EXDATE') {
+      value.split(',').forEach(exdate => event.EXDATE.push({ value: exdate, params }));
+    } else {
+      event[key] = { value, params };
+    }
+  }
+
+  return events;
+}
+
+/**
+ * Wall-clock start times of an event's occurrences from `fromWall` up to
+ * `untilWall`. Earlier occurrences are skipped arithmetically (they still
+ * count towards COUNT), so an event that started decades ago costs no more
+ * than one that starts today.
+ */
+function* expandOccurrences(start, rule, fromWall, untilWall) {
+  const freq = rule.FREQ;
+  if (freq !== 'WEEKLY' && freq !== 'DAILY') {
+    yield start;
+    return;
+  }
+
+  const interval = Math.max(1, Number(rule.INTERVAL) || 1);
+  const count = Number(rule.COUNT) || Infinity;
+  const startDay = new Date(start).getUTCDay();
+
+  if (freq === 'DAILY') {
+    const step = interval * DAY_MS;
+    let index = Math.max(0, Math.floor((fromWall - start) / step));
+    for (let time = start + index * step; time <= untilWall && index < count; time += step, index++) {
+      yield time;
+    }
+    return;
+  }
+
+  const weekdays = rule.BYDAY
+    ? [...new Set(rule.BYDAY.split(',').map(code => WEEKDAY_CODES.indexOf(code.slice(-2).toUpperCase())))]
+      .filter(day => day >= 0)
+    : [startDay];
+  // Days since Monday (RFC 5545's default WKST), in order
+  const offsets = weekdays.map(day => ((day + 6) % 7) * DAY_MS).sort((a, b) => a - b);
+  const step = interval * 7 * DAY_MS;
+
+  // The first week yields only the days from DTSTART on; later ones all of them
+  const weekStart = start - ((startDay + 6) % 7) * DAY_MS;
+  const firstWeekDays = offsets.filter(offset => weekStart + offset >= start).length;
+  const skippedWeeks = Math.max(0, Math.floor((fromWall - weekStart) / step) - 1);
+  let index = skippedWeeks > 0 ? firstWeekDays + (skippedWeeks - 1) * offsets.length : 0;
+
+  for (let week = weekStart + skippedWeeks * step; week <= untilWall && index < count; week += step) {
+    for (const offset of offsets) {
+      const time = week + offset;
+      if (time < start) continue;
+      if (time > untilWall || index >= count) return;
+      index++;
+      yield time;
+    }
+  }
+}
+
+/**
+ * Turn an iCalendar timetable into busy blocks from now until HORIZON_WEEKS
+ * ahead. All-day events are ignored; they are usually holidays or deadlines
+ * rather than classes.
+ * @param {string} text - The .ics file
+ * @param {Date} [now]
+ * @returns {{ blocks: { starts_at: Date, ends_at: Date, summary: string|null }[] }
+ *   |{ error: string }} blocks are sorted by start time
+ */
+function parseTimetable(text, now = new Date()) {
+  if (typeof text !== 'string' || !/BEGIN:VCALENDAR/i.test(text)) {
+    return { error: 'That file is not an iCalendar (.ics) export' };
+  }
+
+  const events = readEvents(text, MAX_EVENTS);
+  if (events.length > MAX_EVENTS) {
+    return { error: `Timetables can have at most ${MAX_EVENTS} events` };
+  }
+
+  const horizon = now.getTime() + HORIZON_WEEKS * 7 * DAY_MS;
+  const tooMany = { error: `Timetables can have at most ${MAX_BLOCKS} classes in the next ${HORIZON_WEEKS} weeks` };
+  const blocks = [];
+
+  for (const event of events) {
+    const start = event.DTSTART && parseDateTime(event.DTSTART.value, event.DTSTART.params);
+    if (!start) continue;
+
+    const end = event.DTEND && parseDateTime(event.DTEND.value, event.DTEND.params);
+    const duration = end
+      ? wallToUtc(end.wall, end.timeZone) - wallToUtc(start.wall, start.timeZone)
+      : parseDuration(event.DURATION && event.DURATION.value);
+    if (!duration || duration <= 0) continue;
+
+    const rule = parseRule(event.RRULE && event.RRULE.value);
+    let untilWall = utcToWall(horizon, start.timeZone);
+    const until = rule.UNTIL && parseDateTime(rule.UNTIL.length === 8 ? `${rule.UNTIL}T235959` : rule.UNTIL, {
+      TZID: start.timeZone
+    });
+    if (until) {
+      untilWall = Math.min(untilWall, utcToWall(wallToUtc(until.wall, until.timeZone), start.timeZone));
+    }
+
+    const excluded = new Set(event.EXDATE
+      .map(exdate => parseDateTime(exdate.value, { TZID: start.timeZone, ...exdate.params }))
+      .filter(Boolean)
+      .map(exdate => wallToUtc(exdate.wall, exdate.timeZone)));
+
+    const summary = event.SUMMARY
+      ? event.SUMMARY.value.replace(/\\([,;\\])/g, '$1').replace(/\\n/gi, ' ').slice(0, SUMMARY_MAX_LENGTH)
+      : null;
+
+    // A day's slack either side of now covers DST shifts
+    const fromWall = utcToWall(now.getTime(), start.timeZone) - duration - DAY_MS;
+
+    for (const wall of expandOccurrences(start.wall, rule, fromWall, untilWall)) {
+      const startsAt = wallToUtc(wall, start.timeZone);
+      if (excluded.has(startsAt) || startsAt + duration <= now.getTime() || startsAt > horizon) continue;
+
+      blocks.push({ starts_at: new Date(startsAt), ends_at: new Date(startsAt + duration), summary });
+      if (blocks.length > MAX_BLOCKS) return tooMany;
+    }
+  }
+
+  return { blocks: blocks.sort((a, b) => a.starts_at - b.starts_at) };
+}
+
+// Minutes after midnight for 'HH:MM'
+const minutesOf = (time) => Number(time.slice(0, 2)) * 60 + Number(time.slice(3));
+
+/**
+ * Free windows for an activity over the coming days, around the user's busy
+ * blocks.
+ * @param {{ starts_at: Date, ends_at: Date }[]} blocks
+ * @param {string} activityType
+ * @param {{ now?: Date, days?: number }} [options]
+ * @returns {{ start: Date, end: Date }[]} in time order
+ */
+function suggestFreeSlots(blocks, activityType, { now = new Date(), days = 7 } = {}) {
+  const window = ACTIVITY_WINDOWS[activityType];
+  if (!window) return [];
+
+  const step = SLOT_STEP_MINUTES * MINUTE_MS;
+  const earliest = Math.ceil(now.getTime() / step) * step;
+  const today = Math.floor(utcToWall(now.getTime(), CAMPUS_TIME_ZONE) / DAY_MS) * DAY_MS;
+  const sorted = [...blocks].sort((a, b) => new Date(a.starts_at) - new Date(b.starts_at));
+  const slots = [];
+
+  for (let day = 0; day < days; day++) {
+    const midnight = today + day * DAY_MS;
+    let from = Math.max(earliest, wallToUtc(midnight + minutesOf(window[0]) * MINUTE_MS, CAMPUS_TIME_ZONE));
+    const to = wallToUtc(midnight + minutesOf(window[1]) * MINUTE_MS, CAMPUS_TIME_ZONE);
+
+    for (const block of sorted) {
+      const blockStart = new Date(block.starts_at).getTime();
+      const blockEnd = new Date(block.ends_at).getTime();
+      if (blockEnd <= from || blockStart >= to) continue;
+
+      if (blockStart - from >= MIN_FREE_MINUTES * MINUTE_MS) {
+        slots.push({ start: new Date(from), end: new Date(blockStart) });
+      }
+      from = Math.max(from, blockEnd);
+    }
+
+    if (to - from >= MIN_FREE_MINUTES * MINUTE_MS) {
+      slots.push({ start: new Date(from), end: new Date(to) });
+    }
+  }
+
+  return slots;
+}
+
+/**
+ * Replace the user's timetable with new busy blocks.
+ * @param {PoolClient} db - Inside a transaction
+ * @returns {Promise<number>} how many blocks were stored
+ */
+async function replaceTimetable(db, userId, blocks) {
+  await db.query(`DELETE FROM busy_blocks WHERE user_id = $1 AND source = 'timetable'`, [userId]);
+
+  if (blocks.length === 0) return 0;
+
+  const result = await db.query(`
+    INSERT INTO busy_blocks (user_id, starts_at, ends_at, summary, source)
+    SELECT $1, block.starts_at, block.ends_at, block.summary, 'timetable'
+    FROM unnest($2::timestamptz[], $3::timestamptz[], $4::text[])
+      as block(starts_at, ends_at, summary)
+  `, [
+    userId,
+    blocks.map(block => block.starts_at),
+    blocks.map(block => block.ends_at),
+    blocks.map(block => block.summary)
+  ]);
+  return result.rowCount;
+}
+
+// Returns how many blocks were removed
+async function clearTimetable(db, userId) {
+  const result = await db.query(`DELETE FROM busy_blocks WHERE user_id = $1 AND source = 'timetable'`, [userId]);
+  return result.rowCount;
+}
+
+// The user's busy blocks overlapping [from, to), in time order
+async function listBusyBlocks(db, userId, from, to) {
+  const result = await db.query(`
+    SELECT block_id, starts_at, ends_at, summary, source
+    FROM busy_blocks
+    WHERE user_id = $1 AND ends_at > $2 AND starts_at < $3
+    ORDER BY starts_at
+  `, [userId, from, to]);
+  return result.rows;
+}
+
+/**
+ * Busy blocks for several users overlapping [from, to), for the matcher.
+ * @returns {Promise<Map<string, { starts_at: Date, ends_at: Date }[]>>}
+ */
+async function loadBusyBlocks(db, userIds, from, to) {
+  const result = await db.query(`
+    SELECT user_id, starts_at, ends_at
+    FROM busy_blocks
+    WHERE user_id = ANY($1) AND ends_at > $2 AND starts_at < $3
+  `, [userIds, from, to]);
+
+  const byUser = new Map();
+  result.rows.forEach(({ user_id, starts_at, ends_at }) => {
+    if (!byUser.has(user_id)) byUser.set(user_id, []);
+    byUser.get(user_id).push({ starts_at, ends_at });
+  });
+  return byUser;
+}
+
+module.exports = {
+  parseTimetable,
+  suggestFreeSlots,
+  replaceTimetable,
+  clearTimetable,
+  listBusyBlocks,
+  loadBusyBlocks
+};
@@ -0,0 +1,93 @@
+const { parseTimetable, suggestFreeSlots } = require('./timetable');
+
+const NOW = new Date('2026-10-19T00:00:00Z'); // Monday 08:00 in Singapore
+
+const calendar = (...events) => [
+  'BEGIN:VCALENDAR',
+  ...events.flatMap(lines => ['BEGIN:VEVENT', ...lines, 'END:VEVENT']),
+  'END:VCALENDAR'
+].join('\r\n');
+
+describe('parseTimetable', () => {
+  test('rejects files that are not iCalendar', () => {
+    expect(parseTimetable('hello', NOW)).toEqual({ error: expect.any(String) });
+  });
+
+  test('expands a weekly class in campus time, skipping EXDATEs and past occurrences', () => {
+    const { blocks } = parseTimetable(calendar([
+      'DTSTART;TZID=Asia/Singapore:20261005T100000',
+      'DTEND;TZID=Asia/Singapore:20261005T120000',
+      'RRULE:FREQ=WEEKLY;BYDAY=MO;COUNT=4',
+      'EXDATE;TZID=Asia/Singapore:20261026T100000',
+      'SUMMARY:IS111 Lecture'
+    ]), NOW);
+
+    expect(blocks.map(block => block.starts_at.toISOString())).toEqual([
+      '2026-10-19T02:00:00.000Z'
+    ]);
+    expect(blocks[0].ends_at.toISOString()).toBe('2026-10-19T04:00:00.000Z');
+    expect(blocks[0].summary).toBe('IS111 Lecture');
+  });
+
+  test('counts skipped occurrences towards COUNT', () => {
+    const { blocks } = parseTimetable(calendar([
+      'DTSTART;TZID=Asia/Singapore:20260901T090000',
+      'DURATION:PT1H',
+      'RRULE:FREQ=WEEKLY;BYDAY=TU,TH;COUNT=16'
+    ]), NOW);
+
+    // 16 classes from Tue 1 Sep end on Thu 22 Oct
+    expect(blocks.map(block => block.starts_at.toISOString())).toEqual([
+      '2026-10-20T01:00:00.000Z',
+      '2026-10-22T01:00:00.000Z'
+    ]);
+  });
+
+  test('ignores all-day events', () => {
+    expect(parseTimetable(calendar([
+      'DTSTART;VALUE=DATE:20261020',
+      'DTEND;VALUE=DATE:20261021'
+    ]), NOW)).toEqual({ blocks: [] });
+  });
+
+  test('expands rules with a far-past DTSTART quickly', () => {
+    const event = ['DTSTART:19000101T100000', 'DURATION:PT1H', 'RRULE:FREQ=DAILY'];
+    const started = Date.now();
+
+    const { blocks } = parseTimetable(calendar(event, event, event, event, event), NOW);
+
+    expect(Date.now() - started).toBeLessThan(1000);
+    expect(blocks).toHaveLength(5 * 20 * 7);
+    expect(blocks[0].starts_at.toISOString()).toBe('2026-10-19T02:00:00.000Z');
+  });
+
+  test('stops at the block limit', () => {
+    const events = Array.from({ length: 20 }, () => ['DTSTART:19000101T100000', 'DURATION:PT1H', 'RRULE:FREQ=DAILY']);
+    expect(parseTimetable(calendar(...events), NOW)).toEqual({ error: expect.stringMatching(/at most 2000 classes/) });
+  });
+
+  test('caps the number of events in a file', () => {
+    const events = Array.from({ length: 1001 }, () => ['DTSTART:20261020T100000', 'DURATION:PT1H']);
+    expect(parseTimetable(calendar(...events), NOW)).toEqual({ error: expect.stringMatching(/at most 1000 events/) });
+  });
+});
+
+describe('suggestFreeSlots', () => {
+  test('splits the lunch window around a class', () => {
+    const blocks = [{
+      starts_at: new Date('2026-10-19T04:30:00Z'), // 12:30-13:30 campus time
+      ends_at: new Date('2026-10-19T05:30:00Z')
+    }];
+
+    const slots = suggestFreeSlots(blocks, 'lunch', { now: NOW, days: 1 });
+
+    expect(slots.map(slot => [slot.start.toISOString(), slot.end.toISOString()])).toEqual([
+      ['2026-10-19T03:30:00.000Z', '2026-10-19T04:30:00.000Z'],
+      ['2026-10-19T05:30:00.000Z', '2026-10-19T06:30:00.000Z']
+    ]);
+  });
+
+  test('knows nothing about unknown activities', () => {
+    expect(suggestFreeSlots([], 'karaoke', { now: NOW })).toEqual([]);
+  });
+});
@@ -0,0 +1,97 @@
+// services/tokens.js - Single-use tokens stored in the verification_tokens table
+const crypto = require('crypto');
+
+// Only the SHA-256 of a token is stored, so a leaked table can't be replayed
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function generateToken() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Issue a new token for a user, invalidating any outstanding ones of the same type.
+ * @param {Pool|PoolClient} db - Anything with a pg-style query method
+ * @param {string} userId
+ * @param {'email_verification'|'password_reset'} tokenType
+ * @param {number} ttlMs - How long the token stays valid
+ * @returns {Promise<string>} The raw token to put in the emailed link
+ */
+async function issueToken(db, userId, tokenType, ttlMs) {
+  const token = generateToken();
+
+  await db.query(`
+    UPDATE verification_tokens
+    SET used_at = NOW()
+    WHERE user_id = $1 AND token_type = $2 AND used_at IS NULL
+  `, [userId, tokenType]);
+
+  await db.query(`
+    INSERT INTO verification_tokens (user_id, token, token_type, expires_at)
+    VALUES ($1, $2, $3, NOW() + ($4 || ' milliseconds')::INTERVAL)
+  `, [userId, hashToken(token), tokenType, String(ttlMs)]);
+
+  return token;
+}
+
+/**
+ * Mark a token as used. Marking and checking happen in one statement, so a
+ * token can only ever be consumed once even under concurrent requests.
+ * @returns {Promise<{ userId: string, expired: boolean } | null>}
+ *   null if the token does not exist or was already used
+ */
+async function consumeToken(db, token, tokenType) {
+  if (typeof token !== 'string' || token.length === 0) return null;
+
+  const result = await db.query(`
+    UPDATE verification_tokens
+    SET used_at = NOW()
+    WHERE token = $1 AND token_type = $2 AND used_at IS NULL
+    RETURNING user_id, expires_at < NOW() as expired
+  `, [hashToken(token), tokenType]);
+
+  if (result.rows.length === 0) return null;
+
+  return { userId: result.rows[0].user_id, expired: result.rows[0].expired };
+}
+
+/**
+ * Look a token up without using it, e.g. to show a confirmation step first.
+ * @returns {Promise<{ userId: string, expired: boolean } | null>}
+ *   null if the token does not exist or was already used
+ */
+async function findToken(db, token, tokenType) {
+  if (typeof token !== 'string' || token.length === 0) return null;
+
+  const result = await db.query(`
+    SELECT user_id, expires_at < NOW() as expired
+    FROM verification_tokens
+    WHERE token = $1 AND token_type = $2 AND used_at IS NULL
+  `, [hashToken(token), tokenType]);
+
+  if (result.rows.length === 0) return null;
+
+  return { userId: result.rows[0].user_id, expired: result.rows[0].expired };
+}
+
+// Number of tokens of a type issued to a user within the last windowMs
+async function countRecentTokens(db, userId, tokenType, windowMs) {
+  const result = await db.query(`
+    SELECT COUNT(*)::int as count
+    FROM verification_tokens
+    WHERE user_id = $1 AND token_type = $2
+    AND created_at > NOW() - ($3 || ' milliseconds')::INTERVAL
+  `, [userId, tokenType, String(windowMs)]);
+
+  return result.rows[0].count;
+}
+
+module.exports = {
+  hashToken,
+  generateToken,
+  issueToken,
+  consumeToken,
+  findToken,
+  countRecentTokens
+};
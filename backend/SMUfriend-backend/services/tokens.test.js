@@ -0,0 +1,155 @@
+const {
+  hashToken,
+  generateToken,
+  issueToken,
+  consumeToken,
+  findToken,
+  countRecentTokens
+} = require('./tokens');
+
+const HOUR = 60 * 60 * 1000;
+
+// Just enough of the verification_tokens table for the queries tokens.js makes
+function fakeDb() {
+  const rows = [];
+  const live = (params) => rows.filter(row =>
+    row.token === params[0] && row.token_type === params[1] && row.used_at === null);
+  const answer = (row) => ({ user_id: row.user_id, expired: row.expires_at < Date.now() });
+
+  return {
+    rows,
+    query: async (sql, params) => {
+      if (sql.includes('INSERT INTO verification_tokens')) {
+        const [userId, token, tokenType, ttlMs] = params;
+        rows.push({
+          user_id: userId,
+          token,
+          token_type: tokenType,
+          created_at: Date.now(),
+          expires_at: Date.now() + Number(ttlMs),
+          used_at: null
+        });
+        return { rows: [] };
+      }
+      if (sql.includes('WHERE user_id = $1 AND token_type = $2 AND used_at IS NULL')) {
+        rows
+          .filter(row => row.user_id === params[0] && row.token_type === params[1] && row.used_at === null)
+          .forEach(row => { row.used_at = Date.now(); });
+        return { rows: [] };
+      }
+      if (sql.includes('COUNT(*)')) {
+        const since = Date.now() - Number(params[2]);
+        const count = rows.filter(row =>
+          row.user_id === params[0] && row.token_type === params[1] && row.created_at > since).length;
+        return { rows: [{ count }] };
+      }
+      if (sql.includes('UPDATE verification_tokens')) {
+        const matched = live(params);
+        matched.forEach(row => { row.used_at = Date.now(); });
+        return { rows: matched.map(answer) };
+      }
+      return { rows: live(params).map(answer) };
+    }
+  };
+}
+
+describe('hashToken', () => {
+  test('is the hex SHA-256 of the token', () => {
+    expect(hashToken('abc')).toBe('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+  });
+});
+
+describe('generateToken', () => {
+  test('makes 256-bit hex tokens that differ every time', () => {
+    const token = generateToken();
+
+    expect(token).toMatch(/^[0-9a-f]{64}$/);
+    expect(generateToken()).not.toBe(token);
+  });
+});
+
+describe('issueToken', () => {
+  test('stores only the hash of the token it returns', async () => {
+    const db = fakeDb();
+    const token = await issueToken(db, 'user-1', 'email_verification', HOUR);
+
+    expect(db.rows).toHaveLength(1);
+    expect(db.rows[0].token).toBe(hashToken(token));
+    expect(db.rows[0].token).not.toBe(token);
+  });
+
+  test('invalidates outstanding tokens of the same type only', async () => {
+    const db = fakeDb();
+    const first = await issueToken(db, 'user-1', 'email_verification', HOUR);
+    const reset = await issueToken(db, 'user-1', 'password_reset', HOUR);
+    await issueToken(db, 'user-1', 'email_verification', HOUR);
+
+    expect(await findToken(db, first, 'email_verification')).toBeNull();
+    expect(await findToken(db, reset, 'password_reset')).toEqual({ userId: 'user-1', expired: false });
+  });
+});
+
+describe('consumeToken', () => {
+  test('can use a token only once', async () => {
+    const db = fakeDb();
+    const token = await issueToken(db, 'user-1', 'password_reset', HOUR);
+
+    expect(await consumeToken(db, token, 'password_reset')).toEqual({ userId: 'user-1', expired: false });
+    expect(await consumeToken(db, token, 'password_reset')).toBeNull();
+  });
+
+  test('reports a token past its expiry as expired', async () => {
+    const db = fakeDb();
+    const token = await issueToken(db, 'user-1', 'password_reset', HOUR);
+    db.rows[0].expires_at = Date.now() - 1;
+
+    expect(await consumeToken(db, token, 'password_reset')).toEqual({ userId: 'user-1', expired: true });
+  });
+
+  test('only accepts a token for the type it was issued for', async () => {
+    const db = fakeDb();
+    const token = await issueToken(db, 'user-1', 'email_verification', HOUR);
+
+    expect(await consumeToken(db, token, 'password_reset')).toBeNull();
+    expect(await consumeToken(db, token, 'email_verification')).not.toBeNull();
+  });
+
+  test.each([undefined, '', 42])('rejects %p without asking the database', async (token) => {
+    const db = { query: jest.fn() };
+
+    expect(await consumeToken(db, token, 'password_reset')).toBeNull();
+    expect(db.query).not.toHaveBeenCalled();
+  });
+});
+
+describe('findToken', () => {
+  test('looks a token up without using it', async () => {
+    const db = fakeDb();
+    const token = await issueToken(db, 'user-1', 'email_verification', HOUR);
+
+    expect(await findToken(db, token, 'email_verification')).toEqual({ userId: 'user-1', expired: false });
+    expect(await consumeToken(db, token, 'email_verification')).toEqual({ userId: 'user-1', expired: false });
+    expect(await findToken(db, token, 'email_verification')).toBeNull();
+  });
+
+  test('reports expired tokens', async () => {
+    const db = fakeDb();
+    const token = await issueToken(db, 'user-1', 'email_verification', HOUR);
+    db.rows[0].expires_at = Date.now() - 1;
+
+    expect(await findToken(db, token, 'email_verification')).toEqual({ userId: 'user-1', expired: true });
+  });
+});
+
+describe('countRecentTokens', () => {
+  test('counts the tokens of a type issued within the window, used or not', async () => {
+    const db = fakeDb();
+    await issueToken(db, 'user-1', 'password_reset', HOUR);
+    await issueToken(db, 'user-1', 'password_reset', HOUR);
+    await issueToken(db, 'user-1', 'email_verification', HOUR);
+    await issueToken(db, 'user-2', 'password_reset', HOUR);
+    db.rows[0].created_at = Date.now() - 2 * HOUR;
+
+    expect(await countRecentTokens(db, 'user-1', 'password_reset', HOUR)).toBe(1);
+  });
+});
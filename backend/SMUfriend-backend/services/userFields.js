@@ -0,0 +1,182 @@
+// services/userFields.js - Validation and normalisation for user profile fields
+
+// Any address on an SMU subdomain, e.g. john.2024@student.smu.edu.sg
+const SMU_EMAIL_PATTERN = /^[^\s@]+@([a-z0-9-]+\.)+smu\.edu\.sg$/i;
+
+const PASSWORD_MIN_LENGTH = 8;
+const PASSWORD_MAX_BYTES = 72; // bcrypt ignores anything past 72 bytes
+
+// Values offered by RegisterForm
+const FACULTIES = ['engineering', 'business', 'arts', 'science', 'medicine', 'law'];
+
+// The form sends 'female'/'male'; the database stores 'f'/'m'/'other'
+const GENDERS = {
+  female: 'f',
+  male: 'm',
+  other: 'other',
+  f: 'f',
+  m: 'm'
+};
+
+// Year 5 stands for graduate students
+const GRADUATE_YEAR = 5;
+
+function normalizeEmail(email) {
+  return typeof email === 'string' ? email.trim().toLowerCase() : '';
+}
+
+function isSmuEmail(email) {
+  return SMU_EMAIL_PATTERN.test(email);
+}
+
+// Returns the stored gender code, or null if the value is not recognised
+function parseGender(gender) {
+  if (typeof gender !== 'string') return null;
+  return GENDERS[gender.trim().toLowerCase()] || null;
+}
+
+// Accepts 1-4 (as numbers or strings) and 'graduate'
+function parseYear(year) {
+  if (year === 'graduate') return GRADUATE_YEAR;
+
+  const parsed = Number(year);
+  if (Number.isInteger(parsed) && parsed >= 1 && parsed <= GRADUATE_YEAR) {
+    return parsed;
+  }
+  return null;
+}
+
+// Returns an error message, or null if the password is acceptable
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH) {
+    return `Password must be at least ${PASSWORD_MIN_LENGTH} characters`;
+  }
+  if (Buffer.byteLength(password, 'utf8') > PASSWORD_MAX_BYTES) {
+    return 'Password is too long';
+  }
+  return null;
+}
+
+/**
+ * Validate a registration payload from RegisterForm.
+ * @param {Object} body - { email, password, gender, faculty, year }
+ * @returns {{ errors: Object<string, string>, values: Object }}
+ *   errors is keyed by form field name and empty when the payload is valid
+ */
+function validateRegistration(body = {}) {
+  const errors = {};
+
+  const email = normalizeEmail(body.email);
+  if (!email) {
+    errors.email = 'Email is required';
+  } else if (!isSmuEmail(email)) {
+    errors.email = 'Please use your SMU email address (e.g. name@student.smu.edu.sg)';
+  }
+
+  const passwordError = validatePassword(body.password);
+  if (passwordError) {
+    errors.password = passwordError;
+  }
+
+  const gender = parseGender(body.gender);
+  if (!gender) {
+    errors.gender = 'Please select your gender';
+  }
+
+  const faculty = typeof body.faculty === 'string' ? body.faculty.trim().toLowerCase() : '';
+  if (!FACULTIES.includes(faculty)) {
+    errors.faculty = 'Please select your faculty';
+  }
+
+  const year = parseYear(body.year);
+  if (!year) {
+    errors.year = 'Please select your year';
+  }
+
+  return {
+    errors,
+    values: { email, password: body.password, gender, faculty, year }
+  };
+}
+
+const DISPLAY_NAME_MAX_LENGTH = 50;
+const AVATAR_URL_MAX_LENGTH = 500;
+
+/**
+ * Validate a PATCH /api/users/me payload. Only the fields present in the body
+ * are validated and returned.
+ * @param {Object} body - Any of display_name, avatar_url, faculty, gender,
+ *   year_of_enrollment
+ * @returns {{ errors: Object<string, string>, updates: Object<string, *> }}
+ *   updates maps column names to their new values
+ */
+function validateProfileUpdate(body = {}) {
+  const errors = {};
+  const updates = {};
+
+  if (body.display_name !== undefined) {
+    const name = typeof body.display_name === 'string' ? body.display_name.trim() : '';
+    if (!name) {
+      errors.display_name = 'Display name cannot be empty';
+    } else if (name.length > DISPLAY_NAME_MAX_LENGTH) {
+      errors.display_name = `Display name must be at most ${DISPLAY_NAME_MAX_LENGTH} characters`;
+    } else {
+      updates.display_name = name;
+    }
+  }
+
+  if (body.avatar_url !== undefined) {
+    if (body.avatar_url === null || body.avatar_url === '') {
+      updates.avatar_url = null;
+    } else if (
+      typeof body.avatar_url !== 'string' ||
+      body.avatar_url.length > AVATAR_URL_MAX_LENGTH ||
+      !/^https?:\/\/\S+$/i.test(body.avatar_url)
+    ) {
+      errors.avatar_url = 'Avatar must be an http(s) URL';
+    } else {
+      updates.avatar_url = body.avatar_url;
+    }
+  }
+
+  if (body.faculty !== undefined) {
+    const faculty = typeof body.faculty === 'string' ? body.faculty.trim().toLowerCase() : '';
+    if (!FACULTIES.includes(faculty)) {
+      errors.faculty = 'Please select a valid faculty';
+    } else {
+      updates.faculty = faculty;
+    }
+  }
+
+  if (body.gender !== undefined) {
+    const gender = parseGender(body.gender);
+    if (!gender) {
+      errors.gender = 'Please select a valid gender';
+    } else {
+      updates.gender = gender;
+    }
+  }
+
+  if (body.year_of_enrollment !== undefined) {
+    const year = parseYear(body.year_of_enrollment);
+    if (!year) {
+      errors.year_of_enrollment = 'Please select a valid year';
+    } else {
+      updates.year_of_enrollment = year;
+    }
+  }
+
+  return { errors, updates };
+}
+
+module.exports = {
+  FACULTIES,
+  GRADUATE_YEAR,
+  normalizeEmail,
+  isSmuEmail,
+  parseGender,
+  parseYear,
+  validatePassword,
+  validateRegistration,
+  validateProfileUpdate
+};
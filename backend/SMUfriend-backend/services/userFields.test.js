@@ -0,0 +1,112 @@
+const {
+  normalizeEmail,
+  isSmuEmail,
+  parseGender,
+  parseYear,
+  validatePassword,
+  validateRegistration
+} = require('./userFields');
+
+const registration = (overrides = {}) => ({
+  email: 'jane.2024@scis.smu.edu.sg',
+  password: 'correct horse',
+  gender: 'female',
+  faculty: 'business',
+  year: '2',
+  ...overrides
+});
+
+describe('isSmuEmail', () => {
+  test.each([
+    'jane.2024@student.smu.edu.sg',
+    'jane@scis.smu.edu.sg',
+    'prof@staff.sis.smu.edu.sg'
+  ])('accepts %s', (email) => {
+    expect(isSmuEmail(email)).toBe(true);
+  });
+
+  test.each([
+    'jane@smu.edu.sg.evil.com',
+    'jane@gmail.com',
+    'jane@notsmu.edu.sg',
+    'jane smith@student.smu.edu.sg'
+  ])('rejects %s', (email) => {
+    expect(isSmuEmail(email)).toBe(false);
+  });
+});
+
+describe('normalizeEmail', () => {
+  test('trims and lowercases', () => {
+    expect(normalizeEmail('  Jane@Student.SMU.edu.sg ')).toBe('jane@student.smu.edu.sg');
+  });
+
+  test('turns anything else into an empty string', () => {
+    expect(normalizeEmail(undefined)).toBe('');
+  });
+});
+
+describe('parseGender', () => {
+  test('maps the form values onto the stored codes', () => {
+    expect(parseGender('female')).toBe('f');
+    expect(parseGender(' Male ')).toBe('m');
+    expect(parseGender('other')).toBe('other');
+    expect(parseGender('f')).toBe('f');
+  });
+
+  test('rejects anything else', () => {
+    expect(parseGender('x')).toBeNull();
+    expect(parseGender(1)).toBeNull();
+  });
+});
+
+describe('parseYear', () => {
+  test('accepts years 1 to 5 and graduate', () => {
+    expect(parseYear(1)).toBe(1);
+    expect(parseYear('4')).toBe(4);
+    expect(parseYear('graduate')).toBe(5);
+  });
+
+  test.each([0, 6, 2.5, 'second', null])('rejects %p', (year) => {
+    expect(parseYear(year)).toBeNull();
+  });
+});
+
+describe('validatePassword', () => {
+  test('needs at least 8 characters', () => {
+    expect(validatePassword('short')).toBe('Password must be at least 8 characters');
+    expect(validatePassword('12345678')).toBeNull();
+  });
+
+  test('refuses passwords bcrypt would truncate', () => {
+    expect(validatePassword('a'.repeat(72))).toBeNull();
+    expect(validatePassword('a'.repeat(73))).toBe('Password is too long');
+    expect(validatePassword('é'.repeat(37))).toBe('Password is too long');
+  });
+});
+
+describe('validateRegistration', () => {
+  test('normalises a valid registration', () => {
+    expect(validateRegistration(registration({ email: ' Jane.2024@SCIS.smu.edu.sg', faculty: 'Business' })))
+      .toEqual({
+        errors: {},
+        values: {
+          email: 'jane.2024@scis.smu.edu.sg',
+          password: 'correct horse',
+          gender: 'f',
+          faculty: 'business',
+          year: 2
+        }
+      });
+  });
+
+  test('reports every invalid field at once', () => {
+    const { errors } = validateRegistration({ email: 'jane@gmail.com', faculty: 'SCIS' });
+
+    expect(Object.keys(errors).sort()).toEqual(['email', 'faculty', 'gender', 'password', 'year']);
+    expect(errors.email).toMatch(/SMU email/);
+  });
+
+  test('asks for a missing email', () => {
+    expect(validateRegistration(registration({ email: '' })).errors).toEqual({ email: 'Email is required' });
+  });
+});
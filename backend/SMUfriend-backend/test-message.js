@@ -18,14 +18,36 @@ async function testSendMessage() {
   };
 
   try {
+    // Log in as John (sample user from scripts/setup-database.js)
+    console.log('🔑 Logging in...');
+    const loginResponse = await fetch('http://localhost:3001/api/auth/login', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        email: testMessage.senderInfo.email,
+        password: 'password123'
+      })
+    });
+
+    if (!loginResponse.ok) {
+      console.error('❌ Login failed:', loginResponse.status, await loginResponse.text());
+      return;
+    }
+
+    const { accessToken } = await loginResponse.json();
+    const authHeaders = {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${accessToken}`
+    };
+
     console.log('🧪 Testing message API...');
     console.log('Sending message:', testMessage.message);
 
     const response = await fetch('http://localhost:3001/api/messages', {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
+      headers: authHeaders,
       body: JSON.stringify(testMessage)
     });
 
@@ -41,11 +63,13 @@ async function testSendMessage() {
 
     // Now test getting the conversation
     console.log('\n🔍 Testing get conversation...');
-    const getResponse = await fetch(`http://localhost:3001/api/conversations/${testMessage.from}/${testMessage.to}`);
+    const getResponse = await fetch(`http://localhost:3001/api/conversations/${testMessage.from}/${testMessage.to}`, {
+      headers: authHeaders
+    });
     
     if (getResponse.ok) {
-      const messages = await getResponse.json();
-      console.log('✅ Retrieved messages:', messages.length);
+      const { messages, hasMore } = await getResponse.json();
+      console.log('✅ Retrieved messages:', messages.length, hasMore ? '(older messages not shown)' : '');
       messages.forEach((msg, index) => {
         console.log(`  ${index + 1}. "${msg.message}" (${msg.status})`);
       });
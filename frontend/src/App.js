@@ -1,56 +1,265 @@
-import React from "react";
+import React, { useEffect, useRef, useState } from "react";
+import { v4 as uuidv4 } from "uuid";
 import LoginPage from "./pages/LoginPage";
+import ChatWindow from "./Components/ChatWindow";
+import MatchList, { chatIdOf, chatNameOf } from "./Components/MatchList";
+import ProfilePage from "./pages/ProfilePage";
+import FindBuddyPage from "./pages/FindBuddyPage";
+import { ChatAPI } from "./services/chatAPI";
+import { AuthAPI } from "./services/authAPI";
+import { ChatStorage } from "./utils/chatStorage";
+import {
+  initializeSocket,
+  connectSocket,
+  disconnectSocket,
+  onPrivateMessage,
+  offPrivateMessage,
+  onMatchFound,
+  offMatchFound,
+  onMatchUpdated,
+  offMatchUpdated,
+  onGroupMessage,
+  offGroupMessage,
+  onGroupUpdated,
+  offGroupUpdated,
+  onSystemMessage,
+  offSystemMessage
+} from "./socket/socket";
 import "./App.css";
 
 function App() {
+  const [currentUser, setCurrentUser] = useState(() => AuthAPI.getStoredUser());
+
+  // Back to the login page when the session can't be refreshed
+  useEffect(() => {
+    const handleSessionExpired = () => setCurrentUser(null);
+    window.addEventListener(ChatAPI.SESSION_EXPIRED_EVENT, handleSessionExpired);
+    return () => {
+      window.removeEventListener(ChatAPI.SESSION_EXPIRED_EVENT, handleSessionExpired);
+    };
+  }, []);
+
+  const handleLogout = async () => {
+    await AuthAPI.logout();
+    setCurrentUser(null);
+  };
+
+  const handleUserUpdated = (user) => {
+    AuthAPI.setStoredUser(user);
+    setCurrentUser(user);
+  };
+
+  if (!currentUser) {
+    return (
+      <div className="App">
+        <LoginPage onLogin={setCurrentUser} />
+      </div>
+    );
+  }
+
+  // Keyed by user so switching accounts starts from a clean chat state
+  return (
+    <ChatApp
+      key={currentUser.uid}
+      currentUser={currentUser}
+      onUserUpdated={handleUserUpdated}
+      onLogout={handleLogout}
+    />
+  );
+}
+
+// Chats are cached and listed under the group's ID or the other user's
+const chatKeyOf = (chat) => chat.groupId || chat.uid;
+
+/**
+ * @param {Object} props
+ * @param {Object} props.currentUser - The logged-in user ({ uid, name, email, ... })
+ * @param {Function} props.onUserUpdated - Called with the user's saved profile
+ * @param {Function} props.onLogout - Ends the session
+ */
+function ChatApp({ currentUser, onUserUpdated, onLogout }) {
+  const [view, setView] = useState('chat');
+  // The open chat: { uid, name } for another user, { groupId, name } for a group meal
+  const [selectedChat, setSelectedChat] = useState(null);
   const [messages, setMessages] = useState([]);
+  // Loads the page of history before the cached messages; null when there is none
+  const [olderCursor, setOlderCursor] = useState(null);
   const [isConnected, setIsConnected] = useState(false);
-  const [isLoadingMessages, setIsLoadingMessages] = useState(true);
+  const [isLoadingMessages, setIsLoadingMessages] = useState(false);
   const [connectionError, setConnectionError] = useState(null);
+  const [matchNotice, setMatchNotice] = useState(null);
+  // Chats for MatchList, most recently active first; null until loaded
+  const [inbox, setInbox] = useState(null);
+
+  // Socket handlers are registered once, so they read the open chat and the
+  // inbox from here
+  const selectedChatRef = useRef(null);
+  const inboxRef = useRef([]);
+
+  const showInbox = (conversations) => {
+    inboxRef.current = conversations;
+    setInbox(conversations);
+  };
+
+  // Fetch the inbox again. Only needed when chats come or go, or a match
+  // changes; new messages and reads update it in place.
+  const reloadInbox = async () => {
+    showInbox(await ChatAPI.getUserConversations(currentUser.uid));
+  };
+
+  // Show a chat's latest message in the inbox and move it to the top. A chat
+  // that isn't listed yet (e.g. the first message from someone) needs a reload.
+  const updateInboxEntry = (chatId, message, { unread = false } = {}) => {
+    const entry = inboxRef.current.find(conversation => chatIdOf(conversation) === chatId);
+    if (!entry) {
+      reloadInbox();
+      return;
+    }
+
+    showInbox([
+      {
+        ...entry,
+        lastMessage: message.message,
+        lastMessageAt: message.timestamp,
+        unreadCount: unread ? entry.unreadCount + 1 : entry.unreadCount
+      },
+      ...inboxRef.current.filter(conversation => conversation !== entry)
+    ]);
+  };
+
+  const clearInboxUnread = (chatId) => {
+    showInbox(inboxRef.current.map(conversation => (
+      chatIdOf(conversation) === chatId ? { ...conversation, unreadCount: 0 } : conversation
+    )));
+  };
 
-  // Load messages when component mounts
   useEffect(() => {
-    loadConversationHistory();
-  }, []);
+    let cancelled = false;
+
+    ChatAPI.getUserConversations(currentUser.uid).then(conversations => {
+      if (cancelled) return;
+      inboxRef.current = conversations;
+      setInbox(conversations);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [currentUser.uid]);
 
   // Socket setup
   useEffect(() => {
     setupSocket();
     return () => {
       offPrivateMessage();
+      offGroupMessage();
+      offMatchFound();
+      offMatchUpdated();
+      offGroupUpdated();
+      offSystemMessage();
       disconnectSocket();
     };
   }, []);
 
-  const loadConversationHistory = async () => {
+  const openChat = (chat) => {
+    selectedChatRef.current = chat;
+    setSelectedChat(chat);
+  };
+
+  const handleSelectConversation = (conversation) => {
+    const chat = conversation.groupId
+      ? { groupId: conversation.groupId, name: chatNameOf(conversation) }
+      : { uid: conversation.otherUserId, name: chatNameOf(conversation), matchId: conversation.matchId };
+    openChat(chat);
+    setView('chat');
+    loadConversationHistory(chat);
+  };
+
+  const markConversationRead = async (chat) => {
+    try {
+      if (chat.groupId) {
+        await ChatAPI.markGroupAsRead(chat.groupId);
+      } else {
+        await ChatAPI.markMessagesAsRead(currentUser.uid, chat.uid);
+      }
+      clearInboxUnread(chatKeyOf(chat));
+    } catch (error) {
+      // Not worth surfacing - the unread badge stays until the next attempt
+    }
+  };
+
+  // Bring the cached copy of a one-to-one chat up to date. A chat synced
+  // before only needs what changed since; otherwise the newest page replaces
+  // the cache, keeping messages that haven't reached the server yet.
+  const syncPairConversation = async (otherUserId) => {
+    const { syncCursor } = ChatStorage.getSyncState(currentUser.uid, otherUserId);
+
+    if (!syncCursor) {
+      const page = await ChatAPI.getConversation(currentUser.uid, otherUserId);
+      const unsent = ChatStorage.getConversation(currentUser.uid, otherUserId)
+        .filter(msg => msg.status === 'sending' || msg.status === 'failed');
+
+      ChatStorage.saveConversation(currentUser.uid, otherUserId, [...page.messages, ...unsent]);
+      ChatStorage.updateSyncState(currentUser.uid, otherUserId, {
+        syncCursor: page.syncCursor,
+        olderCursor: page.before
+      });
+      return;
+    }
+
+    let cursor = syncCursor;
+    let hasMore = true;
+    while (hasMore) {
+      const changes = await ChatAPI.syncConversation(currentUser.uid, otherUserId, cursor);
+      ChatStorage.mergeMessages(currentUser.uid, otherUserId, changes.messages);
+      ChatStorage.updateSyncState(currentUser.uid, otherUserId, { syncCursor: changes.cursor });
+      cursor = changes.cursor;
+      hasMore = changes.hasMore;
+    }
+  };
+
+  const loadConversationHistory = async (chat) => {
     setIsLoadingMessages(true);
     setConnectionError(null);
+    setMessages([]);
+    setOlderCursor(null);
     
     try {
       // Step 1: Load from local storage immediately for instant UI
-      const cachedMessages = ChatStorage.getConversation(currentUser.uid, dummyUser.uid);
+      const cachedMessages = ChatStorage.getConversation(currentUser.uid, chatKeyOf(chat));
       if (cachedMessages.length > 0) {
         setMessages(cachedMessages);
         console.log(`Loaded ${cachedMessages.length} messages from cache`);
       }
 
-      // Step 2: Fetch latest from server
-      const serverMessages = await ChatAPI.getConversation(currentUser.uid, dummyUser.uid);
-      
-      // Step 3: Update UI with server data (source of truth)
-      setMessages(serverMessages);
+      // Step 2: Bring the cache up to date with the server (source of truth)
+      if (chat.groupId) {
+        const serverMessages = await ChatAPI.getGroupMessages(chat.groupId);
+        ChatStorage.saveConversation(currentUser.uid, chat.groupId, serverMessages);
+      } else {
+        await syncPairConversation(chat.uid);
+      }
+
+      // Another chat was opened while this one loaded
+      if (selectedChatRef.current !== chat) return;
       
-      // Step 4: Update local cache with latest server data
-      ChatStorage.saveConversation(currentUser.uid, dummyUser.uid, serverMessages);
+      // Step 3: Show the updated cache
+      const syncedMessages = ChatStorage.getConversation(currentUser.uid, chatKeyOf(chat));
+      setMessages(syncedMessages);
+      if (!chat.groupId) {
+        setOlderCursor(ChatStorage.getSyncState(currentUser.uid, chat.uid).olderCursor);
+      }
       
-      console.log(`Loaded ${serverMessages.length} messages from server`);
+      console.log(`Loaded ${syncedMessages.length} messages after syncing with server`);
+
+      markConversationRead(chat);
       
     } catch (error) {
       console.error('Failed to load messages from server:', error);
       setConnectionError('Failed to sync with server');
       
       // Fallback to cached messages if server fails
-      const cachedMessages = ChatStorage.getConversation(currentUser.uid, dummyUser.uid);
+      const cachedMessages = ChatStorage.getConversation(currentUser.uid, chatKeyOf(chat));
       if (cachedMessages.length > 0) {
         setMessages(cachedMessages);
         console.log('Using cached messages as fallback');
@@ -60,6 +269,24 @@ function App() {
     }
   };
 
+  // Fetch the page of a one-to-one chat before the oldest message shown
+  const handleLoadOlder = async () => {
+    const chat = selectedChat;
+
+    try {
+      const page = await ChatAPI.getConversation(currentUser.uid, chat.uid, { before: olderCursor });
+      // Merging may trim the cache and reset the cursor, so it goes last
+      ChatStorage.updateSyncState(currentUser.uid, chat.uid, { olderCursor: page.before });
+      ChatStorage.mergeMessages(currentUser.uid, chat.uid, page.messages, { includeOlder: true });
+
+      if (selectedChatRef.current !== chat) return;
+      setOlderCursor(ChatStorage.getSyncState(currentUser.uid, chat.uid).olderCursor);
+      setMessages(ChatStorage.getConversation(currentUser.uid, chat.uid));
+    } catch (error) {
+      setConnectionError('Failed to load earlier messages');
+    }
+  };
+
   const setupSocket = () => {
     const socket = initializeSocket();
     
@@ -87,11 +314,17 @@ function App() {
         status: 'received'
       };
 
-      // Update UI immediately
-      setMessages(prev => [...prev, incomingMessage]);
+      // Update UI immediately if their chat is open
+      const current = selectedChatRef.current;
+      const isOpen = Boolean(current && current.uid === data.from);
+      if (isOpen) {
+        setMessages(prev => [...prev, incomingMessage]);
+        markConversationRead(current);
+      }
+      updateInboxEntry(data.from, incomingMessage, { unread: !isOpen });
 
       // Save to local storage immediately
-      ChatStorage.addMessage(currentUser.uid, dummyUser.uid, incomingMessage);
+      ChatStorage.addMessage(currentUser.uid, data.from, incomingMessage);
 
       // Save to server (async, don't block UI)
       try {
@@ -102,15 +335,70 @@ function App() {
       }
     });
 
+    // Group meal messages are saved by the server before they are fanned out
+    onGroupMessage((data) => {
+      const incomingMessage = { ...data, status: 'received' };
+
+      const current = selectedChatRef.current;
+      const isOpen = Boolean(current && current.groupId === data.groupId);
+      if (isOpen) {
+        setMessages(prev => [...prev, incomingMessage]);
+        markConversationRead(current);
+      }
+      updateInboxEntry(data.groupId, incomingMessage, { unread: !isOpen });
+
+      ChatStorage.addMessage(currentUser.uid, data.groupId, incomingMessage);
+    });
+
+    // Posted by the server, e.g. a suggested meeting place, so not saved again
+    onSystemMessage((data) => {
+      const incomingMessage = { ...data, from: null, status: 'received' };
+
+      const current = selectedChatRef.current;
+      const isOpen = Boolean(current && current.uid === data.with);
+      if (isOpen) {
+        setMessages(prev => [...prev, incomingMessage]);
+        markConversationRead(current);
+      }
+      updateInboxEntry(data.with, incomingMessage, { unread: !isOpen });
+
+      ChatStorage.addMessage(currentUser.uid, data.with, incomingMessage);
+    });
+
+    onMatchFound((match) => {
+      const partnerName = match.partner ? match.partner.name : 'someone';
+      setMatchNotice(
+        `We found you a ${match.request.activity_type} buddy: ${partnerName}. Confirm it under Find a buddy.`
+      );
+    });
+
+    // The inbox lists each chat's confirmed match, so it changes when a match
+    // is confirmed or ends, not when e.g. a meeting place is suggested
+    onMatchUpdated((update) => {
+      const isListed = inboxRef.current.some(conversation => conversation.matchId === update.match_id);
+      if (update.status === 'active' ? !isListed : isListed) reloadInbox();
+    });
+
+    onGroupUpdated((update) => {
+      if (update.joined && update.joined.some(member => member.uid === currentUser.uid)) {
+        setMatchNotice(`You've got a seat at a group ${update.activity_type}! Say hi in the group chat.`);
+      }
+      reloadInbox();
+    });
+
     connectSocket();
   };
 
-    const handleSend = async (uid, messageText) => {
+  const handleSend = async (messageText) => {
+    const chat = selectedChat;
+    const chatId = chatKeyOf(chat);
+
     // Create message object
     const newMessage = {
       id: uuidv4(), // ✅ Generate proper UUID instead of timestamp
       from: currentUser.uid,
-      to: uid,
+      to: chat.uid,
+      groupId: chat.groupId,
       message: messageText,
       timestamp: new Date().toISOString(),
       status: 'sending'
@@ -120,7 +408,7 @@ function App() {
     setMessages(prev => [...prev, newMessage]);
 
     // Step 2: Save to local storage immediately (for persistence)
-    ChatStorage.addMessage(currentUser.uid, uid, newMessage);
+    ChatStorage.addMessage(currentUser.uid, chatId, newMessage);
 
     try {
       // Step 3: Send to server
@@ -132,8 +420,8 @@ function App() {
           email: currentUser.email
         },
         receiverInfo: {
-          uid: dummyUser.uid,
-          name: dummyUser.name
+          uid: chat.uid,
+          name: chat.name
         }
       });
 
@@ -145,11 +433,13 @@ function App() {
       ));
 
       // Step 5: Update local storage with server response
-      ChatStorage.updateMessage(currentUser.uid, uid, newMessage.id, {
+      ChatStorage.updateMessage(currentUser.uid, chatId, newMessage.id, {
         ...savedMessage, 
         status: 'sent'
       });
 
+      updateInboxEntry(chatId, newMessage);
+
     } catch (error) {
       console.error('Failed to send message to server:', error);
       
@@ -160,7 +450,7 @@ function App() {
           : msg
       ));
 
-      ChatStorage.updateMessage(currentUser.uid, uid, newMessage.id, {
+      ChatStorage.updateMessage(currentUser.uid, chatId, newMessage.id, {
         ...newMessage,
         status: 'failed'
       });
@@ -187,8 +477,7 @@ function App() {
           email: currentUser.email
         },
         receiverInfo: {
-          uid: dummyUser.uid,
-          name: dummyUser.name
+          uid: failedMessage.to
         }
       });
 
@@ -199,7 +488,7 @@ function App() {
           : msg
       ));
 
-      ChatStorage.updateMessage(currentUser.uid, dummyUser.uid, failedMessage.id, {
+      ChatStorage.updateMessage(currentUser.uid, failedMessage.to || failedMessage.groupId, failedMessage.id, {
         ...savedMessage,
         status: 'sent'
       });
@@ -236,8 +525,7 @@ function App() {
             email: currentUser.email
           },
           receiverInfo: {
-            uid: dummyUser.uid,
-            name: dummyUser.name
+            uid: failedMsg.to
           }
         });
 
@@ -248,7 +536,7 @@ function App() {
             : msg
         ));
 
-        ChatStorage.updateMessage(currentUser.uid, dummyUser.uid, failedMsg.id, {
+        ChatStorage.updateMessage(currentUser.uid, failedMsg.to || failedMsg.groupId, failedMsg.id, {
           ...savedMessage,
           status: 'sent'
         });
@@ -272,41 +560,124 @@ function App() {
       setMessages([]);
       
       // Clear local storage
-      ChatStorage.clearConversation(currentUser.uid, dummyUser.uid);
+      ChatStorage.clearConversation(currentUser.uid, selectedChat.uid);
       
       // Clear from server (optional - you might want to keep for admin purposes)
       try {
-        await ChatAPI.clearConversation(currentUser.uid, dummyUser.uid);
+        await ChatAPI.clearConversation(currentUser.uid, selectedChat.uid);
       } catch (error) {
         console.error('Failed to clear chat on server:', error);
       }
+      reloadInbox();
     }
   };
 
-  if (isLoadingMessages) {
-    return (
+  const handleLeaveGroup = async () => {
+    if (!window.confirm('Leave this group? Your seat will go to someone else.')) return;
+
+    try {
+      await ChatAPI.leaveGroup(selectedChat.groupId);
+      ChatStorage.clearConversation(currentUser.uid, selectedChat.groupId);
+      openChat(null);
+      setMessages([]);
+      reloadInbox();
+    } catch (error) {
+      setConnectionError('Failed to leave the group');
+    }
+  };
+
+  const failedMessageCount = messages.filter(msg => msg.status === 'failed').length;
+
+  return (
+    <div style={{ height: '100vh', display: 'flex', flexDirection: 'column' }}>
       <div style={{
-        height: '100vh',
         display: 'flex',
-        flexDirection: 'column',
         alignItems: 'center',
-        justifyContent: 'center',
-        fontSize: '16px',
-        color: '#666'
+        gap: '12px',
+        padding: '10px',
+        borderBottom: '1px solid #ccc',
+        fontSize: '14px'
       }}>
-        <div>Loading chat history...</div>
-        <div style={{ fontSize: '12px', marginTop: '8px' }}>
-          Syncing with server
-        </div>
+        <strong style={{ flex: 1 }}>{currentUser.name || currentUser.email}</strong>
+        <span style={{ color: isConnected ? '#28a745' : '#dc3545' }}>
+          {isConnected ? 'Online' : 'Offline'}
+        </span>
+        {failedMessageCount > 0 && (
+          <button onClick={handleRetryFailedMessages}>
+            Retry {failedMessageCount} failed
+          </button>
+        )}
+        {selectedChat && selectedChat.uid && <button onClick={handleClearChat}>Clear chat</button>}
+        {selectedChat && selectedChat.groupId && <button onClick={handleLeaveGroup}>Leave group</button>}
+        <button onClick={() => setView('buddy')}>Find a buddy</button>
+        <button onClick={() => setView('profile')}>Profile</button>
+        <button onClick={onLogout}>Log out</button>
       </div>
-    );
-  }
 
-  const failedMessageCount = messages.filter(msg => msg.status === 'failed').length;
-
-  return (
-    <div className="App">
-      <LoginPage />
+      {connectionError && (
+        <div style={{ padding: '8px 10px', backgroundColor: '#fff3cd', fontSize: '13px' }}>
+          {connectionError}
+        </div>
+      )}
+
+      {matchNotice && (
+        <div style={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          padding: '8px 10px',
+          backgroundColor: '#d4edda',
+          fontSize: '13px'
+        }}>
+          {matchNotice}
+          <button onClick={() => setMatchNotice(null)}>Dismiss</button>
+        </div>
+      )}
+
+      {view === 'profile' ? (
+        <ProfilePage
+          currentUser={currentUser}
+          onProfileUpdated={onUserUpdated}
+          onBack={() => setView('chat')}
+        />
+      ) : view === 'buddy' ? (
+        <FindBuddyPage onBack={() => setView('chat')} />
+      ) : (
+        <div style={{ flex: 1, display: 'flex', minHeight: 0 }}>
+          <div style={{ width: '300px', borderRight: '1px solid #ccc', display: 'flex', flexDirection: 'column' }}>
+            <MatchList
+              selectedChatId={selectedChat && chatKeyOf(selectedChat)}
+              onSelect={handleSelectConversation}
+              conversations={inbox}
+            />
+          </div>
+
+          {isLoadingMessages ? (
+            <div style={{
+              flex: 1,
+              display: 'flex',
+              flexDirection: 'column',
+              alignItems: 'center',
+              justifyContent: 'center',
+              fontSize: '16px',
+              color: '#666'
+            }}>
+              <div>Loading chat history...</div>
+              <div style={{ fontSize: '12px', marginTop: '8px' }}>
+                Syncing with server
+              </div>
+            </div>
+          ) : (
+            <ChatWindow
+              chat={selectedChat}
+              currentUserId={currentUser.uid}
+              messages={messages}
+              onLoadOlder={olderCursor ? handleLoadOlder : undefined}
+              onSend={handleSend}
+              onRetryMessage={handleRetryMessage}
+            />
+          )}
+        </div>
+      )}
     </div>
   );
 }
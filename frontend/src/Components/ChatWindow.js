@@ -3,26 +3,33 @@
 import React from 'react';
 import MessageBubble from './MessageBubble';
 import MessageInput from './MessageInput';
+import MeetingPlacePicker from './MeetingPlacePicker';
 import { sendPrivateMessage } from '../socket/socket';
 
 /**
  * @param {Object} props
- * @param {Object} props.user - The user you're chatting with (e.g. { uid, name })
- * @param {Array} props.messages - Array of messages exchanged with this user
+ * @param {Object} props.chat - The open chat: { uid, name, matchId? } for
+ *   another user, or { groupId, name } for a group meal
+ * @param {string} props.currentUserId - The logged-in user's uid
+ * @param {Array} props.messages - Array of messages in this chat
+ * @param {Function} [props.onLoadOlder] - Loads earlier messages; left out
+ *   when there are none
  * @param {Function} props.onSend - Function to update message state in App.js
  * @param {Function} props.onRetryMessage - Function to retry failed messages
  */
-function ChatWindow({ user, messages, onSend, onRetryMessage }) {
-  // If no user is selected, show a placeholder
-  if (!user) return <div style={{ padding: '20px' }}>Select someone to chat with</div>;
+function ChatWindow({ chat, currentUserId, messages, onLoadOlder, onSend, onRetryMessage }) {
+  // If no chat is selected, show a placeholder
+  if (!chat) return <div style={{ padding: '20px' }}>Select someone to chat with</div>;
 
   // Called when user sends a new message
   const handleSend = (text) => {
-    // Send to backend via socket
-    sendPrivateMessage(user.uid, text);
+    // Send to backend via socket (group messages are fanned out by the server)
+    if (!chat.groupId) {
+      sendPrivateMessage(chat.uid, text);
+    }
     
     // Update frontend state immediately
-    onSend(user.uid, text);
+    onSend(text);
   };
 
   // Handle retrying a failed message
@@ -40,7 +47,14 @@ function ChatWindow({ user, messages, onSend, onRetryMessage }) {
       flexDirection: 'column',
       height: '100%'
     }}>
-      <h3 style={{ margin: '0 0 10px 0' }}>Chat with {user.name}</h3>
+      <h3 style={{ margin: '0 0 10px 0' }}>{chat.groupId ? chat.name : `Chat with ${chat.name}`}</h3>
+
+      {chat.matchId && (
+        <MeetingPlacePicker
+          matchId={chat.matchId}
+          refreshKey={messages.filter(msg => msg.type === 'system').length}
+        />
+      )}
       
       <div style={{ 
         flex: 1, 
@@ -51,6 +65,12 @@ function ChatWindow({ user, messages, onSend, onRetryMessage }) {
         borderRadius: '8px',
         backgroundColor: '#f8f9fa'
       }}>
+        {onLoadOlder && (
+          <div style={{ textAlign: 'center', marginBottom: '8px' }}>
+            <button onClick={onLoadOlder}>Load earlier messages</button>
+          </div>
+        )}
+
         {messages.length === 0 ? (
           <div style={{ 
             textAlign: 'center', 
@@ -61,11 +81,20 @@ function ChatWindow({ user, messages, onSend, onRetryMessage }) {
             No messages yet. Start the conversation!
           </div>
         ) : (
-          messages.map((msg, index) => (
+          messages.map((msg, index) => msg.type === 'system' ? (
+            // Match updates, e.g. "You're matched! Lunch on ..."
+            <div
+              key={msg.id || index}
+              style={{ textAlign: 'center', color: '#666', fontSize: '12px', margin: '8px 0' }}
+            >
+              {msg.message}
+            </div>
+          ) : (
             <MessageBubble
               key={msg.id || index}
               message={msg.message}
-              fromSelf={msg.from === 'me'}
+              fromSelf={msg.from === currentUserId}
+              senderName={chat.groupId ? msg.senderName : undefined}
               timestamp={msg.timestamp}
               status={msg.status}
               edited={msg.edited}
@@ -0,0 +1,157 @@
+// src/Components/MatchList.js
+
+import React from 'react';
+
+const ACTIVITY_LABELS = {
+  breakfast: 'Breakfast',
+  lunch: 'Lunch',
+  dinner: 'Dinner',
+  study: 'Study'
+};
+
+const formatMatchTime = (conversation) => {
+  const when = new Date(conversation.meetingDate).toLocaleString([], {
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+  return `${ACTIVITY_LABELS[conversation.activityType] || conversation.activityType} · ${when}`;
+};
+
+const formatLastMessageTime = (timestamp) => {
+  if (!timestamp) return '';
+
+  const time = new Date(timestamp);
+  const isToday = time.toDateString() === new Date().toDateString();
+  return isToday
+    ? time.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+    : time.toLocaleDateString([], { month: 'short', day: 'numeric' });
+};
+
+// Group meals are identified by groupId, one-to-one chats by the other user
+export const chatIdOf = (conversation) => conversation.groupId || conversation.otherUserId;
+
+export const chatNameOf = (conversation) =>
+  conversation.groupId
+    ? `Group ${(ACTIVITY_LABELS[conversation.activityType] || conversation.activityType).toLowerCase()}`
+    : conversation.otherUserName || 'SMU student';
+
+/**
+ * @param {Object} props
+ * @param {Array|null} props.conversations - From ChatAPI.getUserConversations,
+ *   most recently active first; null while loading
+ * @param {string} props.selectedChatId - chatIdOf the open chat
+ * @param {Function} props.onSelect - Called with the chosen conversation
+ */
+function MatchList({ conversations, selectedChatId, onSelect }) {
+  if (conversations === null) {
+    return <div style={{ padding: '20px', color: '#666', fontSize: '14px' }}>Loading chats...</div>;
+  }
+
+  if (conversations.length === 0) {
+    return (
+      <div style={{ padding: '20px', color: '#666', fontSize: '14px' }}>
+        No chats yet. Find a buddy to get started!
+      </div>
+    );
+  }
+
+  return (
+    <ul style={{ listStyle: 'none', margin: 0, padding: 0, overflowY: 'auto' }}>
+      {conversations.map(conversation => {
+        const isSelected = chatIdOf(conversation) === selectedChatId;
+        const name = chatNameOf(conversation);
+        // The open chat is being read as messages arrive
+        const unreadCount = isSelected ? 0 : conversation.unreadCount;
+
+        return (
+          <li key={chatIdOf(conversation)}>
+            <button
+              onClick={() => onSelect(conversation)}
+              style={{
+                display: 'flex',
+                gap: '10px',
+                width: '100%',
+                padding: '10px',
+                border: 'none',
+                borderBottom: '1px solid #eee',
+                backgroundColor: isSelected ? '#e7f1ff' : 'white',
+                textAlign: 'left',
+                cursor: 'pointer'
+              }}
+            >
+              {conversation.otherUserAvatarUrl ? (
+                <img
+                  src={conversation.otherUserAvatarUrl}
+                  alt=""
+                  style={{ width: '40px', height: '40px', borderRadius: '50%', objectFit: 'cover' }}
+                />
+              ) : (
+                <div style={{
+                  width: '40px',
+                  height: '40px',
+                  flexShrink: 0,
+                  borderRadius: '50%',
+                  backgroundColor: '#6c757d',
+                  color: 'white',
+                  display: 'flex',
+                  alignItems: 'center',
+                  justifyContent: 'center',
+                  fontWeight: 'bold'
+                }}>
+                  {name.charAt(0).toUpperCase()}
+                </div>
+              )}
+
+              <div style={{ flex: 1, minWidth: 0, fontSize: '13px' }}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', gap: '8px' }}>
+                  <strong style={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                    {name}
+                  </strong>
+                  <span style={{ color: '#666', fontSize: '11px', whiteSpace: 'nowrap' }}>
+                    {formatLastMessageTime(conversation.lastMessageAt)}
+                  </span>
+                </div>
+
+                {(conversation.matchId || conversation.groupId) && (
+                  <div style={{ color: '#28a745', fontSize: '11px' }}>
+                    {formatMatchTime(conversation)}
+                    {conversation.groupId && ` · ${conversation.memberCount} people`}
+                  </div>
+                )}
+
+                <div style={{ display: 'flex', justifyContent: 'space-between', gap: '8px' }}>
+                  <span style={{
+                    color: '#666',
+                    overflow: 'hidden',
+                    textOverflow: 'ellipsis',
+                    whiteSpace: 'nowrap'
+                  }}>
+                    {conversation.lastMessage || 'No messages yet'}
+                  </span>
+                  {unreadCount > 0 && (
+                    <span style={{
+                      minWidth: '18px',
+                      padding: '0 6px',
+                      borderRadius: '9px',
+                      backgroundColor: '#007bff',
+                      color: 'white',
+                      fontSize: '11px',
+                      textAlign: 'center'
+                    }}>
+                      {unreadCount}
+                    </span>
+                  )}
+                </div>
+              </div>
+            </button>
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
+
+export default MatchList;
@@ -0,0 +1,126 @@
+// src/Components/MeetingPlacePicker.js
+
+import React, { useEffect, useState } from 'react';
+import { MatchesAPI } from '../services/matchesAPI';
+
+const boxStyle = {
+  marginBottom: '10px',
+  padding: '8px 10px',
+  border: '1px solid #ccc',
+  borderRadius: '8px',
+  fontSize: '13px'
+};
+
+/**
+ * Choose where to meet: shows the agreed place or the pending suggestion,
+ * and lets either user suggest one of the recommended places.
+ * @param {Object} props
+ * @param {string} props.matchId - The match behind the chat
+ * @param {*} props.refreshKey - Reloads the match whenever it changes (e.g.
+ *   when a suggestion arrives in the chat)
+ */
+function MeetingPlacePicker({ matchId, refreshKey }) {
+  const [match, setMatch] = useState(null);
+  const [places, setPlaces] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    MatchesAPI.getMatch(matchId)
+      .then(result => {
+        if (!cancelled) setMatch(result);
+      })
+      .catch(() => {
+        if (!cancelled) setMatch(null);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [matchId, refreshKey]);
+
+  // Only confirmed matches get to pick a place
+  if (!match || match.status !== 'active') return null;
+
+  const showRecommendations = async () => {
+    setError(null);
+    try {
+      setPlaces(await MatchesAPI.getPlaceRecommendations(matchId));
+    } catch (err) {
+      setError(err.data?.error || "Couldn't load suggestions.");
+    }
+  };
+
+  // Both actions respond with the updated match
+  const handleAction = async (action) => {
+    setError(null);
+    try {
+      setMatch(await action());
+      setPlaces(null);
+    } catch (err) {
+      setError(err.data?.error || "Couldn't update the meeting place.");
+    }
+  };
+
+  return (
+    <div style={boxStyle}>
+      {match.location ? (
+        <div>📍 Meeting at <strong>{match.location}</strong></div>
+      ) : (
+        <div style={{ color: '#666' }}>No meeting place yet.</div>
+      )}
+
+      {match.proposed_place_id && (
+        <div style={{ marginTop: '6px' }}>
+          {match.proposed_by_me ? (
+            <span>You suggested {match.proposed_location}. Waiting for your buddy.</span>
+          ) : (
+            <>
+              <span>Your buddy suggested <strong>{match.proposed_location}</strong>. </span>
+              <button
+                onClick={() => handleAction(() => MatchesAPI.acceptPlace(matchId, match.proposed_place_id))}
+              >
+                Accept
+              </button>
+            </>
+          )}
+        </div>
+      )}
+
+      {places === null ? (
+        <button style={{ marginTop: '6px' }} onClick={showRecommendations}>
+          {match.location ? 'Suggest somewhere else' : 'Suggest a place'}
+        </button>
+      ) : (
+        <ul style={{ listStyle: 'none', margin: '6px 0 0', padding: 0 }}>
+          {places.length === 0 && <li style={{ color: '#666' }}>No places to suggest yet.</li>}
+          {places.map(place => (
+            <li
+              key={place.place_id}
+              style={{ display: 'flex', justifyContent: 'space-between', gap: '8px', padding: '4px 0' }}
+            >
+              <span>
+                {place.place_name}
+                {place.building_name && `, ${place.building_name}`}
+                {place.reasons.length > 0 && (
+                  <span style={{ color: '#28a745', fontSize: '11px' }}> · {place.reasons.join(' · ')}</span>
+                )}
+              </span>
+              <button onClick={() => handleAction(() => MatchesAPI.proposePlace(matchId, place.place_id))}>
+                Suggest
+              </button>
+            </li>
+          ))}
+          <li>
+            <button onClick={() => setPlaces(null)}>Close</button>
+          </li>
+        </ul>
+      )}
+
+      {error && <div style={{ color: '#dc3545', marginTop: '6px' }}>{error}</div>}
+    </div>
+  );
+}
+
+export default MeetingPlacePicker;
@@ -6,12 +6,13 @@ import React from 'react';
  * @param {Object} props
  * @param {string} props.message - The message text to display
  * @param {boolean} props.fromSelf - Whether this message is from the current user
+ * @param {string} [props.senderName] - Shown above other people's messages in group chats
  * @param {string} props.timestamp - Message timestamp
  * @param {string} props.status - Message status (sending, sent, failed, received)
  * @param {boolean} props.edited - Whether message was edited
  * @param {Function} props.onRetry - Callback for retrying failed messages
  */
-function MessageBubble({ message, fromSelf, timestamp, status, edited, onRetry }) {
+function MessageBubble({ message, fromSelf, senderName, timestamp, status, edited, onRetry }) {
   const getStatusIcon = () => {
     if (!fromSelf) return null; // Don't show status for received messages
     
@@ -98,6 +99,11 @@ function MessageBubble({ message, fromSelf, timestamp, status, edited, onRetry }
       }}
     >
       <div style={getBubbleStyle()}>
+        {senderName && !fromSelf && (
+          <div style={{ fontSize: '11px', fontWeight: 'bold', color: '#555', marginBottom: '2px' }}>
+            {senderName}
+          </div>
+        )}
         {message}
         
         {/* Message footer with timestamp and status */}
@@ -0,0 +1,74 @@
+import React, { useState } from "react";
+import styles from "../../pages/LoginPage.module.css";
+import Card from "../ui/Card";
+import Button from "../ui/Button";
+import Input from "../ui/Input";
+import { AuthAPI } from "../../services/authAPI";
+
+const ForgotPasswordForm = ({ onBackToLogin }) => {
+  const [email, setEmail] = useState("");
+  const [sent, setSent] = useState(false);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError(null);
+
+    try {
+      await AuthAPI.requestPasswordReset(email);
+      setSent(true);
+    } catch (err) {
+      setError("Something went wrong. Please try again.");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Card className={styles.form}>
+      <form onSubmit={handleSubmit}>
+        <div className={styles.content}>
+          <div>
+            <h2 className={styles.title}>Forgot password</h2>
+            <p className={styles.subtitle}>
+              We'll email you a link to choose a new one
+            </p>
+          </div>
+
+          {sent ? (
+            <p className={styles.notice}>
+              If an account exists for {email}, a reset link is on its way. The
+              link expires in 1 hour.
+            </p>
+          ) : (
+            <div className={styles.field}>
+              <label className={styles.label}>Email</label>
+              <Input
+                type="email"
+                placeholder="Enter your SMU email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+              />
+              {error && <p className={styles.error}>{error}</p>}
+            </div>
+          )}
+
+          <div className={styles.submitContainer}>
+            <Button variant="secondary" onClick={onBackToLogin}>
+              Back to login
+            </Button>
+            {!sent && (
+              <Button type="submit" disabled={loading || !email}>
+                {loading ? "Sending..." : "Send link"}
+              </Button>
+            )}
+          </div>
+        </div>
+      </form>
+    </Card>
+  );
+};
+
+export default ForgotPasswordForm;
@@ -3,15 +3,35 @@ import styles from "../../pages/LoginPage.module.css";
 import Card from "../ui/Card";
 import Button from "../ui/Button";
 import Input from "../ui/Input";
+import { AuthAPI } from "../../services/authAPI";
 
-const LoginForm = ({ onSwitchToRegister }) => {
+const LoginForm = ({
+  notice,
+  onLogin,
+  onSwitchToRegister,
+  onForgotPassword,
+}) => {
   const [email, setEmail] = useState("");
   const [password, setPassword] = useState("");
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
 
-  const handleSubmit = (e) => {
+  const handleSubmit = async (e) => {
     e.preventDefault();
-    // Handle login logic here
-    console.log("Login:", { email, password });
+    setLoading(true);
+    setError(null);
+
+    try {
+      const user = await AuthAPI.login(email, password);
+      onLogin(user);
+    } catch (err) {
+      setError(
+        err.status === 401
+          ? "Invalid email or password"
+          : "Couldn't log in. Please try again.",
+      );
+      setLoading(false);
+    }
   };
 
   return (
@@ -30,6 +50,8 @@ const LoginForm = ({ onSwitchToRegister }) => {
             <p className={styles.subtitle}>Sign in to find your lunch buddy</p>
           </div>
 
+          {notice && <p className={styles.notice}>{notice}</p>}
+
           <div className={styles.field}>
             <label className={styles.label}>Email</label>
             <Input
@@ -50,10 +72,21 @@ const LoginForm = ({ onSwitchToRegister }) => {
               onChange={(e) => setPassword(e.target.value)}
               required
             />
+            <button
+              type="button"
+              onClick={onForgotPassword}
+              className={styles.linkButton}
+            >
+              Forgot password?
+            </button>
           </div>
 
+          {error && <p className={styles.error}>{error}</p>}
+
           <div className={styles.submitContainer}>
-            <Button type="submit">Login</Button>
+            <Button type="submit" disabled={loading}>
+              {loading ? "Logging in..." : "Login"}
+            </Button>
           </div>
         </div>
       </form>
@@ -3,6 +3,8 @@ import styles from "../../pages/LoginPage.module.css";
 import Card from "../ui/Card";
 import Button from "../ui/Button";
 import Input from "../ui/Input";
+import { AuthAPI } from "../../services/authAPI";
+import { FACULTY_OPTIONS, YEAR_OPTIONS } from "../../utils/profileOptions";
 
 const RegisterForm = ({ onSwitchToLogin }) => {
   const [formData, setFormData] = useState({
@@ -10,12 +12,47 @@ const RegisterForm = ({ onSwitchToLogin }) => {
     gender: "",
     faculty: "",
     year: "",
+    password: "",
+    confirmPassword: "",
   });
+  const [errors, setErrors] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [registered, setRegistered] = useState(false);
+  const [resent, setResent] = useState(false);
 
-  const handleSubmit = (e) => {
+  const handleSubmit = async (e) => {
     e.preventDefault();
-    // Handle registration logic here
-    console.log("Register:", formData);
+
+    if (formData.password !== formData.confirmPassword) {
+      setErrors({ confirmPassword: "Passwords do not match" });
+      return;
+    }
+
+    setLoading(true);
+    setErrors({});
+
+    try {
+      await AuthAPI.register(formData);
+      setRegistered(true);
+    } catch (error) {
+      // Field-level errors come back keyed by form field name
+      setErrors(
+        error.data?.fields || {
+          form: "Registration failed. Please try again.",
+        },
+      );
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleResend = async () => {
+    try {
+      await AuthAPI.resendVerification(formData.email);
+      setResent(true);
+    } catch (error) {
+      setErrors({ form: "Couldn't resend the email. Please try again later." });
+    }
   };
 
   const updateFormData = (field, value) => {
@@ -25,6 +62,32 @@ const RegisterForm = ({ onSwitchToLogin }) => {
     }));
   };
 
+  const renderError = (field) =>
+    errors[field] ? <p className={styles.error}>{errors[field]}</p> : null;
+
+  if (registered) {
+    return (
+      <Card className={styles.form}>
+        <div className={styles.content}>
+          <p className={styles.notice}>
+            We've sent a verification link to {formData.email}. Open it to
+            activate your account.
+          </p>
+          {resent && (
+            <p className={styles.subtitle}>A new link is on its way.</p>
+          )}
+          {renderError("form")}
+          <div className={styles.submitContainer}>
+            <Button variant="secondary" onClick={handleResend}>
+              Resend email
+            </Button>
+            <Button onClick={onSwitchToLogin}>Go to login</Button>
+          </div>
+        </div>
+      </Card>
+    );
+  }
+
   return (
     <Card className={styles.form}>
       <div className={styles.tabContainer}>
@@ -63,6 +126,7 @@ const RegisterForm = ({ onSwitchToLogin }) => {
               </button>
             </div>
           </div>
+          {renderError("gender")}
 
           <div className={styles.fieldRow}>
             <span className={styles.label}>Faculty</span>
@@ -73,14 +137,14 @@ const RegisterForm = ({ onSwitchToLogin }) => {
               required
             >
               <option value="">Click to select</option>
-              <option value="engineering">Engineering</option>
-              <option value="business">Business</option>
-              <option value="arts">Arts</option>
-              <option value="science">Science</option>
-              <option value="medicine">Medicine</option>
-              <option value="law">Law</option>
+              {FACULTY_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
             </select>
           </div>
+          {renderError("faculty")}
 
           <div className={styles.fieldRow}>
             <span className={styles.label}>Year</span>
@@ -91,13 +155,14 @@ const RegisterForm = ({ onSwitchToLogin }) => {
               required
             >
               <option value="">Click to select</option>
-              <option value="1">Year 1</option>
-              <option value="2">Year 2</option>
-              <option value="3">Year 3</option>
-              <option value="4">Year 4</option>
-              <option value="graduate">Graduate</option>
+              {YEAR_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
             </select>
           </div>
+          {renderError("year")}
 
           <div className={styles.field}>
             <Input
@@ -107,10 +172,39 @@ const RegisterForm = ({ onSwitchToLogin }) => {
               onChange={(e) => updateFormData("email", e.target.value)}
               required
             />
+            {renderError("email")}
+          </div>
+
+          <div className={styles.field}>
+            <Input
+              type="password"
+              placeholder="Choose a password (at least 8 characters)"
+              value={formData.password}
+              onChange={(e) => updateFormData("password", e.target.value)}
+              required
+            />
+            {renderError("password")}
+          </div>
+
+          <div className={styles.field}>
+            <Input
+              type="password"
+              placeholder="Confirm your password"
+              value={formData.confirmPassword}
+              onChange={(e) =>
+                updateFormData("confirmPassword", e.target.value)
+              }
+              required
+            />
+            {renderError("confirmPassword")}
           </div>
 
+          {renderError("form")}
+
           <div className={styles.submitContainer}>
-            <Button type="submit">Register</Button>
+            <Button type="submit" disabled={loading}>
+              {loading ? "Registering..." : "Register"}
+            </Button>
           </div>
         </div>
       </form>
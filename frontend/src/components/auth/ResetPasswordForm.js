@@ -0,0 +1,82 @@
+import React, { useState } from "react";
+import styles from "../../pages/LoginPage.module.css";
+import Card from "../ui/Card";
+import Button from "../ui/Button";
+import Input from "../ui/Input";
+import { AuthAPI } from "../../services/authAPI";
+
+const ResetPasswordForm = ({ token, onDone }) => {
+  const [password, setPassword] = useState("");
+  const [confirmPassword, setConfirmPassword] = useState("");
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (password !== confirmPassword) {
+      setError("Passwords do not match");
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      await AuthAPI.resetPassword(token, password);
+      onDone("Your password has been changed. Please log in again.");
+    } catch (err) {
+      setError(
+        err.data?.fields?.password ||
+          err.data?.error ||
+          "Couldn't reset your password. Please try again.",
+      );
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Card className={styles.form}>
+      <form onSubmit={handleSubmit}>
+        <div className={styles.content}>
+          <div>
+            <h2 className={styles.title}>Choose a new password</h2>
+            <p className={styles.subtitle}>
+              You'll be signed out on all your devices
+            </p>
+          </div>
+
+          <div className={styles.field}>
+            <label className={styles.label}>New password</label>
+            <Input
+              type="password"
+              placeholder="At least 8 characters"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+            />
+          </div>
+
+          <div className={styles.field}>
+            <label className={styles.label}>Confirm password</label>
+            <Input
+              type="password"
+              placeholder="Enter it again"
+              value={confirmPassword}
+              onChange={(e) => setConfirmPassword(e.target.value)}
+            />
+            {error && <p className={styles.error}>{error}</p>}
+          </div>
+
+          <div className={styles.submitContainer}>
+            <Button type="submit" disabled={loading || !password}>
+              {loading ? "Saving..." : "Reset password"}
+            </Button>
+          </div>
+        </div>
+      </form>
+    </Card>
+  );
+};
+
+export default ResetPasswordForm;
@@ -0,0 +1,67 @@
+import React, { useState } from "react";
+import styles from "../../pages/LoginPage.module.css";
+import Card from "../ui/Card";
+import Button from "../ui/Button";
+import { AuthAPI } from "../../services/authAPI";
+
+// Opening the emailed link only lands here; the address is verified once the
+// user confirms, so link scanners can't use the token up
+const VerifyEmailForm = ({ token, expired, onDone }) => {
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError(null);
+
+    try {
+      await AuthAPI.verifyEmail(token);
+      onDone("Your email is verified. You can now log in.");
+    } catch (err) {
+      // An expired link is replaced by a fresh one in the same request
+      if (err.status === 410) {
+        onDone(
+          err.data?.error ||
+            "This link has expired. Check your email for a new one.",
+        );
+        return;
+      }
+      setError(
+        err.data?.error || "We couldn't verify your email. Please try again.",
+      );
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Card className={styles.form}>
+      <form onSubmit={handleSubmit}>
+        <div className={styles.content}>
+          <div>
+            <h2 className={styles.title}>Verify your email</h2>
+            <p className={styles.subtitle}>
+              {expired
+                ? "This link has expired. We can email you a new one."
+                : "Confirm this is your SMU email address"}
+            </p>
+          </div>
+
+          {error && <p className={styles.error}>{error}</p>}
+
+          <div className={styles.submitContainer}>
+            <Button type="submit" disabled={loading}>
+              {loading
+                ? "Please wait..."
+                : expired
+                  ? "Email me a new link"
+                  : "Verify my email"}
+            </Button>
+          </div>
+        </div>
+      </form>
+    </Card>
+  );
+};
+
+export default VerifyEmailForm;
@@ -0,0 +1,98 @@
+import React from "react";
+import styles from "./CrowdHeatmap.module.css";
+import {
+  CROWD_LEVEL_OPTIONS,
+  WEEKDAY_OPTIONS,
+} from "../../utils/profileOptions";
+
+// Campus hours worth showing
+const FIRST_HOUR = 7;
+const LAST_HOUR = 22;
+const HOURS = Array.from(
+  { length: LAST_HOUR - FIRST_HOUR + 1 },
+  (_, index) => FIRST_HOUR + index,
+);
+
+const levelLabel = (level) =>
+  CROWD_LEVEL_OPTIONS.find((option) => option.value === level)?.label || level;
+
+const cellTitle = (day, hour, cell) => {
+  const when = `${day.label} ${String(hour).padStart(2, "0")}:00`;
+  if (!cell) return `${when}: no reports yet`;
+  return `${when}: usually ${levelLabel(cell.level).toLowerCase()} (${
+    cell.samples
+  } report${cell.samples === 1 ? "" : "s"})`;
+};
+
+/**
+ * How busy a place usually is, one cell per hour of the week.
+ * @param {Object} props
+ * @param {Object} props.profile - From PlacesAPI.getCrowdProfile
+ * @param {Function} [props.onPick] - Called with (day, hour) when a cell is
+ *   clicked; day is 0 (Sunday) to 6
+ */
+const CrowdHeatmap = ({ profile, onPick }) => {
+  const cells = new Map(
+    profile.hours.map((cell) => [`${cell.day}-${cell.hour}`, cell]),
+  );
+
+  const cellClass = (cell) => {
+    if (!cell) return styles.empty;
+    const classes = [styles.cell, styles[cell.level]];
+    if (cell.confidence === "low") classes.push(styles.uncertain);
+    return classes.join(" ");
+  };
+
+  return (
+    <div className={styles.heatmap}>
+      <table className={styles.grid}>
+        <thead>
+          <tr>
+            <th />
+            {HOURS.map((hour) => (
+              <th key={hour} className={styles.hour}>
+                {hour % 3 === 0 ? hour : ""}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {WEEKDAY_OPTIONS.map((day) => (
+            <tr key={day.value}>
+              <th className={styles.day}>{day.label}</th>
+              {HOURS.map((hour) => {
+                const cell = cells.get(`${day.value}-${hour}`);
+                return (
+                  <td key={hour}>
+                    <button
+                      type="button"
+                      title={cellTitle(day, hour, cell)}
+                      aria-label={cellTitle(day, hour, cell)}
+                      onClick={() => onPick && onPick(day.value, hour)}
+                      className={cellClass(cell)}
+                    />
+                  </td>
+                );
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className={styles.legend}>
+        {CROWD_LEVEL_OPTIONS.map((option) => (
+          <span key={option.value}>
+            <span className={`${styles.swatch} ${styles[option.value]}`} />
+            {option.label}
+          </span>
+        ))}
+      </div>
+      <p className={styles.hint}>
+        From the last {profile.weeks} weeks of reports. Faded hours have few
+        reports.
+      </p>
+    </div>
+  );
+};
+
+export default CrowdHeatmap;
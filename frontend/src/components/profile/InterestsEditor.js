@@ -0,0 +1,133 @@
+import React, { useEffect, useState } from "react";
+import styles from "./InterestsEditor.module.css";
+import Input from "../ui/Input";
+import { InterestsAPI } from "../../services/interestsAPI";
+
+const MAX_INTERESTS = 10;
+const SUGGESTION_DELAY = 250; // ms to wait after typing before searching
+
+const InterestsEditor = () => {
+  const [interests, setInterests] = useState([]);
+  const [query, setQuery] = useState("");
+  const [suggestions, setSuggestions] = useState([]);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    InterestsAPI.getInterests()
+      .then(setInterests)
+      .catch(() => setError("Couldn't load your interests."));
+  }, []);
+
+  // Debounced autocomplete
+  useEffect(() => {
+    const trimmed = query.trim();
+    if (!trimmed) {
+      setSuggestions([]);
+      return;
+    }
+
+    let cancelled = false;
+    const timeoutId = setTimeout(async () => {
+      const tags = await InterestsAPI.suggestTags(trimmed);
+      if (!cancelled) setSuggestions(tags);
+    }, SUGGESTION_DELAY);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timeoutId);
+    };
+  }, [query]);
+
+  const addInterest = async (tag) => {
+    setError(null);
+
+    try {
+      const interest = await InterestsAPI.addInterest(tag);
+      setInterests((prev) =>
+        prev.some((item) => item.id === interest.id)
+          ? prev
+          : [...prev, interest],
+      );
+      setQuery("");
+      setSuggestions([]);
+    } catch (err) {
+      setError(err.data?.fields?.tag || "Couldn't add that interest.");
+    }
+  };
+
+  const removeInterest = async (interestId) => {
+    setError(null);
+
+    try {
+      await InterestsAPI.removeInterest(interestId);
+      setInterests((prev) => prev.filter((item) => item.id !== interestId));
+    } catch (err) {
+      setError("Couldn't remove that interest.");
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "Enter") {
+      e.preventDefault(); // don't submit the surrounding profile form
+      if (query.trim()) addInterest(query);
+    }
+  };
+
+  const isFull = interests.length >= MAX_INTERESTS;
+
+  return (
+    <div className={styles.editor}>
+      <div className={styles.tags}>
+        {interests.map((interest) => (
+          <span key={interest.id} className={styles.tag}>
+            {interest.tag}
+            <button
+              type="button"
+              onClick={() => removeInterest(interest.id)}
+              className={styles.removeButton}
+              aria-label={`Remove ${interest.tag}`}
+            >
+              ×
+            </button>
+          </span>
+        ))}
+      </div>
+
+      {!isFull && (
+        <div className={styles.inputWrapper} onKeyDown={handleKeyDown}>
+          <Input
+            placeholder="Add an interest, e.g. basketball"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+          />
+          {suggestions.length > 0 && (
+            <ul className={styles.suggestions}>
+              {suggestions.map((suggestion) => (
+                <li key={suggestion.tag}>
+                  <button
+                    type="button"
+                    onClick={() => addInterest(suggestion.tag)}
+                    className={styles.suggestion}
+                  >
+                    {suggestion.tag}
+                    {suggestion.count > 0 && (
+                      <span className={styles.count}>{suggestion.count}</span>
+                    )}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      <p className={styles.hint}>
+        {interests.length}/{MAX_INTERESTS} interests. We use these to find you
+        buddies with something in common.
+      </p>
+      {error && <p className={styles.error}>{error}</p>}
+    </div>
+  );
+};
+
+export default InterestsEditor;
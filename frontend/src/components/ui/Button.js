@@ -7,6 +7,7 @@ const Button = ({
   onClick,
   type = "button",
   className = "",
+  disabled = false,
 }) => {
   const getButtonClass = () => {
     const baseClass = styles.button;
@@ -15,7 +16,12 @@ const Button = ({
   };
 
   return (
-    <button type={type} onClick={onClick} className={getButtonClass()}>
+    <button
+      type={type}
+      onClick={onClick}
+      className={getButtonClass()}
+      disabled={disabled}
+    >
       {children}
     </button>
   );
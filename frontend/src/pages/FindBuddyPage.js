@@ -0,0 +1,1028 @@
+import React, { useEffect, useState } from "react";
+import styles from "./FindBuddyPage.module.css";
+import Card from "../components/ui/Card";
+import Button from "../components/ui/Button";
+import Input from "../components/ui/Input";
+import CrowdHeatmap from "../components/places/CrowdHeatmap";
+import { RequestsAPI } from "../services/requestsAPI";
+import { MatchesAPI } from "../services/matchesAPI";
+import { ProfileAPI } from "../services/profileAPI";
+import { PlacesAPI } from "../services/placesAPI";
+import {
+  joinRoom,
+  leaveRoom,
+  onCrowdUpdated,
+  offCrowdUpdated,
+} from "../socket/socket";
+import {
+  ACTIVITY_OPTIONS,
+  CROWD_LEVEL_OPTIONS,
+  FACULTY_OPTIONS,
+  GROUP_SIZE_OPTIONS,
+  WEEKDAY_OPTIONS,
+  YEAR_OPTIONS,
+} from "../utils/profileOptions";
+
+const GENDER_PREFERENCE_OPTIONS = [
+  { value: "any", label: "Anyone" },
+  { value: "f", label: "Female" },
+  { value: "m", label: "Male" },
+];
+
+const REPEAT_OPTIONS = [
+  { value: "once", label: "Just once" },
+  { value: "weekly", label: "Every week" },
+];
+
+const EMPTY_FORM = {
+  activity_type: "lunch",
+  repeat: "once",
+  meeting_date: "",
+  building_id: "",
+  place_id: "",
+  days: [],
+  start_time: "12:00",
+  end_time: "13:00",
+  until: "",
+  preferred_gender: "any",
+  preferred_faculty: "",
+  preferred_year: "",
+  group_size: "2",
+  prefer_favourites: false,
+};
+
+const EMPTY_FEEDBACK = { showed_up: null, rating: "", comment: "" };
+
+const RATING_OPTIONS = [1, 2, 3, 4, 5].map((rating) => ({
+  value: String(rating),
+  label: "★".repeat(rating),
+}));
+
+// datetime-local inputs want local time as YYYY-MM-DDTHH:MM
+const toLocalInputValue = (date) => {
+  const local = new Date(date);
+  local.setMinutes(local.getMinutes() - local.getTimezoneOffset());
+  return local.toISOString().slice(0, 16);
+};
+
+// The wall-clock date and weekday (0 = Sunday) in a time zone at an instant,
+// plus how far that zone's wall clock is ahead of UTC there, in ms
+const zoneParts = (time, timeZone) => {
+  const parts = {};
+  new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "numeric",
+    day: "numeric",
+    hour: "numeric",
+    minute: "numeric",
+    second: "numeric",
+    weekday: "short",
+  })
+    .formatToParts(time)
+    .forEach(({ type, value }) => {
+      parts[type] = value;
+    });
+
+  const wall = Date.UTC(
+    Number(parts.year),
+    Number(parts.month) - 1,
+    Number(parts.day),
+    Number(parts.hour),
+    Number(parts.minute),
+    Number(parts.second),
+  );
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month) - 1,
+    day: Number(parts.day),
+    weekday: ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"].indexOf(
+      parts.weekday,
+    ),
+    offset: wall - Math.floor(time / 1000) * 1000,
+  };
+};
+
+// The next time it is this weekday (0 = Sunday) and hour in timeZone (the
+// crowd profile's, i.e. campus time), at least an hour from now
+const nextWeekdayHour = (day, hour, timeZone) => {
+  const now = Date.now();
+  const today = zoneParts(now, timeZone);
+
+  const at = (daysAhead) => {
+    const wall = Date.UTC(today.year, today.month, today.day + daysAhead, hour);
+    // The offset at the wall time read as UTC is close; checking it at the
+    // resulting instant gets DST changes right
+    const guess = wall - zoneParts(wall, timeZone).offset;
+    return new Date(wall - zoneParts(guess, timeZone).offset);
+  };
+
+  const daysAhead = (day - today.weekday + 7) % 7;
+  const date = at(daysAhead);
+  return date.getTime() < now + 60 * 60 * 1000 ? at(daysAhead + 7) : date;
+};
+
+const formatSlot = (slot) =>
+  `${formatMeetingDate(slot.start)}-${new Date(slot.end).toLocaleTimeString(
+    [],
+    {
+      hour: "2-digit",
+      minute: "2-digit",
+    },
+  )}`;
+
+const weekdayLabels = (days) =>
+  WEEKDAY_OPTIONS.filter((option) => days.includes(option.value))
+    .map((option) => option.label)
+    .join("/");
+
+const formatMeetingDate = (date) =>
+  new Date(date).toLocaleString([], {
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+/**
+ * @param {Object} props
+ * @param {Function} props.onBack - Leave the page
+ */
+const FindBuddyPage = ({ onBack }) => {
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [errors, setErrors] = useState({});
+  const [submitting, setSubmitting] = useState(false);
+  const [notice, setNotice] = useState(null);
+  const [requests, setRequests] = useState([]);
+  const [matches, setMatches] = useState([]);
+  const [recurringRequests, setRecurringRequests] = useState([]);
+  const [reliability, setReliability] = useState(null);
+  const [feedbackMatchId, setFeedbackMatchId] = useState(null);
+  const [feedback, setFeedback] = useState(EMPTY_FEEDBACK);
+  const [calendarFeed, setCalendarFeed] = useState(null);
+  const [freeSlots, setFreeSlots] = useState([]);
+  const [timetableNotice, setTimetableNotice] = useState(null);
+  const [timetableVersion, setTimetableVersion] = useState(0);
+  const [buildings, setBuildings] = useState([]);
+  const [places, setPlaces] = useState([]);
+  const [crowdProfile, setCrowdProfile] = useState(null);
+  const [liveCrowd, setLiveCrowd] = useState(null);
+
+  const loadRequests = () =>
+    RequestsAPI.getMyRequests()
+      .then(setRequests)
+      .catch(() => setErrors({ list: "Couldn't load your requests." }));
+
+  const loadRecurringRequests = () =>
+    RequestsAPI.getMyRecurringRequests()
+      .then(setRecurringRequests)
+      .catch(() =>
+        setErrors({ weekly: "Couldn't load your weekly requests." }),
+      );
+
+  const loadMatches = () =>
+    MatchesAPI.getMyMatches()
+      .then(setMatches)
+      .catch(() => setErrors({ matches: "Couldn't load your matches." }));
+
+  useEffect(() => {
+    loadRequests();
+    loadRecurringRequests();
+    loadMatches();
+    MatchesAPI.getMyReliability()
+      .then(setReliability)
+      .catch(() => setReliability(null));
+    PlacesAPI.getBuildings()
+      .then(setBuildings)
+      .catch(() => setBuildings([]));
+  }, []);
+
+  useEffect(() => {
+    if (!formData.building_id) {
+      setPlaces([]);
+      return;
+    }
+    PlacesAPI.getPlaces({ building_id: formData.building_id })
+      .then(setPlaces)
+      .catch(() => setPlaces([]));
+  }, [formData.building_id]);
+
+  useEffect(() => {
+    if (!formData.place_id) {
+      setCrowdProfile(null);
+      return;
+    }
+    PlacesAPI.getCrowdProfile(formData.place_id)
+      .then(setCrowdProfile)
+      .catch(() => setCrowdProfile(null));
+  }, [formData.place_id]);
+
+  // Live estimate for the chosen place; the server sends the current one as
+  // soon as we join its room
+  useEffect(() => {
+    setLiveCrowd(null);
+    if (!formData.place_id) return;
+
+    const room = `place:${formData.place_id}`;
+    const handleCrowdUpdated = (update) => {
+      if (update.place_id === formData.place_id) setLiveCrowd(update.crowd);
+    };
+
+    onCrowdUpdated(handleCrowdUpdated);
+    joinRoom(room);
+    return () => {
+      leaveRoom(room);
+      offCrowdUpdated(handleCrowdUpdated);
+    };
+  }, [formData.place_id]);
+
+  // Suggestions follow the chosen activity and the imported timetable
+  useEffect(() => {
+    RequestsAPI.getFreeSlots(formData.activity_type)
+      .then(setFreeSlots)
+      .catch(() => setFreeSlots([]));
+  }, [formData.activity_type, timetableVersion]);
+
+  const updateFormData = (field, value) => {
+    setFormData((prev) => ({
+      ...prev,
+      [field]: value,
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setErrors({});
+    setNotice(null);
+
+    try {
+      if (formData.repeat === "weekly") {
+        await RequestsAPI.createRecurringRequest(formData);
+        loadRecurringRequests();
+      } else {
+        await RequestsAPI.createRequest({
+          ...formData,
+          // datetime-local gives local time without a zone
+          meeting_date: formData.meeting_date
+            ? new Date(formData.meeting_date).toISOString()
+            : "",
+        });
+      }
+      setFormData(EMPTY_FORM);
+      setNotice("Request sent! We'll let you know when we find a buddy.");
+      loadRequests();
+    } catch (error) {
+      setErrors(
+        error.data?.fields || {
+          form: error.data?.error || "Couldn't send your request.",
+        },
+      );
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleCancel = async (requestId) => {
+    try {
+      const cancelled = await RequestsAPI.cancelRequest(requestId);
+      setRequests((prev) =>
+        prev.map((request) =>
+          request.request_id === requestId ? cancelled : request,
+        ),
+      );
+    } catch (error) {
+      setErrors({ list: error.data?.error || "Couldn't cancel that request." });
+    }
+  };
+
+  // A place belongs to the chosen building
+  const handleBuildingChange = (buildingId) =>
+    setFormData((prev) => ({ ...prev, building_id: buildingId, place_id: "" }));
+
+  const handleReportCrowd = async (level) => {
+    try {
+      const result = await PlacesAPI.reportCrowd(formData.place_id, level);
+      setLiveCrowd(result.crowd);
+      setErrors((prev) => ({ ...prev, crowd: null }));
+    } catch (error) {
+      setErrors({
+        crowd: error.data?.error || "Couldn't send your report.",
+      });
+    }
+  };
+
+  const crowdLabel = (crowd) =>
+    CROWD_LEVEL_OPTIONS.find((option) => option.value === crowd.level)?.label ||
+    "No recent reports";
+
+  const toggleDay = (day) =>
+    updateFormData(
+      "days",
+      formData.days.includes(day)
+        ? formData.days.filter((d) => d !== day)
+        : [...formData.days, day],
+    );
+
+  // Skipped and stopped occurrences show up in the request list
+  const handleWeeklyAction = async (action) => {
+    try {
+      await action();
+      loadRecurringRequests();
+      loadRequests();
+    } catch (error) {
+      setErrors({
+        weekly:
+          error.data?.fields?.date ||
+          error.data?.error ||
+          "Couldn't update that weekly request.",
+      });
+    }
+  };
+
+  const handleSkipDate = (recurringId) => {
+    const date = window.prompt("Which date should we skip? (YYYY-MM-DD)");
+    if (date) {
+      handleWeeklyAction(() =>
+        RequestsAPI.skipOccurrence(recurringId, date.trim()),
+      );
+    }
+  };
+
+  const handleTimetableUpload = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+
+    setTimetableNotice(null);
+    try {
+      const result = await ProfileAPI.uploadTimetable(file);
+      setTimetableNotice(
+        `Imported ${result.blocks} classes. Suggestions now avoid them.`,
+      );
+      setTimetableVersion((version) => version + 1);
+    } catch (error) {
+      setTimetableNotice(
+        error.data?.fields?.timetable || "Couldn't import that timetable.",
+      );
+    }
+  };
+
+  const handleRemoveTimetable = async () => {
+    try {
+      await ProfileAPI.removeTimetable();
+      setTimetableNotice("Timetable removed.");
+      setTimetableVersion((version) => version + 1);
+    } catch (error) {
+      setTimetableNotice("Couldn't remove your timetable.");
+    }
+  };
+
+  const handleAddToCalendar = (match) =>
+    handleMatchAction(async () => {
+      const file = await MatchesAPI.getCalendarFile(match.match_id);
+      const url = URL.createObjectURL(file);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `smufriend-${match.activity_type}.ics`;
+      link.click();
+      URL.revokeObjectURL(url);
+    });
+
+  const handleCalendarFeed = () =>
+    handleMatchAction(async () =>
+      setCalendarFeed(await MatchesAPI.createCalendarFeed()),
+    );
+
+  const openFeedback = (matchId) => {
+    setFeedbackMatchId(matchId);
+    setFeedback(EMPTY_FEEDBACK);
+  };
+
+  const handleSubmitFeedback = async (e) => {
+    e.preventDefault();
+    try {
+      await MatchesAPI.submitFeedback(feedbackMatchId, {
+        ...feedback,
+        rating: feedback.showed_up ? feedback.rating : "",
+      });
+      setFeedbackMatchId(null);
+      loadMatches();
+    } catch (error) {
+      const fields = error.data?.fields || {};
+      setErrors({
+        feedback:
+          fields.showed_up ||
+          fields.rating ||
+          fields.comment ||
+          error.data?.error ||
+          "Couldn't send your feedback.",
+      });
+    }
+  };
+
+  const handleToggleFavourite = (match) =>
+    handleMatchAction(() =>
+      match.partner_favourite
+        ? MatchesAPI.removeFavourite(match.partner_id)
+        : MatchesAPI.addFavourite(match.partner_id),
+    );
+
+  // Declining or cancelling changes request statuses too
+  const handleMatchAction = async (action) => {
+    try {
+      await action();
+      loadMatches();
+      loadRequests();
+    } catch (error) {
+      setErrors({
+        matches:
+          error.data?.fields?.reason ||
+          error.data?.error ||
+          "Couldn't update that match.",
+      });
+    }
+  };
+
+  const handleCancelMatch = (matchId) => {
+    const reason = window.prompt("Let your buddy know why you're cancelling:");
+    if (reason) {
+      handleMatchAction(() => MatchesAPI.cancelMatch(matchId, reason));
+    }
+  };
+
+  const renderMatchActions = (match) => {
+    if (match.status === "proposed" && !match.confirmed) {
+      return (
+        <div className={styles.itemActions}>
+          <Button
+            onClick={() =>
+              handleMatchAction(() => MatchesAPI.confirmMatch(match.match_id))
+            }
+          >
+            Confirm
+          </Button>
+          <Button
+            variant="secondary"
+            onClick={() =>
+              handleMatchAction(() => MatchesAPI.declineMatch(match.match_id))
+            }
+          >
+            Decline
+          </Button>
+        </div>
+      );
+    }
+
+    if (match.status === "proposed" || match.status === "active") {
+      return (
+        <div className={styles.itemActions}>
+          {match.status === "active" &&
+            new Date(match.meeting_date) <= new Date() && (
+              <Button
+                onClick={() =>
+                  handleMatchAction(() =>
+                    MatchesAPI.completeMatch(match.match_id),
+                  )
+                }
+              >
+                Mark done
+              </Button>
+            )}
+          {match.status === "active" && (
+            <Button
+              variant="secondary"
+              onClick={() => handleAddToCalendar(match)}
+            >
+              Add to calendar
+            </Button>
+          )}
+          <Button
+            variant="secondary"
+            onClick={() => handleCancelMatch(match.match_id)}
+          >
+            Cancel
+          </Button>
+        </div>
+      );
+    }
+
+    if (match.status === "completed") {
+      return (
+        <div className={styles.itemActions}>
+          {!match.feedback_given && (
+            <Button onClick={() => openFeedback(match.match_id)}>
+              Feedback
+            </Button>
+          )}
+          <Button
+            variant="secondary"
+            onClick={() => handleToggleFavourite(match)}
+          >
+            {match.partner_favourite ? "★ Favourite" : "☆ Favourite"}
+          </Button>
+        </div>
+      );
+    }
+
+    return null;
+  };
+
+  const renderFeedbackForm = (match) => (
+    <form onSubmit={handleSubmitFeedback} className={styles.feedbackForm}>
+      <span className={styles.label}>
+        Did {match.partner_name || "your buddy"} show up?
+      </span>
+      <div className={styles.choices}>
+        {[
+          { value: true, label: "Yes" },
+          { value: false, label: "No-show" },
+        ].map((option) => (
+          <button
+            key={option.label}
+            type="button"
+            onClick={() =>
+              setFeedback((prev) => ({ ...prev, showed_up: option.value }))
+            }
+            className={
+              feedback.showed_up === option.value
+                ? styles.choiceActive
+                : styles.choice
+            }
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+      {feedback.showed_up && (
+        <select
+          value={feedback.rating}
+          onChange={(e) =>
+            setFeedback((prev) => ({ ...prev, rating: e.target.value }))
+          }
+          className={styles.select}
+        >
+          <option value="">No rating</option>
+          {RATING_OPTIONS.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+      )}
+      <Input
+        placeholder="Private comment (only you will see this)"
+        value={feedback.comment}
+        onChange={(e) =>
+          setFeedback((prev) => ({ ...prev, comment: e.target.value }))
+        }
+      />
+      {renderError("feedback")}
+      <div className={styles.itemActions}>
+        <Button type="submit" disabled={feedback.showed_up === null}>
+          Send
+        </Button>
+        <Button variant="secondary" onClick={() => setFeedbackMatchId(null)}>
+          Not now
+        </Button>
+      </div>
+    </form>
+  );
+
+  const matchStatusLabel = (match) =>
+    match.status === "proposed" && match.confirmed
+      ? "waiting for your buddy"
+      : match.status;
+
+  const renderError = (field) =>
+    errors[field] ? <p className={styles.error}>{errors[field]}</p> : null;
+
+  const renderSelect = (field, options, emptyLabel) => (
+    <select
+      value={formData[field]}
+      onChange={(e) => updateFormData(field, e.target.value)}
+      className={styles.select}
+    >
+      {emptyLabel && <option value="">{emptyLabel}</option>}
+      {options.map((option) => (
+        <option key={option.value} value={option.value}>
+          {option.label}
+        </option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div className={styles.page}>
+      <Card className={styles.card}>
+        <form onSubmit={handleSubmit}>
+          <div className={styles.content}>
+            <h2 className={styles.title}>Find a buddy</h2>
+
+            <div className={styles.field}>
+              <span className={styles.label}>I want company for</span>
+              <div className={styles.choices}>
+                {ACTIVITY_OPTIONS.map((option) => (
+                  <button
+                    key={option.value}
+                    type="button"
+                    onClick={() =>
+                      updateFormData("activity_type", option.value)
+                    }
+                    className={
+                      formData.activity_type === option.value
+                        ? styles.choiceActive
+                        : styles.choice
+                    }
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+              {renderError("activity_type")}
+            </div>
+
+            <div className={styles.field}>
+              <label className={styles.label}>Repeat</label>
+              {renderSelect("repeat", REPEAT_OPTIONS)}
+            </div>
+
+            {formData.repeat === "weekly" ? (
+              <>
+                <div className={styles.field}>
+                  <span className={styles.label}>Every</span>
+                  <div className={styles.choices}>
+                    {WEEKDAY_OPTIONS.map((option) => (
+                      <button
+                        key={option.value}
+                        type="button"
+                        onClick={() => toggleDay(option.value)}
+                        className={
+                          formData.days.includes(option.value)
+                            ? styles.choiceActive
+                            : styles.choice
+                        }
+                      >
+                        {option.label}
+                      </button>
+                    ))}
+                  </div>
+                  {renderError("days")}
+                </div>
+
+                <div className={styles.field}>
+                  <label className={styles.label}>Between</label>
+                  <div className={styles.timeRange}>
+                    <Input
+                      type="time"
+                      value={formData.start_time}
+                      onChange={(e) =>
+                        updateFormData("start_time", e.target.value)
+                      }
+                    />
+                    <span>and</span>
+                    <Input
+                      type="time"
+                      value={formData.end_time}
+                      onChange={(e) =>
+                        updateFormData("end_time", e.target.value)
+                      }
+                    />
+                  </div>
+                  {renderError("start_time")}
+                  {renderError("end_time")}
+                </div>
+
+                <div className={styles.field}>
+                  <label className={styles.label}>Until</label>
+                  <Input
+                    type="date"
+                    value={formData.until}
+                    onChange={(e) => updateFormData("until", e.target.value)}
+                  />
+                  {renderError("until")}
+                </div>
+              </>
+            ) : (
+              <div className={styles.field}>
+                <label className={styles.label}>When</label>
+                <Input
+                  type="datetime-local"
+                  value={formData.meeting_date}
+                  onChange={(e) =>
+                    updateFormData("meeting_date", e.target.value)
+                  }
+                />
+                {renderError("meeting_date")}
+                {freeSlots.length > 0 && (
+                  <div className={styles.choices}>
+                    {freeSlots.slice(0, 6).map((slot) => (
+                      <button
+                        key={slot.start}
+                        type="button"
+                        onClick={() =>
+                          updateFormData(
+                            "meeting_date",
+                            toLocalInputValue(slot.start),
+                          )
+                        }
+                        className={styles.slot}
+                      >
+                        {formatSlot(slot)}
+                      </button>
+                    ))}
+                  </div>
+                )}
+              </div>
+            )}
+
+            {formData.repeat === "once" && buildings.length > 0 && (
+              <div className={styles.field}>
+                <label className={styles.label}>Where</label>
+                <select
+                  value={formData.building_id}
+                  onChange={(e) => handleBuildingChange(e.target.value)}
+                  className={styles.select}
+                >
+                  <option value="">Anywhere on campus</option>
+                  {buildings.map((building) => (
+                    <option
+                      key={building.building_id}
+                      value={building.building_id}
+                    >
+                      {building.building_name}
+                    </option>
+                  ))}
+                </select>
+                {places.length > 0 && (
+                  <select
+                    value={formData.place_id}
+                    onChange={(e) => updateFormData("place_id", e.target.value)}
+                    className={styles.select}
+                  >
+                    <option value="">Anywhere in the building</option>
+                    {places.map((place) => (
+                      <option key={place.place_id} value={place.place_id}>
+                        {place.place_name}
+                      </option>
+                    ))}
+                  </select>
+                )}
+                {renderError("place_id")}
+                {formData.place_id && liveCrowd && (
+                  <span className={styles.status}>
+                    Right now: {crowdLabel(liveCrowd)}
+                  </span>
+                )}
+                {formData.place_id && (
+                  <div className={styles.choices}>
+                    <span className={styles.status}>There now? It's</span>
+                    {CROWD_LEVEL_OPTIONS.map((option) => (
+                      <button
+                        key={option.value}
+                        type="button"
+                        onClick={() => handleReportCrowd(option.value)}
+                        className={styles.slot}
+                      >
+                        {option.label}
+                      </button>
+                    ))}
+                  </div>
+                )}
+                {renderError("crowd")}
+                {crowdProfile && (
+                  <>
+                    <span className={styles.label}>
+                      Usually quiet when it's green. Pick an hour to meet then.
+                    </span>
+                    <CrowdHeatmap
+                      profile={crowdProfile}
+                      onPick={(day, hour) =>
+                        updateFormData(
+                          "meeting_date",
+                          toLocalInputValue(
+                            nextWeekdayHour(day, hour, crowdProfile.time_zone),
+                          ),
+                        )
+                      }
+                    />
+                  </>
+                )}
+              </div>
+            )}
+
+            <div className={styles.field}>
+              <label className={styles.label}>How many</label>
+              {renderSelect("group_size", GROUP_SIZE_OPTIONS)}
+              {renderError("group_size")}
+            </div>
+
+            <div className={styles.field}>
+              <label className={styles.label}>With</label>
+              {renderSelect("preferred_gender", GENDER_PREFERENCE_OPTIONS)}
+              {renderError("preferred_gender")}
+            </div>
+
+            <div className={styles.field}>
+              <label className={styles.label}>From faculty</label>
+              {renderSelect(
+                "preferred_faculty",
+                FACULTY_OPTIONS,
+                "Any faculty",
+              )}
+              {renderError("preferred_faculty")}
+            </div>
+
+            <div className={styles.field}>
+              <label className={styles.label}>In year</label>
+              {renderSelect("preferred_year", YEAR_OPTIONS, "Any year")}
+              {renderError("preferred_year")}
+            </div>
+
+            <label className={styles.checkbox}>
+              <input
+                type="checkbox"
+                checked={formData.prefer_favourites}
+                onChange={(e) =>
+                  updateFormData("prefer_favourites", e.target.checked)
+                }
+              />
+              Prefer people I marked as favourites
+            </label>
+
+            {renderError("form")}
+            {notice && <p className={styles.notice}>{notice}</p>}
+
+            <div className={styles.actions}>
+              <Button variant="secondary" onClick={onBack}>
+                Back
+              </Button>
+              <Button type="submit" disabled={submitting}>
+                {submitting ? "Sending..." : "Find a buddy"}
+              </Button>
+            </div>
+          </div>
+        </form>
+      </Card>
+
+      {matches.length > 0 && (
+        <Card className={styles.card}>
+          <div className={styles.content}>
+            <h2 className={styles.title}>Your matches</h2>
+            {reliability?.score != null && (
+              <p className={styles.notice}>
+                Your reliability: {Math.round(reliability.score * 100)}% (from{" "}
+                {reliability.feedback_count} meetups)
+              </p>
+            )}
+            {renderError("matches")}
+            <ul className={styles.requestList}>
+              {matches.map((match) => (
+                <React.Fragment key={match.match_id}>
+                  <li className={styles.requestItem}>
+                    <span>
+                      <strong>{match.activity_type}</strong> with{" "}
+                      {match.partner_name || "your buddy"}{" "}
+                      {formatMeetingDate(match.meeting_date)}
+                      {match.location && ` at ${match.location}`}
+                      <br />
+                      <span className={styles.status}>
+                        {matchStatusLabel(match)}
+                      </span>
+                    </span>
+                    {renderMatchActions(match)}
+                  </li>
+                  {feedbackMatchId === match.match_id && (
+                    <li>{renderFeedbackForm(match)}</li>
+                  )}
+                </React.Fragment>
+              ))}
+            </ul>
+            {calendarFeed ? (
+              <p className={styles.notice}>
+                Subscribe to this private link in your calendar app (keep it
+                secret):{" "}
+                <a href={calendarFeed.webcal_url}>{calendarFeed.url}</a>
+              </p>
+            ) : (
+              <div className={styles.actions}>
+                <Button variant="secondary" onClick={handleCalendarFeed}>
+                  Get calendar feed
+                </Button>
+              </div>
+            )}
+          </div>
+        </Card>
+      )}
+
+      <Card className={styles.card}>
+        <div className={styles.content}>
+          <h2 className={styles.title}>Your timetable</h2>
+          <p className={styles.notice}>
+            Import your class timetable (.ics) so we suggest free times and
+            never match you during a class.
+          </p>
+          <input
+            type="file"
+            accept=".ics,text/calendar"
+            onChange={handleTimetableUpload}
+          />
+          {timetableNotice && (
+            <p className={styles.notice}>{timetableNotice}</p>
+          )}
+          <div className={styles.actions}>
+            <Button variant="secondary" onClick={handleRemoveTimetable}>
+              Remove timetable
+            </Button>
+          </div>
+        </div>
+      </Card>
+
+      {recurringRequests.length > 0 && (
+        <Card className={styles.card}>
+          <div className={styles.content}>
+            <h2 className={styles.title}>Weekly requests</h2>
+            {renderError("weekly")}
+            <ul className={styles.requestList}>
+              {recurringRequests.map((rule) => (
+                <li key={rule.recurring_id} className={styles.requestItem}>
+                  <span>
+                    <strong>{rule.activity_type}</strong> every{" "}
+                    {weekdayLabels(rule.days_of_week)} {rule.start_time}-
+                    {rule.end_time}
+                    <br />
+                    <span className={styles.status}>
+                      {rule.status === "active"
+                        ? `until ${rule.until_date}`
+                        : rule.status}
+                    </span>
+                  </span>
+                  {rule.status === "active" && (
+                    <div className={styles.itemActions}>
+                      <Button
+                        variant="secondary"
+                        onClick={() => handleSkipDate(rule.recurring_id)}
+                      >
+                        Skip a date
+                      </Button>
+                      <Button
+                        variant="secondary"
+                        onClick={() =>
+                          handleWeeklyAction(() =>
+                            RequestsAPI.cancelRecurringRequest(
+                              rule.recurring_id,
+                            ),
+                          )
+                        }
+                      >
+                        Stop
+                      </Button>
+                    </div>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </div>
+        </Card>
+      )}
+
+      <Card className={styles.card}>
+        <div className={styles.content}>
+          <h2 className={styles.title}>Your requests</h2>
+          {renderError("list")}
+          {requests.length === 0 ? (
+            <p className={styles.notice}>No requests yet.</p>
+          ) : (
+            <ul className={styles.requestList}>
+              {requests.map((request) => (
+                <li key={request.request_id} className={styles.requestItem}>
+                  <span>
+                    <strong>{request.activity_type}</strong>{" "}
+                    {request.group_size > 2 &&
+                      `(table of ${request.group_size}) `}
+                    {request.recurring_id && "(weekly) "}
+                    {formatMeetingDate(request.meeting_date)}
+                    <br />
+                    <span className={styles.status}>{request.status}</span>
+                  </span>
+                  {request.status === "pending" && (
+                    <Button
+                      variant="secondary"
+                      onClick={() => handleCancel(request.request_id)}
+                    >
+                      Cancel
+                    </Button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </Card>
+    </div>
+  );
+};
+
+export default FindBuddyPage;
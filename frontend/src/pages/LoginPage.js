@@ -1,20 +1,82 @@
-import React, { useState } from "react";
+import React, { useEffect, useState } from "react";
 import AuthLayout from "../components/auth/AuthLayout";
 import LoginForm from "../components/auth/LoginForm";
 import RegisterForm from "../components/auth/RegisterForm";
+import ForgotPasswordForm from "../components/auth/ForgotPasswordForm";
+import ResetPasswordForm from "../components/auth/ResetPasswordForm";
+import VerifyEmailForm from "../components/auth/VerifyEmailForm";
+import { AuthAPI } from "../services/authAPI";
 
-const LoginPage = () => {
-  const [isLogin, setIsLogin] = useState(true);
-
-  return (
-    <AuthLayout>
-      {isLogin ? (
-        <LoginForm onSwitchToRegister={() => setIsLogin(false)} />
-      ) : (
-        <RegisterForm onSwitchToLogin={() => setIsLogin(true)} />
-      )}
-    </AuthLayout>
+const LoginPage = ({ onLogin }) => {
+  // Links from emails land here as /?verify_token=... or /?reset_token=...
+  const [resetToken] = useState(() =>
+    new URLSearchParams(window.location.search).get("reset_token"),
   );
+  const [verifyToken] = useState(() =>
+    new URLSearchParams(window.location.search).get("verify_token"),
+  );
+  const [view, setView] = useState(resetToken ? "reset" : "login");
+  const [notice, setNotice] = useState(null);
+  const [verifyExpired, setVerifyExpired] = useState(false);
+
+  useEffect(() => {
+    // Drop tokens from the address bar so a refresh doesn't reuse them
+    if (verifyToken || resetToken) {
+      window.history.replaceState(null, "", window.location.pathname);
+    }
+
+    if (!verifyToken) return;
+
+    // Checking the link doesn't use it; the user confirms on the next step
+    AuthAPI.checkVerificationLink(verifyToken)
+      .then(() => setView("verify"))
+      .catch((error) => {
+        if (error.status === 410) {
+          setVerifyExpired(true);
+          setView("verify");
+          return;
+        }
+        setNotice(
+          error.data?.error ||
+            "We couldn't verify your email. Please try again.",
+        );
+      });
+  }, [verifyToken, resetToken]);
+
+  const showLogin = (message = null) => {
+    setNotice(message);
+    setView("login");
+  };
+
+  const renderView = () => {
+    switch (view) {
+      case "register":
+        return <RegisterForm onSwitchToLogin={() => showLogin()} />;
+      case "forgot":
+        return <ForgotPasswordForm onBackToLogin={() => showLogin()} />;
+      case "reset":
+        return <ResetPasswordForm token={resetToken} onDone={showLogin} />;
+      case "verify":
+        return (
+          <VerifyEmailForm
+            token={verifyToken}
+            expired={verifyExpired}
+            onDone={showLogin}
+          />
+        );
+      default:
+        return (
+          <LoginForm
+            notice={notice}
+            onLogin={onLogin}
+            onSwitchToRegister={() => setView("register")}
+            onForgotPassword={() => setView("forgot")}
+          />
+        );
+    }
+  };
+
+  return <AuthLayout>{renderView()}</AuthLayout>;
 };
 
 export default LoginPage;
@@ -0,0 +1,186 @@
+import React, { useState } from "react";
+import styles from "./ProfilePage.module.css";
+import Card from "../components/ui/Card";
+import Button from "../components/ui/Button";
+import Input from "../components/ui/Input";
+import InterestsEditor from "../components/profile/InterestsEditor";
+import { ProfileAPI } from "../services/profileAPI";
+import {
+  FACULTY_OPTIONS,
+  GENDER_OPTIONS,
+  YEAR_OPTIONS,
+  toYearOption,
+} from "../utils/profileOptions";
+
+/**
+ * @param {Object} props
+ * @param {Object} props.currentUser - The logged-in user's profile
+ * @param {Function} props.onProfileUpdated - Called with the saved profile
+ * @param {Function} props.onBack - Leave the profile page
+ */
+const ProfilePage = ({ currentUser, onProfileUpdated, onBack }) => {
+  const [formData, setFormData] = useState({
+    display_name: currentUser.name || "",
+    faculty: currentUser.faculty || "",
+    gender: currentUser.gender || "",
+    year_of_enrollment: toYearOption(currentUser.year_of_enrollment),
+  });
+  const [errors, setErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [uploading, setUploading] = useState(false);
+  const [saved, setSaved] = useState(false);
+
+  const updateFormData = (field, value) => {
+    setSaved(false);
+    setFormData((prev) => ({
+      ...prev,
+      [field]: value,
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setErrors({});
+
+    // Only send fields that have a value so optional ones aren't cleared
+    const updates = Object.fromEntries(
+      Object.entries(formData).filter(([, value]) => value !== ""),
+    );
+
+    try {
+      const profile = await ProfileAPI.updateProfile(updates);
+      onProfileUpdated(profile);
+      setSaved(true);
+    } catch (error) {
+      setErrors(error.data?.fields || { form: "Couldn't save your profile." });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAvatarChange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    setUploading(true);
+    setErrors({});
+
+    try {
+      const profile = await ProfileAPI.uploadAvatar(file);
+      onProfileUpdated(profile);
+    } catch (error) {
+      setErrors(
+        error.data?.fields || { avatar: "Couldn't upload that image." },
+      );
+    } finally {
+      setUploading(false);
+      e.target.value = "";
+    }
+  };
+
+  const renderError = (field) =>
+    errors[field] ? <p className={styles.error}>{errors[field]}</p> : null;
+
+  const renderSelect = (field, options) => (
+    <select
+      value={formData[field]}
+      onChange={(e) => updateFormData(field, e.target.value)}
+      className={styles.select}
+    >
+      <option value="">Click to select</option>
+      {options.map((option) => (
+        <option key={option.value} value={option.value}>
+          {option.label}
+        </option>
+      ))}
+    </select>
+  );
+
+  const initial = (currentUser.name || currentUser.email || "?")
+    .charAt(0)
+    .toUpperCase();
+
+  return (
+    <div className={styles.page}>
+      <Card className={styles.form}>
+        <form onSubmit={handleSubmit}>
+          <div className={styles.content}>
+            <h2 className={styles.title}>Your profile</h2>
+
+            <div className={styles.avatarRow}>
+              {currentUser.avatar_url ? (
+                <img
+                  src={currentUser.avatar_url}
+                  alt="Your avatar"
+                  className={styles.avatar}
+                />
+              ) : (
+                <div className={styles.avatar}>{initial}</div>
+              )}
+              <div className={styles.field}>
+                <label className={styles.label}>
+                  {uploading ? "Uploading..." : "Change photo"}
+                </label>
+                <input
+                  type="file"
+                  accept="image/jpeg,image/png,image/webp,image/gif"
+                  onChange={handleAvatarChange}
+                  disabled={uploading}
+                />
+                {renderError("avatar")}
+              </div>
+            </div>
+
+            <div className={styles.field}>
+              <label className={styles.label}>Display name</label>
+              <Input
+                placeholder="How others see you"
+                value={formData.display_name}
+                onChange={(e) => updateFormData("display_name", e.target.value)}
+              />
+              {renderError("display_name")}
+            </div>
+
+            <div className={styles.field}>
+              <label className={styles.label}>Faculty</label>
+              {renderSelect("faculty", FACULTY_OPTIONS)}
+              {renderError("faculty")}
+            </div>
+
+            <div className={styles.field}>
+              <label className={styles.label}>Gender</label>
+              {renderSelect("gender", GENDER_OPTIONS)}
+              {renderError("gender")}
+            </div>
+
+            <div className={styles.field}>
+              <label className={styles.label}>Year</label>
+              {renderSelect("year_of_enrollment", YEAR_OPTIONS)}
+              {renderError("year_of_enrollment")}
+            </div>
+
+            <div className={styles.field}>
+              <label className={styles.label}>Interests</label>
+              <InterestsEditor />
+            </div>
+
+            {renderError("form")}
+            {saved && <p className={styles.notice}>Profile saved.</p>}
+
+            <div className={styles.actions}>
+              <Button variant="secondary" onClick={onBack}>
+                Back
+              </Button>
+              <Button type="submit" disabled={saving}>
+                {saving ? "Saving..." : "Save"}
+              </Button>
+            </div>
+          </div>
+        </form>
+      </Card>
+    </div>
+  );
+};
+
+export default ProfilePage;
@@ -0,0 +1,112 @@
+// src/services/authAPI.js - Account endpoints (registration, login, verification, password reset)
+
+import { ChatAPI } from './chatAPI';
+
+export class AuthAPI {
+  static USER_KEY = 'auth_user';
+
+  // Create a new account. On validation failure the thrown error carries
+  // error.data.fields, keyed by form field name.
+  static async register({ email, password, gender, faculty, year }) {
+    const response = await ChatAPI.request('/auth/register', {
+      method: 'POST',
+      body: JSON.stringify({ email, password, gender, faculty, year })
+    });
+
+    return response.user;
+  }
+
+  // Log in and store the session. Resolves to the logged-in user.
+  static async login(email, password) {
+    const response = await ChatAPI.request('/auth/login', {
+      method: 'POST',
+      body: JSON.stringify({ email, password })
+    }, false);
+
+    ChatAPI.setAuthToken(response.accessToken);
+    ChatAPI.setRefreshToken(response.refreshToken);
+    this.setStoredUser(response.user);
+
+    return response.user;
+  }
+
+  // End the session on the server and forget it locally
+  static async logout() {
+    const refreshToken = ChatAPI.getRefreshToken();
+
+    try {
+      if (refreshToken) {
+        await ChatAPI.request('/auth/logout', {
+          method: 'POST',
+          body: JSON.stringify({ refreshToken })
+        }, false);
+      }
+    } catch (error) {
+      console.error('Failed to log out on server:', error);
+    } finally {
+      ChatAPI.clearAuthToken();
+      localStorage.removeItem(this.USER_KEY);
+    }
+  }
+
+  // Fetch the logged-in user's latest details
+  static async getCurrentUser() {
+    const user = await ChatAPI.request('/auth/me');
+    this.setStoredUser(user);
+    return user;
+  }
+
+  // The user saved at login, or null when logged out
+  static getStoredUser() {
+    if (!ChatAPI.getRefreshToken()) return null;
+
+    try {
+      const data = localStorage.getItem(this.USER_KEY);
+      return data ? JSON.parse(data) : null;
+    } catch (error) {
+      console.error('Error reading user from localStorage:', error);
+      return null;
+    }
+  }
+
+  static setStoredUser(user) {
+    localStorage.setItem(this.USER_KEY, JSON.stringify(user));
+  }
+
+  // Check the token from a verification link without using it up
+  static async checkVerificationLink(token) {
+    return ChatAPI.request(`/auth/verify/${encodeURIComponent(token)}`);
+  }
+
+  // Confirm an email address using the token from the verification link
+  static async verifyEmail(token) {
+    return ChatAPI.request('/auth/verify/confirm', {
+      method: 'POST',
+      body: JSON.stringify({ token })
+    });
+  }
+
+  // Ask for a new verification link (rate limited on the server)
+  static async resendVerification(email) {
+    return ChatAPI.request('/auth/verify/resend', {
+      method: 'POST',
+      body: JSON.stringify({ email })
+    });
+  }
+
+  // Email a password reset link (rate limited per address on the server)
+  static async requestPasswordReset(email) {
+    return ChatAPI.request('/auth/password-reset/request', {
+      method: 'POST',
+      body: JSON.stringify({ email })
+    });
+  }
+
+  // Set a new password using the token from the reset link
+  static async resetPassword(token, password) {
+    return ChatAPI.request('/auth/password-reset/confirm', {
+      method: 'POST',
+      body: JSON.stringify({ token, password })
+    });
+  }
+}
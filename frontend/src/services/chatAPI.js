@@ -1,22 +1,38 @@
 // src/services/chatAPI.js - API service layer for server communication
 
+// A one-to-one message as the app stores it
+const toChatMessage = (msg) => ({
+  id: msg.id,
+  from: msg.from,
+  to: msg.to,
+  message: msg.message,
+  type: msg.type || 'text',
+  data: msg.data,
+  timestamp: msg.timestamp,
+  status: msg.status || 'sent',
+  edited: msg.edited || false
+});
+
 export class ChatAPI {
   static BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
   static TIMEOUT = 10000; // 10 second timeout
+  static SESSION_EXPIRED_EVENT = 'smu_session_expired';
+  static refreshPromise = null; // shared by concurrent requests that hit a 401
 
   // Helper method for making API requests
-  static async request(endpoint, options = {}) {
+  static async request(endpoint, options = {}, retryOnUnauthorized = true) {
     const url = `${this.BASE_URL}${endpoint}`;
+    const token = this.getAuthToken();
     
     const config = {
       timeout: this.TIMEOUT,
+      ...options,
       headers: {
-        'Content-Type': 'application/json',
-        // Add authentication header when you implement auth
-        // 'Authorization': `Bearer ${this.getAuthToken()}`,
+        // Let the browser set the multipart boundary for file uploads
+        ...(options.body instanceof FormData ? {} : { 'Content-Type': 'application/json' }),
+        ...(token ? { 'Authorization': `Bearer ${token}` } : {}),
         ...options.headers
-      },
-      ...options
+      }
     };
 
     // Add timeout handling
@@ -27,11 +43,27 @@ export class ChatAPI {
     try {
       const response = await fetch(url, config);
       clearTimeout(timeoutId);
+
+      // Access token expired - refresh once and replay the request
+      if (response.status === 401 && retryOnUnauthorized && this.getRefreshToken()) {
+        if (await this.refreshSession()) {
+          return this.request(endpoint, options, false);
+        }
+      }
       
       if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+        error.status = response.status;
+        // Keep the server's JSON body (e.g. field-level validation errors)
+        error.data = await response.json().catch(() => null);
+        throw error;
       }
       
+      // e.g. .ics downloads
+      if (options.responseType === 'blob') {
+        return response.blob();
+      }
+
       const data = await response.json();
       return data;
     } catch (error) {
@@ -46,24 +78,25 @@ export class ChatAPI {
     }
   }
 
-  // Get conversation history between two users
-  static async getConversation(userId1, userId2, limit = 100, offset = 0) {
+  // Get one page of history between two users, oldest first: the newest
+  // messages, or the ones before a `before` cursor from an earlier page.
+  // Returns { messages, hasMore, before, syncCursor }; before fetches the next
+  // older page and syncCursor (newest page only) is where syncing starts.
+  static async getConversation(userId1, userId2, { limit = 50, before = null } = {}) {
     try {
+      const params = new URLSearchParams({ limit });
+      if (before) params.set('before', before);
+
       const response = await this.request(
-        `/conversations/${userId1}/${userId2}`
+        `/conversations/${userId1}/${userId2}?${params}`
       );
-      
-      // Your backend returns an array directly, not { messages: [...] }
-      const messages = (Array.isArray(response) ? response : []).map(msg => ({
-        id: msg.id,
-        from: msg.from,
-        to: msg.to,
-        message: msg.message,
-        timestamp: msg.timestamp,
-        status: msg.status || 'sent'
-      }));
-      
-      return messages;
+
+      return {
+        messages: (response.messages || []).map(toChatMessage),
+        hasMore: response.hasMore || false,
+        before: response.before || null,
+        syncCursor: response.syncCursor || null
+      };
     } catch (error) {
       console.error('Failed to fetch conversation:', error);
       throw error;
@@ -74,15 +107,17 @@ export class ChatAPI {
   static async sendMessage(messageData) {
     try {
       const {
-        id, from, to, message, timestamp,
+        id, from, to, groupId, message, timestamp,
         senderInfo, receiverInfo
       } = messageData;
 
-      // Send data in the format your backend expects
+      // Send data in the format your backend expects. Group meal messages
+      // carry groupId instead of `to`.
       const payload = {
         id: id,
         from: from,
         to: to,
+        groupId: groupId,
         message: message,
         timestamp: timestamp,
         senderInfo: senderInfo,
@@ -99,6 +134,8 @@ export class ChatAPI {
         id: response.id || id,
         from: from,
         to: to,
+        groupId: groupId,
+        senderName: response.senderName,
         message: message,
         timestamp: response.timestamp || timestamp,
         status: 'sent'
@@ -151,6 +188,45 @@ export class ChatAPI {
     }
   }
 
+  // Get the message history of a group meal chat, with sender names
+  static async getGroupMessages(groupId) {
+    try {
+      const response = await this.request(`/groups/${groupId}/messages`);
+
+      return (Array.isArray(response) ? response : []).map(msg => ({
+        id: msg.id,
+        from: msg.from,
+        groupId: groupId,
+        senderName: msg.senderName,
+        message: msg.message,
+        type: msg.type || 'text',
+        timestamp: msg.timestamp,
+        status: msg.status || 'sent'
+      }));
+    } catch (error) {
+      console.error('Failed to fetch group messages:', error);
+      throw error;
+    }
+  }
+
+  // Mark a group meal chat as read
+  static async markGroupAsRead(groupId) {
+    try {
+      return await this.request('/messages/mark-read', {
+        method: 'POST',
+        body: JSON.stringify({ groupId: groupId })
+      });
+    } catch (error) {
+      console.error('Failed to mark group messages as read:', error);
+      throw error;
+    }
+  }
+
+  // Leave a group meal
+  static async leaveGroup(groupId) {
+    return this.request(`/groups/${groupId}/leave`, { method: 'POST' });
+  }
+
   // Get conversation metadata (unread count, last message, etc.)
   static async getConversationMetadata(userId1, userId2) {
     try {
@@ -170,29 +246,25 @@ export class ChatAPI {
     }
   }
 
-  // Sync conversation - get messages newer than a timestamp
-  static async syncConversation(userId1, userId2, lastSyncTimestamp) {
+  // Sync conversation - get messages created, edited or deleted since a sync
+  // cursor. Deleted ones come back as { id, deleted: true }. Returns
+  // { messages, cursor, hasMore }; while hasMore, call again with cursor.
+  static async syncConversation(userId1, userId2, cursor) {
     try {
-      const sinceParam = lastSyncTimestamp ? 
-        `?since=${encodeURIComponent(lastSyncTimestamp)}` : '';
-      
+      const sinceParam = cursor ?
+        `?since=${encodeURIComponent(cursor)}` : '';
+
       const response = await this.request(
         `/conversations/${userId1}/${userId2}/sync${sinceParam}`
       );
-      
-      const messages = (response.messages || []).map(msg => ({
-        id: msg.id,
-        from: msg.from,
-        to: msg.to,
-        message: msg.message,
-        timestamp: msg.timestamp,
-        status: 'sent',
-        synced: true
-      }));
-      
+
+      const messages = (response.messages || []).map(msg => (
+        msg.deleted ? { id: msg.id, deleted: true } : toChatMessage(msg)
+      ));
+
       return {
         messages: messages,
-        lastSyncTime: new Date().toISOString(),
+        cursor: response.cursor || cursor || null,
         hasMore: response.hasMore || false
       };
     } catch (error) {
@@ -208,13 +280,25 @@ export class ChatAPI {
       
       return (response.conversations || []).map(conv => ({
         conversationId: conv.id,
+        type: conv.type,
         otherUserId: conv.otherUserId,
         otherUserName: conv.otherUserName,
         otherUserEmail: conv.otherUserEmail,
+        otherUserAvatarUrl: conv.otherUserAvatarUrl,
+        otherUserOnline: conv.otherUserOnline || false,
         lastMessage: conv.lastMessage,
         lastMessageAt: conv.lastMessageAt,
+        lastUpdated: conv.lastUpdated,
         unreadCount: conv.unreadCount || 0,
-        status: conv.status || 'active'
+        status: conv.status || 'active',
+        // Most recent confirmed match with this person, if any
+        matchId: conv.matchId,
+        matchedAt: conv.matchedAt,
+        activityType: conv.activityType,
+        meetingDate: conv.meetingDate,
+        // Group meals only
+        groupId: conv.groupId,
+        memberCount: conv.memberCount
       }));
     } catch (error) {
       console.error('Failed to fetch user conversations:', error);
@@ -386,9 +470,8 @@ export class ChatAPI {
     }
   }
 
-  // Authentication helper (when you implement auth)
+  // Get the short-lived access token sent with every request
   static getAuthToken() {
-    // Replace with your actual auth token retrieval
     return localStorage.getItem('auth_token') || sessionStorage.getItem('auth_token');
   }
 
@@ -397,10 +480,62 @@ export class ChatAPI {
     localStorage.setItem('auth_token', token);
   }
 
-  // Clear auth token
+  // Get the refresh token used to obtain new access tokens
+  static getRefreshToken() {
+    return localStorage.getItem('refresh_token');
+  }
+
+  // Set refresh token
+  static setRefreshToken(token) {
+    localStorage.setItem('refresh_token', token);
+  }
+
+  // Clear auth and refresh tokens
   static clearAuthToken() {
     localStorage.removeItem('auth_token');
     sessionStorage.removeItem('auth_token');
+    localStorage.removeItem('refresh_token');
+  }
+
+  // Swap the refresh token for a new token pair. Refresh tokens are single-use,
+  // so concurrent callers share one in-flight refresh. Resolves to false when
+  // the session wasn't renewed. Only a rejected refresh token (400/401) ends
+  // the session and fires SESSION_EXPIRED_EVENT; after a network or server
+  // error the token is kept for the next attempt.
+  static refreshSession() {
+    if (!this.refreshPromise) {
+      this.refreshPromise = (async () => {
+        try {
+          const response = await fetch(`${this.BASE_URL}/auth/refresh`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ refreshToken: this.getRefreshToken() })
+          });
+
+          if (response.status === 400 || response.status === 401) {
+            this.clearAuthToken();
+            window.dispatchEvent(new Event(this.SESSION_EXPIRED_EVENT));
+            return false;
+          }
+
+          if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+          }
+
+          const session = await response.json();
+          this.setAuthToken(session.accessToken);
+          this.setRefreshToken(session.refreshToken);
+          return true;
+        } catch (error) {
+          console.error('Failed to refresh session:', error);
+          return false;
+        } finally {
+          this.refreshPromise = null;
+        }
+      })();
+    }
+
+    return this.refreshPromise;
   }
 
   // Retry mechanism for failed requests
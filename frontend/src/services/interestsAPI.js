@@ -0,0 +1,38 @@
+// src/services/interestsAPI.js - Interest tag endpoints
+
+import { ChatAPI } from './chatAPI';
+
+export class InterestsAPI {
+  // List a user's interests ('me' for the logged-in user)
+  static async getInterests(userId = 'me') {
+    const response = await ChatAPI.request(`/users/${userId}/interests`);
+    return response.interests || [];
+  }
+
+  // Add a tag; the server merges synonyms ("bball" becomes "basketball")
+  static async addInterest(tag) {
+    return ChatAPI.request('/users/me/interests', {
+      method: 'POST',
+      body: JSON.stringify({ tag })
+    });
+  }
+
+  static async removeInterest(interestId) {
+    return ChatAPI.request(`/users/me/interests/${interestId}`, {
+      method: 'DELETE'
+    });
+  }
+
+  // Popular tags starting with the query, for autocomplete
+  static async suggestTags(query, limit = 10) {
+    try {
+      const response = await ChatAPI.request(
+        `/interests/tags?q=${encodeURIComponent(query)}&limit=${limit}`
+      );
+      return response.tags || [];
+    } catch (error) {
+      console.error('Failed to fetch tag suggestions:', error);
+      return [];
+    }
+  }
+}
@@ -0,0 +1,100 @@
+// src/services/matchesAPI.js - Match lifecycle endpoints
+
+import { ChatAPI } from './chatAPI';
+
+export class MatchesAPI {
+  // The logged-in user's matches, most recent first
+  static async getMyMatches() {
+    const response = await ChatAPI.request('/matches');
+    return response.matches || [];
+  }
+
+  static async getMatch(matchId) {
+    return ChatAPI.request(`/matches/${matchId}`);
+  }
+
+  static async confirmMatch(matchId) {
+    return ChatAPI.request(`/matches/${matchId}/confirm`, { method: 'POST' });
+  }
+
+  static async declineMatch(matchId) {
+    return ChatAPI.request(`/matches/${matchId}/decline`, { method: 'POST' });
+  }
+
+  // The reason is shown to the other user
+  static async cancelMatch(matchId, reason) {
+    return ChatAPI.request(`/matches/${matchId}/cancel`, {
+      method: 'POST',
+      body: JSON.stringify({ reason })
+    });
+  }
+
+  static async completeMatch(matchId) {
+    return ChatAPI.request(`/matches/${matchId}/complete`, { method: 'POST' });
+  }
+
+  // The meetup as an .ics file, once both users have confirmed
+  static async getCalendarFile(matchId) {
+    return ChatAPI.request(`/matches/${matchId}/calendar.ics`, { responseType: 'blob' });
+  }
+
+  // Places that suit the meetup, best first, each with the reasons why
+  static async getPlaceRecommendations(matchId) {
+    const response = await ChatAPI.request(`/matches/${matchId}/places`);
+    return response.places || [];
+  }
+
+  // Posted in the match chat for the other user to accept
+  static async proposePlace(matchId, placeId) {
+    return ChatAPI.request(`/matches/${matchId}/place-proposal`, {
+      method: 'POST',
+      body: JSON.stringify({ place_id: placeId })
+    });
+  }
+
+  // placeId is the suggestion being accepted, so a newer one isn't accepted
+  // by mistake
+  static async acceptPlace(matchId, placeId) {
+    return ChatAPI.request(`/matches/${matchId}/place-proposal/accept`, {
+      method: 'POST',
+      body: JSON.stringify({ place_id: placeId })
+    });
+  }
+
+  // Returns { url, webcal_url }. The URL is only shown once; calling this
+  // again replaces it.
+  static async createCalendarFeed() {
+    return ChatAPI.request('/users/me/calendar-feed', { method: 'POST' });
+  }
+
+  static async deleteCalendarFeed() {
+    return ChatAPI.request('/users/me/calendar-feed', { method: 'DELETE' });
+  }
+
+  // { showed_up, rating?, comment? }; the comment is only ever shown to you
+  static async submitFeedback(matchId, feedback) {
+    return ChatAPI.request(`/matches/${matchId}/feedback`, {
+      method: 'POST',
+      body: JSON.stringify(feedback)
+    });
+  }
+
+  // Score is null until enough partners have left feedback
+  static async getMyReliability() {
+    return ChatAPI.request('/users/me/reliability');
+  }
+
+  // Favourites are people you have been matched with and would meet again
+  static async getFavourites() {
+    const response = await ChatAPI.request('/users/me/favourites');
+    return response.favourites || [];
+  }
+
+  static async addFavourite(userId) {
+    return ChatAPI.request(`/users/me/favourites/${userId}`, { method: 'PUT' });
+  }
+
+  static async removeFavourite(userId) {
+    return ChatAPI.request(`/users/me/favourites/${userId}`, { method: 'DELETE' });
+  }
+}
@@ -0,0 +1,41 @@
+// src/services/placesAPI.js - Campus buildings, places and crowd levels
+
+import { ChatAPI } from './chatAPI';
+
+export class PlacesAPI {
+  static async getBuildings() {
+    const response = await ChatAPI.request('/buildings');
+    return response.buildings || [];
+  }
+
+  // Filters: { building_id, place_type, q }; empty ones are left out
+  static async getPlaces(filters = {}) {
+    const params = new URLSearchParams(
+      Object.entries(filters).filter(([, value]) => value)
+    ).toString();
+    const response = await ChatAPI.request(`/places${params ? `?${params}` : ''}`);
+    return response.places || [];
+  }
+
+  // The live estimate: { level, score, confidence, report_count, last_reported_at },
+  // level 'unknown' without recent reports
+  static async getCrowd(placeId) {
+    const response = await ChatAPI.request(`/places/${placeId}/crowd`);
+    return response.crowd;
+  }
+
+  // Report how busy a place is right now ('low' to 'very_high'). Returns
+  // { report, crowd } with the updated estimate.
+  static async reportCrowd(placeId, level) {
+    return ChatAPI.request(`/places/${placeId}/reports`, {
+      method: 'POST',
+      body: JSON.stringify({ level })
+    });
+  }
+
+  // How busy the place usually is: { weeks, time_zone, hours: [{ day, hour,
+  // level, score, samples, confidence }] }, only hours with reports
+  static async getCrowdProfile(placeId) {
+    return ChatAPI.request(`/places/${placeId}/crowd-profile`);
+  }
+}
@@ -0,0 +1,46 @@
+// src/services/profileAPI.js - User profile endpoints
+
+import { ChatAPI } from './chatAPI';
+
+export class ProfileAPI {
+  // Another user's public profile (email/gender only once you've matched)
+  static async getProfile(userId) {
+    return ChatAPI.request(`/users/${userId}`);
+  }
+
+  // Update any of display_name, avatar_url, faculty, gender, year_of_enrollment.
+  // On validation failure the thrown error carries error.data.fields.
+  static async updateProfile(updates) {
+    return ChatAPI.request('/users/me', {
+      method: 'PATCH',
+      body: JSON.stringify(updates)
+    });
+  }
+
+  // Upload an image file; the server resizes it and returns the updated profile
+  static async uploadAvatar(file) {
+    const formData = new FormData();
+    formData.append('avatar', file);
+
+    return ChatAPI.request('/users/me/avatar', {
+      method: 'POST',
+      body: formData
+    });
+  }
+
+  // Import a class timetable (.ics). Replaces the previous one; the response
+  // says how many classes were found.
+  static async uploadTimetable(file) {
+    const formData = new FormData();
+    formData.append('timetable', file);
+
+    return ChatAPI.request('/users/me/timetable', {
+      method: 'POST',
+      body: formData
+    });
+  }
+
+  static async removeTimetable() {
+    return ChatAPI.request('/users/me/timetable', { method: 'DELETE' });
+  }
+}
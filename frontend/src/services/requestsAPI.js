@@ -0,0 +1,67 @@
+// src/services/requestsAPI.js - Meal/study buddy request endpoints
+
+import { ChatAPI } from './chatAPI';
+
+export class RequestsAPI {
+  // Create a request. On validation failure the thrown error carries
+  // error.data.fields, keyed by field name.
+  static async createRequest(request) {
+    return ChatAPI.request('/requests', {
+      method: 'POST',
+      body: JSON.stringify(request)
+    });
+  }
+
+  // The logged-in user's requests, newest meeting first
+  static async getMyRequests(status) {
+    const query = status ? `?status=${encodeURIComponent(status)}` : '';
+    const response = await ChatAPI.request(`/requests${query}`);
+    return response.requests || [];
+  }
+
+  // Free windows for an activity around the user's classes, as
+  // [{ start, end }] ISO times
+  static async getFreeSlots(activityType, days = 7) {
+    const query = `?activity_type=${encodeURIComponent(activityType)}&days=${days}`;
+    const response = await ChatAPI.request(`/requests/free-slots${query}`);
+    return response.slots || [];
+  }
+
+  static async getRequest(requestId) {
+    return ChatAPI.request(`/requests/${requestId}`);
+  }
+
+  static async cancelRequest(requestId) {
+    return ChatAPI.request(`/requests/${requestId}/cancel`, {
+      method: 'POST'
+    });
+  }
+
+  // Create a weekly rule ({ days, start_time, end_time, until, ... }). The
+  // response includes the requests generated for the coming days.
+  static async createRecurringRequest(rule) {
+    return ChatAPI.request('/recurring-requests', {
+      method: 'POST',
+      body: JSON.stringify(rule)
+    });
+  }
+
+  static async getMyRecurringRequests() {
+    const response = await ChatAPI.request('/recurring-requests');
+    return response.recurringRequests || [];
+  }
+
+  // date is YYYY-MM-DD in campus time
+  static async skipOccurrence(recurringId, date) {
+    return ChatAPI.request(`/recurring-requests/${recurringId}/skip`, {
+      method: 'POST',
+      body: JSON.stringify({ date })
+    });
+  }
+
+  static async cancelRecurringRequest(recurringId) {
+    return ChatAPI.request(`/recurring-requests/${recurringId}/cancel`, {
+      method: 'POST'
+    });
+  }
+}
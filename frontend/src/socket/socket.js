@@ -1,10 +1,14 @@
 // src/socket/socket.js
 
 import { io } from 'socket.io-client';
+import { ChatAPI } from '../services/chatAPI';
 
 // Initialize socket connection
 let socket = null;
 
+// Rooms to be in; the server forgets them when the connection drops
+const joinedRooms = new Set();
+
 // Initialize the socket connection
 export const initializeSocket = (serverUrl = 'http://localhost:3001') => {
   if (!socket) {
@@ -15,10 +19,23 @@ export const initializeSocket = (serverUrl = 'http://localhost:3001') => {
       reconnectionAttempts: 5,
       maxReconnectionAttempts: 5,
       transports: ['websocket', 'polling'], // ADD THIS
-      forceNew: true // ADD THIS
+      forceNew: true, // ADD THIS
+      // Called on every (re)connect so the latest access token is used
+      auth: (cb) => cb({ token: ChatAPI.getAuthToken() })
+    });
+
+    // Rejoin rooms after reconnecting
+    socket.on('connect', () => {
+      joinedRooms.forEach((roomId) => socket.emit('join_room', roomId));
     });
 
-    // Rest of your code stays the same...
+    // The access token may have expired - refresh it and try again
+    const currentSocket = socket;
+    currentSocket.on('connect_error', async (error) => {
+      if (error.message === 'Authentication required' && await ChatAPI.refreshSession()) {
+        currentSocket.connect();
+      }
+    });
   }
   return socket;
 };
@@ -30,11 +47,14 @@ export const connectSocket = () => {
   }
 };
 
-// Disconnect from the server
+// Disconnect from the server and drop the socket, so the next
+// initializeSocket() starts fresh (e.g. after logging in as someone else)
 export const disconnectSocket = () => {
-  if (socket && socket.connected) {
+  if (socket) {
     socket.disconnect();
+    socket = null;
   }
+  joinedRooms.clear();
 };
 
 // Send a private message to a specific user
@@ -69,19 +89,103 @@ export const offPrivateMessage = () => {
   }
 };
 
-// Join a room (if you're using rooms for organization)
+// Listen for new matches from the matching engine
+export const onMatchFound = (callback) => {
+  if (socket) {
+    socket.on('match_found', callback);
+  }
+};
+
+export const offMatchFound = () => {
+  if (socket) {
+    socket.off('match_found');
+  }
+};
+
+// Listen for matches being confirmed, declined, cancelled or completed
+export const onMatchUpdated = (callback) => {
+  if (socket) {
+    socket.on('match_updated', callback);
+  }
+};
+
+export const offMatchUpdated = () => {
+  if (socket) {
+    socket.off('match_updated');
+  }
+};
+
+// Listen for messages in group meal chats
+export const onGroupMessage = (callback) => {
+  if (socket) {
+    socket.on('group_message', callback);
+  }
+};
+
+export const offGroupMessage = () => {
+  if (socket) {
+    socket.off('group_message');
+  }
+};
+
+// Listen for being seated at a group meal, and for people joining or leaving
+export const onGroupUpdated = (callback) => {
+  if (socket) {
+    socket.on('group_joined', callback);
+    socket.on('group_updated', callback);
+  }
+};
+
+export const offGroupUpdated = () => {
+  if (socket) {
+    socket.off('group_joined');
+    socket.off('group_updated');
+  }
+};
+
+// Listen for messages the app posts in a one-to-one chat (e.g. a suggested
+// meeting place); `with` is the other user in that chat
+export const onSystemMessage = (callback) => {
+  if (socket) {
+    socket.on('system_message', callback);
+  }
+};
+
+export const offSystemMessage = () => {
+  if (socket) {
+    socket.off('system_message');
+  }
+};
+
+// Join a room: "place:<id>" or "building:<id>" for crowd updates. Rooms
+// joined while disconnected are joined once the socket connects.
 export const joinRoom = (roomId) => {
+  joinedRooms.add(roomId);
   if (socket && socket.connected) {
     socket.emit('join_room', roomId);
-    console.log(`Joined room: ${roomId}`);
   }
 };
 
 // Leave a room
 export const leaveRoom = (roomId) => {
+  joinedRooms.delete(roomId);
   if (socket && socket.connected) {
     socket.emit('leave_room', roomId);
-    console.log(`Left room: ${roomId}`);
+  }
+};
+
+// Listen for crowd estimates ({ place_id, building_id, crowd }) in the rooms
+// joined; sent on joining and whenever someone reports
+export const onCrowdUpdated = (callback) => {
+  if (socket) {
+    socket.on('crowd_updated', callback);
+  }
+};
+
+// Several components may listen, so only the given callback is removed
+export const offCrowdUpdated = (callback) => {
+  if (socket) {
+    socket.off('crowd_updated', callback);
   }
 };
 
@@ -84,7 +84,8 @@ export class ChatStorage {
       // Update metadata
       this.updateMetadata(userId1, {
         [`${conversationKey}_lastUpdate`]: new Date().toISOString(),
-        [`${conversationKey}_messageCount`]: sortedMessages.length
+        [`${conversationKey}_messageCount`]: sortedMessages.length,
+        ...this.trimmedSyncState(conversationKey, messages.length)
       });
       
       return true;
@@ -118,6 +119,7 @@ export class ChatStorage {
       }
       
       // Sort and limit messages
+      const messageCount = conversations[conversationKey].length;
       conversations[conversationKey] = conversations[conversationKey]
         .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
         .slice(-this.MAX_MESSAGES_PER_CONVERSATION);
@@ -128,7 +130,8 @@ export class ChatStorage {
       this.updateMetadata(userId1, {
         [`${conversationKey}_lastUpdate`]: new Date().toISOString(),
         [`${conversationKey}_messageCount`]: conversations[conversationKey].length,
-        [`${conversationKey}_lastMessage`]: message.timestamp
+        [`${conversationKey}_lastMessage`]: message.timestamp,
+        ...this.trimmedSyncState(conversationKey, messageCount)
       });
       
       return true;
@@ -138,6 +141,67 @@ export class ChatStorage {
     }
   }
 
+  // Once the oldest messages are dropped to stay under the limit, olderCursor
+  // points past a gap in the cache, so older history can't be paged in anymore
+  static trimmedSyncState(conversationKey, messageCount) {
+    return messageCount > this.MAX_MESSAGES_PER_CONVERSATION
+      ? { [`${conversationKey}_olderCursor`]: null }
+      : {};
+  }
+
+  // Apply changes from the server: new and edited messages replace any copy by
+  // ID, and { id, deleted: true } removes the message. A synced message older
+  // than everything cached belongs to history that isn't loaded yet, so it is
+  // left for the page that holds it unless includeOlder is set (when that page
+  // is what's being merged).
+  static mergeMessages(userId1, userId2, changes, { includeOlder = false } = {}) {
+    try {
+      const conversations = this.getAllConversations(userId1);
+      const conversationKey = this.getConversationKey(userId1, userId2);
+      const cached = conversations[conversationKey] || [];
+      const byId = new Map(cached.map(msg => [msg.id, msg]));
+      // Cached messages are stored sorted, oldest first
+      const oldest = cached.length > 0 ? new Date(cached[0].timestamp) : null;
+      const isBeforeCache = change => oldest && new Date(change.timestamp) < oldest;
+
+      changes.forEach(change => {
+        if (change.deleted) {
+          byId.delete(change.id);
+        } else if (byId.has(change.id) || includeOlder || !isBeforeCache(change)) {
+          byId.set(change.id, { ...byId.get(change.id), ...change });
+        }
+      });
+
+      return this.saveConversation(userId1, userId2, [...byId.values()]);
+    } catch (error) {
+      console.error('Error merging messages into localStorage:', error);
+      return false;
+    }
+  }
+
+  // Server cursors for a conversation: syncCursor picks up changes since the
+  // last sync, olderCursor loads history before the oldest cached page (null
+  // once there is none)
+  static getSyncState(userId1, userId2) {
+    const metadata = this.getMetadata(userId1);
+    const conversationKey = this.getConversationKey(userId1, userId2);
+
+    return {
+      syncCursor: metadata[`${conversationKey}_syncCursor`] || null,
+      olderCursor: metadata[`${conversationKey}_olderCursor`] || null
+    };
+  }
+
+  static updateSyncState(userId1, userId2, { syncCursor, olderCursor }) {
+    const conversationKey = this.getConversationKey(userId1, userId2);
+    const updates = {};
+
+    if (syncCursor !== undefined) updates[`${conversationKey}_syncCursor`] = syncCursor;
+    if (olderCursor !== undefined) updates[`${conversationKey}_olderCursor`] = olderCursor;
+
+    return this.updateMetadata(userId1, updates);
+  }
+
   // Update specific message (useful for status updates)
   static updateMessage(userId1, userId2, messageId, updates) {
     try {
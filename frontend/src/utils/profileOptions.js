@@ -0,0 +1,67 @@
+// src/utils/profileOptions.js - Choices shared by the profile and request forms
+
+export const FACULTY_OPTIONS = [
+  { value: 'engineering', label: 'Engineering' },
+  { value: 'business', label: 'Business' },
+  { value: 'arts', label: 'Arts' },
+  { value: 'science', label: 'Science' },
+  { value: 'medicine', label: 'Medicine' },
+  { value: 'law', label: 'Law' }
+];
+
+// 'graduate' is stored as year 5 on the server
+export const YEAR_OPTIONS = [
+  { value: '1', label: 'Year 1' },
+  { value: '2', label: 'Year 2' },
+  { value: '3', label: 'Year 3' },
+  { value: '4', label: 'Year 4' },
+  { value: 'graduate', label: 'Graduate' }
+];
+
+// Values as stored on the server
+export const GENDER_OPTIONS = [
+  { value: 'f', label: 'Female' },
+  { value: 'm', label: 'Male' },
+  { value: 'other', label: 'Other' }
+];
+
+// Convert a stored year_of_enrollment back into a YEAR_OPTIONS value
+export const toYearOption = (year) => {
+  if (!year) return '';
+  return year === 5 ? 'graduate' : String(year);
+};
+
+export const ACTIVITY_OPTIONS = [
+  { value: 'breakfast', label: 'Breakfast' },
+  { value: 'lunch', label: 'Lunch' },
+  { value: 'dinner', label: 'Dinner' },
+  { value: 'study', label: 'Study' }
+];
+
+// Largest table a request asks for; 2 means a single buddy
+export const GROUP_SIZE_OPTIONS = [
+  { value: '2', label: 'Just one buddy' },
+  { value: '3', label: 'Table of up to 3' },
+  { value: '4', label: 'Table of up to 4' },
+  { value: '5', label: 'Table of up to 5' },
+  { value: '6', label: 'Table of up to 6' }
+];
+
+// Values match the backend's day numbers (Sunday = 0)
+export const WEEKDAY_OPTIONS = [
+  { value: 1, label: 'Mon' },
+  { value: 2, label: 'Tue' },
+  { value: 3, label: 'Wed' },
+  { value: 4, label: 'Thu' },
+  { value: 5, label: 'Fri' },
+  { value: 6, label: 'Sat' },
+  { value: 0, label: 'Sun' }
+];
+
+// Crowd levels as reported and estimated by the server
+export const CROWD_LEVEL_OPTIONS = [
+  { value: 'low', label: 'Quiet' },
+  { value: 'medium', label: 'Some people' },
+  { value: 'high', label: 'Busy' },
+  { value: 'very_high', label: 'Packed' }
+];